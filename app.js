@@ -1,6 +1,32 @@
 import * as THREE from 'three';
 import { WebGPURenderer } from 'three/webgpu';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { readHeightmapFiles, drapeHeightmap, isHeightmapFile, rasterizeElevation, encodeHeightmap, resampleElevation } from './src/heightmap.js';
+import { readPointCloudFile, placePointCloud, displayColors, isPointCloudFile } from './src/pointcloud.js';
+import { OperationHistory, snapshotPositions, diffPositions, applyPositions } from './src/history.js';
+import { downloadFile } from './src/download.js';
+import { exportMeshes } from './src/meshExport.js';
+import { serializeProject, parseProject, isProjectFile, PROJECT_EXTENSION } from './src/project.js';
+import { SphericalPolygon, GeoReference, ELEVATION_UNITS, formatLonLat, directionToLonLat, lonLatToDirection } from './src/geodesy.js';
+import { isGeoJSONFile, parseGeoJSON, buildGeoJSON, ringArea, splitAtAntimeridian } from './src/geojson.js';
+import { clipLayerGeometry } from './src/clipping.js';
+import { VertexGrid } from './src/spatialIndex.js';
+import { BRUSH_MODES, buildVertexNeighbours, sculptVertices } from './src/brushes.js';
+import { createNoise3D, createRandom } from './src/noise.js';
+import { ErosionSimulation, DEFAULT_HYDRAULIC, DEFAULT_THERMAL } from './src/erosion.js';
+import { generatePlanet, DEFAULT_PLANET } from './src/planet.js';
+import { createGlobeGeometry, describeTessellation } from './src/tessellation.js';
+import { HeightStore } from './src/heightStore.js';
+import { LAYER_PRESETS, DEFAULT_LAYER_PRESET, createLayerStack, createLayerMaterial } from './src/layers.js';
+import { readVolumeFiles } from './src/volume.js';
+import { COLORMAPS, sampleColormap, colormapGradient } from './src/colormaps.js';
+import { ContourSet, DEFAULT_CONTOURS, isMajor } from './src/contours.js';
+import { TerrainAnalysis, ANALYSIS_MEASURES } from './src/terrainAnalysis.js';
+import { greatCirclePath, sampleMeshRadii, profileStats, profileToCSV, sectionCutOutline } from './src/profile.js';
+import { ELEVATION_RAMPS, DEFAULT_HYPSOMETRY, normalizeStops, createRampLookup, colourByElevation, rampGradient } from './src/hypsometry.js';
+import { QuadtreeTerrain, DEFAULT_LOD } from './src/lodTerrain.js';
+import { createFalloff, DEFAULT_CUSTOM_FALLOFF } from './src/falloff.js';
+import { CurveEditor } from './src/curveEditor.js';
 
 class WebGPUGlobe {
     constructor() {
@@ -10,6 +36,7 @@ class WebGPUGlobe {
         this.renderer = null;
         this.controls = null;
         this.terrain = null; // Will be replaced by this.crust
+        this.crustIndex = null; // VertexGrid over the crust's current position buffer
         this.pointCloud = null;
         
         // Editing state
@@ -19,6 +46,28 @@ class WebGPUGlobe {
         this.brushSize = 20;
         this.mode = 'extrude';
         this.intensity = 2;
+        this.brushTargetHeight = 0; // Set-height target, scene units above the crust radius
+        this.brushNoiseSeed = 1;
+        this.brushNoiseScale = 4; // Noise features per globe radius
+        this.brushAnchorRadius = null; // Flatten target, the radius under the stroke's first click
+        this.brushNoise = null; // { seed, noise } for the current seed
+        this.crustNeighbours = null; // { index, data } vertex adjacency for smoothing
+        this.brushFalloff = 'smooth';
+        this.brushFalloffPoints = DEFAULT_CUSTOM_FALLOFF.map(point => ({ ...point }));
+        this.brushSpacing = 0.25; // Distance between dabs as a fraction of the brush size
+        this.pressureSize = true; // Pen pressure scales the brush radius
+        this.pressureStrength = true; // Pen pressure scales the intensity
+        this.lastDab = null; // { point, pressure } of the stroke's latest dab, in crust space
+        this.brushCursor = null; // Ring on the terrain showing the brush radius
+        this.brushCursorPoint = null;
+        this.falloffEditor = null;
+        
+        // Erosion settings
+        this.erosionType = 'hydraulic'; // or 'thermal'
+        this.erosionRegion = 'global'; // or 'polygon'
+        this.erosionHydraulic = { ...DEFAULT_HYDRAULIC };
+        this.erosionThermal = { ...DEFAULT_THERMAL };
+        this.erosionJob = null; // Running simulation, see runErosion()
         
         // Polygon drawing state
         this.isDrawingPolygon = false;
@@ -37,17 +86,78 @@ class WebGPUGlobe {
         
             // Globe segments tracking - will be set from inputs on load
             this.currentSegments = { width: 256, height: 128 };
+            this.tessellation = 'uv'; // 'uv', 'icosphere' or 'cube', see src/tessellation.js
+            
+            // Level-of-detail crust, drawn instead of the crust mesh and clipped like it.
+            // Its patches sample heightStore, which mirrors the unclipped crust's elevations.
+            this.lodEnabled = false;
+            this.lodThreshold = DEFAULT_LOD.errorThreshold;
+            this.lod = null;
+            this.lodCap = null; // Stand-in for the crust's clipping cap, which hides with the crust
+            this.heightStore = null; // Rebuilt from the crust mesh when null
+            this.heightStoreAhead = false; // Holds brush strokes on the clipped crust that re-clipping drops
+            this.lodFocusKey = '';
+            this.recentEdits = []; // { cap, time } of edits that keep extra detail for a while
+            this.recentEditTime = 30000; // How long edited areas stay refined, in ms
         this.mouse = new THREE.Vector2();
         this.raycaster = new THREE.Raycaster();
             
-            // Earth layers
+            // Earth layers: a stack of shells (src/layers.js), the outermost is the crust
+            this.layerPreset = DEFAULT_LAYER_PRESET;
+            this.layerStack = createLayerStack(LAYER_PRESETS[DEFAULT_LAYER_PRESET].layers);
+            this.layerMeshes = {}; // Layer id -> mesh
+            this.layerScale = 1; // Scene units per km, so the crust's outer radius is crustRadius
             this.crust = null;
-            this.mantle = null;
-            this.core = null;
+            
+            // Hypsometric tinting of the crust, see src/hypsometry.js
+            this.hypsometry = { ...DEFAULT_HYPSOMETRY, customStops: DEFAULT_HYPSOMETRY.customStops.map(stop => ({ ...stop })) };
+            this.tintLookup = null; // Ramp colours, rebuilt by updateElevationTint
+            this.tintPatchColours = null; // The same for LOD patches
+            this.tintedCrust = { geometry: null, version: -1, pending: null }; // Crust positions the colours were last computed from
+            
+            // Contour lines over the crust
+            this.contourSettings = { ...DEFAULT_CONTOURS };
+            this.contours = null; // ContourSet of the crust geometry in contourState
+            this.contourState = { geometry: null, version: -1 };
+            this.contourGroup = null;
+            this.contourLabelsStale = false; // Labels wait for strokes and erosion to finish
+            this.contourLabelTextures = new Map(); // Label text -> CanvasTexture
+            
+            // Slope, aspect and curvature overlay on the crust, see src/terrainAnalysis.js
+            this.analysisMeasure = 'none'; // 'none' or a key of ANALYSIS_MEASURES
+            this.analysisRanges = {}; // Measure -> { min, max } of its colormap
+            Object.entries(ANALYSIS_MEASURES).forEach(([measure, { range }]) => {
+                this.analysisRanges[measure] = range ? { ...range } : null; // null until fitted to the data
+            });
+            this.analysis = null; // TerrainAnalysis of the crust geometry in analysisState
+            this.analysisState = { geometry: null, version: -1 };
+            
+            // Elevation profile along great circles between clicked points, see src/profile.js
+            this.isProfiling = false;
+            this.profilePoints = []; // Unit directions of the clicked points
+            this.profile = null; // Samples along the path, rebuilt by updateProfile
+            this.profileState = { geometry: null, version: -1 }; // Crust positions the samples were read from
+            this.profileSection = false; // Layers cut open beside the path to show the section
+            this.profileCut = null; // { polygon, group, layers: layer id -> cutaway }, see buildProfileCut
+            this.profileCutWidth = Math.PI / 4; // Radians the cut opens beside the path
+            this.profileGroup = null; // Path line and point markers
+            this.profileMarker = null; // Spot on the globe under the chart's hover line
+            this.profileHover = null; // Sample index under the pointer on the chart
+            this.profileChartMargins = { left: 64, right: 8, top: 8, bottom: 18 }; // CSS pixels, room for the axis labels
+            
+            // Scalar volume (e.g. seismic tomography) colouring the interior layers and cross-sections
+            this.volume = null; // ScalarVolume, see src/volume.js
+            this.volumeColouring = true;
+            this.volumeColormap = 'rdbu';
+            this.volumeRange = { min: -1, max: 1 };
+            this.volumeCapSteps = 24; // Depth bands in clipping caps while colouring, so they show structure with depth
             
             // Clipping system
             this.clippingPolygon = null;
+            this.clippingOutline = null; // Polygon Mode outline used instead of the rectangle
             this.originalGeometries = {};
+            this.clippingCaps = {}; // Cross-section faces per clipped mesh uuid
+            this.clippingRegions = {}; // { polygon, keepInside } per clipped mesh uuid, for the LOD patches
             this.clippingDirection = 'inside'; // 'outside' or 'inside'
             this.realtimeClipping = false;
             
@@ -67,6 +177,50 @@ class WebGPUGlobe {
             // Polygon size
             this.polygonWidth = 50;
             this.polygonHeight = 50;
+            
+            // Heightmap import
+            this.crustRadius = 50;
+            this.heightmapScale = 1; // Metres per raster unit, see heightmapSceneMapping()
+            this.heightmapOffset = 0; // Metres
+            this.heightmapNoData = null; // Overrides the file's own no-data value when set
+            
+            // Geographic reference for lat/lon/elevation readouts, sea level is the crust radius
+            this.geo = new GeoReference({ sceneRadius: this.crustRadius });
+            this.polygonVerticesInDegrees = true; // Polygon vertex list in lat/lon instead of scene xyz
+            
+            // GeoJSON import: polygons become the edit or the clipping polygon,
+            // lines and points are kept in lon/lat and draped onto the crust
+            this.geojsonPolygonTarget = 'edit'; // or 'clip'
+            this.geoOverlays = { lines: [], points: [] };
+            this.geoOverlayGroup = null;
+            this.geoReadoutPending = false;
+            
+            // Procedural planet, replaces the crust's displacement when generated
+            this.planetSettings = { ...DEFAULT_PLANET };
+            
+            // Heightmap export
+            this.heightmapExportFormat = 'geotiff'; // 'png16', 'geotiff' or 'f32'
+            this.heightmapExportSize = { width: 1024, height: 512 };
+            
+            // Mesh export
+            this.meshExportFormat = 'glb'; // 'glb', 'obj' or 'stl'
+            this.meshExportGeometry = 'clipped'; // 'clipped' or 'original'
+            this.meshExportPolygon = false; // Include the clipping polygon and its cylinders
+            
+            // Project files
+            this.projectCompress = true;
+            
+            // Point cloud import
+            this.pointCloudCoordinates = 'auto'; // 'auto', 'geographic' or 'cartesian'
+            this.pointCloudColumns = ''; // XYZ/CSV column order, e.g. "lon,lat,alt,_,intensity"
+            this.pointCloudScale = 1; // Metres per source unit, scene units follow from this.geo
+            this.pointCloudAnchor = { lon: 0, lat: 0 }; // Where cartesian clouds are placed
+            
+            // Undo/redo history
+            this.history = new OperationHistory({ onChange: () => this.updateHistoryList() });
+            this.pendingTerrainEdit = null; // Snapshot taken when a terrain operation starts
+            this.clippedLayers = new Set(); // Layers currently showing clipped geometry
+            this.lastClipState = null; // Clip state as of the last history entry
         
         this.init();
     }
@@ -77,6 +231,8 @@ class WebGPUGlobe {
             await this.setupScene();
             this.setupControls();
             this.setupEventListeners();
+            this.lastClipState = this.captureClipState();
+            this.updateHistoryList();
             this.animate();
             
             console.log('WebGPU Globe initialized!');
@@ -179,55 +335,117 @@ class WebGPUGlobe {
         }
     
     createEarthLayers() {
-        // Create SOLID Earth layers (filled, not hollow)
-        
-        // Create Core (innermost SOLID layer)
-        const coreGeometry = new THREE.SphereGeometry(20, this.currentSegments.width, this.currentSegments.height);
-        const coreMaterial = new THREE.MeshLambertMaterial({ 
-            color: 0xffff00, // Bright yellow core
-            wireframe: false,
-            side: THREE.DoubleSide,
-            transparent: true,
-            opacity: 0.9
-        });
-            this.core = new THREE.Mesh(coreGeometry, coreMaterial);
-            this.core.visible = true; // Visible by default
-            this.scene.add(this.core);
-        
-        // Create Mantle (middle SOLID layer) - from core to mantle outer radius
-        const mantleGeometry = new THREE.SphereGeometry(40, this.currentSegments.width, this.currentSegments.height);
-        const mantleMaterial = new THREE.MeshLambertMaterial({ 
-            color: 0xff6600, // Orange/red mantle color
-            wireframe: false,
-            side: THREE.DoubleSide,
-            transparent: true,
-            opacity: 0.8
-        });
-            this.mantle = new THREE.Mesh(mantleGeometry, mantleMaterial);
-            this.mantle.visible = true; // Visible by default
-            this.scene.add(this.mantle);
-            
-            // Create Crust (outermost SOLID layer) - from mantle to crust outer radius
-            const crustGeometry = new THREE.SphereGeometry(50, this.currentSegments.width, this.currentSegments.height);
-            const crustMaterial = new THREE.MeshLambertMaterial({ 
-                color: 0x404040, // Dark grey (current terrain color)
-                wireframe: false,
-                side: THREE.DoubleSide,
-                transparent: true,
-                opacity: 1.0
-            });
-            this.crust = new THREE.Mesh(crustGeometry, crustMaterial);
-            this.crust.receiveShadow = true;
-            this.crust.castShadow = true;
-            this.scene.add(this.crust);
+        // Every layer is a SOLID sphere of its outer radius, inner layers show through the outer ones
+        const outermost = this.layerStack[this.layerStack.length - 1];
+        this.layerScale = this.crustRadius / outermost.outerRadius;
+        this.layerMeshes = {};
+        
+        this.layerStack.forEach(layer => {
+            const radius = layer === outermost ? this.crustRadius : layer.outerRadius * this.layerScale;
+            const geometry = createGlobeGeometry(this.tessellation, radius, this.currentSegments);
+            const mesh = new THREE.Mesh(geometry, createLayerMaterial(layer));
+            mesh.name = layer.name;
+            mesh.visible = true; // Visible by default
+            this.scene.add(mesh);
+            this.layerMeshes[layer.id] = mesh;
+        });
+        
+        this.crust = this.layerMeshes.crust;
+        this.crust.receiveShadow = true;
+        this.crust.castShadow = true;
         
         // Set terrain reference to crust for compatibility
         this.terrain = this.crust;
         
+        // Visibility, opacity and clipping rows for this stack
+        this.buildLayerControls();
+        this.applyAllLayerColours();
+        
         // Create 4 cylinders on sphere surface and polygon fill
         this.createSpherePolygon();
         
-        console.log('Earth layers created: Crust, Mantle, Core');
+        console.log(`Earth layers created: ${this.layerStack.map(layer => layer.name).reverse().join(', ')}`);
+    }
+    
+    // Layers from the crust inwards, the order they're listed in the panels
+    getLayersOutsideIn() {
+        return [...this.layerStack].reverse();
+    }
+    
+    getLayer(id) {
+        return this.layerStack.find(layer => layer.id === id) || null;
+    }
+    
+    buildLayerControls() {
+        const layerList = document.getElementById('layerControls');
+        const clipList = document.getElementById('clippingLayerList');
+        layerList.innerHTML = '';
+        clipList.innerHTML = '';
+        
+        this.getLayersOutsideIn().forEach(layer => {
+            const mesh = this.layerMeshes[layer.id];
+            
+            // Visibility, opacity and colour
+            const item = document.createElement('div');
+            item.className = 'layer-item';
+            item.innerHTML = `
+                <label title="${layer.innerRadius}–${layer.outerRadius} km">
+                    <input type="checkbox" data-layer-toggle="${layer.id}" checked>
+                    <input type="range" data-layer-opacity="${layer.id}" min="0" max="1" step="0.1" value="${layer.opacity}">
+                    <span data-layer-opacity-value="${layer.id}">${layer.opacity}</span>
+                </label>
+                <input type="color" data-layer-color="${layer.id}" value="${layer.color}" title="Colour">`;
+            item.querySelector('label').prepend(`${layer.name}: `);
+            
+            item.querySelector('[data-layer-toggle]').addEventListener('change', (e) => {
+                console.log(`${layer.name} toggle:`, e.target.checked);
+                mesh.visible = e.target.checked;
+            });
+            
+            item.querySelector('[data-layer-opacity]').addEventListener('input', (e) => {
+                const opacity = parseFloat(e.target.value);
+                console.log(`${layer.name} opacity:`, opacity);
+                layer.opacity = opacity;
+                mesh.material.opacity = opacity;
+                item.querySelector('[data-layer-opacity-value]').textContent = opacity;
+            });
+            
+            item.querySelector('[data-layer-color]').addEventListener('input', (e) => {
+                layer.color = e.target.value;
+                this.applyLayerColours(layer);
+                clipList.querySelector(`[data-layer-swatch="${layer.id}"]`).style.background = layer.color;
+                this.recolourProfileSection(layer);
+            });
+            
+            layerList.appendChild(item);
+            
+            // Clipping selection
+            const card = document.createElement('div');
+            card.className = 'layer-card';
+            card.innerHTML = `
+                <label class="layer-checkbox">
+                    <input type="checkbox" data-clip-layer="${layer.id}" checked>
+                    <span class="layer-name"></span>
+                    <span class="layer-color" data-layer-swatch="${layer.id}" style="background: ${layer.color};"></span>
+                </label>`;
+            card.querySelector('.layer-name').textContent = layer.name;
+            
+            card.querySelector('[data-clip-layer]').addEventListener('change', (e) => {
+                this.handleLayerSelectionChange(layer.id);
+                this.commitClipChange(`${e.target.checked ? 'Clip' : 'Unclip'} ${layer.name.toLowerCase()}`);
+            });
+            
+            clipList.appendChild(card);
+        });
+    }
+    
+    getLayerOfMesh(mesh) {
+        return this.layerStack.find(layer => this.layerMeshes[layer.id] === mesh) || null;
+    }
+    
+    isLayerSelectedForClipping(id) {
+        const checkbox = document.querySelector(`[data-clip-layer="${id}"]`);
+        return Boolean(checkbox && checkbox.checked);
     }
     
         createSpherePolygon() {
@@ -257,6 +475,7 @@ class WebGPUGlobe {
             
             // Store polygon points for clipping
             this.clippingPolygon = points;
+            this.clippingOutline = null;
             this.originalPolygonPoints = points.map(p => p.clone()); // Store original positions
             
             // Create cylinders at each point
@@ -334,6 +553,212 @@ class WebGPUGlobe {
             this.loadHeightmap();
         });
         
+        document.getElementById('heightmapFile').addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.importHeightmap(e.target.files);
+            }
+            e.target.value = ''; // Allow re-selecting the same file
+        });
+        
+        // Geographic reference
+        document.getElementById('planetRadius').addEventListener('input', (e) => {
+            const radius = parseFloat(e.target.value);
+            if (radius > 0) {
+                this.geo.planetRadius = radius;
+                this.updatePolygonVertexList();
+                this.updateCrustLegend();
+                this.updateTintStopElevations();
+                this.updateContours(true); // Same real interval, different scene spacing
+                if (this.analysis) this.updateAnalysis(true); // Slopes depend on the scale
+                if (this.profile) this.updateProfile();
+            }
+        });
+        
+        document.getElementById('elevationUnit').addEventListener('change', (e) => {
+            // The contour interval follows into the new unit, the lines stay where they are
+            const interval = this.contourSceneInterval();
+            this.geo.elevationUnit = e.target.value;
+            this.contourSettings.interval = Number(this.geo.toElevationUnits(interval).toPrecision(6));
+            document.getElementById('contourInterval').value = this.contourSettings.interval;
+            this.updatePolygonVertexList();
+            this.updateCrustLegend();
+            this.updateTintStopElevations();
+            this.updateContours(true);
+            if (this.profile) this.updateProfile();
+        });
+        
+        document.getElementById('verticalExaggeration').addEventListener('input', (e) => {
+            const exaggeration = parseFloat(e.target.value);
+            if (exaggeration > 0) {
+                this.geo.exaggeration = exaggeration;
+                this.updatePolygonVertexList();
+                this.updateCrustLegend();
+                this.updateTintStopElevations();
+                this.updateContours(true);
+                if (this.analysis) this.updateAnalysis(true);
+                if (this.profile) this.updateProfile();
+            }
+        });
+        
+        document.getElementById('polygonVerticesInDegrees').addEventListener('change', (e) => {
+            this.polygonVerticesInDegrees = e.target.checked;
+            this.updatePolygonVertexList();
+        });
+        
+        // Planet generator
+        document.getElementById('planetSeed').addEventListener('input', (e) => {
+            const seed = parseInt(e.target.value);
+            if (!Number.isNaN(seed)) this.planetSettings.seed = seed;
+        });
+        
+        document.getElementById('randomPlanetSeed').addEventListener('click', () => {
+            this.planetSettings.seed = Math.floor(Math.random() * 1000000);
+            document.getElementById('planetSeed').value = this.planetSettings.seed;
+        });
+        
+        document.getElementById('planetNoise').addEventListener('change', (e) => {
+            this.planetSettings.noise = e.target.value;
+        });
+        
+        document.querySelectorAll('[data-planet-param]').forEach(input => {
+            input.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                if (!Number.isNaN(value)) this.planetSettings[e.target.dataset.planetParam] = value;
+            });
+        });
+        
+        document.getElementById('generatePlanet').addEventListener('click', () => {
+            this.generatePlanet();
+        });
+        
+        // Heightmap import settings
+        document.getElementById('heightmapScale').addEventListener('input', (e) => {
+            const scale = parseFloat(e.target.value);
+            if (!Number.isNaN(scale)) this.heightmapScale = scale;
+        });
+        
+        document.getElementById('heightmapOffset').addEventListener('input', (e) => {
+            const offset = parseFloat(e.target.value);
+            if (!Number.isNaN(offset)) this.heightmapOffset = offset;
+        });
+        
+        document.getElementById('heightmapNoData').addEventListener('input', (e) => {
+            const noData = parseFloat(e.target.value);
+            this.heightmapNoData = Number.isNaN(noData) ? null : noData;
+        });
+        
+        // Heightmap export
+        document.getElementById('heightmapExportFormat').addEventListener('change', (e) => {
+            this.heightmapExportFormat = e.target.value;
+        });
+        
+        document.getElementById('heightmapExportWidth').addEventListener('input', (e) => {
+            const width = parseInt(e.target.value);
+            if (width >= 2 && width <= 16384) this.heightmapExportSize.width = width;
+        });
+        
+        document.getElementById('heightmapExportHeight').addEventListener('input', (e) => {
+            const height = parseInt(e.target.value);
+            if (height >= 2 && height <= 16384) this.heightmapExportSize.height = height;
+        });
+        
+        document.getElementById('exportHeightmap').addEventListener('click', () => {
+            this.exportHeightmap();
+        });
+        
+        // Project save/open
+        document.getElementById('saveProject').addEventListener('click', () => {
+            this.saveProject();
+        });
+        
+        document.getElementById('openProject').addEventListener('click', () => {
+            document.getElementById('projectFile').click();
+        });
+        
+        document.getElementById('projectFile').addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.openProject(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
+        
+        document.getElementById('projectCompress').addEventListener('change', (e) => {
+            this.projectCompress = e.target.checked;
+        });
+        
+        // GeoJSON
+        document.getElementById('importGeoJSON').addEventListener('click', () => {
+            document.getElementById('geojsonFile').click();
+        });
+        
+        document.getElementById('geojsonFile').addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.importGeoJSON(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
+        
+        document.getElementById('geojsonPolygonTarget').addEventListener('change', (e) => {
+            this.geojsonPolygonTarget = e.target.value;
+        });
+        
+        document.getElementById('exportGeoJSON').addEventListener('click', () => {
+            this.exportGeoJSON();
+        });
+        
+        document.getElementById('clearGeoOverlays').addEventListener('click', () => {
+            this.geoOverlays = { lines: [], points: [] };
+            this.updateGeoOverlays();
+        });
+        
+        // Mesh export
+        document.getElementById('meshExportFormat').addEventListener('change', (e) => {
+            this.meshExportFormat = e.target.value;
+        });
+        
+        document.getElementById('meshExportGeometry').addEventListener('change', (e) => {
+            this.meshExportGeometry = e.target.value;
+        });
+        
+        document.getElementById('meshExportPolygon').addEventListener('change', (e) => {
+            this.meshExportPolygon = e.target.checked;
+        });
+        
+        document.getElementById('exportMesh').addEventListener('click', () => {
+            this.exportMesh();
+        });
+        
+        document.getElementById('pointCloudFile').addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.importPointCloud(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
+        
+        // Point cloud import settings
+        document.getElementById('pointCloudCoordinates').addEventListener('change', (e) => {
+            this.pointCloudCoordinates = e.target.value;
+        });
+        
+        document.getElementById('pointCloudColumns').addEventListener('input', (e) => {
+            this.pointCloudColumns = e.target.value;
+        });
+        
+        document.getElementById('pointCloudScale').addEventListener('input', (e) => {
+            const scale = parseFloat(e.target.value);
+            if (!Number.isNaN(scale)) this.pointCloudScale = scale;
+        });
+        
+        document.getElementById('pointCloudAnchorLon').addEventListener('input', (e) => {
+            const lon = parseFloat(e.target.value);
+            if (!Number.isNaN(lon)) this.pointCloudAnchor.lon = lon;
+        });
+        
+        document.getElementById('pointCloudAnchorLat').addEventListener('input', (e) => {
+            const lat = parseFloat(e.target.value);
+            if (!Number.isNaN(lat)) this.pointCloudAnchor.lat = lat;
+        });
+        
         // Edit mode button
         document.getElementById('editMode').addEventListener('click', () => {
             this.toggleEditMode();
@@ -359,43 +784,179 @@ class WebGPUGlobe {
                 this.togglePolygonMode();
             });
             
-            // Earth layer controls
-            document.getElementById('crustToggle').addEventListener('change', (e) => {
-                console.log('Crust toggle:', e.target.checked);
-                this.crust.visible = e.target.checked;
+            // Earth layer preset, the per-layer rows are built with the layers
+            document.getElementById('layerPreset').addEventListener('change', (e) => {
+                this.applyLayerPreset(e.target.value);
             });
             
-            document.getElementById('crustOpacity').addEventListener('input', (e) => {
-                const opacity = parseFloat(e.target.value);
-                console.log('Crust opacity:', opacity);
-                this.crust.material.opacity = opacity;
-                document.getElementById('crustOpacityValue').textContent = opacity;
+            // Elevation tint
+            document.getElementById('tintEnabled').addEventListener('change', (e) => {
+                this.hypsometry.enabled = e.target.checked;
+                this.updateElevationTint();
             });
             
-            document.getElementById('mantleToggle').addEventListener('change', (e) => {
-                console.log('Mantle toggle:', e.target.checked);
-                this.mantle.visible = e.target.checked;
+            document.getElementById('tintRamp').addEventListener('change', (e) => {
+                this.hypsometry.ramp = e.target.value;
+                this.buildTintStopList();
+                this.updateElevationTint();
             });
             
-            document.getElementById('mantleOpacity').addEventListener('input', (e) => {
-                const opacity = parseFloat(e.target.value);
-                console.log('Mantle opacity:', opacity);
-                this.mantle.material.opacity = opacity;
-                document.getElementById('mantleOpacityValue').textContent = opacity;
+            ['tintSeaLevel', 'tintMin', 'tintMax'].forEach(id => {
+                document.getElementById(id).addEventListener('change', () => {
+                    const seaLevel = parseFloat(document.getElementById('tintSeaLevel').value);
+                    const min = parseFloat(document.getElementById('tintMin').value);
+                    const max = parseFloat(document.getElementById('tintMax').value);
+                    if ([seaLevel, min, max].every(Number.isFinite) && min < max) {
+                        Object.assign(this.hypsometry, { seaLevel, min, max });
+                        this.updateElevationTint();
+                    }
+                });
+            });
+            
+            document.getElementById('tintAddStop').addEventListener('click', () => {
+                this.editTintStops(stops => {
+                    // Halfway into the widest gap
+                    const sorted = normalizeStops(stops);
+                    let gap = 0;
+                    for (let i = 1; i < sorted.length - 1; i++) {
+                        if (sorted[i + 1].at - sorted[i].at > sorted[gap + 1].at - sorted[gap].at) gap = i;
+                    }
+                    stops.push({ at: Number(((sorted[gap].at + sorted[gap + 1].at) / 2).toFixed(2)), color: sorted[gap].color });
+                    stops.sort((a, b) => a.at - b.at);
+                }, true);
             });
             
-            document.getElementById('coreToggle').addEventListener('change', (e) => {
-                console.log('Core toggle:', e.target.checked);
-                this.core.visible = e.target.checked;
+            document.getElementById('tintFitRange').addEventListener('click', () => {
+                this.fitTintRange();
+                this.updateElevationTint();
             });
             
-            document.getElementById('coreOpacity').addEventListener('input', (e) => {
-                const opacity = parseFloat(e.target.value);
-                console.log('Core opacity:', opacity);
-                this.core.material.opacity = opacity;
-                document.getElementById('coreOpacityValue').textContent = opacity;
+            this.buildTintStopList();
+            
+            // Contours
+            document.getElementById('contoursEnabled').addEventListener('change', (e) => {
+                this.contourSettings.enabled = e.target.checked;
+                this.updateContours(true);
+            });
+            
+            // In the elevation unit, see contourSceneInterval
+            document.getElementById('contourInterval').addEventListener('change', (e) => {
+                const interval = parseFloat(e.target.value);
+                if (interval > 0) {
+                    this.contourSettings.interval = interval;
+                    this.updateContours(true);
+                }
+            });
+            
+            document.getElementById('contourMajorEvery').addEventListener('change', (e) => {
+                const majorEvery = parseInt(e.target.value);
+                if (majorEvery >= 0) {
+                    this.contourSettings.majorEvery = majorEvery;
+                    this.drawContours();
+                }
+            });
+            
+            document.getElementById('contourLabels').addEventListener('change', (e) => {
+                this.contourSettings.labels = e.target.checked;
+                this.drawContours();
             });
             
+            document.getElementById('exportContours').addEventListener('click', () => {
+                this.exportContours();
+            });
+            
+            // Terrain analysis
+            document.getElementById('analysisMeasure').addEventListener('change', (e) => {
+                this.setAnalysisMeasure(e.target.value);
+            });
+            
+            ['analysisMin', 'analysisMax'].forEach(id => {
+                document.getElementById(id).addEventListener('change', () => {
+                    const min = parseFloat(document.getElementById('analysisMin').value);
+                    const max = parseFloat(document.getElementById('analysisMax').value);
+                    if (this.analysisMeasure === 'none' || !(max > min)) return;
+                    this.analysisRanges[this.analysisMeasure] = { min, max };
+                    this.refreshAnalysisColours();
+                });
+            });
+            
+            document.getElementById('analysisFitRange').addEventListener('click', () => {
+                if (!this.analysis) return;
+                this.fitAnalysisRange();
+                this.refreshAnalysisColours();
+            });
+            
+            // Elevation profile
+            document.getElementById('profileMode').addEventListener('click', () => {
+                this.toggleProfileMode();
+            });
+            
+            document.getElementById('profileSection').addEventListener('change', (e) => {
+                this.profileSection = e.target.checked;
+                this.drawProfilePath();
+            });
+            
+            document.getElementById('clearProfile').addEventListener('click', () => {
+                this.clearProfile();
+            });
+            
+            document.getElementById('exportProfile').addEventListener('click', () => {
+                this.exportProfile();
+            });
+            
+            const profileChart = document.getElementById('profileChart');
+            profileChart.addEventListener('pointermove', (e) => {
+                this.hoverProfile(e);
+            });
+            profileChart.addEventListener('pointerleave', () => {
+                this.hoverProfile(null);
+            });
+            
+            // Volume colouring
+            document.getElementById('loadVolume').addEventListener('click', () => {
+                document.getElementById('volumeFile').click();
+            });
+            
+            document.getElementById('volumeFile').addEventListener('change', (e) => {
+                if (e.target.files.length > 0) {
+                    this.importVolume(e.target.files);
+                }
+                e.target.value = '';
+            });
+            
+            document.getElementById('clearVolume').addEventListener('click', () => {
+                this.clearVolume();
+            });
+            
+            document.getElementById('volumeColouring').addEventListener('change', (e) => {
+                this.volumeColouring = e.target.checked;
+                this.refreshVolumeColouring();
+            });
+            
+            document.getElementById('volumeColormap').addEventListener('change', (e) => {
+                this.volumeColormap = e.target.value;
+                this.updateVolumeColorbar();
+                this.applyAllLayerColours();
+            });
+            
+            ['volumeMin', 'volumeMax'].forEach(id => {
+                document.getElementById(id).addEventListener('change', () => {
+                    const min = parseFloat(document.getElementById('volumeMin').value);
+                    const max = parseFloat(document.getElementById('volumeMax').value);
+                    if (Number.isFinite(min) && Number.isFinite(max) && min < max) {
+                        this.volumeRange = { min, max };
+                        this.applyAllLayerColours();
+                    }
+                });
+            });
+            
+            document.getElementById('volumeAutoRange').addEventListener('click', () => {
+                this.autoVolumeRange();
+                this.applyAllLayerColours();
+            });
+            
+            this.updateVolumeColorbar();
+            
             // Real-time clipping toggle
             document.getElementById('realtimeClippingToggle').addEventListener('change', (e) => {
                 this.realtimeClipping = e.target.checked;
@@ -409,24 +970,16 @@ class WebGPUGlobe {
                     // When turning OFF, restore all layers
                     this.restoreAllLayers();
                 }
+                this.commitClipChange(`Real-time clipping ${this.realtimeClipping ? 'on' : 'off'}`);
             });
             
-            // Layer checkbox changes - real-time updates
-            document.getElementById('clipCrust').addEventListener('change', () => {
-                this.handleLayerSelectionChange('crust');
-            });
-            
-            document.getElementById('clipMantle').addEventListener('change', () => {
-                this.handleLayerSelectionChange('mantle');
+            document.getElementById('clipToDrawnPolygon').addEventListener('click', () => {
+                this.useDrawnPolygonForClipping();
             });
             
-            document.getElementById('clipCore').addEventListener('change', () => {
-                this.handleLayerSelectionChange('core');
-            });
-            
-            
             document.getElementById('restoreAll').addEventListener('click', () => {
                 this.restoreAllLayers();
+                this.commitClipChange('Restore all layers');
                 console.log('All layers restored');
             });
             
@@ -437,6 +990,7 @@ class WebGPUGlobe {
                 
                 // Always re-apply clipping when direction changes
                 this.reapplyClippingToAllLayers();
+                this.commitClipChange(`Clip ${this.clippingDirection} polygon`);
             });
             
             
@@ -445,6 +999,7 @@ class WebGPUGlobe {
                 this.polygonAxis = e.target.value;
                 console.log('Polygon axis:', this.polygonAxis);
                 this.updatePolygonPosition();
+                this.commitClipChange(`Polygon axis ${this.polygonAxis.toUpperCase()}`);
             });
             
             // Polygon position slider
@@ -454,11 +1009,17 @@ class WebGPUGlobe {
                 this.updatePolygonPosition();
             });
             
+            // Sliders record one history entry when released
+            document.getElementById('polygonPosition').addEventListener('change', () => {
+                this.commitClipChange('Move polygon');
+            });
+            
             // Polygon rotation axis
             document.getElementById('polygonRotationAxis').addEventListener('change', (e) => {
                 this.polygonRotationAxis = e.target.value;
                 console.log('Polygon rotation axis:', this.polygonRotationAxis);
                 this.updatePolygonTransform();
+                this.commitClipChange(`Polygon rotation axis ${this.polygonRotationAxis.toUpperCase()}`);
             });
             
             // Polygon rotation slider
@@ -468,6 +1029,10 @@ class WebGPUGlobe {
                 this.updatePolygonTransform();
             });
             
+            document.getElementById('polygonRotation').addEventListener('change', () => {
+                this.commitClipChange('Rotate polygon');
+            });
+            
             // Polygon width slider
             document.getElementById('polygonWidth').addEventListener('input', (e) => {
                 this.polygonWidth = parseFloat(e.target.value);
@@ -475,30 +1040,108 @@ class WebGPUGlobe {
                 this.updatePolygonSize();
             });
             
+            document.getElementById('polygonWidth').addEventListener('change', () => {
+                this.commitClipChange('Resize polygon');
+            });
+            
             // Polygon height slider
             document.getElementById('polygonHeight').addEventListener('input', (e) => {
                 this.polygonHeight = parseFloat(e.target.value);
                 document.getElementById('polygonHeightValue').textContent = this.polygonHeight;
                 this.updatePolygonSize();
+            });
+            
+            document.getElementById('polygonHeight').addEventListener('change', () => {
+                this.commitClipChange('Resize polygon');
         });
         
         // Brush size
         document.getElementById('brushSize').addEventListener('input', (e) => {
             this.brushSize = parseFloat(e.target.value);
             document.getElementById('brushSizeValue').textContent = this.brushSize;
-            // Update brush preview size
-            if (this.brushPreview) {
-                this.brushPreview.scale.setScalar(this.brushSize / 20);
+            // Update brush cursor size
+            if (this.brushCursor && this.brushCursorPoint) {
+                this.updateBrushCursor(this.brushCursorPoint);
             }
         });
         
         // Mode buttons
-        document.getElementById('extrudeBtn').addEventListener('click', () => {
-            this.setMode('extrude');
+        document.querySelectorAll('.mode-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.setMode(btn.dataset.mode);
+            });
+        });
+        
+        // Falloff curve
+        this.falloffEditor = new CurveEditor(document.getElementById('falloffCurveEditor'), this.brushFalloffPoints, {
+            onChange: (points) => {
+                this.brushFalloffPoints = points;
+            }
+        });
+        
+        document.getElementById('brushFalloff').addEventListener('change', (e) => {
+            this.setBrushFalloff(e.target.value);
+        });
+        
+        // Stroke spacing
+        document.getElementById('brushSpacing').addEventListener('input', (e) => {
+            this.brushSpacing = parseFloat(e.target.value) / 100;
+            document.getElementById('brushSpacingValue').textContent = `${e.target.value}%`;
+        });
+        
+        // Pen pressure
+        document.getElementById('pressureSize').addEventListener('change', (e) => {
+            this.pressureSize = e.target.checked;
+        });
+        
+        document.getElementById('pressureStrength').addEventListener('change', (e) => {
+            this.pressureStrength = e.target.checked;
+        });
+        
+        // Erosion
+        document.getElementById('erosionType').addEventListener('change', (e) => {
+            this.erosionType = e.target.value;
+            document.getElementById('hydraulicOptions').hidden = this.erosionType !== 'hydraulic';
+            document.getElementById('thermalOptions').hidden = this.erosionType !== 'thermal';
+        });
+        
+        document.getElementById('erosionRegion').addEventListener('change', (e) => {
+            this.erosionRegion = e.target.value;
+        });
+        
+        // Each numeric field maps onto one simulation parameter
+        document.querySelectorAll('[data-erosion-param]').forEach(input => {
+            input.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                if (Number.isNaN(value)) return;
+                const [type, param] = e.target.dataset.erosionParam.split('.');
+                const params = type === 'hydraulic' ? this.erosionHydraulic : this.erosionThermal;
+                params[param] = value;
+            });
+        });
+        
+        document.getElementById('runErosion').addEventListener('click', () => {
+            this.runErosion();
+        });
+        
+        document.getElementById('cancelErosion').addEventListener('click', () => {
+            this.cancelErosion();
+        });
+        
+        // Brush settings
+        document.getElementById('brushTargetHeight').addEventListener('input', (e) => {
+            const height = parseFloat(e.target.value);
+            if (!Number.isNaN(height)) this.brushTargetHeight = height;
+        });
+        
+        document.getElementById('brushNoiseSeed').addEventListener('input', (e) => {
+            const seed = parseInt(e.target.value, 10);
+            if (!Number.isNaN(seed)) this.brushNoiseSeed = seed;
         });
         
-        document.getElementById('compressBtn').addEventListener('click', () => {
-            this.setMode('compress');
+        document.getElementById('brushNoiseScale').addEventListener('input', (e) => {
+            const scale = parseFloat(e.target.value);
+            if (!Number.isNaN(scale) && scale > 0) this.brushNoiseScale = scale;
         });
         
         // Intensity slider
@@ -507,6 +1150,42 @@ class WebGPUGlobe {
             document.getElementById('intensityValue').textContent = this.intensity;
         });
         
+        // History controls
+        document.getElementById('undoBtn').addEventListener('click', () => {
+            this.undo();
+        });
+        
+        document.getElementById('redoBtn').addEventListener('click', () => {
+            this.redo();
+        });
+        
+        document.getElementById('historyLimit').addEventListener('change', (e) => {
+            const megabytes = parseFloat(e.target.value);
+            if (megabytes > 0) {
+                this.history.setMaxBytes(megabytes * 1024 * 1024);
+            }
+        });
+        
+        
+        // Tessellation keeps the segment setting, which sets the vertex density
+        document.getElementById('tessellation').addEventListener('change', (e) => {
+            this.changeResolution(this.currentSegments.width, this.currentSegments.height, e.target.value);
+        });
+        
+        // LOD crust
+        document.getElementById('lodToggle').addEventListener('change', (e) => {
+            this.lodEnabled = e.target.checked;
+            if (!this.lodEnabled) this.disposeLod();
+            this.updateLodStats();
+        });
+        
+        document.getElementById('lodThreshold').addEventListener('change', (e) => {
+            const threshold = parseFloat(e.target.value);
+            if (threshold > 0) {
+                this.lodThreshold = threshold;
+                if (this.lod) this.lod.setErrorThreshold(threshold);
+            }
+        });
         
         // Console controls - auto-update on change
         document.getElementById('customWidth').addEventListener('input', () => {
@@ -528,24 +1207,7 @@ class WebGPUGlobe {
                 document.getElementById('customHeight').value = height;
                 
                 // Apply the preset
-                this.currentSegments.width = width;
-                this.currentSegments.height = height;
-                
-                // Remove old terrain
-                if (this.terrain) {
-                    this.scene.remove(this.terrain);
-                }
-                
-                // Create new terrain
-                this.createTerrain();
-                
-                // Restore wireframe mode if enabled
-                if (this.isWireframe) {
-                    this.terrain.material.wireframe = true;
-                }
-                
-                // Update console display
-                this.updateConsoleDisplay();
+                this.changeResolution(width, height);
                 
                 console.log(`Applied preset: ${width}×${height}`);
             });
@@ -553,33 +1215,54 @@ class WebGPUGlobe {
     }
     
     setupEventListeners() {
-        // Mouse events
-        this.canvas.addEventListener('mousemove', (e) => {
+        // Pointer events (mouse, pen and touch), pens report pressure
+        this.canvas.addEventListener('pointermove', (e) => {
             this.updateMousePosition(e);
+            this.scheduleGeoReadout();
             if (this.isEditing) {
                 this.showBrushPreview();
                 // Continue editing while dragging
                 if (this.isDragging) {
-                this.editTerrain();
+                    this.editTerrain(this.getPointerPressure(e));
                 }
             }
         });
         
-        this.canvas.addEventListener('mousedown', (e) => {
-            if (e.button === 0) { // Left click
+        this.canvas.addEventListener('pointerdown', (e) => {
+            if (e.button === 0) { // Left click or pen tip
                 if (this.isDrawingPolygon) {
+                    this.updateMousePosition(e);
                     this.addPolygonPoint(e);
+                } else if (this.isProfiling) {
+                    this.updateMousePosition(e);
+                    this.addProfilePoint();
                 } else if (this.isEditing) {
+                    // Keep receiving the stroke even if the pointer leaves the canvas
+                    this.canvas.setPointerCapture(e.pointerId);
+                    this.updateMousePosition(e);
                     this.isDragging = true;
-                this.editTerrain();
+                    this.brushAnchorRadius = null;
+                    this.lastDab = null;
+                    this.beginTerrainEdit(`Brush stroke (${this.mode})`);
+                    this.editTerrain(this.getPointerPressure(e));
                 }
             }
         });
         
-        this.canvas.addEventListener('mouseup', (e) => {
-            if (e.button === 0) { // Left click release
+        const endStroke = (e) => {
+            if (e.button === 0 || e.type === 'pointercancel') { // Left click release
+                if (this.isDragging) {
+                    this.commitTerrainEdit();
+                }
                 this.isDragging = false;
+                this.lastDab = null;
             }
+        };
+        this.canvas.addEventListener('pointerup', endStroke);
+        this.canvas.addEventListener('pointercancel', endStroke);
+        
+        this.canvas.addEventListener('pointerleave', () => {
+            document.getElementById('geoReadout').hidden = true;
         });
         
         this.canvas.addEventListener('contextmenu', (e) => {
@@ -589,6 +1272,47 @@ class WebGPUGlobe {
             }
         });
         
+        // Undo/redo shortcuts
+        window.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey)) return;
+            // Text fields keep their own undo
+            if (e.target.matches('input[type="text"], input[type="number"], textarea')) return;
+            
+            const key = e.key.toLowerCase();
+            if (key === 'z') {
+                e.preventDefault();
+                if (e.shiftKey) {
+                    this.redo();
+                } else {
+                    this.undo();
+                }
+            } else if (key === 'y') {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+        
+        // Brush shortcuts (single keys, see BRUSH_MODES)
+        window.addEventListener('keydown', (e) => {
+            if (e.ctrlKey || e.metaKey || e.altKey) return;
+            if (e.target.matches('input, select, textarea')) return;
+            
+            const mode = Object.keys(BRUSH_MODES).find(name => BRUSH_MODES[name].shortcut === e.key.toLowerCase());
+            if (mode) {
+                this.setMode(mode);
+            }
+        });
+        
+        // Drag-and-drop file import
+        window.addEventListener('dragover', (e) => {
+            e.preventDefault();
+        });
+        
+        window.addEventListener('drop', (e) => {
+            e.preventDefault();
+            this.handleDroppedFiles(e.dataTransfer.files);
+        });
+        
         // Window resize
         window.addEventListener('resize', () => {
             this.camera.aspect = window.innerWidth / window.innerHeight;
@@ -603,40 +1327,148 @@ class WebGPUGlobe {
         this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
     }
     
-    showBrushPreview() {
+    scheduleGeoReadout() {
+        // One raycast per frame however fast the pointer events arrive
+        if (this.geoReadoutPending) return;
+        this.geoReadoutPending = true;
+        requestAnimationFrame(() => {
+            this.geoReadoutPending = false;
+            this.updateGeoReadout();
+        });
+    }
+    
+    updateGeoReadout() {
+        const readout = document.getElementById('geoReadout');
         if (!this.terrain) return;
         
         this.raycaster.setFromCamera(this.mouse, this.camera);
         const intersects = this.raycaster.intersectObject(this.terrain);
+        if (intersects.length === 0) {
+            readout.hidden = true;
+            return;
+        }
         
-        if (intersects.length > 0) {
-            const point = intersects[0].point;
-            
-            // Create or update brush preview (invisible)
-            if (!this.brushPreview) {
-                this.brushPreview = new THREE.Mesh(
-                    new THREE.CircleGeometry(this.brushSize, 32),
-                    new THREE.MeshBasicMaterial({ 
-                        color: 0x0088ff, 
-                        transparent: true, 
-                        opacity: 0, // Make invisible
-                        side: THREE.DoubleSide
-                    })
-                );
-                this.brushPreview.rotation.x = -Math.PI / 2;
-                this.scene.add(this.brushPreview);
-            }
-            
-            // Update brush position and size
-            this.brushPreview.position.copy(point);
-            this.brushPreview.scale.setScalar(this.brushSize / 20); // Scale based on brush size
+        const local = this.terrain.worldToLocal(intersects[0].point.clone());
+        const { lon, lat, elevation } = this.geo.cartesianToGeodetic(local.x, local.y, local.z);
+        let text = `${formatLonLat(lon, lat)}  ·  ${this.geo.formatElevation(elevation)}`;
+        const analysed = this.sampleAnalysis(intersects[0]);
+        if (analysed) text += `  ·  ${analysed}`;
+        readout.textContent = text;
+        readout.hidden = false;
+    }
+    
+    // Scene-space point as "lat, lon · elevation" or "(x, y, z)" depending on the display option
+    formatPoint(point) {
+        if (!this.polygonVerticesInDegrees) {
+            return `(${point.x.toFixed(2)}, ${point.y.toFixed(2)}, ${point.z.toFixed(2)})`;
+        }
+        const local = this.terrain ? this.terrain.worldToLocal(point.clone()) : point;
+        const { lon, lat, elevation } = this.geo.cartesianToGeodetic(local.x, local.y, local.z);
+        return `${formatLonLat(lon, lat)} · ${this.geo.formatElevation(elevation)}`;
+    }
+    
+    updatePolygonVertexList() {
+        const list = document.getElementById('polygonVertexList');
+        if (!list) return;
+        
+        list.innerHTML = '';
+        this.polygonPoints.forEach(point => {
+            const item = document.createElement('li');
+            item.textContent = this.formatPoint(point);
+            list.appendChild(item);
+        });
+        list.hidden = this.polygonPoints.length === 0;
+    }
+    
+    getPointerPressure(event) {
+        // Mice report a flat 0.5 while a button is held, only pens mean it
+        return event.pointerType === 'pen' ? Math.max(0.05, event.pressure) : 1;
+    }
+    
+    showBrushPreview() {
+        if (!this.terrain) return;
+        
+        this.raycaster.setFromCamera(this.mouse, this.camera);
+        const intersects = this.raycaster.intersectObject(this.terrain);
+        
+        if (intersects.length > 0) {
+            const point = intersects[0].point;
+            
+            // Ring cursor on the terrain at the brush radius
+            this.updateBrushCursor(point);
             
             // Highlight vertices that would be affected
             this.highlightVerticesInBrush(point);
         } else {
             // Remove highlights if no intersection
             this.clearVertexHighlights();
+            if (this.brushCursor) this.brushCursor.visible = false;
+        }
+    }
+    
+    updateBrushCursor(point) {
+        const segments = 64;
+        this.brushCursorPoint = point.clone();
+        
+        if (!this.brushCursor) {
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.Float32BufferAttribute(new Float32Array(segments * 3), 3));
+            this.brushCursor = new THREE.LineLoop(geometry, new THREE.LineBasicMaterial({ color: 0x00ff88 }));
+            this.brushCursor.raycast = () => {}; // Never in the way of terrain picking
+            this.scene.add(this.brushCursor);
+        }
+        
+        const local = this.terrain.worldToLocal(point.clone());
+        const radius = local.length();
+        const centre = local.clone().normalize();
+        
+        // The brush reaches brushSize in a straight line, which is this angle on a sphere of the hit radius
+        const angle = 2 * Math.asin(Math.min(1, this.brushSize / (2 * radius)));
+        const east = new THREE.Vector3(0, 1, 0).cross(centre);
+        if (east.lengthSq() < 1e-8) east.set(1, 0, 0);
+        east.normalize();
+        const north = centre.clone().cross(east);
+        
+        const positions = this.brushCursor.geometry.attributes.position;
+        const direction = new THREE.Vector3();
+        for (let i = 0; i < segments; i++) {
+            const theta = (i / segments) * Math.PI * 2;
+            direction.copy(centre).multiplyScalar(Math.cos(angle))
+                .addScaledVector(east, Math.cos(theta) * Math.sin(angle))
+                .addScaledVector(north, Math.sin(theta) * Math.sin(angle));
+            
+            // Follow the terrain, lifted a little so the line isn't buried in it
+            const surface = direction.clone().multiplyScalar(this.sampleCrustRadius(direction, radius) * 1.003);
+            this.terrain.localToWorld(surface);
+            positions.setXYZ(i, surface.x, surface.y, surface.z);
         }
+        
+        positions.needsUpdate = true;
+        this.brushCursor.geometry.computeBoundingSphere();
+        this.brushCursor.visible = true;
+    }
+    
+    sampleCrustRadius(direction, fallback) {
+        // Inverse-distance weighted radius of the crust vertices around this direction
+        const crustIndex = this.getCrustIndex();
+        const positions = crustIndex.positions;
+        const probe = direction.clone().multiplyScalar(fallback);
+        let weightSum = 0;
+        let radiusSum = 0;
+        
+        crustIndex.forEachInSphere(probe.x, probe.y, probe.z, crustIndex.cellSize, (index, distance) => {
+            const weight = 1 / (distance * distance + 1e-6);
+            weightSum += weight;
+            radiusSum += weight * Math.hypot(positions[index * 3], positions[index * 3 + 1], positions[index * 3 + 2]);
+        });
+        
+        return weightSum > 0 ? radiusSum / weightSum : fallback;
+    }
+    
+    setBrushFalloff(curve) {
+        this.brushFalloff = curve;
+        document.getElementById('brushFalloff').value = curve;
+        document.getElementById('falloffCurveEditor').hidden = curve !== 'custom';
     }
     
     setMode(mode) {
@@ -644,100 +1476,127 @@ class WebGPUGlobe {
         
         // Update button states
         document.querySelectorAll('.mode-btn').forEach(btn => {
-            btn.classList.remove('active');
+            btn.classList.toggle('active', btn.dataset.mode === mode);
         });
         
-        if (mode === 'extrude') {
-            document.getElementById('extrudeBtn').classList.add('active');
-        } else if (mode === 'compress') {
-            document.getElementById('compressBtn').classList.add('active');
-        }
+        console.log(`Brush mode: ${BRUSH_MODES[mode].label}`);
     }
     
-    editTerrain() {
-        if (!this.terrain) return;
+    editTerrain(pressure = 1) {
+        if (!this.terrain || this.erosionJob) return;
         
         this.raycaster.setFromCamera(this.mouse, this.camera);
         const intersects = this.raycaster.intersectObject(this.terrain);
         
         if (intersects.length > 0) {
             const point = intersects[0].point;
-            const vertices = this.terrain.geometry.attributes.position.array;
             
             // Transform intersection point to terrain's local space
             const localPoint = point.clone();
             this.terrain.worldToLocal(localPoint);
             
-            let edited = false;
-            let verticesInRange = 0;
-            const changedVertexIndices = new Set(); // Track which vertices actually changed
-            
-            // Smooth editing with falloff
-            for (let i = 0; i < vertices.length; i += 3) {
-                const vertex = new THREE.Vector3(vertices[i], vertices[i + 1], vertices[i + 2]);
-                const distance = vertex.distanceTo(localPoint);
-                
-                if (distance < this.brushSize) {
-                    verticesInRange++;
-                    
-                    // Debug: Show which vertices are being affected
-                    if (verticesInRange <= 5) { // Only show first 5 for clarity
-                        console.log(`Vertex ${i/3}: pos(${vertex.x.toFixed(2)}, ${vertex.y.toFixed(2)}, ${vertex.z.toFixed(2)}) distance: ${distance.toFixed(2)}`);
-                    }
-                    
-                    // Smooth falloff using smoothstep function
-                    const normalizedDistance = distance / this.brushSize;
-                    const influence = 1 - (3 * normalizedDistance * normalizedDistance - 2 * normalizedDistance * normalizedDistance * normalizedDistance);
-                    
-                    // For sphere, we need to move vertices along their normal direction
-                    const normal = vertex.clone().normalize();
-                    
-                    // Change amount based on mode and intensity
-                    let change = 0;
-                    if (this.mode === 'extrude') {
-                        change = this.intensity * influence; // Push outward
-                        vertex.add(normal.multiplyScalar(change));
-                    } else if (this.mode === 'compress') {
-                        change = this.intensity * influence; // Use positive intensity
-                        vertex.add(normal.multiplyScalar(-change)); // But move inward (negative direction)
-                    }
-                    
-                    // Only update if vertex actually changed (smart optimization)
-                    const oldX = vertices[i];
-                    const oldY = vertices[i + 1];
-                    const oldZ = vertices[i + 2];
-                    
-                    if (Math.abs(vertex.x - oldX) > 0.001 || 
-                        Math.abs(vertex.y - oldY) > 0.001 || 
-                        Math.abs(vertex.z - oldZ) > 0.001) {
-                        
-                        // Update vertex positions
-                        vertices[i] = vertex.x;
-                        vertices[i + 1] = vertex.y;
-                        vertices[i + 2] = vertex.z;
-                        
-                        // Mark this vertex as changed
-                        changedVertexIndices.add(i);
-                        changedVertexIndices.add(i + 1);
-                        changedVertexIndices.add(i + 2);
-                        edited = true;
-                    }
-                }
+            // Flatten holds the height under the first click for the whole stroke
+            if (this.brushAnchorRadius === null) {
+                this.brushAnchorRadius = localPoint.length();
             }
             
-            if (edited) {
-            this.terrain.geometry.attributes.position.needsUpdate = true;
-            this.terrain.geometry.computeVertexNormals();
-                console.log(`Terrain edited: ${verticesInRange} vertices, ${changedVertexIndices.size/3} actually changed, intensity: ${this.intensity}`);
-            } else {
-                console.log(`No vertices in range. Brush size: ${this.brushSize}, try increasing brush size`);
+            // Dabs every `brushSpacing` of the brush size from the last one, so fast drags don't leave gaps
+            const changed = this.strokeTo(localPoint, pressure);
+            
+            if (changed.length > 0) {
+                this.terrain.geometry.attributes.position.needsUpdate = true;
+                this.terrain.geometry.computeVertexNormals();
+                this.noteTintedVertices(this.terrain.geometry, changed);
+                console.log(`Terrain edited (${this.mode}): ${changed.length} vertices changed, intensity: ${this.intensity}, pressure: ${pressure.toFixed(2)}`);
             }
         } else {
             console.log('No intersection with terrain');
         }
     }
     
+    strokeTo(point, pressure) {
+        if (!this.lastDab) {
+            this.lastDab = { point: point.clone(), pressure };
+            return this.applyDab(point, pressure);
+        }
+        
+        const spacing = Math.max(0.05, this.brushSize * this.brushSpacing);
+        const distance = this.lastDab.point.distanceTo(point);
+        if (distance < spacing) return [];
+        
+        // Walk from the last dab towards the pointer, following the globe's curvature
+        const from = this.lastDab;
+        const steps = Math.floor(distance / spacing);
+        const changed = [];
+        
+        for (let step = 1; step <= steps; step++) {
+            const t = (step * spacing) / distance;
+            const dabPoint = from.point.clone().lerp(point, t);
+            dabPoint.setLength(THREE.MathUtils.lerp(from.point.length(), point.length(), t));
+            const dabPressure = THREE.MathUtils.lerp(from.pressure, pressure, t);
+            
+            this.applyDab(dabPoint, dabPressure).forEach(index => changed.push(index));
+            this.lastDab = { point: dabPoint, pressure: dabPressure };
+        }
+        
+        return changed;
+    }
+    
+    applyDab(localPoint, pressure) {
+        const radius = this.brushSize * (this.pressureSize ? pressure : 1);
+        const strength = this.intensity * (this.pressureStrength ? pressure : 1);
+        const falloff = createFalloff(this.brushFalloff, this.brushFalloffPoints);
+        
+        // Only over vertices near the brush
+        const crustIndex = this.getCrustIndex();
+        const hits = [];
+        crustIndex.forEachInSphere(localPoint.x, localPoint.y, localPoint.z, radius, (index, distance) => {
+            hits.push({ index, influence: falloff(distance / radius) });
+        });
+        
+        const options = {
+            strength,
+            targetRadius: this.mode === 'flatten' ? this.brushAnchorRadius : this.crustRadius + this.brushTargetHeight,
+            noise: this.mode === 'noise' ? this.getBrushNoise() : null,
+            noiseScale: this.brushNoiseScale
+        };
+        const changed = sculptVertices(this.terrain.geometry.attributes.position.array, hits, this.mode, {
+            ...options,
+            neighbours: this.mode === 'smooth' || this.mode === 'pinch' ? this.getCrustNeighbours() : null
+        });
+        
+        // Re-file moved vertices once the query is done with the grid
+        crustIndex.updateVertices(changed);
+        
+        // The same dab at the height store's own resolution, clipped crust or not
+        if (this.heightStore) {
+            this.noteHeightStoreChange(this.heightStore.sculptTexels(localPoint, radius, this.mode, { ...options, falloff }));
+            if (this.clippedLayers.has('crust')) this.heightStoreAhead = true;
+        }
+        return changed;
+    }
+    
+    getCrustNeighbours() {
+        // Topology only changes with a new index buffer (clipping, resolution changes)
+        const geometry = this.terrain.geometry;
+        if (!this.crustNeighbours || this.crustNeighbours.index !== geometry.index) {
+            this.crustNeighbours = {
+                index: geometry.index,
+                data: buildVertexNeighbours(geometry.attributes.position.array, geometry.index)
+            };
+        }
+        return this.crustNeighbours.data;
+    }
+    
+    getBrushNoise() {
+        if (!this.brushNoise || this.brushNoise.seed !== this.brushNoiseSeed) {
+            this.brushNoise = { seed: this.brushNoiseSeed, noise: createNoise3D(this.brushNoiseSeed) };
+        }
+        return this.brushNoise.noise;
+    }
+    
     toggleEditMode() {
+        if (!this.isEditing && this.isProfiling) this.toggleProfileMode();
         this.isEditing = !this.isEditing;
         const button = document.getElementById('editMode');
         button.textContent = this.isEditing ? 'Exit Edit' : 'Edit Mode';
@@ -745,10 +1604,12 @@ class WebGPUGlobe {
         
         this.canvas.style.cursor = this.isEditing ? 'crosshair' : 'grab';
         
-        // Remove brush preview and highlights when exiting edit mode
-        if (!this.isEditing && this.brushPreview) {
-            this.scene.remove(this.brushPreview);
-            this.brushPreview = null;
+        // Remove brush cursor and highlights when exiting edit mode
+        if (!this.isEditing && this.brushCursor) {
+            this.scene.remove(this.brushCursor);
+            this.brushCursor.geometry.dispose();
+            this.brushCursor.material.dispose();
+            this.brushCursor = null;
         }
         
         if (!this.isEditing) {
@@ -771,8 +1632,9 @@ class WebGPUGlobe {
         if (!this.terrain) return;
         
         console.log('Smoothing entire globe...');
+        this.beginTerrainEdit('Smooth globe');
         const vertices = this.terrain.geometry.attributes.position.array;
-        const baseRadius = 50;
+        const baseRadius = this.crustRadius;
         
         // Smooth all vertices towards base sphere
         for (let i = 0; i < vertices.length; i += 3) {
@@ -788,6 +1650,7 @@ class WebGPUGlobe {
         
         this.terrain.geometry.attributes.position.needsUpdate = true;
         this.terrain.geometry.computeVertexNormals();
+        this.commitTerrainEdit();
         console.log('Globe smoothed!');
     }
     
@@ -808,10 +1671,14 @@ class WebGPUGlobe {
     }
     
     updateConsoleDisplay() {
-        const vertexCount = (this.currentSegments.width + 1) * (this.currentSegments.height + 1);
-        const triangleCount = this.currentSegments.width * this.currentSegments.height * 2;
+        if (!this.crust) return;
+        
+        // Counts of the crust as tessellated, before any clipping cut
+        const geometry = this.originalGeometries[this.crust.uuid] || this.crust.geometry;
+        const vertexCount = geometry.attributes.position.count;
+        const triangleCount = geometry.index ? geometry.index.count / 3 : vertexCount / 3;
         
-        document.getElementById('segmentCount').textContent = `${this.currentSegments.width}x${this.currentSegments.height}`;
+        document.getElementById('segmentCount').textContent = describeTessellation(this.tessellation, this.currentSegments);
         document.getElementById('vertexCount').textContent = vertexCount.toLocaleString();
         document.getElementById('triangleCount').textContent = triangleCount.toLocaleString();
     }
@@ -825,405 +1692,1118 @@ class WebGPUGlobe {
             // Only update if values actually changed
             if (customWidth !== this.currentSegments.width || customHeight !== this.currentSegments.height) {
                 console.log(`Auto-updating segments: ${customWidth}x${customHeight}`);
-                
-                // Update segments
-                this.currentSegments.width = customWidth;
-                this.currentSegments.height = customHeight;
-                
-                // Remove old terrain
-                if (this.terrain) {
-                    this.scene.remove(this.terrain);
-                }
-                
-                // Create new terrain with custom segments
-                this.createTerrain();
-                
-                // Restore wireframe mode if it was enabled
-                if (this.isWireframe) {
-                    this.terrain.material.wireframe = true;
-                }
-                
-                // Update console display
-                this.updateConsoleDisplay();
+                this.changeResolution(customWidth, customHeight);
             }
         }
     }
     
-    async loadHeightmap() {
-        // Simulate loading a heightmap
-        console.log('Loading heightmap...');
-        this.showLoading('Loading heightmap...');
+    changeResolution(width, height, tessellation = this.tessellation) {
+        if (width === this.currentSegments.width && height === this.currentSegments.height && tessellation === this.tessellation) return;
         
-        // Simulate async operation
-        await new Promise(resolve => setTimeout(resolve, 1000));
+        // A running erosion sees the mesh change and stops by itself
+        this.cancelErosion();
+        if (this.pendingTerrainEdit) {
+            this.commitTerrainEdit();
+        }
         
-        // Create new terrain with heightmap data
-        this.createTerrain();
-        this.hideLoading();
-        console.log('Heightmap loaded!');
-    }
-    
-    async loadPointCloud() {
-        // Simulate loading a point cloud
-        console.log('Loading point cloud...');
-        this.showLoading('Loading point cloud...');
+        // Everything the rebuild would otherwise reset
+        const layers = this.captureLayerState();
+        const clipState = this.captureClipState();
+        const wireframe = this.isWireframe;
         
-        // Simulate async operation
-        await new Promise(resolve => setTimeout(resolve, 1000));
+        // Sculpted crust, without the clipping cut
+        const oldGeometry = this.clippedLayers.has('crust') ? this.originalGeometries[this.crust.uuid] : this.crust.geometry;
+        const oldPositions = oldGeometry.attributes.position.array;
+        const edited = oldPositions.some((value, i) => i % 3 === 0 &&
+            Math.abs(Math.hypot(value, oldPositions[i + 1], oldPositions[i + 2]) - this.crustRadius) > 1e-4);
+        const source = edited ? { positions: oldPositions.slice(), index: oldGeometry.index ? oldGeometry.index.array.slice() : null } : null;
         
-        // Create point cloud
-        this.createPointCloud();
-        this.hideLoading();
-        console.log('Point cloud loaded!');
-    }
-    
-    createPointCloud() {
-        // Remove existing point cloud
-        if (this.pointCloud) {
-            this.scene.remove(this.pointCloud);
-        }
+        this.currentSegments.width = width;
+        this.currentSegments.height = height;
+        this.tessellation = tessellation;
+        this.rebuildEarthLayers();
         
-        // Create random point cloud
-        const geometry = new THREE.BufferGeometry();
-        const positions = [];
-        const colors = [];
-        
-        for (let i = 0; i < 1000; i++) {
-            positions.push(
-                (Math.random() - 0.5) * 100,
-                Math.random() * 20,
-                (Math.random() - 0.5) * 100
-            );
-            colors.push(Math.random(), Math.random(), Math.random());
+        if (source) {
+            const positions = this.crust.geometry.attributes.position;
+            resampleElevation(source.positions, source.index, positions.array, { baseRadius: this.crustRadius });
+            positions.needsUpdate = true;
+            this.crust.geometry.computeVertexNormals();
+            this.crust.geometry.computeBoundingSphere();
         }
+        this.crustIndex = null;
         
-        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
-        geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+        this.applyLayerState(layers);
+        this.isWireframe = !wireframe;
+        this.toggleWireframeMode();
+        this.applyClipState(clipState);
+        this.updateGeoOverlays();
         
-        const material = new THREE.PointsMaterial({ 
-            size: 0.5, 
-            vertexColors: true 
-        });
+        // Recorded edits are vertex deltas of the old mesh. They can't be mapped onto the new
+        // one, and swapped dimensions (256x128, 128x256) keep the vertex count, so they
+        // would land on the wrong vertices.
+        this.history.clear();
         
-        this.pointCloud = new THREE.Points(geometry, material);
-        this.scene.add(this.pointCloud);
+        console.log(`Resolution changed to ${describeTessellation(tessellation, this.currentSegments)}${source ? ', crust edits resampled' : ''}`);
     }
     
-    showLoading(message) {
-        const loading = document.createElement('div');
-        loading.className = 'loading';
-        loading.innerHTML = `
-            <div class="spinner"></div>
-            <div>${message}</div>
-        `;
-        loading.id = 'loading';
-        document.body.appendChild(loading``);
+    handleDroppedFiles(files) {
+        const list = Array.from(files);
+        if (list.length === 0) return;
+        
+        const pointCloudFile = list.find(isPointCloudFile);
+        const projectFile = list.find(isProjectFile);
+        
+        const geojsonFile = list.find(isGeoJSONFile);
+        
+        if (projectFile) {
+            this.openProject(projectFile);
+        } else if (geojsonFile) {
+            this.importGeoJSON(geojsonFile);
+        } else if (list.some(isHeightmapFile)) {
+            this.importHeightmap(list);
+        } else if (pointCloudFile) {
+            this.importPointCloud(pointCloudFile);
+        } else {
+            console.log('Dropped files are not a supported format:', list.map(file => file.name));
+        }
     }
     
-    hideLoading() {
-        const loading = document.getElementById('loading');
-        if (loading) {
-            loading.remove();
-        }
+    loadHeightmap() {
+        // Open the file picker, the change handler does the import
+        document.getElementById('heightmapFile').click();
     }
     
-    highlightVerticesInBrush(brushPoint) {
-        if (!this.terrain) return;
-        
-        // Clear previous highlights
-        this.clearVertexHighlights();
+    async importHeightmap(files) {
+        if (!this.crust) return;
         
-        const vertices = this.terrain.geometry.attributes.position.array;
-        const localPoint = brushPoint.clone();
-        this.terrain.worldToLocal(localPoint);
-        
-        const highlightPositions = [];
-        const highlightColors = [];
+        console.log('Loading heightmap...');
+        this.showLoading('Loading heightmap...');
         
-        // Find vertices in brush radius using CURRENT vertex positions (after editing)
-        for (let i = 0; i < vertices.length; i += 3) {
-            // Get the CURRENT vertex position (after any editing) in LOCAL space
-            const vertex = new THREE.Vector3(vertices[i], vertices[i + 1], vertices[i + 2]);
+        try {
+            const raster = await readHeightmapFiles(files);
+            
+            // Drape onto the unclipped crust, then put the clipping back
+            const crustClipped = this.clippedLayers.has('crust');
+            this.restoreOriginalGeometry('crust');
+            delete this.originalGeometries[this.crust.uuid];
+            this.beginTerrainEdit('Import heightmap');
+            
+            const positions = this.crust.geometry.attributes.position;
+            const draped = drapeHeightmap(positions.array, raster, {
+                baseRadius: this.crustRadius,
+                ...this.heightmapSceneMapping(),
+                noData: this.heightmapNoData !== null ? this.heightmapNoData : raster.noData
+            });
+            
+            positions.needsUpdate = true;
+            this.crust.geometry.computeVertexNormals();
+            this.crust.geometry.computeBoundingSphere();
+            this.commitTerrainEdit();
             
-            // Calculate distance in LOCAL space (same as editTerrain)
-            const distance = vertex.distanceTo(localPoint);
+            // The height store takes the raster at its own resolution, finer than most meshes
+            if (this.lodEnabled) {
+                this.getHeightStore().setFromRaster(raster, {
+                    ...this.heightmapSceneMapping(),
+                    noData: this.heightmapNoData !== null ? this.heightmapNoData : raster.noData
+                });
+                if (this.lod) this.lod.invalidate();
+            }
+            
+            if (crustClipped) {
+                this.clipSphereWithPolygon('crust');
+            }
             
-            if (distance < this.brushSize) {
-                // Transform vertex to world space for highlighting display
-                const worldVertex = vertex.clone();
-                this.terrain.localToWorld(worldVertex);
+            console.log(`Heightmap loaded! ${raster.width}x${raster.height} raster draped onto ${draped} of ${positions.count} crust vertices`);
+        } catch (error) {
+            console.error('Failed to load heightmap:', error);
+            this.showError(`Heightmap import failed: ${error.message}`);
+        } finally {
+            this.hideLoading();
+        }
+    }
+    
+    // Raster value -> scene height as value * scale + offset. Scale and Offset take the
+    // file to metres, this.geo takes metres to scene units, as the readout does
+    heightmapSceneMapping() {
+        return {
+            scale: this.geo.fromMetres(this.heightmapScale),
+            offset: this.geo.fromMetres(this.heightmapOffset)
+        };
+    }
+    
+    generatePlanet() {
+        if (!this.crust || this.erosionJob) return;
+        
+        const settings = { ...this.planetSettings };
+        console.log('Generating planet...', settings);
+        this.showLoading('Generating planet...');
+        
+        // Let the loading message paint before the main thread gets busy
+        requestAnimationFrame(() => setTimeout(() => {
+            try {
+                // Generate onto the unclipped crust, then put the clipping back
+                const crustClipped = this.clippedLayers.has('crust');
+                this.restoreOriginalGeometry('crust');
+                delete this.originalGeometries[this.crust.uuid];
+                this.beginTerrainEdit(`Generate planet (seed ${settings.seed})`);
+                
+                const positions = this.crust.geometry.attributes.position;
+                const range = generatePlanet(positions.array, settings, this.crustRadius);
+                
+                positions.needsUpdate = true;
+                this.crust.geometry.computeVertexNormals();
+                this.crust.geometry.computeBoundingSphere();
+                this.commitTerrainEdit();
                 
-                // Add vertex position in world space for highlighting
-                highlightPositions.push(worldVertex.x, worldVertex.y, worldVertex.z);
+                if (crustClipped) {
+                    this.clipSphereWithPolygon('crust');
+                }
                 
-                // Color based on distance (closer = brighter)
-                const normalizedDistance = distance / this.brushSize;
-                const intensity = 1 - normalizedDistance;
-                highlightColors.push(intensity, 0, 1 - intensity); // Red to blue gradient
+                console.log(`Planet generated! Seed ${settings.seed}, elevations ${range.min.toFixed(2)} to ${range.max.toFixed(2)}`);
+            } catch (error) {
+                console.error('Failed to generate planet:', error);
+                this.showError(`Planet generation failed: ${error.message}`);
+            } finally {
+                this.hideLoading();
             }
-        }
+        }));
+    }
+    
+    exportHeightmap() {
+        if (!this.crust) return;
         
-        if (highlightPositions.length > 0) {
-            // Create geometry for highlighted vertices
-            this.vertexHighlightGeometry = new THREE.BufferGeometry();
-            this.vertexHighlightGeometry.setAttribute('position', new THREE.Float32BufferAttribute(highlightPositions, 3));
-            this.vertexHighlightGeometry.setAttribute('color', new THREE.Float32BufferAttribute(highlightColors, 3));
-            
-            // Create material
-            this.vertexHighlightMaterial = new THREE.PointsMaterial({
-                size: 6.0,
-                vertexColors: true,
-                opacity: 1
+        // Sample the full crust, not whatever is left after clipping
+        const geometry = this.clippedLayers.has('crust') ? this.originalGeometries[this.crust.uuid] : this.crust.geometry;
+        const { width, height } = this.heightmapExportSize;
+        
+        console.log(`Exporting ${width}x${height} heightmap as ${this.heightmapExportFormat}...`);
+        
+        try {
+            const grid = rasterizeElevation(geometry.attributes.position.array, geometry.index ? geometry.index.array : null, {
+                width,
+                height,
+                baseRadius: this.crustRadius,
+                ...this.heightmapSceneMapping()
             });
             
-            // Create points mesh
-            const highlightMesh = new THREE.Points(this.vertexHighlightGeometry, this.vertexHighlightMaterial);
-            this.scene.add(highlightMesh);
-            this.highlightedVertices.push(highlightMesh);
+            const files = encodeHeightmap(grid, width, height, this.heightmapExportFormat);
+            files.forEach(file => downloadFile(file.bytes, file.name, file.type));
+            
+            console.log('Heightmap exported:', files.map(file => file.name).join(', '));
+        } catch (error) {
+            console.error('Failed to export heightmap:', error);
+            this.showError(`Heightmap export failed: ${error.message}`);
         }
     }
     
-    clearVertexHighlights() {
-        // Remove all highlighted vertices
-        this.highlightedVertices.forEach(mesh => {
-            this.scene.remove(mesh);
-        });
-        this.highlightedVertices = [];
+    async exportMesh() {
+        const layers = this.getLayersOutsideIn().map(layer => ({ name: layer.name, mesh: this.layerMeshes[layer.id] }));
         
-        // Clean up geometry and material
-        if (this.vertexHighlightGeometry) {
-            this.vertexHighlightGeometry.dispose();
-            this.vertexHighlightGeometry = null;
+        // Visible layers, either as currently clipped or as the full shells behind the clipping
+        const parts = layers
+            .filter(({ mesh }) => mesh && mesh.visible)
+            .map(({ name, mesh }) => ({
+                name,
+                geometry: this.meshExportGeometry === 'original' && this.originalGeometries[mesh.uuid]
+                    ? this.originalGeometries[mesh.uuid]
+                    : mesh.geometry,
+                material: mesh.material
+            }));
+        
+        // Cross-section caps belong to the clipped shape
+        if (this.meshExportGeometry !== 'original') {
+            layers.forEach(({ name, mesh }) => {
+                const cap = mesh && mesh.visible && this.clippingCaps[mesh.uuid];
+                if (cap) parts.push({ name: `${name}Cap`, geometry: cap.geometry, material: cap.material });
+            });
         }
-        if (this.vertexHighlightMaterial) {
-            this.vertexHighlightMaterial.dispose();
-            this.vertexHighlightMaterial = null;
+        
+        if (this.meshExportPolygon) {
+            if (this.spherePolygon) {
+                parts.push({ name: 'ClippingPolygon', geometry: this.spherePolygon.geometry, material: this.spherePolygon.material });
+            }
+            (this.sphereCylinders || []).forEach((cylinder, index) => {
+                // Bake the cylinder's placement into its vertices
+                const geometry = cylinder.geometry.clone();
+                cylinder.updateMatrixWorld();
+                geometry.applyMatrix4(cylinder.matrixWorld);
+                parts.push({ name: `PolygonCylinder${index + 1}`, geometry, material: cylinder.material });
+            });
+        }
+        
+        if (parts.length === 0) {
+            console.log('Nothing to export - all layers are hidden');
+            return;
+        }
+        
+        console.log(`Exporting ${parts.map(part => part.name).join(', ')} as ${this.meshExportFormat} (${this.meshExportGeometry} geometry)...`);
+        this.showLoading('Exporting mesh...');
+        
+        try {
+            const file = await exportMeshes(parts, this.meshExportFormat);
+            downloadFile(file.bytes, file.name, file.type);
+            console.log(`Mesh exported: ${file.name}`);
+        } catch (error) {
+            console.error('Failed to export mesh:', error);
+            this.showError(`Mesh export failed: ${error.message}`);
+        } finally {
+            this.hideLoading();
         }
     }
     
-    showError(message) {
-        const error = document.createElement('div');
-        error.style.cssText = `
-            position: fixed;
-            top: 50%;
-            left: 50%;
-            transform: translate(-50%, -50%);
-            background: rgba(255, 0, 0, 0.9);
-            color: white;
-            padding: 20px;
-            border-radius: 10px;
-            text-align: center;
-            z-index: 1000;
-        `;
-        error.textContent = message;
-        document.body.appendChild(error);
+    captureLayerState() {
+        const layers = {};
+        this.layerStack.forEach(layer => {
+            const mesh = this.layerMeshes[layer.id];
+            layers[layer.id] = { visible: mesh.visible, opacity: mesh.material.opacity };
+        });
+        return layers;
     }
     
-    // Polygon drawing methods
-        togglePolygonMode() {
-            this.isDrawingPolygon = !this.isDrawingPolygon;
-            this.isEditing = false; // Exit edit mode
-            
-            const button = document.getElementById('polygonMode');
-            button.textContent = this.isDrawingPolygon ? 'Exit Polygon' : 'Polygon Mode';
-            button.style.background = this.isDrawingPolygon ? '#ff4444' : '#00ff88';
-            
-            if (this.isDrawingPolygon) {
-                this.polygonPoints = [];
-                this.canvas.style.cursor = 'crosshair';
-                console.log('🎯 POLYGON MODE ENABLED: Click points to draw polygon, right-click to finish');
-                console.log('Current polygon points:', this.polygonPoints.length);
-            } else {
-                this.clearPolygon();
-                this.canvas.style.cursor = 'grab';
-                console.log('Polygon mode disabled');
-            }
-        }
+    applyLayerState(layers) {
+        // Layers the current stack doesn't have are skipped
+        Object.entries(layers).forEach(([id, state]) => {
+            const mesh = this.layerMeshes[id];
+            const layer = this.getLayer(id);
+            if (!mesh || !layer) return;
+            mesh.visible = state.visible;
+            mesh.material.opacity = state.opacity;
+            layer.opacity = state.opacity;
+            document.querySelector(`[data-layer-toggle="${id}"]`).checked = state.visible;
+            document.querySelector(`[data-layer-opacity="${id}"]`).value = state.opacity;
+            document.querySelector(`[data-layer-opacity-value="${id}"]`).textContent = state.opacity;
+        });
+    }
     
-        addPolygonPoint(event) {
-            if (!this.terrain) {
-                console.log('❌ No terrain found');
-                return;
-            }
-            
-            console.log('🎯 Adding polygon point...');
-            this.raycaster.setFromCamera(this.mouse, this.camera);
-            const intersects = this.raycaster.intersectObject(this.terrain);
-            
-            console.log(`Raycaster intersects: ${intersects.length}`);
-            
-            if (intersects.length > 0) {
-                const point = intersects[0].point;
-                this.polygonPoints.push(point);
-                
-                console.log(`✅ Polygon point ${this.polygonPoints.length}: (${point.x.toFixed(2)}, ${point.y.toFixed(2)}, ${point.z.toFixed(2)})`);
-                console.log(`Total polygon points: ${this.polygonPoints.length}`);
-                
-                // Draw polygon preview
-                this.drawPolygonPreview();
-            } else {
-                console.log('❌ No intersection with terrain');
-            }
+    applyLayerPreset(presetId) {
+        const preset = LAYER_PRESETS[presetId];
+        if (!preset || !this.crust) return;
+        
+        this.cancelErosion();
+        if (this.pendingTerrainEdit) {
+            this.commitTerrainEdit();
         }
+        
+        // The crust keeps its radius and mesh, so its edits (and their history) carry over
+        const clipState = this.captureClipState();
+        const wireframe = this.isWireframe;
+        const crustPositions = this.unclippedCrustGeometry().attributes.position.array.slice();
+        
+        this.layerPreset = presetId;
+        this.layerStack = createLayerStack(preset.layers);
+        this.rebuildEarthLayers();
+        
+        const positions = this.crust.geometry.attributes.position;
+        positions.array.set(crustPositions);
+        positions.needsUpdate = true;
+        this.crust.geometry.computeVertexNormals();
+        this.crust.geometry.computeBoundingSphere();
+        this.crustIndex = null;
+        
+        // Elevation readouts follow the planet's size
+        this.geo.planetRadius = preset.planetRadius;
+        document.getElementById('planetRadius').value = preset.planetRadius;
+        document.getElementById('layerPreset').value = presetId;
+        
+        this.isWireframe = !wireframe;
+        this.toggleWireframeMode();
+        this.applyClipState(clipState);
+        this.updateGeoOverlays();
+        
+        console.log(`Layer preset: ${preset.label} (${this.layerStack.length} layers)`);
+    }
     
-         drawPolygonPreview() {
-            // Remove existing polygon preview
-            this.clearPolygon();
-            
-            if (this.polygonPoints.length === 0) return;
-            
-            console.log(`Drawing polygon with ${this.polygonPoints.length} points`);
-            
-            // STEP 1: CREATE VERTICES (BLUE SPHERES)
-            this.createPolygonVertices();
-            
-            // STEP 2: CREATE LINES (if 2+ points)
-            if (this.polygonPoints.length >= 2) {
-                this.createPolygonLines();
-            }
-            
-            // STEP 3: CREATE POLYGON AREA (if 3+ points)
-            if (this.polygonPoints.length >= 3) {
-                this.createPolygonArea();
+    captureProjectState() {
+        return {
+            segments: { ...this.currentSegments },
+            tessellation: this.tessellation,
+            lod: { enabled: this.lodEnabled, threshold: this.lodThreshold },
+            layerStack: { preset: this.layerPreset, layers: this.layerStack },
+            layers: this.captureLayerState(),
+            wireframe: this.isWireframe,
+            brush: {
+                size: this.brushSize,
+                mode: this.mode,
+                intensity: this.intensity,
+                targetHeight: this.brushTargetHeight,
+                noiseSeed: this.brushNoiseSeed,
+                noiseScale: this.brushNoiseScale,
+                falloff: this.brushFalloff,
+                falloffPoints: this.brushFalloffPoints,
+                spacing: this.brushSpacing,
+                pressureSize: this.pressureSize,
+                pressureStrength: this.pressureStrength
+            },
+            erosion: {
+                type: this.erosionType,
+                region: this.erosionRegion,
+                hydraulic: this.erosionHydraulic,
+                thermal: this.erosionThermal
+            },
+            heightmap: { scale: this.heightmapScale, offset: this.heightmapOffset },
+            planet: this.planetSettings,
+            hypsometry: this.hypsometry,
+            contours: this.contourSettings,
+            analysis: { measure: this.analysisMeasure, ranges: this.analysisRanges },
+            profile: {
+                points: this.profilePoints.map(point => directionToLonLat(point.x, point.y, point.z)),
+                section: this.profileSection
+            },
+            volume: { colouring: this.volumeColouring, colormap: this.volumeColormap, range: this.volumeRange },
+            overlays: this.geoOverlays,
+            geo: {
+                planetRadius: this.geo.planetRadius,
+                elevationUnit: this.geo.elevationUnit,
+                exaggeration: this.geo.exaggeration
+            },
+            clipping: this.captureClipState()
+        };
+    }
+    
+    saveProject() {
+        if (!this.crust) return;
+        
+        // Radii of the unclipped crust, one per vertex
+        const geometry = this.clippedLayers.has('crust') ? this.originalGeometries[this.crust.uuid] : this.crust.geometry;
+        const positions = geometry.attributes.position;
+        const heights = new Float32Array(positions.count);
+        for (let i = 0; i < positions.count; i++) {
+            heights[i] = Math.hypot(positions.getX(i), positions.getY(i), positions.getZ(i));
+        }
+        
+        try {
+            const bytes = serializeProject(this.captureProjectState(), heights, {
+                compress: this.projectCompress,
+                heightStore: this.heightStore ? this.heightStore.raster : null
+            });
+            downloadFile(bytes, `project.${PROJECT_EXTENSION}`, 'application/zip');
+            console.log(`Project saved (${(bytes.length / 1024).toFixed(0)} KB)`);
+        } catch (error) {
+            console.error('Failed to save project:', error);
+            this.showError(`Project save failed: ${error.message}`);
+        }
+    }
+    
+    async openProject(file) {
+        console.log(`Opening project ${file.name}...`);
+        this.showLoading('Opening project...');
+        
+        try {
+            const { manifest, heights, heightStore } = parseProject(await file.arrayBuffer());
+            this.applyProjectState(manifest, heights, heightStore);
+            console.log('Project opened!');
+        } catch (error) {
+            console.error('Failed to open project:', error);
+            this.showError(`Project open failed: ${error.message}`);
+        } finally {
+            this.hideLoading();
+        }
+    }
+    
+    // heightStore: the saved { width, height, data } store raster, or null to rebuild
+    // it from the crust mesh when the LOD crust needs it
+    applyProjectState(state, heights, heightStore = null) {
+        // Rebuild the layers at the saved resolution
+        this.currentSegments.width = state.segments.width;
+        this.currentSegments.height = state.segments.height;
+        document.getElementById('customWidth').value = state.segments.width;
+        document.getElementById('customHeight').value = state.segments.height;
+        this.tessellation = state.tessellation || 'uv'; // UV sphere before tessellations were selectable
+        document.getElementById('tessellation').value = this.tessellation;
+        
+        // Projects from before configurable layers used the three-layer stack
+        if (state.layerStack) {
+            this.layerStack = createLayerStack(state.layerStack.layers);
+            this.layerPreset = state.layerStack.preset;
+        } else {
+            this.layerStack = createLayerStack(LAYER_PRESETS[DEFAULT_LAYER_PRESET].layers);
+            this.layerPreset = DEFAULT_LAYER_PRESET;
+        }
+        document.getElementById('layerPreset').value = this.layerPreset;
+        this.rebuildEarthLayers();
+        
+        // Sculpted crust
+        const positions = this.crust.geometry.attributes.position;
+        if (heights && heights.length === positions.count) {
+            for (let i = 0; i < positions.count; i++) {
+                const direction = new THREE.Vector3(positions.getX(i), positions.getY(i), positions.getZ(i)).normalize();
+                positions.setXYZ(i, direction.x * heights[i], direction.y * heights[i], direction.z * heights[i]);
             }
+            positions.needsUpdate = true;
+            this.crust.geometry.computeVertexNormals();
+            this.crust.geometry.computeBoundingSphere();
+            this.crustIndex = null;
+        } else if (heights) {
+            console.warn(`Project has ${heights.length} crust heights but the mesh has ${positions.count} vertices, keeping a flat crust`);
         }
         
-        createPolygonVertices() {
-            // VERTEX DEFINITION: Blue cylinders (straws) at each point
-            const vertexGeometry = new THREE.CylinderGeometry(0.1, 0.1, 2.0, 8); // Thin blue cylinders like straws
-            const vertexMaterial = new THREE.MeshBasicMaterial({ 
-                color: 0x0088ff, // Bright blue
-                transparent: false
+        // The store holds more detail than the crust mesh, the previous session's goes
+        this.heightStore = null;
+        this.heightStoreAhead = false;
+        if (heightStore) {
+            this.heightStore = new HeightStore(this.crustRadius, heightStore);
+            this.heightStore.raster.data.set(heightStore.data);
+        }
+        
+        // LOD crust, missing from older projects
+        if (state.lod) {
+            this.lodEnabled = state.lod.enabled;
+            this.lodThreshold = state.lod.threshold;
+            document.getElementById('lodToggle').checked = this.lodEnabled;
+            document.getElementById('lodThreshold').value = this.lodThreshold;
+        }
+        
+        // Layer visibility and opacity
+        this.applyLayerState(state.layers);
+        
+        // Wireframe applies to the new crust material
+        this.isWireframe = !state.wireframe;
+        this.toggleWireframeMode();
+        
+        // Brush settings
+        this.brushSize = state.brush.size;
+        this.intensity = state.brush.intensity;
+        document.getElementById('brushSize').value = state.brush.size;
+        document.getElementById('brushSizeValue').textContent = state.brush.size;
+        document.getElementById('intensity').value = state.brush.intensity;
+        document.getElementById('intensityValue').textContent = state.brush.intensity;
+        this.setMode(state.brush.mode);
+        
+        // Brush options that projects from before the extra brushes don't have
+        if (state.brush.targetHeight !== undefined) this.brushTargetHeight = state.brush.targetHeight;
+        if (state.brush.noiseSeed !== undefined) this.brushNoiseSeed = state.brush.noiseSeed;
+        if (state.brush.noiseScale !== undefined) this.brushNoiseScale = state.brush.noiseScale;
+        document.getElementById('brushTargetHeight').value = this.brushTargetHeight;
+        document.getElementById('brushNoiseSeed').value = this.brushNoiseSeed;
+        document.getElementById('brushNoiseScale').value = this.brushNoiseScale;
+        if (state.brush.falloffPoints) {
+            this.brushFalloffPoints = state.brush.falloffPoints;
+            this.falloffEditor.setPoints(this.brushFalloffPoints);
+        }
+        if (state.brush.falloff) this.setBrushFalloff(state.brush.falloff);
+        if (state.brush.spacing !== undefined) this.brushSpacing = state.brush.spacing;
+        if (state.brush.pressureSize !== undefined) this.pressureSize = state.brush.pressureSize;
+        if (state.brush.pressureStrength !== undefined) this.pressureStrength = state.brush.pressureStrength;
+        document.getElementById('brushSpacing').value = Math.round(this.brushSpacing * 100);
+        document.getElementById('brushSpacingValue').textContent = `${Math.round(this.brushSpacing * 100)}%`;
+        document.getElementById('pressureSize').checked = this.pressureSize;
+        document.getElementById('pressureStrength').checked = this.pressureStrength;
+        
+        // Erosion settings, missing from older projects
+        if (state.erosion) {
+            this.erosionHydraulic = { ...DEFAULT_HYDRAULIC, ...state.erosion.hydraulic };
+            this.erosionThermal = { ...DEFAULT_THERMAL, ...state.erosion.thermal };
+            this.erosionRegion = state.erosion.region;
+            document.getElementById('erosionRegion').value = this.erosionRegion;
+            document.getElementById('erosionType').value = state.erosion.type;
+            document.getElementById('erosionType').dispatchEvent(new Event('change'));
+            document.querySelectorAll('[data-erosion-param]').forEach(input => {
+                const [type, param] = input.dataset.erosionParam.split('.');
+                input.value = (type === 'hydraulic' ? this.erosionHydraulic : this.erosionThermal)[param];
             });
-            
-            // Create a cylinder for each vertex
-            this.polygonVertices = [];
-            this.polygonPoints.forEach((point, index) => {
-                const vertex = new THREE.Mesh(vertexGeometry, vertexMaterial);
-                vertex.position.copy(point);
-                
-                // Orient cylinder to point outward from sphere center
-                const direction = point.clone().normalize();
-                vertex.lookAt(direction);
-                vertex.rotateX(Math.PI / 2); // Rotate to align with sphere normal
-                
-                this.scene.add(vertex);
-                this.polygonVertices.push(vertex);
+        }
+        
+        // Import scale, so exports and re-imports keep their units
+        this.heightmapScale = state.heightmap.scale;
+        this.heightmapOffset = state.heightmap.offset;
+        document.getElementById('heightmapScale').value = state.heightmap.scale;
+        document.getElementById('heightmapOffset').value = state.heightmap.offset;
+        
+        // Geographic reference, scene radius always follows the crust
+        if (state.geo) {
+            this.geo = new GeoReference({ ...state.geo, sceneRadius: this.crustRadius });
+            document.getElementById('planetRadius').value = this.geo.planetRadius;
+            document.getElementById('elevationUnit').value = this.geo.elevationUnit;
+            document.getElementById('verticalExaggeration').value = this.geo.exaggeration;
+        }
+        
+        // Imported GeoJSON lines and points, draped onto the restored crust
+        this.geoOverlays = state.overlays || { lines: [], points: [] };
+        this.updateGeoOverlays();
+        
+        // Generator settings, so the planet can be regenerated from its seed
+        if (state.planet) {
+            this.planetSettings = { ...DEFAULT_PLANET, ...state.planet };
+            document.getElementById('planetSeed').value = this.planetSettings.seed;
+            document.getElementById('planetNoise').value = this.planetSettings.noise;
+            document.querySelectorAll('[data-planet-param]').forEach(input => {
+                input.value = this.planetSettings[input.dataset.planetParam];
             });
-            
-            console.log(`Created ${this.polygonVertices.length} vertex cylinders (straws)`);
         }
         
-        createPolygonLines() {
-            // LINE DEFINITION: Blue lines connecting consecutive points (elevated)
-            const lineGeometry = new THREE.BufferGeometry();
-            const linePositions = [];
-            
-            // Connect each point to the next one (elevated above terrain)
-            for (let i = 0; i < this.polygonPoints.length; i++) {
-                const currentPoint = this.polygonPoints[i];
-                const nextPoint = this.polygonPoints[(i + 1) % this.polygonPoints.length];
-                
-                // Elevate lines above terrain surface (same as polygon fill)
-                const currentNormal = currentPoint.clone().normalize();
-                const nextNormal = nextPoint.clone().normalize();
-                
-                const elevatedCurrent = currentPoint.clone().add(currentNormal.multiplyScalar(2));
-                const elevatedNext = nextPoint.clone().add(nextNormal.multiplyScalar(2));
-                
-                // Add elevated line segment
-                linePositions.push(elevatedCurrent.x, elevatedCurrent.y, elevatedCurrent.z);
-                linePositions.push(elevatedNext.x, elevatedNext.y, elevatedNext.z);
-            }
-            
-            lineGeometry.setAttribute('position', new THREE.Float32BufferAttribute(linePositions, 3));
-            
-            const lineMaterial = new THREE.LineBasicMaterial({ 
-                color: 0x0088ff, // Blue lines (same as spheres)
-                linewidth: 3
+        // Elevation tint
+        if (state.hypsometry) {
+            const hypsometry = { ...DEFAULT_HYPSOMETRY, ...state.hypsometry };
+            if (hypsometry.ramp !== 'custom' && !ELEVATION_RAMPS[hypsometry.ramp]) hypsometry.ramp = DEFAULT_HYPSOMETRY.ramp;
+            hypsometry.customStops = normalizeStops(hypsometry.customStops);
+            this.hypsometry = hypsometry;
+            document.getElementById('tintEnabled').checked = hypsometry.enabled;
+            document.getElementById('tintRamp').value = hypsometry.ramp;
+            document.getElementById('tintSeaLevel').value = hypsometry.seaLevel;
+            document.getElementById('tintMin').value = hypsometry.min;
+            document.getElementById('tintMax').value = hypsometry.max;
+            this.buildTintStopList();
+            this.updateElevationTint();
+        }
+        
+        if (state.contours) {
+            this.contourSettings = { ...DEFAULT_CONTOURS, ...state.contours };
+            document.getElementById('contoursEnabled').checked = this.contourSettings.enabled;
+            document.getElementById('contourInterval').value = this.contourSettings.interval;
+            document.getElementById('contourMajorEvery').value = this.contourSettings.majorEvery;
+            document.getElementById('contourLabels').checked = this.contourSettings.labels;
+            this.updateContours(true);
+        }
+        
+        if (state.analysis) {
+            Object.keys(ANALYSIS_MEASURES).forEach(measure => {
+                const range = state.analysis.ranges && state.analysis.ranges[measure];
+                if (range && range.max > range.min) this.analysisRanges[measure] = { min: range.min, max: range.max };
             });
-            
-            this.polygonLines = new THREE.Line(lineGeometry, lineMaterial);
-            this.scene.add(this.polygonLines);
-            
-            console.log(`Created elevated lines connecting ${this.polygonPoints.length} points`);
+            const measure = ANALYSIS_MEASURES[state.analysis.measure] ? state.analysis.measure : 'none';
+            document.getElementById('analysisMeasure').value = measure;
+            this.setAnalysisMeasure(measure);
         }
         
-        createPolygonArea() {
-            // POLYGON AREA DEFINITION: Blue semi-transparent area using Three.js Shape
-            if (this.polygonPoints.length < 3) return;
+        if (state.profile) {
+            this.profilePoints = (state.profile.points || []).map(({ lon, lat }) => lonLatToDirection(lon, lat));
+            this.profileSection = Boolean(state.profile.section);
+            document.getElementById('profileSection').checked = this.profileSection;
+            this.updateProfile();
+        }
+        
+        // Volume display settings; the volume itself isn't saved, reload it to see it
+        if (state.volume) {
+            this.volumeColouring = state.volume.colouring;
+            if (COLORMAPS[state.volume.colormap]) this.volumeColormap = state.volume.colormap;
+            this.volumeRange = { ...state.volume.range };
+            document.getElementById('volumeColouring').checked = this.volumeColouring;
+            document.getElementById('volumeColormap').value = this.volumeColormap;
+            document.getElementById('volumeMin').value = this.volumeRange.min;
+            document.getElementById('volumeMax').value = this.volumeRange.max;
+            this.updateVolumeColorbar();
+            this.applyAllLayerColours();
+        }
+        
+        // Polygon and clipping last, it needs the final crust
+        this.applyClipState(state.clipping);
+        
+        // Edits from the previous session don't apply to this one
+        this.history.clear();
+    }
+    
+    rebuildEarthLayers() {
+        Object.values(this.layerMeshes).forEach(mesh => {
+            this.removeClippingCap(mesh);
+            this.scene.remove(mesh);
+            mesh.geometry.dispose();
+            mesh.material.dispose();
+        });
+        
+        Object.values(this.originalGeometries).forEach(geometry => geometry.dispose());
+        this.originalGeometries = {};
+        this.clippingRegions = {};
+        this.clippingPlanes = [];
+        this.clippedLayers.clear();
+        this.clearClippingPolygonVisuals();
+        
+        // The LOD patches share the disposed crust material. The store keeps its detail
+        // for the rebuilt crust, which never starts out clipped.
+        this.disposeLod();
+        this.heightStoreAhead = false;
+        
+        this.createEarthLayers();
+        this.updateConsoleDisplay();
+    }
+    
+    loadPointCloud() {
+        // Open the file picker, the change handler does the import
+        document.getElementById('pointCloudFile').click();
+    }
+    
+    async importPointCloud(file) {
+        console.log(`Loading point cloud ${file.name}...`);
+        this.showLoading('Loading point cloud...');
+        
+        try {
+            const cloud = await readPointCloudFile(file, { columns: this.pointCloudColumns });
+            if (cloud.count === 0) {
+                throw new Error(`${file.name} contains no points`);
+            }
             
-            // Convert 3D points to 2D shape for proper triangulation
-            const shape = new THREE.Shape();
-            const numPoints = this.polygonPoints.length;
+            this.createPointCloud(cloud);
+            console.log('Point cloud loaded!');
+        } catch (error) {
+            console.error('Failed to load point cloud:', error);
+            this.showError(`Point cloud import failed: ${error.message}`);
+        } finally {
+            this.hideLoading();
+        }
+    }
+    
+    createPointCloud(cloud) {
+        // Remove existing point cloud
+        if (this.pointCloud) {
+            this.scene.remove(this.pointCloud);
+            this.pointCloud.geometry.dispose();
+            this.pointCloud.material.dispose();
+        }
+        
+        const { positions, geographic } = placePointCloud(cloud, {
+            coordinates: this.pointCloudCoordinates,
+            baseRadius: this.crustRadius,
+            scale: this.geo.fromMetres(this.pointCloudScale),
+            horizontalScale: this.pointCloudScale / this.geo.horizontalMetresPerUnit,
+            anchor: this.pointCloudAnchor
+        });
+        
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.setAttribute('color', new THREE.Float32BufferAttribute(displayColors(cloud), 3));
+        
+        // Keep the survey attributes on the geometry for later styling and picking
+        if (cloud.intensity) {
+            geometry.setAttribute('intensity', new THREE.Float32BufferAttribute(cloud.intensity, 1));
+        }
+        if (cloud.classification) {
+            geometry.setAttribute('classification', new THREE.Uint8BufferAttribute(cloud.classification, 1));
+        }
+        
+        const material = new THREE.PointsMaterial({ 
+            size: 0.5, 
+            vertexColors: true 
+        });
+        
+        this.pointCloud = new THREE.Points(geometry, material);
+        this.scene.add(this.pointCloud);
+        
+        console.log(`Point cloud placed as ${geographic ? 'lon/lat/alt on the globe' : 'local cartesian'}: ${cloud.count.toLocaleString()} points`);
+    }
+    
+    // GEOJSON METHODS
+    
+    async importGeoJSON(file) {
+        if (!this.crust) return;
+        
+        try {
+            const { polygons, lines, points, holes } = parseGeoJSON(await file.text());
             
-            // Project 3D points to 2D plane (using sphere's UV coordinates)
-            const points2D = [];
-            this.polygonPoints.forEach(point => {
-                // Convert 3D point to spherical coordinates
-                const phi = Math.acos(point.y / 50); // latitude
-                const theta = Math.atan2(point.z, point.x); // longitude
-                
-                // Convert to UV coordinates (0-1 range)
-                const u = (theta + Math.PI) / (2 * Math.PI);
-                const v = phi / Math.PI;
+            if (polygons.length > 0) {
+                // Edit and clipping polygons are single rings, so a MultiPolygon contributes its largest part
+                const largest = polygons.reduce((best, polygon) =>
+                    Math.abs(ringArea(polygon.ring)) > Math.abs(ringArea(best.ring)) ? polygon : best
+                );
+                if (polygons.length > 1) {
+                    console.log(`GeoJSON has ${polygons.length} polygons, using the largest`);
+                }
+                if (holes > 0) {
+                    console.log(`Ignoring ${holes} polygon hole(s)`);
+                }
                 
-                points2D.push(new THREE.Vector2(u, v));
-            });
-            
-            // Create shape from 2D points
-            shape.moveTo(points2D[0].x, points2D[0].y);
-            for (let i = 1; i < points2D.length; i++) {
-                shape.lineTo(points2D[i].x, points2D[i].y);
+                this.polygonPoints = largest.ring.map(({ lon, lat }) => this.lonLatToTerrainPoint(lon, lat));
+                if (this.geojsonPolygonTarget === 'clip') {
+                    this.useDrawnPolygonForClipping();
+                } else {
+                    this.drawPolygonPreview();
+                }
             }
-            shape.closePath(); // Close the polygon
-            
-            // Create geometry from shape
-            const shapeGeometry = new THREE.ShapeGeometry(shape);
             
-            // Convert back to 3D by mapping UV coordinates to sphere surface
-            const positions = shapeGeometry.attributes.position.array;
-            const newPositions = [];
+            this.geoOverlays.lines.push(...lines);
+            this.geoOverlays.points.push(...points);
+            this.updateGeoOverlays();
             
-            for (let i = 0; i < positions.length; i += 3) {
-                const u = positions[i];
-                const v = positions[i + 1];
-                
-                // Convert UV back to 3D sphere coordinates
-                const theta = u * 2 * Math.PI - Math.PI;
-                const phi = v * Math.PI;
-                
-                // Calculate base sphere position
-                const x = 50 * Math.sin(phi) * Math.cos(theta);
-                const y = 50 * Math.cos(phi);
-                const z = 50 * Math.sin(phi) * Math.sin(theta);
-                
-                // Elevate polygon fill above terrain surface (2 units outward)
-                const normal = new THREE.Vector3(x, y, z).normalize();
-                const elevatedX = x + normal.x * 1;
-                const elevatedY = y + normal.y * 1;
-                const elevatedZ = z + normal.z * 1;
+            console.log(`GeoJSON loaded from ${file.name}: ${polygons.length} polygon(s), ${lines.length} line(s), ${points.length} point(s)`);
+        } catch (error) {
+            console.error('Failed to load GeoJSON:', error);
+            this.showError(`GeoJSON import failed: ${error.message}`);
+        }
+    }
+    
+    exportGeoJSON() {
+        // Scene points to lon/lat through the crust's frame
+        const toRing = points => points.map(point => {
+            const local = this.crust.worldToLocal(point.clone());
+            return directionToLonLat(local.x, local.y, local.z);
+        });
+        
+        const polygons = [];
+        if (this.polygonPoints.length >= 3) {
+            polygons.push({ ring: toRing(this.polygonPoints), properties: { name: 'Drawn polygon', role: 'edit' } });
+        }
+        if (this.clippingPolygon && this.clippingPolygon.length >= 3) {
+            polygons.push({ ring: toRing(this.clippingPolygon), properties: { name: 'Clipping polygon', role: 'clip' } });
+        }
+        
+        const collection = buildGeoJSON({ polygons, ...this.geoOverlays });
+        if (collection.features.length === 0) {
+            this.showError('Nothing to export, draw a polygon or import some GeoJSON first');
+            return;
+        }
+        
+        downloadFile(JSON.stringify(collection, null, 2), 'globe.geojson', 'application/geo+json');
+        console.log(`GeoJSON exported: ${collection.features.length} feature(s)`);
+    }
+    
+    // World-space point on the crust surface at a longitude/latitude
+    lonLatToTerrainPoint(lon, lat) {
+        const d = lonLatToDirection(lon, lat);
+        const direction = new THREE.Vector3(d.x, d.y, d.z);
+        const point = direction.multiplyScalar(this.sampleCrustRadius(direction, this.crustRadius));
+        return this.crust.localToWorld(point);
+    }
+    
+    // Rebuilds the draped lines and point markers from this.geoOverlays
+    updateGeoOverlays() {
+        if (this.geoOverlayGroup) {
+            this.scene.remove(this.geoOverlayGroup);
+            this.geoOverlayGroup.traverse(object => {
+                if (object.geometry) object.geometry.dispose();
+                if (object.material) object.material.dispose();
+            });
+            this.geoOverlayGroup = null;
+        }
+        
+        const { lines, points } = this.geoOverlays;
+        if (lines.length === 0 && points.length === 0) return;
+        
+        this.geoOverlayGroup = new THREE.Group();
+        this.geoOverlayGroup.name = 'geojson-overlays';
+        
+        // Lines follow great circles between their vertices, sampled every degree so they hug the terrain
+        const lineMaterial = new THREE.LineBasicMaterial({ color: 0xffaa00 });
+        lines.forEach(({ path }) => {
+            const positions = [];
+            for (let i = 0; i < path.length; i++) {
+                const a = lonLatToDirection(path[i].lon, path[i].lat);
+                const start = new THREE.Vector3(a.x, a.y, a.z);
+                if (i === path.length - 1) {
+                    this.pushDrapedPoint(positions, start);
+                    break;
+                }
                 
-                newPositions.push(elevatedX, elevatedY, elevatedZ);
+                const b = lonLatToDirection(path[i + 1].lon, path[i + 1].lat);
+                const end = new THREE.Vector3(b.x, b.y, b.z);
+                const steps = Math.max(1, Math.ceil(start.angleTo(end) / (Math.PI / 180)));
+                for (let step = 0; step < steps; step++) {
+                    this.pushDrapedPoint(positions, start.clone().lerp(end, step / steps).normalize());
+                }
             }
             
-            // Create final geometry
             const geometry = new THREE.BufferGeometry();
-            geometry.setAttribute('position', new THREE.Float32BufferAttribute(newPositions, 3));
-            geometry.setIndex(shapeGeometry.index);
-            
-            const material = new THREE.MeshBasicMaterial({
-                color: 0x0088ff, // Blue (same as spheres and lines)
-                transparent: true,
-                opacity: 0.4, // 40% opacity
-                side: THREE.DoubleSide
-            });
-            
-            this.polygonArea = new THREE.Mesh(geometry, material);
-            this.scene.add(this.polygonArea);
-            
-            console.log(`Created polygon area with ${this.polygonPoints.length} vertices using Three.js Shape triangulation`);
-        }
+            geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+            this.geoOverlayGroup.add(new THREE.Line(geometry, lineMaterial));
+        });
+        
+        // Markers are upright orange straws, like the polygon vertices
+        const markerGeometry = new THREE.CylinderGeometry(0.15, 0.15, 2.0, 8);
+        const markerMaterial = new THREE.MeshBasicMaterial({ color: 0xffaa00 });
+        const up = new THREE.Vector3(0, 1, 0);
+        points.forEach(({ point }) => {
+            const surface = this.lonLatToTerrainPoint(point.lon, point.lat);
+            const marker = new THREE.Mesh(markerGeometry, markerMaterial);
+            marker.position.copy(surface);
+            marker.quaternion.setFromUnitVectors(up, surface.clone().normalize());
+            this.geoOverlayGroup.add(marker);
+        });
+        
+        this.geoOverlayGroup.traverse(object => {
+            object.raycast = () => {}; // Never in the way of terrain picking
+        });
+        this.scene.add(this.geoOverlayGroup);
+    }
+    
+    pushDrapedPoint(positions, direction) {
+        // Lifted a little so the line isn't buried in the terrain
+        const point = direction.clone().multiplyScalar(this.sampleCrustRadius(direction, this.crustRadius) * 1.003);
+        this.crust.localToWorld(point);
+        positions.push(point.x, point.y, point.z);
+    }
+    
+    showLoading(message) {
+        const loading = document.createElement('div');
+        loading.className = 'loading';
+        loading.innerHTML = `
+            <div class="spinner"></div>
+            <div>${message}</div>
+        `;
+        loading.id = 'loading';
+        document.body.appendChild(loading);
+    }
+    
+    hideLoading() {
+        const loading = document.getElementById('loading');
+        if (loading) {
+            loading.remove();
+        }
+    }
+    
+    highlightVerticesInBrush(brushPoint) {
+        if (!this.terrain) return;
+        
+        // Clear previous highlights
+        this.clearVertexHighlights();
+        
+        const vertices = this.terrain.geometry.attributes.position.array;
+        const localPoint = brushPoint.clone();
+        this.terrain.worldToLocal(localPoint);
+        
+        const highlightPositions = [];
+        const highlightColors = [];
+        
+        // Find vertices in brush radius using CURRENT vertex positions (after editing)
+        // Distances are in LOCAL space (same as editTerrain)
+        this.getCrustIndex().forEachInSphere(localPoint.x, localPoint.y, localPoint.z, this.brushSize, (index, distance) => {
+            // Transform vertex to world space for highlighting display
+            const worldVertex = new THREE.Vector3(vertices[index * 3], vertices[index * 3 + 1], vertices[index * 3 + 2]);
+            this.terrain.localToWorld(worldVertex);
+            
+            // Add vertex position in world space for highlighting
+            highlightPositions.push(worldVertex.x, worldVertex.y, worldVertex.z);
+            
+            // Color based on distance (closer = brighter)
+            const normalizedDistance = distance / this.brushSize;
+            const intensity = 1 - normalizedDistance;
+            highlightColors.push(intensity, 0, 1 - intensity); // Red to blue gradient
+        });
+        
+        if (highlightPositions.length > 0) {
+            // Create geometry for highlighted vertices
+            this.vertexHighlightGeometry = new THREE.BufferGeometry();
+            this.vertexHighlightGeometry.setAttribute('position', new THREE.Float32BufferAttribute(highlightPositions, 3));
+            this.vertexHighlightGeometry.setAttribute('color', new THREE.Float32BufferAttribute(highlightColors, 3));
+            
+            // Create material
+            this.vertexHighlightMaterial = new THREE.PointsMaterial({
+                size: 6.0,
+                vertexColors: true,
+                opacity: 1
+            });
+            
+            // Create points mesh
+            const highlightMesh = new THREE.Points(this.vertexHighlightGeometry, this.vertexHighlightMaterial);
+            this.scene.add(highlightMesh);
+            this.highlightedVertices.push(highlightMesh);
+        }
+    }
+    
+    clearVertexHighlights() {
+        // Remove all highlighted vertices
+        this.highlightedVertices.forEach(mesh => {
+            this.scene.remove(mesh);
+        });
+        this.highlightedVertices = [];
+        
+        // Clean up geometry and material
+        if (this.vertexHighlightGeometry) {
+            this.vertexHighlightGeometry.dispose();
+            this.vertexHighlightGeometry = null;
+        }
+        if (this.vertexHighlightMaterial) {
+            this.vertexHighlightMaterial.dispose();
+            this.vertexHighlightMaterial = null;
+        }
+    }
+    
+    showError(message) {
+        const error = document.createElement('div');
+        error.style.cssText = `
+            position: fixed;
+            top: 50%;
+            left: 50%;
+            transform: translate(-50%, -50%);
+            background: rgba(255, 0, 0, 0.9);
+            color: white;
+            padding: 20px;
+            border-radius: 10px;
+            text-align: center;
+            z-index: 1000;
+        `;
+        error.textContent = message;
+        error.title = 'Click to dismiss';
+        error.addEventListener('click', () => error.remove());
+        document.body.appendChild(error);
+    }
+    
+    // Polygon drawing methods
+        togglePolygonMode() {
+            if (!this.isDrawingPolygon && this.isProfiling) this.toggleProfileMode();
+            this.isDrawingPolygon = !this.isDrawingPolygon;
+            this.isEditing = false; // Exit edit mode
+            
+            const button = document.getElementById('polygonMode');
+            button.textContent = this.isDrawingPolygon ? 'Exit Polygon' : 'Polygon Mode';
+            button.style.background = this.isDrawingPolygon ? '#ff4444' : '#00ff88';
+            
+            if (this.isDrawingPolygon) {
+                this.polygonPoints = [];
+                this.updatePolygonVertexList();
+                this.canvas.style.cursor = 'crosshair';
+                console.log('🎯 POLYGON MODE ENABLED: Click points to draw polygon, right-click to finish');
+                console.log('Current polygon points:', this.polygonPoints.length);
+            } else {
+                this.clearPolygon();
+                this.canvas.style.cursor = 'grab';
+                console.log('Polygon mode disabled');
+            }
+        }
+    
+        addPolygonPoint(event) {
+            if (!this.terrain) {
+                console.log('❌ No terrain found');
+                return;
+            }
+            
+            console.log('🎯 Adding polygon point...');
+            this.raycaster.setFromCamera(this.mouse, this.camera);
+            const intersects = this.raycaster.intersectObject(this.terrain);
+            
+            console.log(`Raycaster intersects: ${intersects.length}`);
+            
+            if (intersects.length > 0) {
+                const point = intersects[0].point;
+                this.polygonPoints.push(point);
+                
+                console.log(`✅ Polygon point ${this.polygonPoints.length}: ${this.formatPoint(point)}`);
+                console.log(`Total polygon points: ${this.polygonPoints.length}`);
+                
+                // Draw polygon preview
+                this.drawPolygonPreview();
+            } else {
+                console.log('❌ No intersection with terrain');
+            }
+        }
+    
+         drawPolygonPreview() {
+            // Remove existing polygon preview
+            this.clearPolygon();
+            this.updatePolygonVertexList();
+            
+            if (this.polygonPoints.length === 0) return;
+            
+            console.log(`Drawing polygon with ${this.polygonPoints.length} points`);
+            
+            // STEP 1: CREATE VERTICES (BLUE SPHERES)
+            this.createPolygonVertices();
+            
+            // STEP 2: CREATE LINES (if 2+ points)
+            if (this.polygonPoints.length >= 2) {
+                this.createPolygonLines();
+            }
+            
+            // STEP 3: CREATE POLYGON AREA (if 3+ points)
+            if (this.polygonPoints.length >= 3) {
+                this.createPolygonArea();
+            }
+        }
+        
+        createPolygonVertices() {
+            // VERTEX DEFINITION: Blue cylinders (straws) at each point
+            const vertexGeometry = new THREE.CylinderGeometry(0.1, 0.1, 2.0, 8); // Thin blue cylinders like straws
+            const vertexMaterial = new THREE.MeshBasicMaterial({ 
+                color: 0x0088ff, // Bright blue
+                transparent: false
+            });
+            
+            // Create a cylinder for each vertex
+            this.polygonVertices = [];
+            this.polygonPoints.forEach((point, index) => {
+                const vertex = new THREE.Mesh(vertexGeometry, vertexMaterial);
+                vertex.position.copy(point);
+                
+                // Orient cylinder to point outward from sphere center
+                const direction = point.clone().normalize();
+                vertex.lookAt(direction);
+                vertex.rotateX(Math.PI / 2); // Rotate to align with sphere normal
+                
+                this.scene.add(vertex);
+                this.polygonVertices.push(vertex);
+            });
+            
+            console.log(`Created ${this.polygonVertices.length} vertex cylinders (straws)`);
+        }
+        
+        createPolygonLines() {
+            // LINE DEFINITION: Blue lines connecting consecutive points (elevated)
+            const lineGeometry = new THREE.BufferGeometry();
+            const linePositions = [];
+            
+            // Connect each point to the next one (elevated above terrain)
+            for (let i = 0; i < this.polygonPoints.length; i++) {
+                const currentPoint = this.polygonPoints[i];
+                const nextPoint = this.polygonPoints[(i + 1) % this.polygonPoints.length];
+                
+                // Elevate lines above terrain surface (same as polygon fill)
+                const currentNormal = currentPoint.clone().normalize();
+                const nextNormal = nextPoint.clone().normalize();
+                
+                const elevatedCurrent = currentPoint.clone().add(currentNormal.multiplyScalar(2));
+                const elevatedNext = nextPoint.clone().add(nextNormal.multiplyScalar(2));
+                
+                // Add elevated line segment
+                linePositions.push(elevatedCurrent.x, elevatedCurrent.y, elevatedCurrent.z);
+                linePositions.push(elevatedNext.x, elevatedNext.y, elevatedNext.z);
+            }
+            
+            lineGeometry.setAttribute('position', new THREE.Float32BufferAttribute(linePositions, 3));
+            
+            const lineMaterial = new THREE.LineBasicMaterial({ 
+                color: 0x0088ff, // Blue lines (same as spheres)
+                linewidth: 3
+            });
+            
+            this.polygonLines = new THREE.Line(lineGeometry, lineMaterial);
+            this.scene.add(this.polygonLines);
+            
+            console.log(`Created elevated lines connecting ${this.polygonPoints.length} points`);
+        }
+        
+        createPolygonArea() {
+            // POLYGON AREA DEFINITION: Blue semi-transparent area using Three.js Shape
+            if (this.polygonPoints.length < 3) return;
+            
+            // Triangulate in the polygon's gnomonic projection, where its great-circle
+            // edges are straight lines, then lift the triangles back onto the terrain
+            const polygon = new SphericalPolygon(this.polygonPoints);
+            if (!polygon.projected) {
+                console.log('Polygon is too large to fill, showing its outline only');
+                return;
+            }
+            
+            // Three.js Shape triangulation
+            const shape = new THREE.Shape(polygon.projected.map(p => new THREE.Vector2(p.u, p.v)));
+            const shapeGeometry = new THREE.ShapeGeometry(shape);
+            
+            // Radius of the drawn points, they lie on the terrain
+            const radius = this.polygonPoints.reduce((sum, point) => sum + point.length(), 0) / this.polygonPoints.length;
+            
+            const positions = shapeGeometry.attributes.position.array;
+            const newPositions = [];
+            
+            for (let i = 0; i < positions.length; i += 3) {
+                const direction = polygon.unproject(positions[i], positions[i + 1]);
+                
+                // Elevate polygon fill above terrain surface (1 unit outward)
+                newPositions.push(direction.x * (radius + 1), direction.y * (radius + 1), direction.z * (radius + 1));
+            }
+            
+            // Create final geometry
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.Float32BufferAttribute(newPositions, 3));
+            geometry.setIndex(shapeGeometry.index);
+            shapeGeometry.dispose();
+            
+            const material = new THREE.MeshBasicMaterial({
+                color: 0x0088ff, // Blue (same as spheres and lines)
+                transparent: true,
+                opacity: 0.4, // 40% opacity
+                side: THREE.DoubleSide
+            });
+            
+            this.polygonArea = new THREE.Mesh(geometry, material);
+            this.scene.add(this.polygonArea);
+            
+            console.log(`Created polygon area with ${this.polygonPoints.length} vertices using Three.js Shape triangulation`);
+        }
     
         createPolygonAreaHighlight() {
             // Create a semi-transparent plane to show the polygon area
@@ -1285,85 +2865,1686 @@ class WebGPUGlobe {
                 this.polygonArea = null;
             }
             
-            // Clear any old preview
-            if (this.polygonPreview) {
-                this.scene.remove(this.polygonPreview);
-                this.polygonPreview = null;
+            // Clear any old preview
+            if (this.polygonPreview) {
+                this.scene.remove(this.polygonPreview);
+                this.polygonPreview = null;
+            }
+        }
+    
+    applyPolygonEdit() {
+        if (this.erosionJob) return;
+        
+        if (this.polygonPoints.length < 3) {
+            console.log('Need at least 3 points for polygon');
+            return;
+        }
+        
+        console.log(`Applying ${this.polygonMode} to polygon with ${this.polygonPoints.length} points`);
+        this.beginTerrainEdit(`Polygon ${this.polygonMode}`);
+        
+        // Get all vertices
+        const vertices = this.terrain.geometry.attributes.position.array;
+        let edited = false;
+        let verticesInPolygon = 0;
+        
+        // Clicked points are in world space, vertices are in the crust's local space
+        const polygon = new SphericalPolygon(this.polygonPoints.map(point => this.terrain.worldToLocal(point.clone())));
+        
+        // Check each vertex near the polygon if it's inside it on the sphere
+        this.forEachCrustVertexNearPolygon(polygon, index => {
+            const i = index * 3;
+            if (polygon.contains(vertices[i], vertices[i + 1], vertices[i + 2])) {
+                const vertex = new THREE.Vector3(vertices[i], vertices[i + 1], vertices[i + 2]);
+                verticesInPolygon++;
+                
+                // Apply transformation
+                const normal = vertex.clone().normalize();
+                const change = this.intensity;
+                
+                if (this.polygonMode === 'extrude') {
+                    vertex.add(normal.multiplyScalar(change));
+                } else if (this.polygonMode === 'compress') {
+                    vertex.add(normal.multiplyScalar(-change));
+                }
+                
+                // Update vertex
+                vertices[i] = vertex.x;
+                vertices[i + 1] = vertex.y;
+                vertices[i + 2] = vertex.z;
+                edited = true;
+            }
+        });
+        
+        if (edited) {
+            this.terrain.geometry.attributes.position.needsUpdate = true;
+            this.terrain.geometry.computeVertexNormals();
+            console.log(`Polygon edit applied: ${verticesInPolygon} vertices affected`);
+        }
+        this.commitTerrainEdit();
+        
+        // Clear polygon
+        this.clearPolygon();
+        this.polygonPoints = [];
+        this.updatePolygonVertexList();
+    }
+    
+    // EROSION METHODS
+    
+    runErosion() {
+        if (!this.terrain || this.erosionJob) return;
+        
+        // Region mask from the polygon currently drawn in Polygon Mode
+        let mask = null;
+        if (this.erosionRegion === 'polygon') {
+            if (this.polygonPoints.length < 3) {
+                this.showError('Draw a polygon with at least 3 points in Polygon Mode to erode inside it');
+                return;
+            }
+            const polygon = new SphericalPolygon(this.polygonPoints.map(point => this.terrain.worldToLocal(point.clone())));
+            const vertices = this.terrain.geometry.attributes.position.array;
+            mask = new Uint8Array(vertices.length / 3);
+            this.forEachCrustVertexNearPolygon(polygon, index => {
+                mask[index] = polygon.contains(vertices[index * 3], vertices[index * 3 + 1], vertices[index * 3 + 2]) ? 1 : 0;
+            });
+        }
+        
+        const type = this.erosionType;
+        const params = type === 'hydraulic' ? { ...this.erosionHydraulic } : { ...this.erosionThermal };
+        const total = type === 'hydraulic' ? Math.round(params.droplets) : Math.round(params.passes);
+        const chunk = type === 'hydraulic' ? 1000 : 1; // Work per frame, small enough to keep the view responsive
+        const label = `${type === 'hydraulic' ? 'Hydraulic' : 'Thermal'} erosion${mask ? ' (polygon)' : ''}`;
+        
+        const geometry = this.terrain.geometry;
+        const simulation = new ErosionSimulation(geometry.attributes.position.array, this.getCrustNeighbours(), mask);
+        const random = createRandom(params.seed);
+        const job = { cancelled: false, done: 0, total };
+        this.erosionJob = job;
+        
+        this.beginTerrainEdit(label);
+        this.setErosionRunning(true);
+        console.log(`${label}: ${total} ${type === 'hydraulic' ? 'droplets' : 'passes'} over ${simulation.activeVertices.length.toLocaleString()} vertices`);
+        
+        const step = () => {
+            // Clipping or a resolution change swapped the mesh out from under us
+            if (geometry !== this.terrain.geometry) job.cancelled = true;
+            
+            if (!job.cancelled && job.done < total) {
+                const count = Math.min(chunk, total - job.done);
+                if (type === 'hydraulic') {
+                    simulation.runHydraulic(count, params, random);
+                } else {
+                    simulation.runThermal(params);
+                }
+                job.done += count;
+                
+                // Progressive preview
+                simulation.writeBack();
+                geometry.attributes.position.needsUpdate = true;
+                geometry.computeVertexNormals();
+                document.getElementById('erosionProgress').textContent = `${Math.round(job.done / total * 100)}%`;
+                
+                requestAnimationFrame(step);
+                return;
+            }
+            
+            // Finished or cancelled: whatever ran so far is kept as one undoable edit
+            geometry.computeBoundingSphere();
+            this.commitTerrainEdit();
+            this.erosionJob = null;
+            this.setErosionRunning(false);
+            document.getElementById('erosionProgress').textContent = job.cancelled ? `Cancelled at ${Math.round(job.done / total * 100)}%` : 'Done';
+            console.log(`${label} ${job.cancelled ? 'cancelled' : 'finished'} after ${job.done} of ${total}`);
+        };
+        
+        requestAnimationFrame(step);
+    }
+    
+    cancelErosion() {
+        if (this.erosionJob) {
+            this.erosionJob.cancelled = true;
+        }
+    }
+    
+    setErosionRunning(running) {
+        document.getElementById('runErosion').disabled = running;
+        document.getElementById('cancelErosion').disabled = !running;
+    }
+    
+    // SPATIAL INDEX METHODS
+    
+    getCrustIndex() {
+        // Rebuilt whenever the crust gets a new position buffer (clipping, resolution changes, projects)
+        const positions = this.terrain.geometry.attributes.position.array;
+        if (!this.crustIndex || this.crustIndex.positions !== positions) {
+            this.crustIndex = new VertexGrid(positions);
+        }
+        return this.crustIndex;
+    }
+    
+    updateCrustIndex(geometry, indices) {
+        // Only the grid over this exact buffer needs the moved vertices re-filed
+        if (this.crustIndex && this.crustIndex.positions === geometry.attributes.position.array) {
+            this.crustIndex.updateVertices(indices);
+        }
+    }
+    
+    forEachCrustVertexNearPolygon(polygon, callback) {
+        const crustIndex = this.getCrustIndex();
+        if (!polygon.centroid) {
+            for (let vertex = 0; vertex < crustIndex.count; vertex++) callback(vertex);
+            return;
+        }
+        
+        // Widest angle between the centroid and an outline point bounds the polygon
+        const angle = Math.max(...polygon.vertices.map(v =>
+            Math.acos(Math.max(-1, Math.min(1, v.x * polygon.centroid.x + v.y * polygon.centroid.y + v.z * polygon.centroid.z)))
+        ));
+        crustIndex.forEachInCone(polygon.centroid, angle, callback);
+    }
+    
+    // LOD CRUST METHODS
+    
+    unclippedCrustGeometry() {
+        return this.clippedLayers.has('crust') ? this.originalGeometries[this.crust.uuid] : this.crust.geometry;
+    }
+    
+    getHeightStore() {
+        if (!this.heightStore) {
+            const geometry = this.unclippedCrustGeometry();
+            this.heightStore = new HeightStore(this.crustRadius);
+            this.heightStore.setFromMesh(geometry.attributes.position.array, geometry.index ? geometry.index.array : null);
+            console.log(`Height store built from the crust mesh (${this.heightStore.raster.width}x${this.heightStore.raster.height})`);
+        }
+        return this.heightStore;
+    }
+    
+    resetHeightStore() {
+        this.heightStore = null;
+        this.heightStoreAhead = false;
+        this.disposeLod();
+    }
+    
+    syncHeightStore(geometry, vertices) {
+        // Nothing to keep up to date until the LOD crust first needs the store
+        if (!this.heightStore) return;
+        
+        // Edits to the clipped cut can't be mapped back, rebuild from the original later
+        if (geometry !== this.unclippedCrustGeometry()) {
+            this.resetHeightStore();
+            return;
+        }
+        
+        this.noteHeightStoreChange(this.heightStore.updateFromMesh(geometry.attributes.position.array, geometry.index ? geometry.index.array : null, vertices));
+    }
+    
+    // Rebuilds the LOD patches over a changed cap of the store
+    noteHeightStoreChange(cap) {
+        if (!cap) return;
+        if (this.lod) this.lod.invalidate(cap);
+        
+        // Whole-globe operations would refine everything, only local edits get extra detail
+        if (cap.angle < 0.5) {
+            this.recentEdits.push({ cap, time: performance.now() });
+            if (this.recentEdits.length > 32) this.recentEdits.shift();
+        }
+    }
+    
+    getLod() {
+        if (!this.lod) {
+            this.lod = new QuadtreeTerrain(this.getHeightStore(), this.crust.material, { errorThreshold: this.lodThreshold });
+            this.lod.setPatchColours(this.tintPatchColours);
+            this.scene.add(this.lod.group);
+        }
+        return this.lod;
+    }
+    
+    disposeLod() {
+        if (this.lod) {
+            this.lod.dispose();
+            this.lod = null;
+        }
+        this.lodFocusKey = '';
+    }
+    
+    // Caps along the clipping and drawn polygon outlines plus recent edits
+    getLodFocus() {
+        const now = performance.now();
+        this.recentEdits = this.recentEdits.filter(edit => now - edit.time < this.recentEditTime);
+        const caps = this.recentEdits.map(edit => edit.cap);
+        
+        const samplesPerEdge = 8;
+        [this.clippingPolygon, this.polygonPoints].forEach(points => {
+            if (!points || points.length < 2) return;
+            points.forEach((point, i) => {
+                const from = point.clone().normalize();
+                const to = points[(i + 1) % points.length].clone().normalize();
+                const angle = from.angleTo(to) / (2 * samplesPerEdge) + 0.01;
+                for (let k = 0; k < samplesPerEdge; k++) {
+                    const direction = from.clone().lerp(to, (k + 0.5) / samplesPerEdge).normalize();
+                    caps.push({ direction, angle });
+                }
+            });
+        });
+        return caps;
+    }
+    
+    // Hides the crust mesh behind the LOD patches for this frame's render. Returns true
+    // when the crust has to be shown again afterwards, so picking and layer state still
+    // see the real mesh.
+    prepareLodCrust() {
+        const useLod = this.lodEnabled && this.crust && this.crust.visible && !this.analysis;
+        if (!useLod) {
+            if (this.lod) this.lod.group.visible = false;
+            this.updateLodStats();
+            return false;
+        }
+        
+        const lod = this.getLod();
+        lod.setClip(this.clippedLayers.has('crust') ? this.clippingRegions[this.crust.uuid] || null : null);
+        this.syncLodCap(lod);
+        const focus = this.getLodFocus();
+        const focusKey = focus.map(cap => `${cap.direction.x.toFixed(4)},${cap.direction.y.toFixed(4)},${cap.direction.z.toFixed(4)},${cap.angle.toFixed(4)}`).join(';');
+        if (focusKey !== this.lodFocusKey) {
+            lod.setFocus(focus);
+            this.lodFocusKey = focusKey;
+        }
+        
+        lod.update(this.camera, window.innerHeight);
+        lod.group.visible = true;
+        this.crust.visible = false;
+        this.updateLodStats();
+        return true;
+    }
+    
+    // The crust's clipping cap hides along with the crust, so the LOD group shows a
+    // stand-in sharing its geometry and material
+    syncLodCap(lod) {
+        const cap = this.clippedLayers.has('crust') ? this.clippingCaps[this.crust.uuid] : null;
+        if (!cap) {
+            if (this.lodCap) this.lodCap.visible = false;
+            return;
+        }
+        
+        if (!this.lodCap) {
+            this.lodCap = new THREE.Mesh(cap.geometry, cap.material);
+            this.lodCap.name = 'lod-clipping-cap';
+            this.lodCap.raycast = () => {};
+        }
+        if (this.lodCap.parent !== lod.group) lod.group.add(this.lodCap);
+        this.lodCap.geometry = cap.geometry;
+        this.lodCap.material = cap.material;
+        this.lodCap.visible = true;
+    }
+    
+    updateLodStats() {
+        let text = 'off';
+        if (this.lodEnabled && this.crust && this.analysis) {
+            text = 'paused while an analysis overlay is shown';
+        } else if (this.lodEnabled && this.crust && this.profileCutShown('crust')) {
+            text = 'paused while the profile section is shown';
+        } else if (this.lodEnabled && this.lod) {
+            const { patches, triangles, maxLevel } = this.lod.stats;
+            text = `${patches} patches, ${triangles.toLocaleString()} triangles, level ${maxLevel}/${this.lod.maxLevel}`;
+        }
+        
+        const label = document.getElementById('lodStats');
+        if (label.textContent !== text) label.textContent = text;
+    }
+    
+    // ELEVATION TINT METHODS
+    
+    getTintStops() {
+        const { ramp, customStops } = this.hypsometry;
+        return ramp === 'custom' ? customStops : ELEVATION_RAMPS[ramp].stops;
+    }
+    
+    // Rebuilds the ramp from the current settings and recolours the crust and legend
+    updateElevationTint() {
+        const { enabled, seaLevel, min, max } = this.hypsometry;
+        
+        if (enabled) {
+            const lookup = createRampLookup(this.getTintStops());
+            const range = { seaLevel, min, max };
+            const baseRadius = this.crustRadius;
+            this.tintLookup = lookup;
+            this.tintPatchColours = positions => colourByElevation(positions, new Float32Array(positions.length), baseRadius, lookup, range);
+        } else {
+            this.tintLookup = null;
+            this.tintPatchColours = null;
+        }
+        
+        this.tintedCrust = { geometry: null, version: -1, pending: null };
+        this.applyLayerColours(this.getLayer('crust'));
+        this.updateCrustLegend();
+        this.updateTintStopElevations();
+    }
+    
+    colourCrustByElevation(geometry, vertices = null) {
+        const positions = geometry.attributes.position;
+        let colors = geometry.attributes.color;
+        if (!colors || colors.count !== positions.count) {
+            colors = new THREE.BufferAttribute(new Float32Array(positions.count * 3), 3);
+            geometry.setAttribute('color', colors);
+        }
+        
+        const { seaLevel, min, max } = this.hypsometry;
+        colourByElevation(positions.array, colors.array, this.crustRadius, this.tintLookup, { seaLevel, min, max }, vertices);
+        colors.needsUpdate = true;
+        this.tintedCrust = { geometry, version: positions.version, pending: null };
+    }
+    
+    // Records the vertices an edit just moved (right after its needsUpdate), so the next
+    // refresh recolours only those. An update nobody noted breaks the chain, and the
+    // refresh falls back to recolouring everything.
+    noteTintedVertices(geometry, vertices) {
+        const tinted = this.tintedCrust;
+        if (geometry !== tinted.geometry) return;
+        
+        const version = geometry.attributes.position.version;
+        const known = tinted.pending ? tinted.pending.version : tinted.version;
+        if (known !== version - 1) return;
+        
+        if (!tinted.pending) tinted.pending = { version, vertices: new Set() };
+        vertices.forEach(vertex => tinted.pending.vertices.add(vertex));
+        tinted.pending.version = version;
+    }
+    
+    // Once a frame: recolours the crust when anything moved its vertices (brushes,
+    // erosion, undo, imports), just the noted ones when it can, and all of it after a
+    // geometry swap (clipping)
+    refreshElevationTint() {
+        if (!this.tintLookup || !this.crust || this.analysis) return;
+        
+        const geometry = this.crust.geometry;
+        const { version } = geometry.attributes.position;
+        const tinted = this.tintedCrust;
+        if (geometry === tinted.geometry && version === tinted.version) return;
+        
+        if (geometry === tinted.geometry && tinted.pending && tinted.pending.version === version) {
+            this.colourCrustByElevation(geometry, tinted.pending.vertices);
+        } else {
+            this.colourCrustByElevation(geometry);
+        }
+    }
+    
+    fitTintRange() {
+        const positions = this.unclippedCrustGeometry().attributes.position;
+        let min = Infinity, max = -Infinity;
+        for (let i = 0; i < positions.count; i++) {
+            const height = Math.sqrt(positions.getX(i) ** 2 + positions.getY(i) ** 2 + positions.getZ(i) ** 2) - this.crustRadius;
+            min = Math.min(min, height);
+            max = Math.max(max, height);
+        }
+        
+        // Keep sea level inside the range, and give a flat crust something to show
+        const { seaLevel } = this.hypsometry;
+        min = Math.min(min, seaLevel - 0.01);
+        max = Math.max(max, seaLevel + 0.01);
+        
+        this.hypsometry.min = Number(min.toFixed(3));
+        this.hypsometry.max = Number(max.toFixed(3));
+        document.getElementById('tintMin').value = this.hypsometry.min;
+        document.getElementById('tintMax').value = this.hypsometry.max;
+    }
+    
+    // Edits switch a built-in ramp to an editable copy first. The copy lists the same
+    // stops in the same order, so the rows only need rebuilding when stops come or go
+    // (rebuilding under an open colour picker would close it).
+    editTintStops(edit, rebuild = false) {
+        if (this.hypsometry.ramp !== 'custom') {
+            this.hypsometry.customStops = this.getTintStops().map(stop => ({ ...stop }));
+            this.hypsometry.ramp = 'custom';
+            document.getElementById('tintRamp').value = 'custom';
+        }
+        edit(this.hypsometry.customStops);
+        if (rebuild) this.buildTintStopList();
+        this.updateElevationTint();
+    }
+    
+    // Height above the base radius a stop position stands for
+    tintStopHeight(at) {
+        const { seaLevel, min, max } = this.hypsometry;
+        return at < 0 ? seaLevel + at * (seaLevel - min) : seaLevel + at * (max - seaLevel);
+    }
+    
+    buildTintStopList() {
+        const list = document.getElementById('tintStops');
+        list.innerHTML = '';
+        
+        this.getTintStops().forEach((stop, index) => {
+            const item = document.createElement('li');
+            item.innerHTML = `
+                <input type="number" data-stop-at min="-1" max="1" step="0.05">
+                <input type="color" data-stop-color>
+                <span class="stop-elevation" data-stop-elevation></span>
+                <button data-stop-remove title="Remove stop">×</button>
+            `;
+            const atInput = item.querySelector('[data-stop-at]');
+            atInput.value = stop.at;
+            item.querySelector('[data-stop-color]').value = stop.color;
+            
+            atInput.addEventListener('change', () => {
+                const at = Math.min(1, Math.max(-1, parseFloat(atInput.value)));
+                if (Number.isNaN(at)) return;
+                this.editTintStops(stops => { stops[index].at = at; });
+            });
+            item.querySelector('[data-stop-color]').addEventListener('input', (e) => {
+                this.editTintStops(stops => { stops[index].color = e.target.value; });
+            });
+            item.querySelector('[data-stop-remove]').addEventListener('click', () => {
+                if (this.getTintStops().length <= 2) return;
+                this.editTintStops(stops => { stops.splice(index, 1); }, true);
+            });
+            
+            list.appendChild(item);
+        });
+        this.updateTintStopElevations();
+    }
+    
+    updateTintStopElevations() {
+        const stops = this.getTintStops();
+        document.querySelectorAll('#tintStops [data-stop-elevation]').forEach((label, index) => {
+            if (stops[index]) label.textContent = this.geo.formatElevation(this.geo.toElevationUnits(this.tintStopHeight(stops[index].at)));
+        });
+    }
+    
+    // Legend of whatever colours the crust: the analysis overlay if one is shown,
+    // otherwise the elevation tint
+    updateCrustLegend() {
+        const legend = document.getElementById('crustLegend');
+        const measure = this.analysis ? ANALYSIS_MEASURES[this.analysisMeasure] : null;
+        legend.hidden = !measure && !this.hypsometry.enabled;
+        if (legend.hidden) return;
+        
+        const bar = document.getElementById('crustLegendBar');
+        const ticks = document.getElementById('crustLegendTicks');
+        ticks.innerHTML = '';
+        const addTick = (text, position, className = '') => {
+            const tick = document.createElement('span');
+            tick.textContent = text;
+            tick.style.top = `${(position * 100).toFixed(1)}%`;
+            tick.className = className;
+            ticks.appendChild(tick);
+        };
+        
+        if (measure) {
+            document.getElementById('crustLegendTitle').textContent = `${measure.label} (${measure.unit})`;
+            bar.style.background = colormapGradient(measure.colormap, 'to top');
+            const { min, max } = this.analysisRanges[this.analysisMeasure];
+            [1, 0.75, 0.5, 0.25, 0].forEach(f => addTick(this.formatAnalysisValue(min + (max - min) * f), 1 - f));
+            return;
+        }
+        
+        document.getElementById('crustLegendTitle').textContent = 'Elevation';
+        const { seaLevel, min, max } = this.hypsometry;
+        const seaFraction = (max - seaLevel) / (max - min);
+        bar.style.background = rampGradient(this.getTintStops(), seaFraction);
+        
+        // Ends, sea level and halfway either side of it, top to bottom
+        [1, 0.5, 0, -0.5, -1].forEach(at => {
+            const position = at >= 0 ? (1 - at) * seaFraction : seaFraction - at * (1 - seaFraction);
+            addTick(this.geo.formatElevation(this.geo.toElevationUnits(this.tintStopHeight(at))), position, at === 0 ? 'sea-level' : '');
+        });
+    }
+    
+    // CONTOUR METHODS
+    
+    // Keeps the contours in step with the crust: traced from scratch for a new geometry
+    // (clipping, rebuilds) or when forced, otherwise only where vertices moved. Called
+    // every frame, cheap when nothing changed.
+    updateContours(rebuild = false) {
+        if (!this.contourSettings.enabled || !this.crust) {
+            if (this.contours) {
+                this.contours = null;
+                this.contourState = { geometry: null, version: -1 };
+                this.drawContours();
+            }
+            return;
+        }
+        
+        const geometry = this.crust.geometry;
+        const positions = geometry.attributes.position;
+        const { geometry: traced, version } = this.contourState;
+        if (!rebuild && this.contours && geometry === traced && positions.version === version) {
+            if (this.contourLabelsStale && !this.lastDab && !this.erosionJob) this.drawContours();
+            return;
+        }
+        
+        try {
+            if (rebuild || !this.contours || geometry !== traced) {
+                this.contours = new ContourSet(this.crustRadius, this.contourSceneInterval());
+                this.contours.rebuild(positions.array, geometry.index ? geometry.index.array : null);
+            } else {
+                this.contours.update(positions.array);
+            }
+        } catch (error) {
+            console.error('Failed to trace contours:', error);
+            this.showError(`Contours turned off: ${error.message}`);
+            this.contourSettings.enabled = false;
+            document.getElementById('contoursEnabled').checked = false;
+            this.contours = null;
+            this.drawContours();
+            return;
+        }
+        
+        this.contourState = { geometry, version: positions.version };
+        this.drawContours();
+    }
+    
+    drawContours() {
+        if (this.contourGroup) {
+            this.scene.remove(this.contourGroup);
+            this.contourGroup.traverse(object => {
+                if (object.geometry) object.geometry.dispose();
+                if (object.material) object.material.dispose();
+            });
+            this.contourGroup = null;
+        }
+        
+        const stats = document.getElementById('contourStats');
+        if (!this.contours) {
+            stats.textContent = '';
+            this.pruneContourLabelTextures();
+            return;
+        }
+        
+        this.contourGroup = new THREE.Group();
+        this.contourGroup.name = 'contours';
+        
+        // Lifted a little so the lines aren't buried in the terrain; major lines are brighter
+        const { major, minor } = this.contours.buildBuffers(this.contourSettings.majorEvery, 1.002);
+        [[major, 0.95], [minor, 0.4]].forEach(([points, opacity]) => {
+            if (points.length === 0) return;
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.BufferAttribute(points, 3));
+            const material = new THREE.LineBasicMaterial({ color: 0xffffff, transparent: true, opacity });
+            this.contourGroup.add(new THREE.LineSegments(geometry, material));
+        });
+        
+        if (this.contourSettings.labels) {
+            // Tracing the lines for labels is the slow part, so it waits for the edit to end
+            if (this.lastDab || this.erosionJob) {
+                this.contourLabelsStale = true;
+            } else {
+                this.addContourLabels();
+            }
+        } else {
+            this.pruneContourLabelTextures();
+        }
+        
+        this.contourGroup.traverse(object => {
+            object.raycast = () => {}; // Never in the way of terrain picking
+        });
+        this.scene.add(this.contourGroup);
+        stats.textContent = `${this.contours.segmentCount.toLocaleString()} segments`;
+    }
+    
+    // The settings keep the interval in the elevation unit, the tracer works in scene units
+    contourSceneInterval() {
+        return this.geo.fromElevationUnits(this.contourSettings.interval);
+    }
+    
+    // One label per major line, at its middle, skipping the shortest
+    addContourLabels() {
+        this.contourLabelsStale = false;
+        const maxLabels = 200;
+        const lines = this.contours.polylines()
+            .filter(line => isMajor(line.level, this.contourSettings.majorEvery) && line.points.length >= 8)
+            .sort((a, b) => b.points.length - a.points.length)
+            .slice(0, maxLabels);
+        
+        const texts = new Set();
+        lines.forEach(line => {
+            const text = this.geo.formatElevation(this.geo.toElevationUnits(line.height));
+            texts.add(text);
+            const texture = this.getContourLabelTexture(text);
+            const label = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, transparent: true }));
+            const [x, y, z] = line.points[Math.floor(line.points.length / 2)];
+            label.position.set(x, y, z).multiplyScalar(1.006);
+            label.scale.set(0.5 * texture.image.width / texture.image.height, 0.5, 1);
+            this.contourGroup.add(label);
+        });
+        this.pruneContourLabelTextures(texts);
+    }
+    
+    // Disposes cached label textures whose text isn't in `keep`. Interval, unit and
+    // exaggeration changes make new texts, so without this the cache only ever grows.
+    pruneContourLabelTextures(keep = new Set()) {
+        this.contourLabelTextures.forEach((texture, text) => {
+            if (keep.has(text)) return;
+            texture.dispose();
+            this.contourLabelTextures.delete(text);
+        });
+    }
+    
+    getContourLabelTexture(text) {
+        if (!this.contourLabelTextures.has(text)) {
+            const canvas = document.createElement('canvas');
+            const context = canvas.getContext('2d');
+            const font = '28px monospace';
+            context.font = font;
+            canvas.width = Math.ceil(context.measureText(text).width) + 12;
+            canvas.height = 36;
+            
+            context.font = font;
+            context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+            context.fillRect(0, 0, canvas.width, canvas.height);
+            context.fillStyle = '#ffffff';
+            context.textBaseline = 'middle';
+            context.fillText(text, 6, canvas.height / 2);
+            
+            const texture = new THREE.CanvasTexture(canvas);
+            texture.colorSpace = THREE.SRGBColorSpace;
+            this.contourLabelTextures.set(text, texture);
+        }
+        return this.contourLabelTextures.get(text);
+    }
+    
+    // Contours of the whole crust, behind any clipping, as LineStrings in lon/lat
+    exportContours() {
+        if (!this.crust) return;
+        
+        const interval = this.geo.formatElevation(this.contourSettings.interval);
+        const geometry = this.unclippedCrustGeometry();
+        const unit = ELEVATION_UNITS[this.geo.elevationUnit].label;
+        const lines = [];
+        
+        try {
+            const contours = new ContourSet(this.crustRadius, this.contourSceneInterval());
+            contours.rebuild(geometry.attributes.position.array, geometry.index ? geometry.index.array : null);
+            
+            contours.polylines().forEach(line => {
+                const path = line.points.map(([x, y, z]) => directionToLonLat(x, y, z));
+                const properties = {
+                    elevation: Number(this.geo.toElevationUnits(line.height).toPrecision(6)),
+                    unit,
+                    major: isMajor(line.level, this.contourSettings.majorEvery)
+                };
+                splitAtAntimeridian(path).forEach(piece => lines.push({ path: piece, properties }));
+            });
+        } catch (error) {
+            console.error('Failed to export contours:', error);
+            this.showError(`Contour export failed: ${error.message}`);
+            return;
+        }
+        
+        if (lines.length === 0) {
+            this.showError(`No contours to export at an interval of ${interval}, sculpt some terrain or lower the interval`);
+            return;
+        }
+        
+        const collection = buildGeoJSON({ lines });
+        downloadFile(JSON.stringify(collection), 'contours.geojson', 'application/geo+json');
+        console.log(`Contours exported: ${lines.length} line(s) every ${interval}`);
+    }
+    
+    // TERRAIN ANALYSIS METHODS
+    
+    setAnalysisMeasure(measure) {
+        this.analysisMeasure = measure;
+        if (measure === 'none') {
+            this.updateAnalysis();
+            return;
+        }
+        
+        // Switching between measures reuses the values, they're all computed together
+        if (this.analysis) {
+            if (!this.analysisRanges[measure]) this.fitAnalysisRange();
+            this.refreshAnalysisColours();
+        } else {
+            this.updateAnalysis(true);
+        }
+    }
+    
+    // Keeps the analysis in step with the crust: computed from scratch for a new geometry
+    // or when forced (scale changes), otherwise only around vertices that moved. Called
+    // every frame, cheap when nothing changed.
+    updateAnalysis(recompute = false) {
+        if (this.analysisMeasure === 'none' || !this.crust) {
+            if (this.analysis) {
+                this.analysis = null;
+                this.analysisState = { geometry: null, version: -1 };
+                this.applyLayerColours(this.getLayer('crust'));
+                this.updateCrustLegend();
+                this.updateAnalysisInputs();
+            }
+            return;
+        }
+        
+        const geometry = this.crust.geometry;
+        const positions = geometry.attributes.position;
+        const { geometry: analysed, version } = this.analysisState;
+        if (!recompute && this.analysis && geometry === analysed && positions.version === version) return;
+        
+        if (recompute || !this.analysis || geometry !== analysed) {
+            const start = performance.now();
+            this.analysis = new TerrainAnalysis(this.getCrustNeighbours(), {
+                horizontalScale: this.geo.horizontalMetresPerUnit,
+                verticalScale: this.geo.metresPerUnit
+            });
+            this.analysis.compute(positions.array);
+            this.analysisState = { geometry, version: positions.version };
+            console.log(`Terrain analysis: ${positions.count.toLocaleString()} vertices in ${(performance.now() - start).toFixed(0)} ms`);
+            
+            if (!this.analysisRanges[this.analysisMeasure]) this.fitAnalysisRange();
+            this.refreshAnalysisColours();
+            return;
+        }
+        
+        const vertices = this.analysis.update(positions.array);
+        this.analysisState = { geometry, version: positions.version };
+        this.colourCrustByAnalysis(geometry, vertices);
+    }
+    
+    // Writes colours for every vertex or only the listed ones. Undefined values (aspect
+    // on flat ground, say) are grey.
+    colourCrustByAnalysis(geometry, vertices = null) {
+        const positions = geometry.attributes.position;
+        let colors = geometry.attributes.color;
+        if (!colors || colors.count !== positions.count) {
+            colors = new THREE.BufferAttribute(new Float32Array(positions.count * 3), 3);
+            geometry.setAttribute('color', colors);
+        }
+        
+        const { colormap } = ANALYSIS_MEASURES[this.analysisMeasure];
+        const values = this.analysis.values[this.analysisMeasure];
+        const { min, max } = this.analysisRanges[this.analysisMeasure];
+        const color = new THREE.Color();
+        const colour = vertex => {
+            const value = values[vertex];
+            if (Number.isNaN(value)) {
+                color.setRGB(0.5, 0.5, 0.5);
+            } else {
+                sampleColormap(colormap, (value - min) / (max - min), color);
+            }
+            color.toArray(colors.array, vertex * 3);
+        };
+        
+        if (vertices) {
+            vertices.forEach(colour);
+        } else {
+            for (let vertex = 0; vertex < positions.count; vertex++) colour(vertex);
+        }
+        colors.needsUpdate = true;
+    }
+    
+    // Recolours the crust and legend after a measure or range change
+    refreshAnalysisColours() {
+        this.applyLayerColours(this.getLayer('crust'));
+        this.updateCrustLegend();
+        this.updateAnalysisInputs();
+    }
+    
+    // Measures with a fixed scale go back to it, curvatures are fitted to the values
+    fitAnalysisRange() {
+        const measure = this.analysisMeasure;
+        const { range } = ANALYSIS_MEASURES[measure];
+        this.analysisRanges[measure] = range ? { ...range } : this.analysis.fitRange(measure);
+    }
+    
+    updateAnalysisInputs() {
+        const range = this.analysis ? this.analysisRanges[this.analysisMeasure] : null;
+        ['analysisMin', 'analysisMax'].forEach(id => {
+            document.getElementById(id).disabled = !range;
+        });
+        document.getElementById('analysisFitRange').disabled = !range;
+        if (!range) return;
+        document.getElementById('analysisMin').value = Number(range.min.toPrecision(4));
+        document.getElementById('analysisMax').value = Number(range.max.toPrecision(4));
+    }
+    
+    formatAnalysisValue(value, measure = this.analysisMeasure) {
+        if (Number.isNaN(value)) return '—';
+        const { unit } = ANALYSIS_MEASURES[measure];
+        return unit === '°' ? `${value.toFixed(1)}°` : `${value.toPrecision(3)} ${unit}`;
+    }
+    
+    // The shown measure at a raycast hit on the crust, for the cursor readout. Values are
+    // interpolated across the hit triangle, except aspect, which wraps round at north and
+    // so takes the nearest corner's.
+    sampleAnalysis(intersection) {
+        if (!this.analysis || !intersection.face || this.analysisState.geometry !== this.terrain.geometry) return null;
+        
+        const positions = this.terrain.geometry.attributes.position;
+        const { a, b, c } = intersection.face;
+        const corners = [a, b, c].map(index => new THREE.Vector3().fromBufferAttribute(positions, index));
+        const local = this.terrain.worldToLocal(intersection.point.clone());
+        const weights = THREE.Triangle.getBarycoord(local, corners[0], corners[1], corners[2], new THREE.Vector3());
+        if (!weights) return null;
+        
+        const measure = this.analysisMeasure;
+        const values = this.analysis.values[measure];
+        const label = ANALYSIS_MEASURES[measure].label;
+        
+        if (measure === 'aspect') {
+            const nearest = [a, b, c][[weights.x, weights.y, weights.z].indexOf(Math.max(weights.x, weights.y, weights.z))];
+            const aspect = values[nearest];
+            if (Number.isNaN(aspect)) return `${label} flat`;
+            const compass = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'][Math.round(aspect / 45) % 8];
+            return `${label} ${this.formatAnalysisValue(aspect)} ${compass}`;
+        }
+        
+        // Corners without a value are left out and the others reweighted
+        let sum = 0, total = 0;
+        [[a, weights.x], [b, weights.y], [c, weights.z]].forEach(([vertex, weight]) => {
+            if (Number.isNaN(values[vertex])) return;
+            sum += values[vertex] * weight;
+            total += weight;
+        });
+        return `${label} ${this.formatAnalysisValue(total > 0 ? sum / total : NaN)}`;
+    }
+    
+    // PROFILE METHODS
+    
+    toggleProfileMode() {
+        this.isProfiling = !this.isProfiling;
+        if (this.isProfiling) {
+            if (this.isEditing) this.toggleEditMode();
+            if (this.isDrawingPolygon) this.togglePolygonMode();
+        }
+        
+        const button = document.getElementById('profileMode');
+        button.textContent = this.isProfiling ? 'Exit Profile' : 'Profile Mode';
+        button.style.background = this.isProfiling ? '#ff4444' : '#00ff88';
+        this.canvas.style.cursor = this.isProfiling ? 'crosshair' : 'grab';
+    }
+    
+    addProfilePoint() {
+        if (!this.terrain) return;
+        
+        this.raycaster.setFromCamera(this.mouse, this.camera);
+        const intersects = this.raycaster.intersectObject(this.terrain);
+        if (intersects.length === 0) return;
+        
+        const local = this.terrain.worldToLocal(intersects[0].point.clone()).normalize();
+        this.profilePoints.push({ x: local.x, y: local.y, z: local.z });
+        this.updateProfile();
+    }
+    
+    clearProfile() {
+        this.profilePoints = [];
+        this.updateProfile();
+    }
+    
+    // Samples the unclipped crust mesh along the path, so the profile runs on through
+    // clipped areas. Redraws the path, chart and stats.
+    updateProfile() {
+        this.profile = null;
+        this.profileHover = null;
+        
+        if (this.profilePoints.length >= 2 && this.crust) {
+            try {
+                const geometry = this.unclippedCrustGeometry();
+                const positions = geometry.attributes.position;
+                
+                // About two samples per mesh edge
+                const spacing = Math.sqrt(4 * Math.PI / positions.count);
+                const samples = greatCirclePath(this.profilePoints, spacing / 2);
+                const radii = sampleMeshRadii(positions.array, geometry.index ? geometry.index.array : null, samples.map(sample => sample.direction));
+                const rows = samples.map(({ direction, angle, point }, i) => {
+                    const radius = Number.isNaN(radii[i]) ? this.crustRadius : radii[i];
+                    const { lon, lat } = directionToLonLat(direction.x, direction.y, direction.z);
+                    return {
+                        direction,
+                        radius,
+                        point,
+                        lon,
+                        lat,
+                        distance: angle * this.geo.planetRadius,
+                        elevation: this.geo.toElevationUnits(radius - this.crustRadius)
+                    };
+                });
+                const stats = profileStats(rows.map(row => row.distance), rows.map(row => row.elevation));
+                this.profile = { rows, stats };
+                this.profileState = { geometry, version: positions.version };
+            } catch (error) {
+                console.error('Failed to build the profile:', error);
+                this.showError(error.message);
+                this.profilePoints.pop(); // The point that made the path impossible
+                this.updateProfile();
+                return;
+            }
+        }
+        
+        // Shown before drawing, the chart sizes itself to the panel
+        document.getElementById('profilePanel').hidden = !this.profile;
+        this.drawProfilePath();
+        this.drawProfileChart();
+        this.updateProfileStats();
+    }
+    
+    // Once a frame: samples the path again after anything changed the crust, waiting
+    // for strokes and erosion to finish
+    refreshProfile() {
+        if (!this.profile || this.lastDab || this.erosionJob) return;
+        
+        const { geometry, version } = this.profileState;
+        const current = this.unclippedCrustGeometry();
+        if (current !== geometry || current.attributes.position.version !== version) {
+            this.updateProfile();
+        }
+    }
+    
+    // The path draped over the crust, its picked points and, when enabled, the cut
+    // that shows the section beneath it
+    drawProfilePath() {
+        if (this.profileGroup) {
+            this.scene.remove(this.profileGroup);
+            this.profileGroup.traverse(object => {
+                if (object.geometry) object.geometry.dispose();
+                if (object.material) object.material.dispose();
+            });
+            this.profileGroup = null;
+            this.profileMarker = null;
+        }
+        if (this.profilePoints.length === 0) return;
+        
+        this.profileGroup = new THREE.Group();
+        this.profileGroup.name = 'profile';
+        
+        // Clicked points, also before the second one makes a path
+        this.profilePoints.forEach((point, index) => {
+            const radius = this.profile ? this.profile.rows.find(row => row.point === index).radius : this.crustRadius;
+            const marker = new THREE.Mesh(
+                new THREE.SphereGeometry(0.25, 12, 8),
+                new THREE.MeshBasicMaterial({ color: 0xffaa00 })
+            );
+            marker.position.set(point.x, point.y, point.z).multiplyScalar(radius * 1.002);
+            this.profileGroup.add(marker);
+        });
+        
+        if (this.profile) {
+            const { rows } = this.profile;
+            const line = new Float32Array(rows.length * 3);
+            rows.forEach(({ direction, radius }, i) => {
+                line.set([direction.x * radius * 1.002, direction.y * radius * 1.002, direction.z * radius * 1.002], i * 3);
+            });
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.BufferAttribute(line, 3));
+            this.profileGroup.add(new THREE.Line(geometry, new THREE.LineBasicMaterial({ color: 0xffaa00 })));
+            
+            this.profileMarker = new THREE.Mesh(
+                new THREE.SphereGeometry(0.35, 16, 12),
+                new THREE.MeshBasicMaterial({ color: 0xffffff })
+            );
+            this.profileMarker.visible = false;
+            this.profileGroup.add(this.profileMarker);
+        }
+        
+        this.scene.add(this.profileGroup);
+        this.buildProfileCut();
+    }
+    
+    // Opens every visible layer beside the path with the clipping machinery: a wedge
+    // from the centre through the path and the same points moved aside towards the
+    // camera, whose caps along the path are the section. The layers keep their meshes,
+    // cut copies (cutaways) stand in for them while rendering.
+    buildProfileCut() {
+        this.disposeProfileCut();
+        if (!this.profile || !this.profileSection) return;
+        
+        const outline = sectionCutOutline(this.profilePoints, this.camera.position, this.profileCutWidth);
+        const group = new THREE.Group();
+        group.name = 'profile cut';
+        this.scene.add(group);
+        this.profileCut = { polygon: new SphericalPolygon(outline), group, layers: {} };
+        this.refreshProfileCut();
+    }
+    
+    disposeProfileCut() {
+        if (!this.profileCut) return;
+        Object.values(this.profileCut.layers).forEach(cutaway => this.disposeProfileCutaway(cutaway));
+        this.scene.remove(this.profileCut.group);
+        this.profileCut = null;
+    }
+    
+    disposeProfileCutaway({ mesh, section }) {
+        if (!mesh) return;
+        this.profileCut.group.remove(mesh);
+        mesh.traverse(object => object.geometry.dispose());
+        if (section) section.material.dispose(); // The others belong to the layer
+    }
+    
+    // What a cutaway was cut from; any difference means it is out of date
+    profileCutSource(mesh) {
+        const { position, color } = mesh.geometry.attributes;
+        const cap = this.clippingCaps[mesh.uuid];
+        return {
+            mesh,
+            geometry: mesh.geometry,
+            version: position.version,
+            color: color || null,
+            colorVersion: color ? color.version : -1,
+            cap: cap ? cap.geometry : null
+        };
+    }
+    
+    // The layer's cutaway, when it is up to date with the layer (mesh is null for hidden layers)
+    currentProfileCutaway(layerId) {
+        const cutaway = this.profileCut && this.profileCut.layers[layerId];
+        const mesh = this.layerMeshes[layerId];
+        if (!cutaway || !mesh) return null;
+        
+        const source = this.profileCutSource(mesh);
+        return Object.keys(source).every(key => source[key] === cutaway.source[key]) ? cutaway : null;
+    }
+    
+    // Once a frame: cuts the layers that changed since (geometry, colours, visibility,
+    // clipping), waiting for strokes and erosion to finish like the profile
+    refreshProfileCut() {
+        const cut = this.profileCut;
+        if (!cut || this.lastDab || this.erosionJob) return;
+        
+        const layers = {};
+        this.layerStack.forEach(layer => {
+            const mesh = this.layerMeshes[layer.id];
+            if (!mesh) return;
+            
+            const current = this.currentProfileCutaway(layer.id);
+            if (current && Boolean(current.mesh) === mesh.visible) {
+                layers[layer.id] = current;
+                return;
+            }
+            if (cut.layers[layer.id]) this.disposeProfileCutaway(cut.layers[layer.id]);
+            layers[layer.id] = mesh.visible
+                ? this.cutLayerAlongProfile(layer, mesh)
+                : { mesh: null, section: null, source: this.profileCutSource(mesh) };
+        });
+        Object.keys(cut.layers).filter(id => !layers[id]).forEach(id => this.disposeProfileCutaway(cut.layers[id]));
+        cut.layers = layers;
+    }
+    
+    cutLayerAlongProfile(layer, source) {
+        const { polygon, group } = this.profileCut;
+        const flat = new THREE.Color(layer.color);
+        const { geometry, cap } = clipLayerGeometry(source.geometry, polygon, {
+            capInnerRadius: layer.innerRadius * this.layerScale,
+            capSteps: this.isVolumeColouring() ? this.volumeCapSteps : 1
+        });
+        
+        const mesh = new THREE.Mesh(geometry, source.material);
+        mesh.name = `${layer.name} cutaway`;
+        mesh.raycast = () => {}; // Picking still sees the layer itself
+        
+        // The layer's own clipping cap, cut the same way
+        const clippingCap = this.clippingCaps[source.uuid];
+        if (clippingCap) {
+            const piece = new THREE.Mesh(clipLayerGeometry(clippingCap.geometry, polygon).geometry, clippingCap.material);
+            piece.raycast = () => {};
+            mesh.add(piece);
+        }
+        
+        let section = null;
+        if (cap) {
+            const material = new THREE.MeshLambertMaterial({ color: flat, side: THREE.DoubleSide });
+            if (this.isVolumeColouring()) {
+                this.colourGeometryByVolume(cap, flat);
+                material.vertexColors = true;
+                material.color.set(0xffffff);
+            }
+            section = new THREE.Mesh(cap, material);
+            section.name = `${layer.name} section`;
+            section.raycast = () => {};
+            mesh.add(section);
+        }
+        
+        group.add(mesh);
+        return { mesh, section, source: this.profileCutSource(source) };
+    }
+    
+    // Whether the layer's cutaway stands in for it this frame
+    profileCutShown(layerId) {
+        const cutaway = this.profileCut && this.profileCut.layers[layerId];
+        return Boolean(cutaway && cutaway.mesh && cutaway.mesh.visible);
+    }
+    
+    // Flat section colours follow the layer's; volume colours make the layer re-cut anyway
+    recolourProfileSection(layer) {
+        const cutaway = this.profileCut && this.profileCut.layers[layer.id];
+        if (cutaway && cutaway.section && !cutaway.section.material.vertexColors) {
+            cutaway.section.material.color.set(layer.color);
+        }
+    }
+    
+    // Hides the layers whose cutaways are up to date and shows those instead, for one
+    // render. Returns the hidden layer meshes.
+    showProfileCut() {
+        const hidden = [];
+        if (!this.profileCut) return hidden;
+        
+        Object.entries(this.profileCut.layers).forEach(([id, cutaway]) => {
+            if (!cutaway.mesh) return;
+            const current = this.currentProfileCutaway(id) === cutaway && this.layerMeshes[id].visible;
+            cutaway.mesh.visible = current;
+            if (current) {
+                this.layerMeshes[id].visible = false;
+                hidden.push(this.layerMeshes[id]);
+            }
+        });
+        return hidden;
+    }
+    
+    updateProfileStats() {
+        const stats = document.getElementById('profileStats');
+        if (!this.profile) {
+            stats.textContent = '';
+            return;
+        }
+        
+        const { min, max, mean, length } = this.profile.stats;
+        const format = value => this.geo.formatElevation(value);
+        stats.textContent = `Length ${length.toLocaleString(undefined, { maximumFractionDigits: 1 })} km  ·  Min ${format(min)}  ·  Max ${format(max)}  ·  Mean ${format(mean)}`;
+    }
+    
+    // Distance against elevation, with the picked points, the mean and the hovered sample
+    drawProfileChart() {
+        const canvas = document.getElementById('profileChart');
+        const ratio = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth, height = canvas.clientHeight;
+        if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+            canvas.width = Math.round(width * ratio);
+            canvas.height = Math.round(height * ratio);
+        }
+        
+        const context = canvas.getContext('2d');
+        context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        context.clearRect(0, 0, width, height);
+        if (!this.profile) return;
+        
+        const { rows, stats } = this.profile;
+        const { left, right, top, bottom } = this.profileChartMargins;
+        const span = stats.max - stats.min || 1;
+        const low = stats.min - span * 0.05, high = stats.max + span * 0.05;
+        const x = distance => left + distance / (stats.length || 1) * (width - left - right);
+        const y = elevation => top + (high - elevation) / (high - low) * (height - top - bottom);
+        
+        // Ground under the profile, then its outline
+        context.beginPath();
+        context.moveTo(x(0), y(low));
+        rows.forEach(row => context.lineTo(x(row.distance), y(row.elevation)));
+        context.lineTo(x(stats.length), y(low));
+        context.closePath();
+        context.fillStyle = 'rgba(0, 255, 136, 0.15)';
+        context.fill();
+        
+        context.beginPath();
+        rows.forEach((row, i) => (i === 0 ? context.moveTo : context.lineTo).call(context, x(row.distance), y(row.elevation)));
+        context.strokeStyle = '#00ff88';
+        context.lineWidth = 1.5;
+        context.stroke();
+        
+        // Picked points along the way and the mean
+        context.lineWidth = 1;
+        context.setLineDash([3, 3]);
+        context.strokeStyle = 'rgba(255, 170, 0, 0.6)';
+        rows.forEach(row => {
+            if (row.point === null || row.point === 0 || row.point === this.profilePoints.length - 1) return;
+            context.beginPath();
+            context.moveTo(x(row.distance), top);
+            context.lineTo(x(row.distance), height - bottom);
+            context.stroke();
+        });
+        context.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+        context.beginPath();
+        context.moveTo(left, y(stats.mean));
+        context.lineTo(width - right, y(stats.mean));
+        context.stroke();
+        context.setLineDash([]);
+        
+        // Axis labels
+        context.fillStyle = '#aaa';
+        context.font = '10px monospace';
+        context.textAlign = 'right';
+        context.textBaseline = 'middle';
+        context.fillText(this.geo.formatElevation(stats.max), left - 4, y(stats.max));
+        context.fillText(this.geo.formatElevation(stats.min), left - 4, y(stats.min));
+        context.textBaseline = 'top';
+        context.textAlign = 'left';
+        context.fillText('0 km', left, height - bottom + 4);
+        context.textAlign = 'right';
+        context.fillText(`${stats.length.toLocaleString(undefined, { maximumFractionDigits: 1 })} km`, width - right, height - bottom + 4);
+        
+        if (this.profileHover === null) return;
+        
+        const row = rows[this.profileHover];
+        context.strokeStyle = '#ffffff';
+        context.beginPath();
+        context.moveTo(x(row.distance), top);
+        context.lineTo(x(row.distance), height - bottom);
+        context.stroke();
+        context.fillStyle = '#ffffff';
+        context.beginPath();
+        context.arc(x(row.distance), y(row.elevation), 3, 0, Math.PI * 2);
+        context.fill();
+        
+        // Readout on the side of the line with more room
+        const label = `${row.distance.toLocaleString(undefined, { maximumFractionDigits: 1 })} km  ${this.geo.formatElevation(row.elevation)}`;
+        const onRight = x(row.distance) < (left + width - right) / 2;
+        context.textAlign = onRight ? 'left' : 'right';
+        context.fillText(label, x(row.distance) + (onRight ? 6 : -6), top);
+    }
+    
+    // Moves the hover line to the pointer's distance on the chart and marks that spot
+    // on the globe; null hides both
+    hoverProfile(event) {
+        this.profileHover = null;
+        if (event && this.profile) {
+            const canvas = document.getElementById('profileChart');
+            const { rows, stats } = this.profile;
+            const { left, right } = this.profileChartMargins;
+            const bounds = canvas.getBoundingClientRect();
+            const fraction = (event.clientX - bounds.left - left) / (bounds.width - left - right);
+            const distance = Math.min(1, Math.max(0, fraction)) * stats.length;
+            
+            // Nearest sample by distance, rows are sorted along the path
+            let low = 0, high = rows.length - 1;
+            while (high - low > 1) {
+                const middle = (low + high) >> 1;
+                if (rows[middle].distance < distance) low = middle;
+                else high = middle;
+            }
+            this.profileHover = distance - rows[low].distance < rows[high].distance - distance ? low : high;
+        }
+        
+        if (this.profileMarker) {
+            const row = this.profileHover !== null ? this.profile.rows[this.profileHover] : null;
+            this.profileMarker.visible = Boolean(row);
+            if (row) this.profileMarker.position.set(row.direction.x, row.direction.y, row.direction.z).multiplyScalar(row.radius * 1.002);
+        }
+        this.drawProfileChart();
+    }
+    
+    exportProfile() {
+        if (!this.profile) {
+            this.showError('Click at least two points in Profile Mode first');
+            return;
+        }
+        
+        const csv = profileToCSV(this.profile.rows, this.geo.elevationUnit);
+        downloadFile(csv, 'profile.csv', 'text/csv');
+        console.log(`Profile exported: ${this.profile.rows.length} samples over ${this.profile.stats.length.toFixed(1)} km`);
+    }
+    
+    // VOLUME METHODS
+    
+    async importVolume(files) {
+        console.log('Loading volume...');
+        this.showLoading('Loading volume...');
+        
+        try {
+            this.volume = await readVolumeFiles(files);
+            const { lon, lat, depth } = this.volume.dimensions;
+            console.log(`Volume loaded: ${this.volume.variable} on ${lon}x${lat}x${depth} lon/lat/depth nodes, ${this.volume.min} to ${this.volume.max}`);
+            
+            this.autoVolumeRange();
+            this.updateVolumeInfo();
+            this.refreshVolumeColouring();
+        } catch (error) {
+            console.error('Failed to load volume:', error);
+            this.showError(`Volume import failed: ${error.message}`);
+        } finally {
+            this.hideLoading();
+        }
+    }
+    
+    clearVolume() {
+        if (!this.volume) return;
+        
+        this.volume = null;
+        this.updateVolumeInfo();
+        this.refreshVolumeColouring();
+        console.log('Volume cleared');
+    }
+    
+    isVolumeColouring() {
+        return Boolean(this.volume && this.volumeColouring);
+    }
+    
+    refreshVolumeColouring() {
+        // Clipped layers are cut again so their caps gain (or drop) the depth bands
+        [...this.clippedLayers].forEach(id => this.clipSphereWithPolygon(id));
+        this.applyAllLayerColours();
+    }
+    
+    autoVolumeRange() {
+        if (!this.volume) return;
+        
+        let { min, max } = this.volume;
+        
+        // Diverging colormaps are centred on zero
+        if (COLORMAPS[this.volumeColormap].diverging) {
+            max = Math.max(Math.abs(min), Math.abs(max));
+            min = -max;
+        }
+        if (max <= min) max = min + 1;
+        
+        this.volumeRange = { min, max };
+        document.getElementById('volumeMin').value = Number(min.toPrecision(4));
+        document.getElementById('volumeMax').value = Number(max.toPrecision(4));
+    }
+    
+    updateVolumeInfo() {
+        const info = document.getElementById('volumeInfo');
+        if (!this.volume) {
+            info.textContent = 'none loaded';
+            return;
+        }
+        
+        const { lon, lat, depth } = this.volume.dimensions;
+        const units = this.volume.units ? ` (${this.volume.units})` : '';
+        info.textContent = `${this.volume.variable}${units}, ${lon}×${lat}×${depth}`;
+    }
+    
+    updateVolumeColorbar() {
+        document.getElementById('volumeColorbar').style.background = colormapGradient(this.volumeColormap);
+    }
+    
+    // Volume value at a scene-space point, NaN where it has no data
+    sampleVolume(x, y, z) {
+        const { lon, lat } = directionToLonLat(x, y, z);
+        const planetRadius = this.layerStack[this.layerStack.length - 1].outerRadius;
+        const depth = planetRadius - Math.sqrt(x * x + y * y + z * z) / this.layerScale;
+        return this.volume.sample(lon, lat, depth);
+    }
+    
+    colourGeometryByVolume(geometry, fallback) {
+        const positions = geometry.attributes.position;
+        const colors = new Float32Array(positions.count * 3);
+        const color = new THREE.Color();
+        const { min, max } = this.volumeRange;
+        
+        for (let i = 0; i < positions.count; i++) {
+            const value = this.sampleVolume(positions.getX(i), positions.getY(i), positions.getZ(i));
+            if (Number.isNaN(value)) {
+                color.copy(fallback);
+            } else {
+                sampleColormap(this.volumeColormap, (value - min) / (max - min), color);
+            }
+            color.toArray(colors, i * 3);
+        }
+        
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    }
+    
+    // Flat layer colour, or volume colours per vertex with the layer colour where the
+    // volume has no data. The crust's surface is tinted by elevation instead (or keeps
+    // its colour) so the terrain stays readable; its cross-section is coloured like the
+    // others.
+    applyLayerColours(layer) {
+        const mesh = layer && this.layerMeshes[layer.id];
+        if (!mesh) return;
+        
+        const flat = new THREE.Color(layer.color);
+        const byVolume = this.isVolumeColouring() ? geometry => this.colourGeometryByVolume(geometry, flat) : null;
+        const targets = [];
+        
+        if (layer.id === 'crust') {
+            // An analysis overlay wins over the tint, but only once it covers this geometry
+            let colour = null;
+            if (this.analysis && this.analysisState.geometry === mesh.geometry) {
+                colour = geometry => this.colourCrustByAnalysis(geometry);
+            } else if (this.tintLookup) {
+                colour = geometry => this.colourCrustByElevation(geometry);
+            }
+            targets.push({ object: mesh, colour });
+            // LOD patches share the crust material, so they need colours exactly when it uses them
+            if (this.lod) this.lod.setPatchColours(this.tintPatchColours);
+        } else {
+            targets.push({ object: mesh, colour: byVolume });
+        }
+        const cap = this.clippingCaps[mesh.uuid];
+        if (cap) targets.push({ object: cap, colour: byVolume });
+        
+        targets.forEach(({ object, colour }) => {
+            const coloured = Boolean(colour);
+            if (coloured) {
+                colour(object.geometry);
+            } else if (object.geometry.attributes.color) {
+                object.geometry.deleteAttribute('color');
+            }
+            
+            if (object.material.vertexColors !== coloured) {
+                object.material.vertexColors = coloured;
+                object.material.needsUpdate = true;
             }
+            object.material.color.set(coloured ? 0xffffff : flat);
+        });
+    }
+    
+    applyAllLayerColours() {
+        this.layerStack.forEach(layer => this.applyLayerColours(layer));
+    }
+    
+    // HISTORY METHODS
+    
+    beginTerrainEdit(label) {
+        if (!this.crust) return;
+        
+        // Finish anything still open (e.g. a stroke released outside the canvas)
+        if (this.pendingTerrainEdit) {
+            this.commitTerrainEdit();
         }
+        
+        this.pendingTerrainEdit = {
+            label,
+            geometry: this.crust.geometry,
+            version: this.crust.geometry.attributes.position.version,
+            before: snapshotPositions(this.crust.geometry.attributes.position.array)
+        };
+        if (this.heightStore) this.heightStore.beginEdit();
+    }
     
-    applyPolygonEdit() {
-        if (this.polygonPoints.length < 3) {
-            console.log('Need at least 3 points for polygon');
-            return;
+    commitTerrainEdit() {
+        const pending = this.pendingTerrainEdit;
+        this.pendingTerrainEdit = null;
+        
+        // Brushes wrote the store themselves, tools only moved the mesh
+        const store = this.heightStore;
+        const texels = store ? store.endEdit() : null;
+        if (!pending || pending.geometry !== this.crust.geometry) return;
+        
+        const delta = diffPositions(pending.before, pending.geometry.attributes.position.array);
+        if (!delta) return;
+        this.updateCrustIndex(pending.geometry, delta.indices);
+        if (!texels) this.syncHeightStore(pending.geometry, delta.indices);
+        
+        // One-shot edits (smoothing, polygons, imports) moved exactly the delta's vertices
+        if (pending.geometry.attributes.position.version === pending.version + 1) {
+            this.noteTintedVertices(pending.geometry, delta.indices);
         }
         
-        console.log(`Applying ${this.polygonMode} to polygon with ${this.polygonPoints.length} points`);
+        this.history.push({
+            label: pending.label,
+            bytes: delta.bytes,
+            undo: () => this.applyTerrainDelta(delta, delta.before, texels && { store, indices: texels.indices, values: texels.before, cap: texels.cap }),
+            redo: () => this.applyTerrainDelta(delta, delta.after, texels && { store, indices: texels.indices, values: texels.after, cap: texels.cap })
+        });
         
-        // Get all vertices
-        const vertices = this.terrain.geometry.attributes.position.array;
-        let edited = false;
-        let verticesInPolygon = 0;
+        console.log(`History: ${pending.label} (${delta.indices.length.toLocaleString()} vertices)`);
+    }
+    
+    // texels: the store's own values for the same edit, { store, indices, values, cap }
+    applyTerrainDelta(delta, values, texels = null) {
+        // The delta may belong to the clipped crust or to the unclipped original behind it
+        const original = this.originalGeometries[this.crust.uuid];
+        const candidates = [this.crust.geometry, this.clippedLayers.has('crust') ? original : null];
+        const geometry = candidates.find(candidate => candidate && candidate.attributes.position.count === delta.vertexCount);
         
-        // Check each vertex if it's inside the polygon
-        for (let i = 0; i < vertices.length; i += 3) {
-            const vertex = new THREE.Vector3(vertices[i], vertices[i + 1], vertices[i + 2]);
-            
-            if (this.isPointInPolygon(vertex, this.polygonPoints)) {
-                verticesInPolygon++;
-                
-                // Apply transformation
-                const normal = vertex.clone().normalize();
-                const change = this.intensity;
-                
-                if (this.polygonMode === 'extrude') {
-                    vertex.add(normal.multiplyScalar(change));
-                } else if (this.polygonMode === 'compress') {
-                    vertex.add(normal.multiplyScalar(-change));
-                }
-                
-                // Update vertex
-                vertices[i] = vertex.x;
-                vertices[i + 1] = vertex.y;
-                vertices[i + 2] = vertex.z;
-                edited = true;
+        if (!geometry) {
+            console.warn('Terrain edit no longer matches the crust mesh (resolution changed?), skipping');
+            return;
+        }
+        
+        const positions = geometry.attributes.position;
+        applyPositions(positions.array, delta.indices, values);
+        positions.needsUpdate = true;
+        this.noteTintedVertices(geometry, delta.indices);
+        this.updateCrustIndex(geometry, delta.indices);
+        if (texels && texels.store === this.heightStore) {
+            this.noteHeightStoreChange(texels.store.setTexels(texels.indices, texels.values, texels.cap));
+        } else {
+            this.syncHeightStore(geometry, delta.indices);
+        }
+        geometry.computeVertexNormals();
+        geometry.computeBoundingSphere();
+        
+        // Edited behind the clipping, so re-cut the visible mesh
+        if (geometry !== this.crust.geometry) {
+            this.clipSphereWithPolygon('crust');
+        }
+    }
+    
+    captureClipState() {
+        return {
+            realtime: this.realtimeClipping,
+            direction: this.clippingDirection,
+            layers: Object.fromEntries(this.layerStack.map(layer => [layer.id, this.isLayerSelectedForClipping(layer.id)])),
+            clipped: [...this.clippedLayers],
+            polygon: {
+                axis: this.polygonAxis,
+                position: this.polygonPosition,
+                rotationAxis: this.polygonRotationAxis,
+                rotation: this.polygonRotation,
+                width: this.polygonWidth,
+                height: this.polygonHeight,
+                outline: this.clippingOutline ? this.clippingOutline.map(point => point.toArray()) : null
             }
+        };
+    }
+    
+    commitClipChange(label) {
+        const before = this.lastClipState;
+        const after = this.captureClipState();
+        if (!before || JSON.stringify(before) === JSON.stringify(after)) return;
+        
+        this.history.push({
+            label,
+            bytes: JSON.stringify(after).length * 2,
+            undo: () => this.applyClipState(before),
+            redo: () => this.applyClipState(after)
+        });
+        this.lastClipState = after;
+    }
+    
+    applyClipState(state) {
+        // Settings and their controls
+        this.realtimeClipping = state.realtime;
+        this.clippingDirection = state.direction;
+        this.polygonAxis = state.polygon.axis;
+        this.polygonPosition = state.polygon.position;
+        this.polygonRotationAxis = state.polygon.rotationAxis;
+        this.polygonRotation = state.polygon.rotation;
+        this.polygonWidth = state.polygon.width;
+        this.polygonHeight = state.polygon.height;
+        this.clippingOutline = state.polygon.outline ? state.polygon.outline.map(point => new THREE.Vector3().fromArray(point)) : null;
+        
+        document.getElementById('realtimeClippingToggle').checked = state.realtime;
+        document.getElementById('clippingDirection').value = state.direction;
+        Object.entries(state.layers).forEach(([id, selected]) => {
+            const checkbox = document.querySelector(`[data-clip-layer="${id}"]`);
+            if (checkbox) checkbox.checked = selected;
+        });
+        document.getElementById('polygonAxis').value = state.polygon.axis;
+        document.getElementById('polygonPosition').value = state.polygon.position;
+        document.getElementById('polygonPositionValue').textContent = state.polygon.position;
+        document.getElementById('polygonRotationAxis').value = state.polygon.rotationAxis;
+        document.getElementById('polygonRotation').value = state.polygon.rotation;
+        document.getElementById('polygonRotationValue').textContent = state.polygon.rotation + '°';
+        document.getElementById('polygonWidth').value = state.polygon.width;
+        document.getElementById('polygonWidthValue').textContent = state.polygon.width;
+        document.getElementById('polygonHeight').value = state.polygon.height;
+        document.getElementById('polygonHeightValue').textContent = state.polygon.height;
+        
+        // Rebuild the polygon, then cut exactly the layers that were clipped
+        this.restoreAllLayers();
+        this.recreatePolygon();
+        this.applyPolygonPlacement();
+        this.updatePolygonVisuals();
+        state.clipped.filter(id => this.layerMeshes[id]).forEach(id => this.clipSphereWithPolygon(id));
+        
+        this.lastClipState = state;
+    }
+    
+    undo() {
+        // Let a running erosion finish or be cancelled first, it owns the open edit
+        if (this.erosionJob) return;
+        
+        if (this.pendingTerrainEdit) {
+            this.commitTerrainEdit();
         }
         
-        if (edited) {
-            this.terrain.geometry.attributes.position.needsUpdate = true;
-            this.terrain.geometry.computeVertexNormals();
-            console.log(`Polygon edit applied: ${verticesInPolygon} vertices affected`);
+        const entry = this.history.undo();
+        if (entry) {
+            console.log(`Undo: ${entry.label}`);
         }
+    }
+    
+    redo() {
+        if (this.erosionJob) return;
         
-        // Clear polygon
-        this.clearPolygon();
-        this.polygonPoints = [];
+        const entry = this.history.redo();
+        if (entry) {
+            console.log(`Redo: ${entry.label}`);
+        }
     }
     
-    isPointInPolygon(point, polygon) {
-        // Simple point-in-polygon test using ray casting
-        // This is a simplified version - for production, use proper 3D point-in-polygon
-        const x = point.x, y = point.y, z = point.z;
-        let inside = false;
+    // Undoes or redoes up to a row of the history list, 0 being the initial state
+    goToHistory(position) {
+        if (this.erosionJob) return;
         
-        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
-            const xi = polygon[i].x, yi = polygon[i].y, zi = polygon[i].z;
-            const xj = polygon[j].x, yj = polygon[j].y, zj = polygon[j].z;
-            
-            if (((yi > y) !== (yj > y)) && (x < (xj - xi) * (y - yi) / (yj - yi) + xi)) {
-                inside = !inside;
-            }
+        if (this.pendingTerrainEdit) {
+            this.commitTerrainEdit();
         }
         
-        return inside;
+        this.history.goTo(position);
+        const index = this.history.index;
+        console.log(`History: ${index === 0 ? 'Initial state' : this.history.entries[index - 1].label}`);
+    }
+    
+    updateHistoryList() {
+        const list = document.getElementById('historyList');
+        if (!list) return;
+        
+        list.innerHTML = '';
+        
+        // First row is the state before any recorded operation
+        const rows = [{ label: 'Initial state' }, ...this.history.entries];
+        rows.forEach((entry, position) => {
+            const item = document.createElement('li');
+            item.textContent = entry.label;
+            item.classList.toggle('current', position === this.history.index);
+            item.classList.toggle('undone', position > this.history.index);
+            item.addEventListener('click', () => this.goToHistory(position));
+            list.appendChild(item);
+        });
+        
+        list.scrollTop = list.scrollHeight;
+        
+        const usedMegabytes = this.history.totalBytes / (1024 * 1024);
+        const maxMegabytes = this.history.maxBytes / (1024 * 1024);
+        document.getElementById('historyMemory').textContent = `${usedMegabytes.toFixed(1)} / ${maxMegabytes} MB`;
+        document.getElementById('undoBtn').disabled = !this.history.canUndo;
+        document.getElementById('redoBtn').disabled = !this.history.canRedo;
     }
     
     animate() {
         requestAnimationFrame(() => this.animate());
         
         this.controls.update();
+        this.refreshElevationTint();
+        this.updateContours();
+        this.updateAnalysis();
+        this.refreshProfile();
+        this.refreshProfileCut();
+        
+        // renderAsync walks the scene before it returns, so the crust and the layers
+        // behind the profile cut can be shown again straight after
+        const cutAway = this.showProfileCut();
+        const lodShown = this.prepareLodCrust();
             this.renderer.renderAsync(this.scene, this.camera);
+        if (lodShown) this.crust.visible = true;
+        cutAway.forEach(mesh => { mesh.visible = true; });
         }
         
         // CLIPPING SYSTEM METHODS
@@ -1377,79 +4558,65 @@ class WebGPUGlobe {
             console.log(`Applying material clipping to ${targetLayer}...`);
             
             // Get the target layer
-            let targetMesh = null;
-            switch(targetLayer) {
-                case 'crust': targetMesh = this.crust; break;
-                case 'mantle': targetMesh = this.mantle; break;
-                case 'core': targetMesh = this.core; break;
-                default: console.log('Invalid layer'); return;
-            }
-            
+            const targetMesh = this.layerMeshes[targetLayer];
             if (!targetMesh) {
                 console.log(`${targetLayer} layer not found`);
                 return;
             }
             
-            // Create clipping plane from polygon
-            const clippingPlane = this.calculateClippingPlane();
-            if (!clippingPlane) {
-                console.log('Failed to calculate clipping plane');
+            // Footprint of the polygon seen from the globe centre
+            const region = this.calculateClippingRegion(targetMesh);
+            if (!region) {
+                console.log('Failed to calculate clipping region');
                 return;
             }
+            region.capInnerRadius = this.getCapInnerRadius(targetLayer);
             
             // Apply material clipping
-            this.applyMaterialClipping(targetMesh, clippingPlane);
+            this.applyMaterialClipping(targetMesh, region);
+            this.clippedLayers.add(targetLayer);
             
             console.log(`${targetLayer} material clipping applied successfully`);
         }
         
-        calculateClippingPlane() {
+        calculateClippingRegion(mesh) {
             if (this.clippingPolygon.length < 3) return null;
             
-            // Calculate normal vector from first 3 points
-            const p0 = this.clippingPolygon[0];
-            const p1 = this.clippingPolygon[1];
-            const p2 = this.clippingPolygon[2];
-            
-            // Two vectors in the plane
-            const v1 = p1.clone().sub(p0);
-            const v2 = p2.clone().sub(p0);
-            
-            // Normal vector (cross product)
-            const normal = v1.clone().cross(v2).normalize();
-            
-            // Plane equation: ax + by + cz + d = 0
-            // where (a,b,c) is normal and d = -normal.dot(point)
-            const d = -normal.dot(p0);
+            // The clipping volume is the cone from the globe centre through the outline,
+            // so only the direction of each point matters
+            const points = this.clippingPolygon.map(point => mesh.worldToLocal(point.clone()));
+            if (points.some(point => point.lengthSq() < 1e-12)) return null;
+            
+            const polygon = new SphericalPolygon(points);
+            if (!polygon.centroid) return null;
+            
+            // One plane through the centre per edge, normals facing into the cone.
+            // Material clipping intersects these, which is exact for convex outlines only.
+            const centroid = new THREE.Vector3(polygon.centroid.x, polygon.centroid.y, polygon.centroid.z);
+            const planes = points.map((point, i) => {
+                const normal = point.clone().cross(points[(i + 1) % points.length]).normalize();
+                if (normal.dot(centroid) < 0) normal.negate();
+                return { normal, d: 0 };
+            });
             
-            return { normal, d };
+            return { polygon, planes };
         }
         
-        applyMaterialClipping(mesh, clippingPlane) {
+        applyMaterialClipping(mesh, region) {
             // Check if WebGPU supports clipping planes
             if (this.renderer.isWebGPURenderer) {
                 console.log('WebGPU detected - using custom clipping approach');
-                this.applyWebGPUClipping(mesh, clippingPlane);
+                this.applyWebGPUClipping(mesh, region);
                 return;
             }
             
-            // Create Three.js clipping plane
-            const plane = new THREE.Plane(
-                clippingPlane.normal.clone(),
-                clippingPlane.d
-            );
-            
             // Store clipping plane for this mesh
             if (!this.clippingPlanes[mesh.uuid]) {
                 this.clippingPlanes[mesh.uuid] = [];
             }
             
-            // Add clipping plane to material
-            if (mesh.material.clippingPlanes) {
-                mesh.material.clippingPlanes.push(plane);
-            } else {
-                mesh.material.clippingPlanes = [plane];
-            }
+            // Replace the material's planes with the cone's sides
+            mesh.material.clippingPlanes = this.createMaterialClippingPlanes(region);
             
             // Enable clipping on material
             mesh.material.clipIntersection = this.clippingDirection === 'inside';
@@ -1458,7 +4625,14 @@ class WebGPUGlobe {
             console.log(`Material clipping applied to ${mesh.uuid}`);
         }
         
-        applyWebGPUClipping(mesh, clippingPlane) {
+        createMaterialClippingPlanes(region) {
+            // Three.js discards the negative side: keep the cone for 'outside', and for
+            // 'inside' flip the planes so clipIntersection discards only the cone itself
+            const sign = this.clippingDirection === 'inside' ? -1 : 1;
+            return region.planes.map(plane => new THREE.Plane(plane.normal.clone().multiplyScalar(sign), plane.d));
+        }
+        
+        applyWebGPUClipping(mesh, region) {
             // For WebGPU, we'll use a different approach
             // Store the clipping plane data for custom shader or geometry manipulation
             if (!this.clippingPlanes[mesh.uuid]) {
@@ -1466,18 +4640,18 @@ class WebGPUGlobe {
             }
             
             // Store clipping plane data
-            this.clippingPlanes[mesh.uuid].push({
-                normal: clippingPlane.normal.clone(),
-                d: clippingPlane.d,
+            this.clippingPlanes[mesh.uuid] = region.planes.map(plane => ({
+                normal: plane.normal.clone(),
+                d: plane.d,
                 direction: this.clippingDirection
-            });
+            }));
             
             // For now, let's use the original destructive approach as fallback
             console.log('WebGPU fallback: Using geometry clipping');
-            this.applyGeometryClipping(mesh, clippingPlane);
+            this.applyGeometryClipping(mesh, region.polygon, region.capInnerRadius);
         }
         
-        applyGeometryClipping(mesh, clippingPlane) {
+        applyGeometryClipping(mesh, polygon, capInnerRadius = 0) {
             // Store original geometry if not already stored
             const meshId = mesh.uuid;
             if (!this.originalGeometries[meshId]) {
@@ -1486,83 +4660,84 @@ class WebGPUGlobe {
             }
             
             const originalGeometry = this.originalGeometries[meshId];
-            const positions = originalGeometry.attributes.position.array;
-            const indices = originalGeometry.index ? originalGeometry.index.array : null;
-            
-            // Create visibility array to track which vertices are visible
-            const vertexVisibility = new Array(positions.length / 3).fill(false);
             
-            // Test each vertex against clipping plane
-            for (let i = 0; i < positions.length; i += 3) {
-                const vertex = new THREE.Vector3(positions[i], positions[i + 1], positions[i + 2]);
-                const distance = clippingPlane.normal.dot(vertex) + clippingPlane.d;
-                
-                // Mark vertices as visible based on clipping direction
-                const shouldShow = this.clippingDirection === 'outside' ? distance > 0 : distance < 0;
-                vertexVisibility[i / 3] = shouldShow;
-            }
+            // Strokes on the previous cut are lost with it, so the store forgets them too
+            if (mesh === this.crust && this.heightStoreAhead) this.resetHeightStore();
             
-            // Create new positions array with only visible vertices
-            const newPositions = [];
-            const vertexMap = new Map();
-            let newVertexIndex = 0;
+            // 'inside' cuts away the footprint, 'outside' keeps only the footprint
+            const keepInside = this.clippingDirection === 'outside';
+            const { geometry: newGeometry, cap } = clipLayerGeometry(originalGeometry, polygon, {
+                keepInside,
+                capInnerRadius,
+                capSteps: this.isVolumeColouring() ? this.volumeCapSteps : 1
+            });
+            this.clippingRegions[meshId] = { polygon, keepInside };
             
-            for (let i = 0; i < positions.length; i += 3) {
-                if (vertexVisibility[i / 3]) {
-                    newPositions.push(positions[i], positions[i + 1], positions[i + 2]);
-                    vertexMap.set(i / 3, newVertexIndex);
-                    newVertexIndex++;
-                }
-            }
+            // Replace geometry
+            mesh.geometry.dispose();
+            mesh.geometry = newGeometry;
             
-            // Create new indices array with only visible triangles
-            const newIndices = [];
-            if (indices) {
-                for (let i = 0; i < indices.length; i += 3) {
-                    const a = indices[i];
-                    const b = indices[i + 1];
-                    const c = indices[i + 2];
-                    
-                    // Only keep triangles where all 3 vertices are visible
-                    if (vertexVisibility[a] && vertexVisibility[b] && vertexVisibility[c]) {
-                        newIndices.push(vertexMap.get(a), vertexMap.get(b), vertexMap.get(c));
-                    }
-                }
-            }
+            this.updateClippingCap(mesh, cap);
+            const layer = this.getLayerOfMesh(mesh);
+            if (layer) this.applyLayerColours(layer);
             
-            // Create new geometry with only visible vertices
-            const newGeometry = new THREE.BufferGeometry();
-            newGeometry.setAttribute('position', new THREE.Float32BufferAttribute(newPositions, 3));
+            console.log(`Exact clipping: ${originalGeometry.attributes.position.count} total -> ${newGeometry.attributes.position.count} vertices, ${cap ? cap.attributes.position.count / 3 : 0} cap triangles`);
+        }
+        
+        updateClippingCap(mesh, capGeometry) {
+            // The cap is a child of its layer so it shows, hides and exports with it
+            let cap = this.clippingCaps[mesh.uuid];
             
-            if (newIndices.length > 0) {
-                newGeometry.setIndex(newIndices);
+            if (!capGeometry) {
+                this.removeClippingCap(mesh);
+                return;
             }
             
-            newGeometry.computeVertexNormals();
-            
-            // Replace geometry
-            mesh.geometry.dispose();
-            mesh.geometry = newGeometry;
+            if (!cap) {
+                const material = new THREE.MeshLambertMaterial({
+                    color: mesh.material.color.clone(),
+                    side: THREE.DoubleSide
+                });
+                cap = new THREE.Mesh(capGeometry, material);
+                cap.name = 'ClippingCap';
+                cap.raycast = () => {}; // Brushes and polygon picking only see the surface
+                mesh.add(cap);
+                this.clippingCaps[mesh.uuid] = cap;
+                return;
+            }
             
-            console.log(`Soft clipping: ${positions.length/3} total -> ${newPositions.length/3} visible vertices`);
+            cap.geometry.dispose();
+            cap.geometry = capGeometry;
+        }
+        
+        removeClippingCap(mesh) {
+            const cap = this.clippingCaps[mesh.uuid];
+            if (!cap) return;
+            
+            mesh.remove(cap);
+            cap.geometry.dispose();
+            cap.material.dispose();
+            delete this.clippingCaps[mesh.uuid];
+        }
+        
+        getCapInnerRadius(targetLayer) {
+            // Each layer's cap is a ring down to its inner radius; the innermost one's is a full disc
+            const layer = this.getLayer(targetLayer);
+            return layer ? layer.innerRadius * this.layerScale : 0;
         }
         
         restoreOriginalGeometry(targetLayer) {
-            let targetMesh = null;
-            switch(targetLayer) {
-                case 'crust': targetMesh = this.crust; break;
-                case 'mantle': targetMesh = this.mantle; break;
-                case 'core': targetMesh = this.core; break;
-                default: console.log('Invalid layer'); return;
-            }
-            
+            const targetMesh = this.layerMeshes[targetLayer];
             if (targetMesh) {
                 if (this.renderer.isWebGPURenderer) {
                     // For WebGPU, restore original geometry using mesh UUID
                     const meshId = targetMesh.uuid;
                     if (this.originalGeometries[meshId]) {
+                        if (targetMesh === this.crust && this.heightStoreAhead) this.resetHeightStore();
                         targetMesh.geometry.dispose();
                         targetMesh.geometry = this.originalGeometries[meshId].clone();
+                        this.removeClippingCap(targetMesh);
+                        this.applyLayerColours(this.getLayer(targetLayer));
                         console.log(`Restored original geometry for ${targetLayer} (${meshId})`);
                     } else {
                         console.log(`No original geometry found for ${targetLayer} (${meshId})`);
@@ -1579,6 +4754,8 @@ class WebGPUGlobe {
                 if (this.clippingPlanes[targetMesh.uuid]) {
                     delete this.clippingPlanes[targetMesh.uuid];
                 }
+                delete this.clippingRegions[targetMesh.uuid];
+                this.clippedLayers.delete(targetLayer);
                 
                 console.log(`Restored clipping for ${targetLayer}`);
             }
@@ -1589,32 +4766,20 @@ class WebGPUGlobe {
             
             // For WebGPU, we need to re-apply geometry clipping
             if (this.renderer.isWebGPURenderer) {
-                // Check which layers are selected for clipping
-                const crustSelected = document.getElementById('clipCrust').checked;
-                const mantleSelected = document.getElementById('clipMantle').checked;
-                const coreSelected = document.getElementById('clipCore').checked;
-                
                 // Re-apply clipping to selected layers
-                if (crustSelected && this.crust && this.crust.visible) {
-                    this.clipSphereWithPolygon('crust');
-                }
-                if (mantleSelected && this.mantle && this.mantle.visible) {
-                    this.clipSphereWithPolygon('mantle');
-                }
-                if (coreSelected && this.core && this.core.visible) {
-                    this.clipSphereWithPolygon('core');
-                }
+                this.layerStack.forEach(layer => {
+                    const mesh = this.layerMeshes[layer.id];
+                    if (this.isLayerSelectedForClipping(layer.id) && mesh.visible) {
+                        this.clipSphereWithPolygon(layer.id);
+                    }
+                });
             } else {
                 // For WebGL, use material clipping updates
-                if (this.crust && this.crust.visible) {
-                    this.updateMaterialClipping('crust');
-                }
-                if (this.mantle && this.mantle.visible) {
-                    this.updateMaterialClipping('mantle');
-                }
-                if (this.core && this.core.visible) {
-                    this.updateMaterialClipping('core');
-                }
+                this.layerStack.forEach(layer => {
+                    if (this.layerMeshes[layer.id].visible) {
+                        this.updateMaterialClipping(layer.id);
+                    }
+                });
             }
         }
         
@@ -1622,20 +4787,14 @@ class WebGPUGlobe {
             console.log('Re-applying clipping with new direction...');
             
             // First restore all layers to original state
-            this.restoreOriginalGeometry('crust');
-            this.restoreOriginalGeometry('mantle');
-            this.restoreOriginalGeometry('core');
+            this.restoreAllLayers();
             
             // Then re-apply clipping with new direction
-            if (this.crust && this.crust.visible) {
-                this.clipSphereWithPolygon('crust');
-            }
-            if (this.mantle && this.mantle.visible) {
-                this.clipSphereWithPolygon('mantle');
-            }
-            if (this.core && this.core.visible) {
-                this.clipSphereWithPolygon('core');
-            }
+            this.layerStack.forEach(layer => {
+                if (this.layerMeshes[layer.id].visible) {
+                    this.clipSphereWithPolygon(layer.id);
+                }
+            });
             
             console.log('Clipping re-applied with new direction');
         }
@@ -1647,42 +4806,22 @@ class WebGPUGlobe {
             }
             
             // Get the target layer
-            let targetMesh = null;
-            switch(targetLayer) {
-                case 'crust': targetMesh = this.crust; break;
-                case 'mantle': targetMesh = this.mantle; break;
-                case 'core': targetMesh = this.core; break;
-                default: console.log('Invalid layer'); return;
-            }
-            
+            const targetMesh = this.layerMeshes[targetLayer];
             if (!targetMesh) {
                 console.log(`${targetLayer} layer not found`);
                 return;
             }
             
-            // Create new clipping plane from current polygon position
-            const clippingPlane = this.calculateClippingPlane();
-            if (!clippingPlane) {
-                console.log('Failed to calculate clipping plane');
+            // Rebuild the cone's planes from the current polygon position
+            const region = this.calculateClippingRegion(targetMesh);
+            if (!region) {
+                console.log('Failed to calculate clipping region');
                 return;
             }
             
-            // Update existing clipping plane or create new one
-            if (targetMesh.material.clippingPlanes && targetMesh.material.clippingPlanes.length > 0) {
-                // Update existing plane
-                const plane = targetMesh.material.clippingPlanes[0];
-                plane.normal.copy(clippingPlane.normal);
-                plane.constant = clippingPlane.d;
-            } else {
-                // Create new plane
-                const plane = new THREE.Plane(
-                    clippingPlane.normal.clone(),
-                    clippingPlane.d
-                );
-                targetMesh.material.clippingPlanes = [plane];
-                targetMesh.material.clipIntersection = this.clippingDirection === 'inside';
-            }
-            
+            // The number of planes follows the outline, so replace rather than update them
+            targetMesh.material.clippingPlanes = this.createMaterialClippingPlanes(region);
+            targetMesh.material.clipIntersection = this.clippingDirection === 'inside';
             targetMesh.material.needsUpdate = true;
         }
         
@@ -1695,37 +4834,7 @@ class WebGPUGlobe {
             console.log(`Moving polygon along ${this.polygonAxis} axis by ${this.polygonPosition}`);
             
             // Update polygon points based on axis and position
-            this.clippingPolygon.forEach((point, index) => {
-                const originalPoint = this.originalPolygonPoints[index];
-                
-                // Reset to original position
-                point.copy(originalPoint);
-                
-                // Apply rotation first (if any)
-                if (this.polygonRotation !== 0) {
-                    const rotationMatrix = new THREE.Matrix4();
-                    const rotationRadians = (this.polygonRotation * Math.PI) / 180;
-                    
-                    if (this.polygonRotationAxis === 'x') {
-                        rotationMatrix.makeRotationX(rotationRadians);
-                    } else if (this.polygonRotationAxis === 'y') {
-                        rotationMatrix.makeRotationY(rotationRadians);
-                    } else if (this.polygonRotationAxis === 'z') {
-                        rotationMatrix.makeRotationZ(rotationRadians);
-                    }
-                    
-                    point.applyMatrix4(rotationMatrix);
-                }
-                
-                // Then apply movement along selected axis
-                if (this.polygonAxis === 'x') {
-                    point.x += this.polygonPosition;
-                } else if (this.polygonAxis === 'y') {
-                    point.y += this.polygonPosition;
-                } else if (this.polygonAxis === 'z') {
-                    point.z += this.polygonPosition;
-                }
-            });
+            this.applyPolygonPlacement();
             
             // Update visual polygon (cylinders and fill)
             this.updatePolygonVisuals();
@@ -1739,6 +4848,33 @@ class WebGPUGlobe {
             }
         }
         
+        applyPolygonPlacement() {
+            // Reset each point, rotate it, then move it along the selected axis
+            const rotationMatrix = new THREE.Matrix4();
+            const rotationRadians = (this.polygonRotation * Math.PI) / 180;
+            
+            if (this.polygonRotationAxis === 'x') {
+                rotationMatrix.makeRotationX(rotationRadians);
+            } else if (this.polygonRotationAxis === 'y') {
+                rotationMatrix.makeRotationY(rotationRadians);
+            } else if (this.polygonRotationAxis === 'z') {
+                rotationMatrix.makeRotationZ(rotationRadians);
+            }
+            
+            this.clippingPolygon.forEach((point, index) => {
+                point.copy(this.originalPolygonPoints[index]);
+                point.applyMatrix4(rotationMatrix);
+                
+                if (this.polygonAxis === 'x') {
+                    point.x += this.polygonPosition;
+                } else if (this.polygonAxis === 'y') {
+                    point.y += this.polygonPosition;
+                } else if (this.polygonAxis === 'z') {
+                    point.z += this.polygonPosition;
+                }
+            });
+        }
+        
         updatePolygonVisuals() {
             if (!this.clippingPolygon || !this.sphereCylinders || !this.spherePolygon) return;
             
@@ -1769,35 +4905,8 @@ class WebGPUGlobe {
             
             console.log(`Rotating polygon around ${this.polygonRotationAxis} axis by ${this.polygonRotation}°`);
             
-            // Create rotation matrix
-            const rotationMatrix = new THREE.Matrix4();
-            const rotationRadians = (this.polygonRotation * Math.PI) / 180;
-            
-            if (this.polygonRotationAxis === 'x') {
-                rotationMatrix.makeRotationX(rotationRadians);
-            } else if (this.polygonRotationAxis === 'y') {
-                rotationMatrix.makeRotationY(rotationRadians);
-            } else if (this.polygonRotationAxis === 'z') {
-                rotationMatrix.makeRotationZ(rotationRadians);
-            }
-            
-            // Apply rotation to each point
-            this.clippingPolygon.forEach((point, index) => {
-                const originalPoint = this.originalPolygonPoints[index];
-                point.copy(originalPoint);
-                point.applyMatrix4(rotationMatrix);
-                
-                // Apply position offset after rotation
-                if (this.polygonPosition !== 0) {
-                    if (this.polygonAxis === 'x') {
-                        point.x += this.polygonPosition;
-                    } else if (this.polygonAxis === 'y') {
-                        point.y += this.polygonPosition;
-                    } else if (this.polygonAxis === 'z') {
-                        point.z += this.polygonPosition;
-                    }
-                }
-            });
+            // Rotate, then offset along the position axis
+            this.applyPolygonPlacement();
             
             // Update visuals
             this.updatePolygonVisuals();
@@ -1813,56 +4922,47 @@ class WebGPUGlobe {
         
         checkAllLayersForClipping() {
             // Check all layer checkboxes when real-time is turned on
-            document.getElementById('clipCrust').checked = true;
-            document.getElementById('clipMantle').checked = true;
-            document.getElementById('clipCore').checked = true;
+            document.querySelectorAll('[data-clip-layer]').forEach(checkbox => {
+                checkbox.checked = true;
+            });
             console.log('All layers checked for clipping');
         }
         
         restoreAllLayers() {
             // Restore all layers to original geometry
-            this.restoreOriginalGeometry('crust');
-            this.restoreOriginalGeometry('mantle');
-            this.restoreOriginalGeometry('core');
+            this.layerStack.forEach(layer => this.restoreOriginalGeometry(layer.id));
             console.log('All layers restored to original state');
         }
         
-        handleLayerSelectionChange(layerName) {
+        handleLayerSelectionChange(layerId) {
             if (!this.realtimeClipping) return; // Only handle if real-time is on
             
-            const isSelected = document.getElementById(`clip${layerName.charAt(0).toUpperCase() + layerName.slice(1)}`).checked;
-            console.log(`${layerName} selection changed: ${isSelected}`);
+            const isSelected = this.isLayerSelectedForClipping(layerId);
+            console.log(`${layerId} selection changed: ${isSelected}`);
             
             if (isSelected) {
                 // Apply clipping to this layer
-                this.clipSphereWithPolygon(layerName);
+                this.clipSphereWithPolygon(layerId);
             } else {
                 // Restore this layer to original geometry
-                this.restoreOriginalGeometry(layerName);
+                this.restoreOriginalGeometry(layerId);
             }
         }
         
+        // Selected layers that are showing, the ones clipping applies to
+        getLayersToClip() {
+            return this.layerStack
+                .filter(layer => this.isLayerSelectedForClipping(layer.id) && this.layerMeshes[layer.id].visible)
+                .map(layer => layer.id);
+        }
         
         applyClippingToSelectedLayers() {
             console.log('Applying clipping to selected layers...');
             
-            // Check which layers are selected for clipping
-            const crustSelected = document.getElementById('clipCrust').checked;
-            const mantleSelected = document.getElementById('clipMantle').checked;
-            const coreSelected = document.getElementById('clipCore').checked;
-            
-            console.log(`Selected layers - Crust: ${crustSelected}, Mantle: ${mantleSelected}, Core: ${coreSelected}`);
-            
             // Apply clipping only to selected layers
-            if (crustSelected && this.crust && this.crust.visible) {
-                this.clipSphereWithPolygon('crust');
-            }
-            if (mantleSelected && this.mantle && this.mantle.visible) {
-                this.clipSphereWithPolygon('mantle');
-            }
-            if (coreSelected && this.core && this.core.visible) {
-                this.clipSphereWithPolygon('core');
-            }
+            const layers = this.getLayersToClip();
+            console.log(`Selected layers: ${layers.join(', ') || 'none'}`);
+            layers.forEach(id => this.clipSphereWithPolygon(id));
         }
         
         updateClippingOnPolygonMove() {
@@ -1871,39 +4971,23 @@ class WebGPUGlobe {
             console.log('Updating clipping due to polygon movement...');
             
             // Only update clipping for layers that are selected for clipping
-            const crustSelected = document.getElementById('clipCrust').checked;
-            const mantleSelected = document.getElementById('clipMantle').checked;
-            const coreSelected = document.getElementById('clipCore').checked;
+            const layers = this.getLayersToClip();
             
             // For WebGPU, we need to re-apply geometry clipping
             if (this.renderer.isWebGPURenderer) {
-                // Update clipping for selected layers only
-                if (crustSelected && this.crust && this.crust.visible) {
-                    this.clipSphereWithPolygon('crust');
-                }
-                if (mantleSelected && this.mantle && this.mantle.visible) {
-                    this.clipSphereWithPolygon('mantle');
-                }
-                if (coreSelected && this.core && this.core.visible) {
-                    this.clipSphereWithPolygon('core');
-                }
+                layers.forEach(id => this.clipSphereWithPolygon(id));
             } else {
                 // For WebGL, use material clipping updates
-                if (crustSelected && this.crust && this.crust.visible) {
-                    this.updateMaterialClipping('crust');
-                }
-                if (mantleSelected && this.mantle && this.mantle.visible) {
-                    this.updateMaterialClipping('mantle');
-                }
-                if (coreSelected && this.core && this.core.visible) {
-                    this.updateMaterialClipping('core');
-                }
+                layers.forEach(id => this.updateMaterialClipping(id));
             }
         }
         
         updatePolygonSize() {
             console.log(`Updating polygon size: ${this.polygonWidth} x ${this.polygonHeight}`);
             
+            // Width and height shape the rectangle, so a drawn outline gives way to it
+            this.clippingOutline = null;
+            
             // Recreate polygon with new size
             this.recreatePolygon();
             
@@ -1917,7 +5001,16 @@ class WebGPUGlobe {
             if (!this.originalPolygonPoints) return;
             
             // Clear existing polygon
-            this.clearPolygon();
+            this.clearClippingPolygonVisuals();
+            
+            // A drawn outline replaces the rectangle
+            if (this.clippingOutline) {
+                this.clippingPolygon = this.clippingOutline.map(p => p.clone());
+                this.originalPolygonPoints = this.clippingOutline.map(p => p.clone());
+                this.createPolygonVisuals();
+                console.log(`Polygon recreated from drawn outline (${this.clippingOutline.length} points)`);
+                return;
+            }
             
             // Create new polygon with current size - relative to sphere radius
             const sphereRadius = 80;
@@ -1984,7 +5077,12 @@ class WebGPUGlobe {
             });
             
             polygonGeometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
-            const indices = [0, 1, 2, 0, 2, 3];
+            
+            // Fan over however many points the outline has
+            const indices = [];
+            for (let i = 1; i < this.clippingPolygon.length - 1; i++) {
+                indices.push(0, i, i + 1);
+            }
             polygonGeometry.setIndex(indices);
             
             const polygonMaterial = new THREE.MeshBasicMaterial({
@@ -1998,7 +5096,40 @@ class WebGPUGlobe {
             this.scene.add(this.spherePolygon);
         }
         
-        clearPolygon() {
+        useDrawnPolygonForClipping() {
+            if (this.polygonPoints.length < 3) {
+                this.showError('Draw a polygon with at least 3 points in Polygon Mode first');
+                return;
+            }
+            
+            // Clip to the outline where it was drawn, without the old offset or rotation
+            this.clippingOutline = this.polygonPoints.map(point => point.clone());
+            this.polygonPosition = 0;
+            this.polygonRotation = 0;
+            document.getElementById('polygonPosition').value = 0;
+            document.getElementById('polygonPositionValue').textContent = 0;
+            document.getElementById('polygonRotation').value = 0;
+            document.getElementById('polygonRotationValue').textContent = '0°';
+            
+            this.recreatePolygon();
+            
+            // The drawing has become the clipping polygon
+            this.clearPolygon();
+            this.polygonPoints = [];
+            this.updatePolygonVertexList();
+            
+            // Re-cut whatever is already clipped with the new footprint
+            if (this.realtimeClipping) {
+                this.applyClippingToSelectedLayers();
+            } else {
+                [...this.clippedLayers].forEach(layer => this.clipSphereWithPolygon(layer));
+            }
+            this.commitClipChange('Clip to drawn polygon');
+            
+            console.log(`Clipping polygon set from ${this.clippingOutline.length} drawn points`);
+        }
+        
+        clearClippingPolygonVisuals() {
             // Clear cylinders
             if (this.sphereCylinders) {
                 this.sphereCylinders.forEach(cylinder => {
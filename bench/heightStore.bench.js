@@ -0,0 +1,66 @@
+import { HeightStore } from '../src/heightStore.js';
+import { createFalloff } from '../src/falloff.js';
+import { createNoise3D } from '../src/noise.js';
+
+// Times brush dabs written into the height store at its own resolution, per brush
+// mode, and the undo delta the whole stroke comes back as.
+// Run with `npm run bench`.
+
+const MODES = ['extrude', 'compress', 'flatten', 'setHeight', 'noise', 'smooth', 'pinch'];
+const RADIUS = 50;
+const BRUSH_SIZE = 20;
+const DABS = 20;
+
+// Fixed dab centres on the surface, the same for every mode
+function dabCentres() {
+    let seed = 1;
+    const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+    return Array.from({ length: DABS }, () => {
+        const x = random() - 0.5, y = random() - 0.5, z = random() - 0.5;
+        const length = Math.sqrt(x * x + y * y + z * z);
+        return { x: x / length * RADIUS, y: y / length * RADIUS, z: z / length * RADIUS };
+    });
+}
+
+function time(run) {
+    const start = performance.now();
+    const result = run();
+    return { ms: performance.now() - start, result };
+}
+
+const centres = dabCentres();
+const options = {
+    strength: 0.5,
+    targetRadius: RADIUS + 1,
+    noise: createNoise3D(1),
+    noiseScale: 1,
+    falloff: createFalloff('smooth')
+};
+
+// Some relief, so smooth and pinch have something to work on
+function createStore() {
+    const store = new HeightStore(RADIUS);
+    const data = store.raster.data;
+    for (let texel = 0; texel < data.length; texel++) data[texel] = Math.sin(texel * 0.37) * 0.3;
+    return store;
+}
+
+// Warm up once so the first mode doesn't pay for the JIT
+createStore().sculptTexels(centres[0], BRUSH_SIZE, 'extrude', options);
+
+const rows = MODES.map(mode => {
+    const store = createStore();
+    store.beginEdit();
+    const dabs = time(() => centres.filter(centre => store.sculptTexels(centre, BRUSH_SIZE, mode, options)).length);
+    const end = time(() => store.endEdit());
+
+    return {
+        mode,
+        'dab (ms)': +(dabs.ms / DABS).toFixed(1),
+        'end edit (ms)': +end.ms.toFixed(1),
+        'texels changed': end.result ? end.result.indices.length : 0
+    };
+});
+
+console.log(`Height store dabs: radius ${BRUSH_SIZE} on a radius ${RADIUS} crust, ${DABS} dabs per mode`);
+console.table(rows);
@@ -0,0 +1,69 @@
+import * as THREE from 'three';
+import { VertexGrid } from '../src/spatialIndex.js';
+
+// Compares brush-sized vertex queries on the crust at each segment preset:
+// the old full scan (a Vector3 per vertex) against the VertexGrid.
+// Run with `npm run bench`.
+
+const PRESETS = [[8, 8], [256, 128], [512, 256], [1024, 512]];
+const RADIUS = 50;
+const BRUSH_SIZE = 20;
+const QUERIES = 50;
+
+// Fixed brush centres on the surface, the same for every preset
+function brushCentres() {
+    let seed = 1;
+    const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+    return Array.from({ length: QUERIES }, () => {
+        return new THREE.Vector3(random() - 0.5, random() - 0.5, random() - 0.5).normalize().multiplyScalar(RADIUS);
+    });
+}
+
+function fullScan(vertices, centre) {
+    let found = 0;
+    for (let i = 0; i < vertices.length; i += 3) {
+        const vertex = new THREE.Vector3(vertices[i], vertices[i + 1], vertices[i + 2]);
+        if (vertex.distanceTo(centre) < BRUSH_SIZE) found++;
+    }
+    return found;
+}
+
+function gridQuery(grid, centre) {
+    let found = 0;
+    grid.forEachInSphere(centre.x, centre.y, centre.z, BRUSH_SIZE, () => found++);
+    return found;
+}
+
+function time(run) {
+    const start = performance.now();
+    const result = run();
+    return { ms: performance.now() - start, result };
+}
+
+const centres = brushCentres();
+const rows = PRESETS.map(([width, height]) => {
+    const geometry = new THREE.SphereGeometry(RADIUS, width, height);
+    const vertices = geometry.attributes.position.array;
+
+    const build = time(() => new VertexGrid(vertices));
+    const grid = build.result;
+
+    const scan = time(() => centres.reduce((sum, centre) => sum + fullScan(vertices, centre), 0));
+    const indexed = time(() => centres.reduce((sum, centre) => sum + gridQuery(grid, centre), 0));
+    if (scan.result !== indexed.result) {
+        throw new Error(`${width}x${height}: grid found ${indexed.result} vertices, full scan ${scan.result}`);
+    }
+
+    geometry.dispose();
+    return {
+        preset: `${width}x${height}`,
+        vertices: vertices.length / 3,
+        'build (ms)': +build.ms.toFixed(1),
+        'full scan (ms/query)': +(scan.ms / QUERIES).toFixed(3),
+        'grid (ms/query)': +(indexed.ms / QUERIES).toFixed(3),
+        speedup: +(scan.ms / indexed.ms).toFixed(1)
+    };
+});
+
+console.log(`Brush queries: radius ${BRUSH_SIZE} on a radius ${RADIUS} crust, ${QUERIES} queries per preset`);
+console.table(rows);
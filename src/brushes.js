@@ -0,0 +1,145 @@
+import { fbm } from './noise.js';
+
+// Sculpt brushes. Every brush works on the vertices the brush query found, each with
+// its falloff influence (1 at the centre, 0 at the rim), and moves them radially only,
+// so every edit is a change of height that projects, resampling and the height store
+// keep.
+
+export const BRUSH_MODES = {
+    extrude: { label: 'EXTRUDE', shortcut: 'e' },
+    compress: { label: 'COMPRESS', shortcut: 'c' },
+    smooth: { label: 'SMOOTH', shortcut: 's' },
+    flatten: { label: 'FLATTEN', shortcut: 'f' },
+    setHeight: { label: 'SET HEIGHT', shortcut: 'h' },
+    noise: { label: 'NOISE', shortcut: 'n' },
+    pinch: { label: 'PINCH', shortcut: 'p' }
+};
+
+// Vertices closer than this are the same point (sphere seams and poles are duplicated)
+const WELD_PRECISION = 1e4;
+
+// Edge neighbours of every vertex as CSR arrays, with duplicated seam and pole vertices
+// welded so smoothing doesn't tear the mesh apart along them
+export function buildVertexNeighbours(positions, index) {
+    const count = positions.length / 3;
+    const canonical = new Uint32Array(count);
+    const seen = new Map();
+
+    for (let i = 0; i < count; i++) {
+        const key = `${Math.round(positions[i * 3] * WELD_PRECISION)},${Math.round(positions[i * 3 + 1] * WELD_PRECISION)},${Math.round(positions[i * 3 + 2] * WELD_PRECISION)}`;
+        const existing = seen.get(key);
+        if (existing === undefined) {
+            seen.set(key, i);
+            canonical[i] = i;
+        } else {
+            canonical[i] = existing;
+        }
+    }
+
+    const indices = index ? index.array : Uint32Array.from({ length: count }, (_, i) => i);
+    const forEachEdge = callback => {
+        for (let i = 0; i < indices.length; i += 3) {
+            for (let k = 0; k < 3; k++) {
+                const a = canonical[indices[i + k]];
+                const b = canonical[indices[i + (k + 1) % 3]];
+                if (a !== b) callback(a, b);
+            }
+        }
+    };
+
+    // Count, then fill, both directions of every edge
+    const offsets = new Uint32Array(count + 1);
+    forEachEdge((a, b) => {
+        offsets[a + 1]++;
+        offsets[b + 1]++;
+    });
+    for (let i = 0; i < count; i++) offsets[i + 1] += offsets[i];
+
+    const neighbours = new Uint32Array(offsets[count]);
+    const fill = offsets.slice(0, count);
+    forEachEdge((a, b) => {
+        neighbours[fill[a]++] = b;
+        neighbours[fill[b]++] = a;
+    });
+
+    return { canonical, offsets, neighbours };
+}
+
+// hits: [{ index, influence }]. Returns the indices of vertices that moved.
+// options: strength, targetRadius (flatten and set-height), neighbours (smooth and
+// pinch), noise and noiseScale (noise).
+export function sculptVertices(positions, hits, mode, options) {
+    const { strength } = options;
+    const radii = hits.map(({ index }) => vertexRadius(positions, index));
+    let targets;
+
+    switch (mode) {
+        case 'extrude':
+            targets = hits.map(({ influence }, k) => radii[k] + strength * influence);
+            break;
+        case 'compress':
+            targets = hits.map(({ influence }, k) => radii[k] - strength * influence);
+            break;
+        case 'smooth': {
+            // Means come from the radii before this dab so the result doesn't depend on vertex order
+            const means = hits.map(({ index }) => neighbourMeanRadius(positions, index, options.neighbours));
+            targets = hits.map(({ influence }, k) => radii[k] + (means[k] - radii[k]) * blend(influence, strength));
+            break;
+        }
+        case 'flatten':
+        case 'setHeight':
+            targets = hits.map(({ influence }, k) => radii[k] + (options.targetRadius - radii[k]) * blend(influence, strength));
+            break;
+        case 'noise':
+            targets = hits.map(({ index, influence }, k) => {
+                const scale = options.noiseScale / radii[k];
+                const value = fbm(options.noise, positions[index * 3] * scale, positions[index * 3 + 1] * scale, positions[index * 3 + 2] * scale);
+                return radii[k] + value * strength * influence;
+            });
+            break;
+        case 'pinch': {
+            // The reverse of smooth: pushes each vertex further from its neighbours' mean,
+            // so ridges rise and creases deepen into sharper lines
+            const means = hits.map(({ index }) => neighbourMeanRadius(positions, index, options.neighbours));
+            targets = hits.map(({ influence }, k) => radii[k] + (radii[k] - means[k]) * blend(influence, strength) * 0.5);
+            break;
+        }
+        default:
+            throw new Error(`Unknown brush mode "${mode}"`);
+    }
+
+    const changed = [];
+    hits.forEach(({ index }, k) => {
+        if (Math.abs(targets[k] - radii[k]) > 0.001 && radii[k] > 0) {
+            const scale = targets[k] / radii[k];
+            positions[index * 3] *= scale;
+            positions[index * 3 + 1] *= scale;
+            positions[index * 3 + 2] *= scale;
+            changed.push(index);
+        }
+    });
+    return changed;
+}
+
+function neighbourMeanRadius(positions, index, { canonical, offsets, neighbours }) {
+    const vertex = canonical[index];
+    const start = offsets[vertex];
+    const end = offsets[vertex + 1];
+    if (end === start) return vertexRadius(positions, index);
+
+    let sum = 0;
+    for (let i = start; i < end; i++) {
+        sum += vertexRadius(positions, neighbours[i]);
+    }
+    return sum / (end - start);
+}
+
+// Fraction of the way to move towards a target in one dab
+function blend(influence, strength) {
+    return Math.min(1, influence * strength * 0.5);
+}
+
+function vertexRadius(positions, index) {
+    const x = positions[index * 3], y = positions[index * 3 + 1], z = positions[index * 3 + 2];
+    return Math.sqrt(x * x + y * y + z * z);
+}
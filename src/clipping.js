@@ -0,0 +1,242 @@
+import * as THREE from 'three';
+
+// Cuts a closed layer mesh with the clipping cone: the volume from the globe centre
+// through a SphericalPolygon's outline, whose sides are one planar wedge per edge.
+// Triangles that straddle a wedge are split exactly along it, and the exposed
+// cross-section is returned as a separate cap so it can be coloured per layer.
+// Vertex colours, when the mesh has them, carry over and are interpolated at the cut.
+
+const EPSILON = 1e-9;
+
+// keepInside: keep the footprint (true) or everything but the footprint (false).
+// capInnerRadius: the cap covers capInnerRadius..surface, 0 fills it to the centre.
+// capSteps: bands the cap is split into from the surface down, so per-vertex colours
+// can vary with depth.
+export function clipLayerGeometry(geometry, polygon, { keepInside = false, capInnerRadius = 0, capSteps = 1 } = {}) {
+    const positions = geometry.attributes.position;
+    const colors = geometry.attributes.color || null;
+    const indices = geometry.index ? geometry.index.array : [...Array(positions.count).keys()];
+    const wedges = buildWedges(polygon.vertices);
+
+    const inside = new Uint8Array(positions.count);
+    for (let i = 0; i < positions.count; i++) {
+        inside[i] = polygon.contains(positions.getX(i), positions.getY(i), positions.getZ(i)) ? 1 : 0;
+    }
+
+    const output = new OutputMesh(positions, colors);
+    const capPositions = [];
+    const keep = keepInside ? 1 : 0;
+
+    for (let i = 0; i < indices.length; i += 3) {
+        const a = indices[i], b = indices[i + 1], c = indices[i + 2];
+        const triangle = [a, b, c].map(index => ({
+            x: positions.getX(index), y: positions.getY(index), z: positions.getZ(index), index,
+            color: colors ? [colors.getX(index), colors.getY(index), colors.getZ(index)] : null
+        }));
+
+        // Untouched by the cut: all corners agree and no outline corner pokes through
+        if (inside[a] === inside[b] && inside[b] === inside[c] && !polygon.vertices.some(v => rayHitsTriangle(v, triangle))) {
+            if (inside[a] === keep) output.addTriangle(triangle);
+            continue;
+        }
+
+        // Split by every wedge that actually passes through this triangle
+        let pieces = [triangle];
+        wedges.forEach(wedge => {
+            const segment = wedgeSegment(triangle, wedge);
+            if (!segment) return;
+
+            addCapQuad(capPositions, segment[0], segment[1], capInnerRadius, capSteps);
+            pieces = pieces.flatMap(piece => splitPolygon(piece, wedge.normal));
+        });
+
+        // Each piece now lies wholly on one side of the cone
+        pieces.forEach(piece => {
+            const centre = piece.reduce((sum, p) => ({ x: sum.x + p.x, y: sum.y + p.y, z: sum.z + p.z }), { x: 0, y: 0, z: 0 });
+            if ((polygon.contains(centre.x, centre.y, centre.z) ? 1 : 0) !== keep) return;
+            for (let k = 1; k < piece.length - 1; k++) {
+                output.addTriangle([piece[0], piece[k], piece[k + 1]]);
+            }
+        });
+    }
+
+    const clipped = output.toGeometry();
+    clipped.computeVertexNormals();
+
+    let cap = null;
+    if (capPositions.length > 0) {
+        cap = new THREE.BufferGeometry();
+        cap.setAttribute('position', new THREE.Float32BufferAttribute(capPositions, 3));
+        cap.computeVertexNormals();
+    }
+
+    return { geometry: clipped, cap };
+}
+
+// The planar side of the cone between consecutive outline directions
+function buildWedges(vertices) {
+    const wedges = [];
+    vertices.forEach((start, i) => {
+        const end = vertices[(i + 1) % vertices.length];
+        const normal = cross(start, end);
+        const length = Math.sqrt(dot(normal, normal));
+        if (length < EPSILON) return; // Repeated point
+        wedges.push({ start, end, normal: { x: normal.x / length, y: normal.y / length, z: normal.z / length } });
+    });
+    return wedges;
+}
+
+// Whether the ray from the centre along `direction` passes through the triangle
+function rayHitsTriangle(direction, [a, b, c]) {
+    const ab = dot(direction, cross(a, b));
+    const bc = dot(direction, cross(b, c));
+    const ca = dot(direction, cross(c, a));
+    const sameSide = (ab >= 0 && bc >= 0 && ca >= 0) || (ab <= 0 && bc <= 0 && ca <= 0);
+    return sameSide && dot(direction, a) + dot(direction, b) + dot(direction, c) > 0;
+}
+
+// Part of the triangle's intersection with the wedge's plane that lies inside the wedge, or null
+function wedgeSegment(triangle, wedge) {
+    const distances = triangle.map(p => dot(p, wedge.normal));
+    if (Math.min(...distances) >= -EPSILON || Math.max(...distances) <= EPSILON) return null;
+
+    // Where the triangle's edges cross the plane
+    const crossings = [];
+    for (let i = 0; i < 3; i++) {
+        const j = (i + 1) % 3;
+        if ((distances[i] < 0) !== (distances[j] < 0)) {
+            crossings.push(lerp(triangle[i], triangle[j], distances[i] / (distances[i] - distances[j])));
+        }
+    }
+    if (crossings.length < 2) return null;
+
+    // Trim to the sector between the wedge's two bounding rays
+    let [p, q] = crossings;
+    for (const side of [
+        x => dot(cross(wedge.start, x), wedge.normal),
+        x => dot(cross(x, wedge.end), wedge.normal)
+    ]) {
+        const sp = side(p), sq = side(q);
+        if (sp < 0 && sq < 0) return null;
+        if (sp < 0) p = lerp(p, q, sp / (sp - sq));
+        else if (sq < 0) q = lerp(q, p, sq / (sq - sp));
+    }
+
+    const dx = p.x - q.x, dy = p.y - q.y, dz = p.z - q.z;
+    return dx * dx + dy * dy + dz * dz > EPSILON * EPSILON ? [p, q] : null;
+}
+
+// Strip of `steps` quads from the surface down to the inner radius, two triangles each
+// (the last one a single triangle to the centre when the inner radius is 0)
+function addCapQuad(target, p, q, innerRadius, steps = 1) {
+    // Point t of the way down from the surface to the inner radius
+    const inward = (point, t) => {
+        const length = Math.sqrt(dot(point, point));
+        const scale = (length + (Math.min(innerRadius, length) - length) * t) / length;
+        return { x: point.x * scale, y: point.y * scale, z: point.z * scale };
+    };
+
+    for (let step = 0; step < steps; step++) {
+        const po = inward(p, step / steps), qo = inward(q, step / steps);
+
+        if (innerRadius <= 0 && step === steps - 1) {
+            target.push(0, 0, 0, po.x, po.y, po.z, qo.x, qo.y, qo.z);
+            continue;
+        }
+
+        const pi = inward(p, (step + 1) / steps), qi = inward(q, (step + 1) / steps);
+        target.push(
+            pi.x, pi.y, pi.z, po.x, po.y, po.z, qo.x, qo.y, qo.z,
+            pi.x, pi.y, pi.z, qo.x, qo.y, qo.z, qi.x, qi.y, qi.z
+        );
+    }
+}
+
+// Splits a convex polygon by a plane through the origin, keeping vertex order
+function splitPolygon(polygon, normal) {
+    const front = [];
+    const back = [];
+
+    polygon.forEach((current, i) => {
+        const next = polygon[(i + 1) % polygon.length];
+        const dc = dot(current, normal);
+        const dn = dot(next, normal);
+
+        (dc >= 0 ? front : back).push(current);
+        if ((dc >= 0) !== (dn >= 0)) {
+            const point = lerp(current, next, dc / (dc - dn));
+            front.push(point);
+            back.push(point);
+        }
+    });
+
+    return [front, back].filter(piece => piece.length >= 3);
+}
+
+// Indexed output that reuses the source mesh's vertices and welds new cut vertices
+class OutputMesh {
+    constructor(sourcePositions, sourceColors = null) {
+        this.source = sourcePositions;
+        this.positions = [];
+        this.colors = sourceColors ? [] : null;
+        this.indices = [];
+        this.sourceMap = new Map();
+        this.cutMap = new Map();
+    }
+
+    vertex(point) {
+        if (point.index !== undefined) {
+            let index = this.sourceMap.get(point.index);
+            if (index === undefined) {
+                index = this.push(point);
+                this.sourceMap.set(point.index, index);
+            }
+            return index;
+        }
+
+        // Neighbouring triangles compute the same cut point, so match on rounded position
+        const key = `${Math.round(point.x * 1e5)},${Math.round(point.y * 1e5)},${Math.round(point.z * 1e5)}`;
+        let index = this.cutMap.get(key);
+        if (index === undefined) {
+            index = this.push(point);
+            this.cutMap.set(key, index);
+        }
+        return index;
+    }
+
+    push(point) {
+        this.positions.push(point.x, point.y, point.z);
+        if (this.colors) this.colors.push(...point.color);
+        return this.positions.length / 3 - 1;
+    }
+
+    addTriangle(points) {
+        this.indices.push(...points.map(point => this.vertex(point)));
+    }
+
+    toGeometry() {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(this.positions, 3));
+        if (this.colors) geometry.setAttribute('color', new THREE.Float32BufferAttribute(this.colors, 3));
+        if (this.indices.length > 0) geometry.setIndex(this.indices);
+        return geometry;
+    }
+}
+
+function lerp(a, b, t) {
+    const point = { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t, z: a.z + (b.z - a.z) * t };
+    if (a.color && b.color) point.color = a.color.map((value, k) => value + (b.color[k] - value) * t);
+    return point;
+}
+
+function dot(a, b) {
+    return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+function cross(a, b) {
+    return {
+        x: a.y * b.z - a.z * b.y,
+        y: a.z * b.x - a.x * b.z,
+        z: a.x * b.y - a.y * b.x
+    };
+}
@@ -0,0 +1,56 @@
+import * as THREE from 'three';
+
+// Colour scales for mapping scalar values onto meshes. Stops are evenly spaced sRGB
+// colours; sampling interpolates between them in linear space, which is what vertex
+// colours are stored in.
+
+export const COLORMAPS = {
+    viridis: {
+        label: 'Viridis',
+        diverging: false,
+        stops: ['#440154', '#472d7b', '#3b528b', '#2c728e', '#21918c', '#28ae80', '#5ec962', '#addc30', '#fde725']
+    },
+    inferno: {
+        label: 'Inferno',
+        diverging: false,
+        stops: ['#000004', '#1f0c48', '#550f6d', '#88226a', '#ba3655', '#e35933', '#f98e09', '#f9cb35', '#fcffa4']
+    },
+    // Cyclic, the ends meet, for angles such as aspect
+    twilight: {
+        label: 'Twilight (cyclic)',
+        diverging: false,
+        stops: ['#e2d9e2', '#a5bfcf', '#6f92c1', '#5e5fae', '#4b2a79', '#2f1436', '#5c1a46', '#8e344f', '#b7645a', '#d1a08e', '#e2d9e2']
+    },
+    // ColorBrewer RdBu: red for low values, blue for high
+    rdbu: {
+        label: 'RdBu (diverging)',
+        diverging: true,
+        stops: ['#67001f', '#b2182b', '#d6604d', '#f4a582', '#fddbc7', '#f7f7f7', '#d1e5f0', '#92c5de', '#4393c3', '#2166ac', '#053061']
+    }
+};
+
+const linearStops = {};
+
+function getStops(name) {
+    if (!linearStops[name]) {
+        const colormap = COLORMAPS[name] || COLORMAPS.viridis;
+        linearStops[name] = colormap.stops.map(stop => new THREE.Color(stop));
+    }
+    return linearStops[name];
+}
+
+// Colour at t in [0, 1], clamped
+export function sampleColormap(name, t, target = new THREE.Color()) {
+    const stops = getStops(name);
+    const position = Math.min(1, Math.max(0, t)) * (stops.length - 1);
+    const index = Math.min(stops.length - 2, Math.floor(position));
+    return target.copy(stops[index]).lerp(stops[index + 1], position - index);
+}
+
+// CSS gradient of the colormap, low to high along `direction` (left to right by
+// default), for colour bars
+export function colormapGradient(name, direction = 'to right') {
+    const colormap = COLORMAPS[name] || COLORMAPS.viridis;
+    const stops = colormap.stops.map((stop, i) => `${stop} ${(i / (colormap.stops.length - 1) * 100).toFixed(1)}%`);
+    return `linear-gradient(${direction}, ${stops.join(', ')})`;
+}
@@ -0,0 +1,239 @@
+// Contour lines (isolines) of the crust: the heights above baseRadius at every
+// multiple of `interval`, traced through each triangle of the mesh (marching
+// triangles). A vertex counts as above a level when its height is >= the level.
+// Heights within a hair of a level are snapped onto it, so a flat crust sitting on a
+// level (sea level, say) draws nothing instead of rounding-error squiggles.
+//
+// Segments are kept per block of consecutive triangles. After an edit only the blocks
+// with a moved vertex are traced again, which keeps brush strokes cheap on big meshes.
+
+export const DEFAULT_CONTOURS = {
+    enabled: false,
+    interval: 250, // Elevation between levels, in the readout's elevation unit (the tracer takes scene units)
+    majorEvery: 4, // Every n-th level (counted from 0) is drawn as a major line
+    labels: true // Elevation labels along the major lines
+};
+
+export const MAX_CONTOUR_LEVELS = 1000; // Refuse intervals that would draw more levels than this
+
+const BLOCK_SIZE = 1024; // Triangles per block
+
+export class ContourSet {
+    constructor(baseRadius, interval) {
+        this.baseRadius = baseRadius;
+        this.interval = interval;
+        this.heights = null; // Per vertex, as last traced
+        this.index = null;
+        this.blocks = []; // { levels, points } per block: level numbers and segment endpoints
+        this.segmentCount = 0;
+    }
+
+    get triangleCount() {
+        return this.index ? this.index.length / 3 : this.heights.length / 3;
+    }
+
+    // Traces everything from scratch
+    rebuild(positions, index) {
+        this.index = index;
+        this.heights = computeHeights(positions, this.baseRadius, this.interval);
+        checkLevelCount(this.heights, this.interval);
+
+        const blockCount = Math.ceil(this.triangleCount / BLOCK_SIZE);
+        this.blocks = [];
+        for (let block = 0; block < blockCount; block++) {
+            this.blocks.push(this.traceBlock(positions, block));
+        }
+        this.countSegments();
+    }
+
+    // Traces again only where heights changed since the last trace. Returns the number
+    // of blocks redone.
+    update(positions) {
+        const heights = computeHeights(positions, this.baseRadius, this.interval);
+        const moved = new Uint8Array(heights.length);
+        let any = false;
+        for (let i = 0; i < heights.length; i++) {
+            if (heights[i] !== this.heights[i]) {
+                moved[i] = 1;
+                any = true;
+            }
+        }
+        if (!any) return 0;
+
+        checkLevelCount(heights, this.interval);
+        this.heights = heights;
+
+        let redone = 0;
+        for (let block = 0; block < this.blocks.length; block++) {
+            const end = Math.min(this.triangleCount, (block + 1) * BLOCK_SIZE);
+            for (let t = block * BLOCK_SIZE; t < end; t++) {
+                const index = this.index;
+                const a = index ? index[t * 3] : t * 3;
+                const b = index ? index[t * 3 + 1] : t * 3 + 1;
+                const c = index ? index[t * 3 + 2] : t * 3 + 2;
+                if (moved[a] || moved[b] || moved[c]) {
+                    this.blocks[block] = this.traceBlock(positions, block);
+                    redone++;
+                    break;
+                }
+            }
+        }
+        this.countSegments();
+        return redone;
+    }
+
+    traceBlock(positions, block) {
+        const { heights, interval, index } = this;
+        const levels = [];
+        const points = [];
+        const end = Math.min(this.triangleCount, (block + 1) * BLOCK_SIZE);
+        const corners = [0, 0, 0];
+        const h = [0, 0, 0];
+        const crossing = [0, 0, 0, 0, 0, 0];
+
+        for (let t = block * BLOCK_SIZE; t < end; t++) {
+            for (let c = 0; c < 3; c++) {
+                corners[c] = index ? index[t * 3 + c] : t * 3 + c;
+                h[c] = heights[corners[c]];
+            }
+            const low = Math.min(h[0], h[1], h[2]);
+            const high = Math.max(h[0], h[1], h[2]);
+
+            // Levels strictly inside the triangle's range; a flat triangle has none
+            for (let k = Math.floor(low / interval) + 1; k * interval < high; k++) {
+                const level = k * interval;
+                let found = 0;
+                for (let e = 0; e < 3 && found < 2; e++) {
+                    const hi = h[e], hj = h[(e + 1) % 3];
+                    if ((hi >= level) === (hj >= level)) continue;
+
+                    const i = corners[e], j = corners[(e + 1) % 3];
+                    const s = (level - hi) / (hj - hi);
+                    for (let c = 0; c < 3; c++) {
+                        crossing[found * 3 + c] = positions[i * 3 + c] + (positions[j * 3 + c] - positions[i * 3 + c]) * s;
+                    }
+                    found++;
+                }
+                if (found !== 2) continue;
+
+                levels.push(k);
+                for (let c = 0; c < 6; c++) points.push(crossing[c]);
+            }
+        }
+        return { levels, points };
+    }
+
+    countSegments() {
+        this.segmentCount = this.blocks.reduce((sum, block) => sum + block.levels.length, 0);
+    }
+
+    // Flat segment endpoints for line drawing, split into major and minor levels.
+    // lift scales points away from the centre so they sit just above the surface.
+    buildBuffers(majorEvery, lift = 1) {
+        let majorCount = 0;
+        this.blocks.forEach(block => block.levels.forEach(k => { if (isMajor(k, majorEvery)) majorCount++; }));
+
+        const major = new Float32Array(majorCount * 6);
+        const minor = new Float32Array((this.segmentCount - majorCount) * 6);
+        let majorOffset = 0, minorOffset = 0;
+        this.blocks.forEach(({ levels, points }) => {
+            levels.forEach((k, s) => {
+                let target = minor, offset = minorOffset;
+                if (isMajor(k, majorEvery)) {
+                    target = major;
+                    offset = majorOffset;
+                    majorOffset += 6;
+                } else {
+                    minorOffset += 6;
+                }
+                for (let c = 0; c < 6; c++) target[offset + c] = points[s * 6 + c] * lift;
+            });
+        });
+        return { major, minor };
+    }
+
+    // Segments joined into lines: [{ level, height, points: [[x, y, z], ...], closed }].
+    // Ends are matched by position, which also joins lines across the duplicated
+    // vertices of UV seams.
+    polylines() {
+        const key = (k, point) => `${k}:${point.map(v => Math.round(v * 1e4)).join(',')}`;
+        const segments = [];
+        this.blocks.forEach(({ levels, points }) => {
+            levels.forEach((k, s) => {
+                const ends = [points.slice(s * 6, s * 6 + 3), points.slice(s * 6 + 3, s * 6 + 6)];
+                const keys = ends.map(end => key(k, end));
+                if (keys[0] !== keys[1]) segments.push({ k, ends, keys });
+            });
+        });
+
+        // End key -> segments ending there (two along a line, one where it stops)
+        const byKey = new Map();
+        segments.forEach((segment, s) => segment.keys.forEach(key => {
+            if (!byKey.has(key)) byKey.set(key, []);
+            byKey.get(key).push(s);
+        }));
+
+        const used = new Uint8Array(segments.length);
+        const next = (key, from) => (byKey.get(key) || []).find(s => s !== from && !used[s]);
+
+        // Walks from one end of a segment as far as the line goes, appending points
+        const walk = (start, endIndex, points) => {
+            let current = start;
+            let key = segments[start].keys[endIndex];
+            for (;;) {
+                const s = next(key, current);
+                if (s === undefined) return key;
+                used[s] = 1;
+                const far = segments[s].keys[0] === key ? 1 : 0;
+                points.push(segments[s].ends[far]);
+                key = segments[s].keys[far];
+                current = s;
+            }
+        };
+
+        const lines = [];
+        segments.forEach((segment, s) => {
+            if (used[s]) return;
+            used[s] = 1;
+
+            const forward = [segment.ends[1]];
+            const lastKey = walk(s, 1, forward);
+            const backward = [segment.ends[0]];
+            // A closed loop has come back round to this segment's other end
+            const closed = lastKey === segment.keys[0];
+            if (!closed) walk(s, 0, backward);
+
+            // Closed loops end on the point they start from
+            const points = [...backward.reverse(), ...forward];
+            lines.push({ level: segment.k, height: segment.k * this.interval, points, closed });
+        });
+        return lines;
+    }
+}
+
+export function isMajor(level, majorEvery) {
+    return majorEvery > 0 && level % majorEvery === 0;
+}
+
+function computeHeights(positions, baseRadius, interval) {
+    const heights = new Float64Array(positions.length / 3);
+    const snap = Math.min(1e-4, interval * 1e-3);
+    for (let i = 0; i < heights.length; i++) {
+        const x = positions[i * 3], y = positions[i * 3 + 1], z = positions[i * 3 + 2];
+        const height = Math.sqrt(x * x + y * y + z * z) - baseRadius;
+        const level = Math.round(height / interval) * interval;
+        heights[i] = Math.abs(height - level) < snap ? level : height;
+    }
+    return heights;
+}
+
+function checkLevelCount(heights, interval) {
+    let low = Infinity, high = -Infinity;
+    for (let i = 0; i < heights.length; i++) {
+        low = Math.min(low, heights[i]);
+        high = Math.max(high, heights[i]);
+    }
+    if ((high - low) / interval > MAX_CONTOUR_LEVELS) {
+        throw new Error(`The interval would draw over ${MAX_CONTOUR_LEVELS} contour levels, use a larger one`);
+    }
+}
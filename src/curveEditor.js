@@ -0,0 +1,146 @@
+import { createCurveSampler } from './falloff.js';
+
+// Small canvas editor for a custom falloff curve.
+// Drag points to move them, click empty space to add one, double-click a point to
+// remove it. The first and last points stay pinned to the centre and the rim.
+
+const POINT_RADIUS = 4;
+const PICK_DISTANCE = 8;
+
+export class CurveEditor {
+    constructor(canvas, points, { onChange = () => {} } = {}) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.onChange = onChange;
+        this.points = points.map(point => ({ ...point }));
+        this.dragIndex = -1;
+
+        canvas.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        canvas.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        canvas.addEventListener('pointerup', () => this.handlePointerUp());
+        canvas.addEventListener('dblclick', (e) => this.handleDoubleClick(e));
+
+        this.draw();
+    }
+
+    setPoints(points) {
+        this.points = points.map(point => ({ ...point }));
+        this.draw();
+    }
+
+    handlePointerDown(e) {
+        const position = this.toCurve(e);
+        let index = this.pick(e);
+
+        if (index < 0) {
+            // Insert in x order so the curve stays a function of distance
+            index = this.points.findIndex(point => point.x > position.x);
+            if (index <= 0) return; // Outside the pinned ends
+            this.points.splice(index, 0, position);
+            this.changed();
+        }
+
+        this.dragIndex = index;
+        this.canvas.setPointerCapture(e.pointerId);
+    }
+
+    handlePointerMove(e) {
+        if (this.dragIndex < 0) return;
+
+        const position = this.toCurve(e);
+        const point = this.points[this.dragIndex];
+        const last = this.points.length - 1;
+
+        // Ends keep their x, inner points stay between their neighbours
+        if (this.dragIndex > 0 && this.dragIndex < last) {
+            const min = this.points[this.dragIndex - 1].x + 0.01;
+            const max = this.points[this.dragIndex + 1].x - 0.01;
+            point.x = Math.min(max, Math.max(min, position.x));
+        }
+        point.y = position.y;
+        this.changed();
+    }
+
+    handlePointerUp() {
+        this.dragIndex = -1;
+    }
+
+    handleDoubleClick(e) {
+        const index = this.pick(e);
+        if (index > 0 && index < this.points.length - 1) {
+            this.points.splice(index, 1);
+            this.changed();
+        }
+    }
+
+    changed() {
+        this.draw();
+        this.onChange(this.points.map(point => ({ ...point })));
+    }
+
+    // Index of the point under the pointer, or -1
+    pick(e) {
+        const { x, y } = this.toCanvas(e);
+        return this.points.findIndex(point => {
+            const px = point.x * this.canvas.width;
+            const py = (1 - point.y) * this.canvas.height;
+            return Math.hypot(px - x, py - y) <= PICK_DISTANCE;
+        });
+    }
+
+    toCanvas(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left) * this.canvas.width / rect.width,
+            y: (e.clientY - rect.top) * this.canvas.height / rect.height
+        };
+    }
+
+    toCurve(e) {
+        const { x, y } = this.toCanvas(e);
+        return {
+            x: Math.min(1, Math.max(0, x / this.canvas.width)),
+            y: Math.min(1, Math.max(0, 1 - y / this.canvas.height))
+        };
+    }
+
+    draw() {
+        const { width, height } = this.canvas;
+        const context = this.context;
+
+        context.fillStyle = '#222';
+        context.fillRect(0, 0, width, height);
+
+        // Quarter grid
+        context.strokeStyle = '#333';
+        context.lineWidth = 1;
+        context.beginPath();
+        for (let i = 1; i < 4; i++) {
+            context.moveTo(i * width / 4, 0);
+            context.lineTo(i * width / 4, height);
+            context.moveTo(0, i * height / 4);
+            context.lineTo(width, i * height / 4);
+        }
+        context.stroke();
+
+        // Curve
+        const sample = createCurveSampler(this.points);
+        context.strokeStyle = '#00ff88';
+        context.lineWidth = 2;
+        context.beginPath();
+        for (let x = 0; x <= width; x++) {
+            const y = (1 - sample(x / width)) * height;
+            if (x === 0) context.moveTo(x, y);
+            else context.lineTo(x, y);
+        }
+        context.stroke();
+
+        // Control points
+        context.fillStyle = '#ffffff';
+        this.points.forEach(point => {
+            context.beginPath();
+            context.arc(point.x * width, (1 - point.y) * height, POINT_RADIUS, 0, Math.PI * 2);
+            context.fill();
+        });
+    }
+}
@@ -0,0 +1,182 @@
+// Erosion on the crust's height field. Heights are vertex radii and flow follows the
+// mesh edges (from buildVertexNeighbours), so it works the same anywhere on the
+// globe. Duplicated seam and pole vertices are simulated once, through their
+// canonical vertex, and written back to every copy.
+
+export const DEFAULT_HYDRAULIC = {
+    droplets: 20000,
+    seed: 1,
+    capacity: 4, // Sediment a droplet can carry per unit of slope, speed and water
+    erosion: 0.3, // Fraction of spare capacity picked up per step
+    deposition: 0.3, // Fraction of excess sediment dropped per step
+    evaporation: 0.02, // Water lost per step
+    minSlope: 0.01, // Keeps capacity above zero on flats
+    gravity: 4,
+    maxSteps: 64
+};
+
+export const DEFAULT_THERMAL = {
+    passes: 50,
+    talusAngle: 30, // Degrees, steeper slopes shed material downhill
+    strength: 0.5 // Fraction of the excess moved per pass
+};
+
+export class ErosionSimulation {
+    // positions: the crust's flat xyz array. mask: optional Uint8Array per vertex, 1 where erosion may happen.
+    constructor(positions, { canonical, offsets, neighbours }, mask = null) {
+        this.positions = positions;
+        this.canonical = canonical;
+        this.offsets = offsets;
+        this.neighbours = neighbours;
+
+        const count = positions.length / 3;
+        this.heights = new Float64Array(count);
+        this.directions = new Float32Array(positions.length);
+
+        for (let i = 0; i < count; i++) {
+            const x = positions[i * 3], y = positions[i * 3 + 1], z = positions[i * 3 + 2];
+            const radius = Math.sqrt(x * x + y * y + z * z) || 1;
+            this.heights[i] = radius;
+            this.directions[i * 3] = x / radius;
+            this.directions[i * 3 + 1] = y / radius;
+            this.directions[i * 3 + 2] = z / radius;
+        }
+
+        // Simulated vertices: one per welded point, inside the mask
+        this.active = new Uint8Array(count);
+        this.activeVertices = [];
+        for (let i = 0; i < count; i++) {
+            if (canonical[i] === i && (!mask || mask[i])) {
+                this.active[i] = 1;
+                this.activeVertices.push(i);
+            }
+        }
+    }
+
+    runHydraulic(droplets, params, random) {
+        const { heights, offsets, neighbours, active, activeVertices } = this;
+        if (activeVertices.length === 0) return;
+
+        for (let d = 0; d < droplets; d++) {
+            let vertex = activeVertices[Math.floor(random() * activeVertices.length)];
+            let speed = 1;
+            let water = 1;
+            let sediment = 0;
+
+            for (let step = 0; step < params.maxSteps; step++) {
+                // Flow to the lowest neighbour
+                const height = heights[vertex];
+                let next = -1;
+                let nextHeight = height;
+                for (let i = offsets[vertex]; i < offsets[vertex + 1]; i++) {
+                    if (heights[neighbours[i]] < nextHeight) {
+                        next = neighbours[i];
+                        nextHeight = heights[next];
+                    }
+                }
+
+                // In a pit, or about to leave the region: drop everything here
+                if (next < 0 || !active[next]) {
+                    heights[vertex] += sediment;
+                    break;
+                }
+
+                const drop = height - nextHeight;
+                const capacity = Math.max(drop, params.minSlope) * speed * water * params.capacity;
+
+                if (sediment > capacity) {
+                    const amount = (sediment - capacity) * params.deposition;
+                    heights[vertex] += amount;
+                    sediment -= amount;
+                } else {
+                    // Never dig below the vertex we flow into
+                    const amount = Math.min((capacity - sediment) * params.erosion, drop);
+                    this.erodeAround(vertex, amount);
+                    sediment += amount;
+                }
+
+                speed = Math.sqrt(Math.max(0, speed * speed + drop * params.gravity));
+                water *= 1 - params.evaporation;
+                vertex = next;
+
+                if (water < 0.01) {
+                    heights[vertex] += sediment;
+                    break;
+                }
+            }
+        }
+    }
+
+    // Half from the vertex itself and half shared by its neighbours, which keeps channels from becoming single-vertex spikes
+    erodeAround(vertex, amount) {
+        const { heights, offsets, neighbours, active } = this;
+        const start = offsets[vertex];
+        const end = offsets[vertex + 1];
+
+        let shared = 0;
+        for (let i = start; i < end; i++) {
+            if (active[neighbours[i]]) shared++;
+        }
+
+        if (shared === 0) {
+            heights[vertex] -= amount;
+            return;
+        }
+
+        heights[vertex] -= amount * 0.5;
+        const each = amount * 0.5 / shared;
+        for (let i = start; i < end; i++) {
+            if (active[neighbours[i]]) heights[neighbours[i]] -= each;
+        }
+    }
+
+    // One pass of talus-angle slumping
+    runThermal(params) {
+        const { heights, directions, offsets, neighbours, active, activeVertices } = this;
+        const talus = Math.tan(params.talusAngle * Math.PI / 180);
+        const deltas = new Float64Array(heights.length);
+
+        activeVertices.forEach(vertex => {
+            const degree = offsets[vertex + 1] - offsets[vertex];
+            if (degree === 0) return;
+
+            for (let i = offsets[vertex]; i < offsets[vertex + 1]; i++) {
+                const neighbour = neighbours[i];
+                if (!active[neighbour]) continue;
+
+                const difference = heights[vertex] - heights[neighbour];
+                if (difference <= 0) continue;
+
+                // Horizontal distance between the two vertices at this height
+                const dx = directions[vertex * 3] - directions[neighbour * 3];
+                const dy = directions[vertex * 3 + 1] - directions[neighbour * 3 + 1];
+                const dz = directions[vertex * 3 + 2] - directions[neighbour * 3 + 2];
+                const distance = Math.sqrt(dx * dx + dy * dy + dz * dz) * heights[vertex];
+
+                const excess = difference - distance * talus;
+                if (excess > 0) {
+                    const amount = params.strength * excess / 2 / degree;
+                    deltas[vertex] -= amount;
+                    deltas[neighbour] += amount;
+                }
+            }
+        });
+
+        activeVertices.forEach(vertex => {
+            heights[vertex] += deltas[vertex];
+        });
+    }
+
+    // Copies simulated heights into the position array, including every duplicate of a welded vertex
+    writeBack() {
+        const { positions, directions, heights, canonical, active } = this;
+        for (let i = 0; i < heights.length; i++) {
+            const source = canonical[i];
+            if (!active[source]) continue;
+            const height = heights[source];
+            positions[i * 3] = directions[i * 3] * height;
+            positions[i * 3 + 1] = directions[i * 3 + 1] * height;
+            positions[i * 3 + 2] = directions[i * 3 + 2] * height;
+        }
+    }
+}
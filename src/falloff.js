@@ -0,0 +1,89 @@
+// Brush falloff curves: weight (0..1) for a normalised distance t from the brush
+// centre (0) to its rim (1). Custom curves are monotone cubic splines through
+// control points, so they never overshoot the points the user placed.
+
+export const FALLOFF_CURVES = {
+    linear: { label: 'Linear', weight: t => 1 - t },
+    smooth: { label: 'Smooth', weight: t => 1 - (3 * t * t - 2 * t * t * t) },
+    sphere: { label: 'Sphere', weight: t => Math.sqrt(Math.max(0, 1 - t * t)) },
+    sharp: { label: 'Sharp', weight: t => (1 - t) * (1 - t) },
+    constant: { label: 'Constant', weight: () => 1 },
+    custom: { label: 'Custom', weight: null }
+};
+
+export const DEFAULT_CUSTOM_FALLOFF = [
+    { x: 0, y: 1 },
+    { x: 0.4, y: 0.9 },
+    { x: 1, y: 0 }
+];
+
+// Weight function for a curve name; `points` is only used by 'custom'
+export function createFalloff(curve, points = DEFAULT_CUSTOM_FALLOFF) {
+    if (curve === 'custom') return createCurveSampler(points);
+
+    const definition = FALLOFF_CURVES[curve];
+    if (!definition) throw new Error(`Unknown falloff curve "${curve}"`);
+    return t => definition.weight(Math.min(1, Math.max(0, t)));
+}
+
+// Monotone cubic interpolation (Fritsch-Carlson) through points sorted by x, clamped to 0..1
+export function createCurveSampler(points) {
+    const sorted = [...points].sort((a, b) => a.x - b.x);
+    const n = sorted.length;
+    if (n === 0) return () => 1;
+    if (n === 1) return () => clamp01(sorted[0].y);
+
+    // Secant slopes, then tangents limited so each segment stays monotone
+    const secants = [];
+    for (let i = 0; i < n - 1; i++) {
+        const dx = sorted[i + 1].x - sorted[i].x;
+        secants.push(dx > 0 ? (sorted[i + 1].y - sorted[i].y) / dx : 0);
+    }
+
+    const tangents = sorted.map((_, i) => {
+        if (i === 0) return secants[0];
+        if (i === n - 1) return secants[n - 2];
+        if (secants[i - 1] * secants[i] <= 0) return 0;
+        return (secants[i - 1] + secants[i]) / 2;
+    });
+
+    for (let i = 0; i < n - 1; i++) {
+        if (secants[i] === 0) {
+            tangents[i] = 0;
+            tangents[i + 1] = 0;
+            continue;
+        }
+        const a = tangents[i] / secants[i];
+        const b = tangents[i + 1] / secants[i];
+        const length = Math.hypot(a, b);
+        if (length > 3) {
+            tangents[i] = 3 * a / length * secants[i];
+            tangents[i + 1] = 3 * b / length * secants[i];
+        }
+    }
+
+    return t => {
+        const x = clamp01(t);
+        if (x <= sorted[0].x) return clamp01(sorted[0].y);
+        if (x >= sorted[n - 1].x) return clamp01(sorted[n - 1].y);
+
+        let i = 0;
+        while (i < n - 2 && x > sorted[i + 1].x) i++;
+
+        const h = sorted[i + 1].x - sorted[i].x;
+        if (h <= 0) return clamp01(sorted[i + 1].y);
+        const s = (x - sorted[i].x) / h;
+        const s2 = s * s, s3 = s2 * s;
+
+        return clamp01(
+            (2 * s3 - 3 * s2 + 1) * sorted[i].y +
+            (s3 - 2 * s2 + s) * h * tangents[i] +
+            (-2 * s3 + 3 * s2) * sorted[i + 1].y +
+            (s3 - s2) * h * tangents[i + 1]
+        );
+    };
+}
+
+function clamp01(value) {
+    return Math.min(1, Math.max(0, value));
+}
@@ -0,0 +1,249 @@
+// Conversions between scene-space directions and longitude/latitude.
+// Longitude follows THREE.SphereGeometry's UVs so equirectangular rasters line up:
+// u = 0 is -180°, the +x axis is 0° and north is +y.
+
+const DEG = Math.PI / 180;
+
+// Longitude/latitude (degrees) of a direction
+export function directionToLonLat(x, y, z) {
+    const length = Math.sqrt(x * x + y * y + z * z) || 1;
+    let lon = Math.atan2(z, -x) / DEG - 180;
+    if (lon < -180) lon += 360;
+    const lat = Math.asin(Math.max(-1, Math.min(1, y / length))) / DEG;
+    return { lon, lat };
+}
+
+// Unit direction for a longitude/latitude in degrees
+export function lonLatToDirection(lon, lat) {
+    const phi = (lon + 180) * DEG;
+    const cosLat = Math.cos(lat * DEG);
+    return {
+        x: -Math.cos(phi) * cosLat,
+        y: Math.sin(lat * DEG),
+        z: Math.sin(phi) * cosLat
+    };
+}
+
+// East/north/up unit vectors of the local tangent frame at a longitude/latitude
+export function localFrame(lon, lat) {
+    const up = lonLatToDirection(lon, lat);
+    const phi = (lon + 180) * DEG;
+    const east = { x: Math.sin(phi), y: 0, z: Math.cos(phi) };
+    const north = {
+        x: up.y * east.z - up.z * east.y,
+        y: up.z * east.x - up.x * east.z,
+        z: up.x * east.y - up.y * east.x
+    };
+    return { east, north, up };
+}
+
+// Elevation units for readouts, in metres per unit. 'scene' reports raw scene units.
+export const ELEVATION_UNITS = {
+    m: { label: 'm', metres: 1 },
+    km: { label: 'km', metres: 1000 },
+    ft: { label: 'ft', metres: 0.3048 },
+    mi: { label: 'mi', metres: 1609.344 },
+    scene: { label: 'units', metres: null }
+};
+
+export const DEFAULT_GEO_REFERENCE = {
+    sceneRadius: 50, // Scene radius of sea level (the undisplaced crust)
+    planetRadius: 6371, // Real radius of sea level, in kilometres
+    elevationUnit: 'm',
+    exaggeration: 100 // Vertical exaggeration of the scene's elevations, real relief is too flat to see at globe scale
+};
+
+// Ties the scene to a real planet: a spherical datum of planetRadius at the scene's
+// sea-level radius, with elevations optionally exaggerated in the scene. Longitude and
+// latitude follow directionToLonLat, so every tool shares the same convention.
+export class GeoReference {
+    constructor(settings = {}) {
+        Object.assign(this, DEFAULT_GEO_REFERENCE, settings);
+    }
+
+    // Metres along the surface per scene unit at sea level
+    get horizontalMetresPerUnit() {
+        return this.planetRadius * 1000 / this.sceneRadius;
+    }
+
+    // Metres of real elevation per scene unit of radius
+    get metresPerUnit() {
+        return this.horizontalMetresPerUnit / (this.exaggeration || 1);
+    }
+
+    // Real elevation in metres to scene units of radius. Importers and exporters go
+    // through this too, so a file's metres read back unchanged in the readout.
+    fromMetres(metres) {
+        return metres / this.metresPerUnit;
+    }
+
+    // Scene-space point to { lon, lat, elevation } with elevation in elevationUnit
+    cartesianToGeodetic(x, y, z) {
+        const { lon, lat } = directionToLonLat(x, y, z);
+        const radius = Math.sqrt(x * x + y * y + z * z);
+        return { lon, lat, elevation: this.toElevationUnits(radius - this.sceneRadius) };
+    }
+
+    // Inverse of cartesianToGeodetic
+    geodeticToCartesian(lon, lat, elevation = 0) {
+        const direction = lonLatToDirection(lon, lat);
+        const radius = this.sceneRadius + this.fromElevationUnits(elevation);
+        return { x: direction.x * radius, y: direction.y * radius, z: direction.z * radius };
+    }
+
+    toElevationUnits(sceneHeight) {
+        const unit = ELEVATION_UNITS[this.elevationUnit];
+        return unit.metres ? sceneHeight * this.metresPerUnit / unit.metres : sceneHeight;
+    }
+
+    fromElevationUnits(elevation) {
+        const unit = ELEVATION_UNITS[this.elevationUnit];
+        return unit.metres ? elevation * unit.metres / this.metresPerUnit : elevation;
+    }
+
+    formatElevation(elevation) {
+        const unit = ELEVATION_UNITS[this.elevationUnit];
+        const digits = Math.abs(elevation) >= 100 ? 0 : 2;
+        return `${elevation.toLocaleString(undefined, { minimumFractionDigits: digits, maximumFractionDigits: digits })} ${unit.label}`;
+    }
+}
+
+// "12.3457° N, 45.6789° W"
+export function formatLonLat(lon, lat, digits = 4) {
+    const latText = `${Math.abs(lat).toFixed(digits)}° ${lat >= 0 ? 'N' : 'S'}`;
+    const lonText = `${Math.abs(lon).toFixed(digits)}° ${lon >= 0 ? 'E' : 'W'}`;
+    return `${latText}, ${lonText}`;
+}
+
+// Point-in-polygon on the sphere. Edges are great-circle arcs, so polygons may cross
+// the antimeridian or enclose a pole. "Inside" is the region around the polygon's centroid.
+//
+// Polygons that fit in the hemisphere around their centroid are gnomonically projected
+// onto the plane tangent at the centroid, where great circles become straight lines and
+// a plain winding-number test is exact. Larger polygons count how often the arc from the
+// query point to the centroid's antipode crosses an edge.
+export class SphericalPolygon {
+    constructor(points) {
+        this.vertices = points.map(normalize);
+
+        const sum = this.vertices.reduce((acc, v) => ({ x: acc.x + v.x, y: acc.y + v.y, z: acc.z + v.z }), { x: 0, y: 0, z: 0 });
+        const sumLength = Math.sqrt(sum.x * sum.x + sum.y * sum.y + sum.z * sum.z);
+        this.centroid = sumLength > 1e-9 ? { x: sum.x / sumLength, y: sum.y / sumLength, z: sum.z / sumLength } : null;
+
+        // Every vertex must be strictly on the centroid's side for the projection to hold
+        this.projected = null;
+        if (this.centroid && this.vertices.every(v => dot(v, this.centroid) > 1e-6)) {
+            const c = this.centroid;
+            const helper = Math.abs(c.y) < 0.9 ? { x: 0, y: 1, z: 0 } : { x: 1, y: 0, z: 0 };
+            this.axisU = normalize(cross(helper, c));
+            this.axisV = cross(c, this.axisU);
+            this.projected = this.vertices.map(v => this.project(v));
+        }
+    }
+
+    project(p) {
+        const depth = dot(p, this.centroid);
+        return { u: dot(p, this.axisU) / depth, v: dot(p, this.axisV) / depth };
+    }
+
+    // Unit direction of a point on the projection plane
+    unproject(u, v) {
+        const c = this.centroid;
+        return normalize({
+            x: c.x + this.axisU.x * u + this.axisV.x * v,
+            y: c.y + this.axisU.y * u + this.axisV.y * v,
+            z: c.z + this.axisU.z * u + this.axisV.z * v
+        });
+    }
+
+    // x, y, z can be any point along the direction, its length is ignored
+    contains(x, y, z) {
+        const length = Math.sqrt(x * x + y * y + z * z);
+        if (length === 0 || this.vertices.length < 3) return false;
+        const p = { x: x / length, y: y / length, z: z / length };
+
+        if (this.projected) {
+            if (dot(p, this.centroid) <= 0) return false; // Far hemisphere
+            return windingNumber(this.project(p), this.projected) !== 0;
+        }
+
+        if (!this.centroid) return Math.abs(subtendedAngle(p, this.vertices)) > Math.PI;
+
+        // The centroid's antipode is outside by definition, so odd crossings mean inside
+        const outside = { x: -this.centroid.x, y: -this.centroid.y, z: -this.centroid.z };
+        if (dot(p, outside) < -1 + 1e-12) return true; // p is the centroid itself
+
+        let crossings = 0;
+        for (let i = 0; i < this.vertices.length; i++) {
+            if (arcsIntersect(p, outside, this.vertices[i], this.vertices[(i + 1) % this.vertices.length])) {
+                crossings++;
+            }
+        }
+        return crossings % 2 === 1;
+    }
+}
+
+// Whether the minor great-circle arcs a1-a2 and b1-b2 cross
+function arcsIntersect(a1, a2, b1, b2) {
+    const normalA = cross(a1, a2);
+    const normalB = cross(b1, b2);
+    const line = cross(normalA, normalB);
+    if (dot(line, line) < 1e-24) return false; // Same great circle
+
+    // The great circles meet at +line and -line, check whether either lies on both arcs
+    const onArc = (x, start, end, normal) => dot(cross(start, x), normal) >= 0 && dot(cross(x, end), normal) >= 0;
+    return [line, { x: -line.x, y: -line.y, z: -line.z }].some(x =>
+        onArc(x, a1, a2, normalA) && onArc(x, b1, b2, normalB)
+    );
+}
+
+function windingNumber(point, polygon) {
+    let winding = 0;
+
+    for (let i = 0; i < polygon.length; i++) {
+        const a = polygon[i];
+        const b = polygon[(i + 1) % polygon.length];
+        const side = (b.u - a.u) * (point.v - a.v) - (point.u - a.u) * (b.v - a.v);
+
+        if (a.v <= point.v) {
+            if (b.v > point.v && side > 0) winding++;
+        } else if (b.v <= point.v && side < 0) {
+            winding--;
+        }
+    }
+
+    return winding;
+}
+
+// Signed sum of the angles between consecutive vertices as seen from p, in p's tangent plane
+function subtendedAngle(p, vertices) {
+    const tangents = vertices.map(v => {
+        const along = dot(v, p);
+        return { x: v.x - along * p.x, y: v.y - along * p.y, z: v.z - along * p.z };
+    });
+
+    let total = 0;
+    for (let i = 0; i < tangents.length; i++) {
+        const a = tangents[i];
+        const b = tangents[(i + 1) % tangents.length];
+        total += Math.atan2(dot(cross(a, b), p), dot(a, b));
+    }
+    return total;
+}
+
+function dot(a, b) {
+    return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+function cross(a, b) {
+    return {
+        x: a.y * b.z - a.z * b.y,
+        y: a.z * b.x - a.x * b.z,
+        z: a.x * b.y - a.y * b.x
+    };
+}
+
+function normalize(v) {
+    const length = Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z) || 1;
+    return { x: v.x / length, y: v.y / length, z: v.z / length };
+}
@@ -0,0 +1,158 @@
+import { fileExtension } from './heightmap.js';
+
+// GeoJSON (RFC 7946) import and export. Coordinates are WGS84 longitude/latitude in
+// degrees, which map straight onto the globe through directionToLonLat's convention.
+//
+// Parsing flattens any GeoJSON object into three lists:
+//   { polygons: [{ ring, properties }], lines: [{ path, properties }], points: [{ point, properties }],
+//     holes }
+// where ring/path are arrays of { lon, lat } and holes counts interior rings that were dropped.
+
+export const GEOJSON_EXTENSIONS = ['geojson'];
+
+const DEG = Math.PI / 180;
+
+export function isGeoJSONFile(file) {
+    return GEOJSON_EXTENSIONS.includes(fileExtension(file.name));
+}
+
+export function parseGeoJSON(text) {
+    let object;
+    try {
+        object = typeof text === 'string' ? JSON.parse(text) : text;
+    } catch (error) {
+        throw new Error(`Not valid JSON: ${error.message}`);
+    }
+
+    const result = { polygons: [], lines: [], points: [], holes: 0 };
+    collect(object, {}, result);
+
+    if (result.polygons.length + result.lines.length + result.points.length === 0) {
+        throw new Error('No polygons, lines or points found in the GeoJSON');
+    }
+    return result;
+}
+
+function collect(object, properties, result) {
+    if (!object || typeof object !== 'object') return;
+
+    switch (object.type) {
+        case 'FeatureCollection':
+            (object.features || []).forEach(feature => collect(feature, {}, result));
+            break;
+        case 'Feature':
+            collect(object.geometry, object.properties || {}, result);
+            break;
+        case 'GeometryCollection':
+            (object.geometries || []).forEach(geometry => collect(geometry, properties, result));
+            break;
+        case 'Polygon':
+            addPolygon(object.coordinates, properties, result);
+            break;
+        case 'MultiPolygon':
+            object.coordinates.forEach(polygon => addPolygon(polygon, properties, result));
+            break;
+        case 'LineString':
+            result.lines.push({ path: object.coordinates.map(toLonLat), properties });
+            break;
+        case 'MultiLineString':
+            object.coordinates.forEach(line => result.lines.push({ path: line.map(toLonLat), properties }));
+            break;
+        case 'Point':
+            result.points.push({ point: toLonLat(object.coordinates), properties });
+            break;
+        case 'MultiPoint':
+            object.coordinates.forEach(point => result.points.push({ point: toLonLat(point), properties }));
+            break;
+        default:
+            throw new Error(`Unsupported GeoJSON type "${object.type}"`);
+    }
+}
+
+// Outer ring only, without the repeated closing position
+function addPolygon(rings, properties, result) {
+    if (!rings || rings.length === 0) return;
+
+    const ring = rings[0].map(toLonLat);
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    if (ring.length > 1 && first.lon === last.lon && first.lat === last.lat) ring.pop();
+
+    if (ring.length >= 3) {
+        result.polygons.push({ ring, properties });
+        result.holes += rings.length - 1;
+    }
+}
+
+function toLonLat(position) {
+    if (!Array.isArray(position) || position.length < 2) {
+        throw new Error('GeoJSON position must be [longitude, latitude]');
+    }
+    return { lon: Number(position[0]), lat: Number(position[1]) };
+}
+
+// Signed area of a ring on the unit sphere in steradians, positive when counter-clockwise
+export function ringArea(ring) {
+    let sum = 0;
+    for (let i = 0; i < ring.length; i++) {
+        const a = ring[i];
+        const b = ring[(i + 1) % ring.length];
+        let deltaLon = b.lon - a.lon;
+        if (deltaLon > 180) deltaLon -= 360;
+        if (deltaLon < -180) deltaLon += 360;
+        sum += deltaLon * DEG * (2 + Math.sin(a.lat * DEG) + Math.sin(b.lat * DEG));
+    }
+    return -sum / 2;
+}
+
+// FeatureCollection for the given shapes, same layout as parseGeoJSON's result.
+// Rings are closed and wound counter-clockwise (the right-hand rule).
+export function buildGeoJSON({ polygons = [], lines = [], points = [] }) {
+    const features = [];
+
+    polygons.forEach(({ ring, properties = {} }) => {
+        const ordered = ringArea(ring) < 0 ? [...ring].reverse() : ring;
+        const coordinates = [...ordered, ordered[0]].map(toPosition);
+        features.push(feature({ type: 'Polygon', coordinates: [coordinates] }, properties));
+    });
+
+    lines.forEach(({ path, properties = {} }) => {
+        features.push(feature({ type: 'LineString', coordinates: path.map(toPosition) }, properties));
+    });
+
+    points.forEach(({ point, properties = {} }) => {
+        features.push(feature({ type: 'Point', coordinates: toPosition(point) }, properties));
+    });
+
+    return { type: 'FeatureCollection', features };
+}
+
+// Splits a path of { lon, lat } where it crosses the antimeridian (RFC 7946 3.1.9),
+// ending and restarting the pieces on ±180° at the interpolated latitude
+export function splitAtAntimeridian(path) {
+    const pieces = [[path[0]]];
+    for (let i = 1; i < path.length; i++) {
+        const a = path[i - 1];
+        const b = path[i];
+        const deltaLon = b.lon - a.lon;
+        if (Math.abs(deltaLon) > 180) {
+            const edge = deltaLon < 0 ? 180 : -180; // Side of the antimeridian a leaves from
+            const unwrapped = b.lon + (deltaLon < 0 ? 360 : -360);
+            const t = (edge - a.lon) / (unwrapped - a.lon);
+            const lat = a.lat + (b.lat - a.lat) * t;
+            pieces[pieces.length - 1].push({ lon: edge, lat });
+            pieces.push([{ lon: -edge, lat }]);
+        }
+        pieces[pieces.length - 1].push(b);
+    }
+    return pieces.filter(piece => piece.length >= 2);
+}
+
+function feature(geometry, properties) {
+    return { type: 'Feature', properties, geometry };
+}
+
+// RFC 7946 suggests 6 decimals, about 10 cm
+function toPosition({ lon, lat }) {
+    return [Math.round(lon * 1e6) / 1e6, Math.round(lat * 1e6) / 1e6];
+}
@@ -0,0 +1,387 @@
+import { unzlibSync } from 'three/examples/jsm/libs/fflate.module.js';
+
+// Minimal single-band GeoTIFF reader and Float32 writer.
+// Reading handles strips or tiles, uncompressed or DEFLATE, with horizontal and
+// floating point predictors - which covers what GDAL writes by default.
+
+const TAGS = {
+    IMAGE_WIDTH: 256,
+    IMAGE_LENGTH: 257,
+    BITS_PER_SAMPLE: 258,
+    COMPRESSION: 259,
+    PHOTOMETRIC: 262,
+    STRIP_OFFSETS: 273,
+    SAMPLES_PER_PIXEL: 277,
+    ROWS_PER_STRIP: 278,
+    STRIP_BYTE_COUNTS: 279,
+    PLANAR_CONFIGURATION: 284,
+    PREDICTOR: 317,
+    TILE_WIDTH: 322,
+    TILE_LENGTH: 323,
+    TILE_OFFSETS: 324,
+    TILE_BYTE_COUNTS: 325,
+    SAMPLE_FORMAT: 339,
+    MODEL_PIXEL_SCALE: 33550,
+    MODEL_TIEPOINT: 33922,
+    GEO_KEY_DIRECTORY: 34735,
+    GDAL_NODATA: 42113
+};
+
+// Byte size of each TIFF field type
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+const COMPRESSION_NONE = 1;
+const COMPRESSION_DEFLATE = [8, 32946];
+
+const GEO_KEY_MODEL_TYPE = 1024;
+const GEO_KEY_RASTER_TYPE = 1025;
+const GEO_KEY_GEOGRAPHIC_TYPE = 2048;
+const GEO_KEY_ANGULAR_UNITS = 2054;
+const GEO_KEY_PROJECTED_CS = 3072;
+const MODEL_TYPE_GEOGRAPHIC = 2;
+const RASTER_PIXEL_IS_AREA = 1;
+const RASTER_PIXEL_IS_POINT = 2;
+const EPSG_WGS84 = 4326;
+const ANGULAR_UNIT_DEGREE = 9102;
+
+export function isTIFF(buffer) {
+    if (buffer.byteLength < 4) return false;
+    const view = new DataView(buffer);
+    const order = view.getUint16(0);
+    if (order !== 0x4949 && order !== 0x4d4d) return false;
+    return view.getUint16(2, order === 0x4949) === 42;
+}
+
+export function decodeGeoTIFF(buffer) {
+    const view = new DataView(buffer);
+    const byteOrder = view.getUint16(0);
+
+    if (byteOrder !== 0x4949 && byteOrder !== 0x4d4d) {
+        throw new Error('Not a TIFF file');
+    }
+
+    const littleEndian = byteOrder === 0x4949;
+    const magic = view.getUint16(2, littleEndian);
+    if (magic === 43) throw new Error('BigTIFF files are not supported');
+    if (magic !== 42) throw new Error('Not a TIFF file');
+
+    const tags = readIFD(view, view.getUint32(4, littleEndian), littleEndian);
+    const tag = (id, fallback) => (tags.has(id) ? tags.get(id) : fallback);
+
+    const width = tag(TAGS.IMAGE_WIDTH)[0];
+    const height = tag(TAGS.IMAGE_LENGTH)[0];
+    const samplesPerPixel = tag(TAGS.SAMPLES_PER_PIXEL, [1])[0];
+    const bitsPerSample = tag(TAGS.BITS_PER_SAMPLE, [1])[0];
+    const sampleFormat = tag(TAGS.SAMPLE_FORMAT, [1])[0];
+    const compression = tag(TAGS.COMPRESSION, [COMPRESSION_NONE])[0];
+    const predictor = tag(TAGS.PREDICTOR, [1])[0];
+    const planar = tag(TAGS.PLANAR_CONFIGURATION, [1])[0] === 2;
+
+    if (compression !== COMPRESSION_NONE && !COMPRESSION_DEFLATE.includes(compression)) {
+        throw new Error(`Unsupported TIFF compression ${compression} (only uncompressed and DEFLATE)`);
+    }
+    if (![8, 16, 32, 64].includes(bitsPerSample)) {
+        throw new Error(`Unsupported TIFF bit depth ${bitsPerSample}`);
+    }
+
+    const bytesPerSample = bitsPerSample / 8;
+    // Samples interleaved in each chunk (band-sequential files store one band per chunk)
+    const chunkSamples = planar ? 1 : samplesPerPixel;
+    const readSample = sampleReader(sampleFormat, bitsPerSample);
+
+    // Work out the chunk grid (strips are tiles that span the full width)
+    const tiled = tags.has(TAGS.TILE_WIDTH);
+    const chunkWidth = tiled ? tag(TAGS.TILE_WIDTH)[0] : width;
+    const chunkHeight = tiled ? tag(TAGS.TILE_LENGTH)[0] : Math.min(tag(TAGS.ROWS_PER_STRIP, [height])[0], height);
+    const offsets = tag(tiled ? TAGS.TILE_OFFSETS : TAGS.STRIP_OFFSETS);
+    const byteCounts = tag(tiled ? TAGS.TILE_BYTE_COUNTS : TAGS.STRIP_BYTE_COUNTS);
+    const chunksAcross = Math.ceil(width / chunkWidth);
+    const chunksDown = Math.ceil(height / chunkHeight);
+
+    const data = new Float32Array(width * height);
+
+    // Only the first band is read; for planar files that's the first chunksAcross * chunksDown chunks
+    for (let chunkY = 0; chunkY < chunksDown; chunkY++) {
+        for (let chunkX = 0; chunkX < chunksAcross; chunkX++) {
+            const chunkIndex = chunkY * chunksAcross + chunkX;
+            let bytes = new Uint8Array(buffer, offsets[chunkIndex], byteCounts[chunkIndex]);
+
+            if (COMPRESSION_DEFLATE.includes(compression)) {
+                bytes = unzlibSync(bytes);
+            } else {
+                bytes = bytes.slice();
+            }
+
+            // Strips at the bottom are short, tiles are always padded to full size
+            const rows = tiled ? chunkHeight : Math.min(chunkHeight, height - chunkY * chunkHeight);
+            const rowSamples = chunkWidth * chunkSamples;
+            let chunkLittleEndian = littleEndian;
+
+            if (predictor === 2) {
+                undoHorizontalPredictor(bytes, rows, rowSamples, chunkSamples, bytesPerSample, littleEndian);
+            } else if (predictor === 3) {
+                bytes = undoFloatingPointPredictor(bytes, rows, rowSamples, chunkSamples, bytesPerSample);
+                chunkLittleEndian = false; // Bytes are reassembled most significant first
+            }
+
+            const chunkView = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+            const startX = chunkX * chunkWidth;
+            const startY = chunkY * chunkHeight;
+
+            for (let y = 0; y < rows && startY + y < height; y++) {
+                for (let x = 0; x < chunkWidth && startX + x < width; x++) {
+                    const byteOffset = (y * rowSamples + x * chunkSamples) * bytesPerSample;
+                    data[(startY + y) * width + startX + x] = readSample(chunkView, byteOffset, chunkLittleEndian);
+                }
+            }
+        }
+    }
+
+    const noDataText = tags.has(TAGS.GDAL_NODATA) ? tags.get(TAGS.GDAL_NODATA) : null;
+    const noData = noDataText !== null && noDataText.trim() !== '' ? parseFloat(noDataText) : null;
+
+    return {
+        width,
+        height,
+        data,
+        noData: Number.isFinite(noData) ? noData : null,
+        bounds: readBounds(tags, width, height)
+    };
+}
+
+function readIFD(view, offset, littleEndian) {
+    const tags = new Map();
+    const count = view.getUint16(offset, littleEndian);
+
+    for (let i = 0; i < count; i++) {
+        const entry = offset + 2 + i * 12;
+        const id = view.getUint16(entry, littleEndian);
+        const type = view.getUint16(entry + 2, littleEndian);
+        const valueCount = view.getUint32(entry + 4, littleEndian);
+        const size = TYPE_SIZES[type];
+
+        if (!size) continue; // Unknown field type, skip it
+
+        // Values that fit in 4 bytes are stored inline
+        const valueOffset = size * valueCount <= 4 ? entry + 8 : view.getUint32(entry + 8, littleEndian);
+        tags.set(id, readValues(view, type, valueOffset, valueCount, littleEndian));
+    }
+
+    return tags;
+}
+
+function readValues(view, type, offset, count, littleEndian) {
+    if (type === 2) {
+        let text = '';
+        for (let i = 0; i < count; i++) {
+            const code = view.getUint8(offset + i);
+            if (code === 0) break;
+            text += String.fromCharCode(code);
+        }
+        return text;
+    }
+
+    const values = [];
+    for (let i = 0; i < count; i++) {
+        const at = offset + i * TYPE_SIZES[type];
+        switch (type) {
+            case 1: case 7: values.push(view.getUint8(at)); break;
+            case 3: values.push(view.getUint16(at, littleEndian)); break;
+            case 4: values.push(view.getUint32(at, littleEndian)); break;
+            case 5: values.push(view.getUint32(at, littleEndian) / view.getUint32(at + 4, littleEndian)); break;
+            case 6: values.push(view.getInt8(at)); break;
+            case 8: values.push(view.getInt16(at, littleEndian)); break;
+            case 9: values.push(view.getInt32(at, littleEndian)); break;
+            case 10: values.push(view.getInt32(at, littleEndian) / view.getInt32(at + 4, littleEndian)); break;
+            case 11: values.push(view.getFloat32(at, littleEndian)); break;
+            case 12: values.push(view.getFloat64(at, littleEndian)); break;
+        }
+    }
+    return values;
+}
+
+function sampleReader(sampleFormat, bitsPerSample) {
+    const key = `${sampleFormat}:${bitsPerSample}`;
+    switch (key) {
+        case '1:8': return (view, at) => view.getUint8(at);
+        case '2:8': return (view, at) => view.getInt8(at);
+        case '1:16': return (view, at, le) => view.getUint16(at, le);
+        case '2:16': return (view, at, le) => view.getInt16(at, le);
+        case '1:32': return (view, at, le) => view.getUint32(at, le);
+        case '2:32': return (view, at, le) => view.getInt32(at, le);
+        case '3:32': return (view, at, le) => view.getFloat32(at, le);
+        case '3:64': return (view, at, le) => view.getFloat64(at, le);
+        default: throw new Error(`Unsupported TIFF sample format ${sampleFormat} at ${bitsPerSample} bits`);
+    }
+}
+
+function undoHorizontalPredictor(bytes, rows, rowSamples, stride, bytesPerSample, littleEndian) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const get = { 1: 'getUint8', 2: 'getUint16', 4: 'getUint32' }[bytesPerSample];
+    const set = { 1: 'setUint8', 2: 'setUint16', 4: 'setUint32' }[bytesPerSample];
+    if (!get) throw new Error('Horizontal predictor is not supported for 64-bit samples');
+
+    for (let y = 0; y < rows; y++) {
+        const rowStart = y * rowSamples * bytesPerSample;
+        for (let i = stride; i < rowSamples; i++) {
+            const at = rowStart + i * bytesPerSample;
+            const previous = rowStart + (i - stride) * bytesPerSample;
+            view[set](at, view[get](at, littleEndian) + view[get](previous, littleEndian), littleEndian);
+        }
+    }
+}
+
+function undoFloatingPointPredictor(bytes, rows, rowSamples, stride, bytesPerSample) {
+    const rowBytes = rowSamples * bytesPerSample;
+    const output = new Uint8Array(bytes.length);
+
+    for (let y = 0; y < rows; y++) {
+        const row = bytes.subarray(y * rowBytes, (y + 1) * rowBytes);
+
+        // Byte-wise differencing across the whole row
+        for (let i = stride; i < rowBytes; i++) {
+            row[i] = (row[i] + row[i - stride]) & 0xff;
+        }
+
+        // Bytes are stored as planes: all most significant bytes first
+        for (let sample = 0; sample < rowSamples; sample++) {
+            for (let b = 0; b < bytesPerSample; b++) {
+                output[y * rowBytes + sample * bytesPerSample + b] = row[b * rowSamples + sample];
+            }
+        }
+    }
+
+    return output;
+}
+
+function readBounds(tags, width, height) {
+    const tiepoint = tags.get(TAGS.MODEL_TIEPOINT);
+    const scale = tags.get(TAGS.MODEL_PIXEL_SCALE);
+    if (!tiepoint || !scale) return null;
+
+    const geoKeys = readGeoKeys(tags.get(TAGS.GEO_KEY_DIRECTORY));
+    if (geoKeys.has(GEO_KEY_PROJECTED_CS)) {
+        console.warn('GeoTIFF uses a projected CRS - only geographic (lon/lat) rasters are placed correctly, assuming global extent');
+        return null;
+    }
+
+    const [i, j, , x, y] = tiepoint;
+    const [scaleX, scaleY] = scale;
+    let west = x - i * scaleX;
+    let north = y + j * scaleY;
+
+    // Pixel-is-point rasters reference pixel centres rather than corners
+    if (geoKeys.get(GEO_KEY_RASTER_TYPE) === RASTER_PIXEL_IS_POINT) {
+        west -= scaleX / 2;
+        north += scaleY / 2;
+    }
+
+    return {
+        west,
+        north,
+        east: west + width * scaleX,
+        south: north - height * scaleY
+    };
+}
+
+function readGeoKeys(directory) {
+    const keys = new Map();
+    if (!directory) return keys;
+
+    const count = directory[3];
+    for (let k = 0; k < count; k++) {
+        const [id, location, , value] = directory.slice(4 + k * 4, 8 + k * 4);
+        // Only short values stored directly in the directory matter to us
+        if (location === 0) keys.set(id, value);
+    }
+    return keys;
+}
+
+// Writes an uncompressed little-endian Float32 GeoTIFF in EPSG:4326.
+// bounds are in degrees; row 0 of data is the northern edge.
+export function encodeGeoTIFF(data, width, height, { bounds, noData = null }) {
+    const scaleX = (bounds.east - bounds.west) / width;
+    const scaleY = (bounds.north - bounds.south) / height;
+
+    const geoKeys = [
+        [GEO_KEY_MODEL_TYPE, MODEL_TYPE_GEOGRAPHIC],
+        [GEO_KEY_RASTER_TYPE, RASTER_PIXEL_IS_AREA],
+        [GEO_KEY_GEOGRAPHIC_TYPE, EPSG_WGS84],
+        [GEO_KEY_ANGULAR_UNITS, ANGULAR_UNIT_DEGREE]
+    ];
+    const geoKeyDirectory = [1, 1, 0, geoKeys.length];
+    geoKeys.forEach(([id, value]) => geoKeyDirectory.push(id, 0, 1, value));
+
+    // [tag, type, values] - must be written in ascending tag order
+    const entries = [
+        [TAGS.IMAGE_WIDTH, 4, [width]],
+        [TAGS.IMAGE_LENGTH, 4, [height]],
+        [TAGS.BITS_PER_SAMPLE, 3, [32]],
+        [TAGS.COMPRESSION, 3, [COMPRESSION_NONE]],
+        [TAGS.PHOTOMETRIC, 3, [1]], // Min-is-black
+        [TAGS.STRIP_OFFSETS, 4, [0]], // Patched below once the layout is known
+        [TAGS.SAMPLES_PER_PIXEL, 3, [1]],
+        [TAGS.ROWS_PER_STRIP, 4, [height]],
+        [TAGS.STRIP_BYTE_COUNTS, 4, [width * height * 4]],
+        [TAGS.PLANAR_CONFIGURATION, 3, [1]],
+        [TAGS.SAMPLE_FORMAT, 3, [3]], // IEEE float
+        [TAGS.MODEL_PIXEL_SCALE, 12, [scaleX, scaleY, 0]],
+        [TAGS.MODEL_TIEPOINT, 12, [0, 0, 0, bounds.west, bounds.north, 0]],
+        [TAGS.GEO_KEY_DIRECTORY, 3, geoKeyDirectory]
+    ];
+    if (noData !== null) {
+        entries.push([TAGS.GDAL_NODATA, 2, `${noData}\0`]);
+    }
+
+    // Layout: header, IFD, out-of-line values, pixel data
+    const ifdOffset = 8;
+    const ifdSize = 2 + entries.length * 12 + 4;
+    let extraOffset = ifdOffset + ifdSize;
+    const extras = entries.map(([, type, values]) => {
+        const size = TYPE_SIZES[type] * values.length;
+        if (size <= 4) return null;
+        const at = extraOffset;
+        extraOffset += size + (size % 2); // Keep word alignment
+        return at;
+    });
+    const pixelOffset = extraOffset + ((4 - (extraOffset % 4)) % 4);
+    entries.find(([id]) => id === TAGS.STRIP_OFFSETS)[2] = [pixelOffset];
+
+    const buffer = new ArrayBuffer(pixelOffset + width * height * 4);
+    const view = new DataView(buffer);
+
+    view.setUint16(0, 0x4949); // 'II' little-endian
+    view.setUint16(2, 42, true);
+    view.setUint32(4, ifdOffset, true);
+    view.setUint16(ifdOffset, entries.length, true);
+
+    entries.forEach(([id, type, values], i) => {
+        const entry = ifdOffset + 2 + i * 12;
+        view.setUint16(entry, id, true);
+        view.setUint16(entry + 2, type, true);
+        view.setUint32(entry + 4, values.length, true);
+
+        const at = extras[i] === null ? entry + 8 : extras[i];
+        if (extras[i] !== null) view.setUint32(entry + 8, at, true);
+        writeValues(view, type, at, values);
+    });
+    view.setUint32(ifdOffset + 2 + entries.length * 12, 0, true); // No further IFDs
+
+    for (let i = 0; i < width * height; i++) {
+        view.setFloat32(pixelOffset + i * 4, data[i], true);
+    }
+
+    return new Uint8Array(buffer);
+}
+
+function writeValues(view, type, offset, values) {
+    for (let i = 0; i < values.length; i++) {
+        const at = offset + i * TYPE_SIZES[type];
+        switch (type) {
+            case 2: view.setUint8(at, values.charCodeAt(i)); break;
+            case 3: view.setUint16(at, values[i], true); break;
+            case 4: view.setUint32(at, values[i], true); break;
+            case 12: view.setFloat64(at, values[i], true); break;
+        }
+    }
+}
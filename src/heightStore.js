@@ -0,0 +1,317 @@
+import { rasterizeElevation, sampleRaster } from './heightmap.js';
+import { directionToLonLat } from './geodesy.js';
+import { sculptVertices } from './brushes.js';
+
+// Crust elevations kept independently of any mesh: an equirectangular raster of
+// heights above baseRadius, sampled bilinearly by direction. The quadtree crust
+// builds its patches from it at whatever level of detail the camera needs, so edits
+// written here survive patches being refined and merged.
+//
+// The raster is continuous across the antimeridian, and everything that samples the
+// pole does so along the exact same direction, so neighbouring patches always agree.
+//
+// Brushes write into the store at its own resolution (sculptTexels) rather than
+// through the mesh, and the texels they change between beginEdit and endEdit come
+// back as a delta for the history.
+
+export const DEFAULT_STORE_SIZE = { width: 2048, height: 1024 };
+
+export class HeightStore {
+    constructor(baseRadius, { width, height } = DEFAULT_STORE_SIZE) {
+        this.baseRadius = baseRadius;
+        this.raster = {
+            width,
+            height,
+            data: new Float32Array(width * height),
+            noData: null,
+            bounds: { west: -180, south: -90, east: 180, north: 90 }
+        };
+        this.revision = 0; // Bumped on every change
+        this.edit = null; // { before, touched } of the open edit, see recordEdit
+        this.texelTrig = null; // See getTexelTrig
+    }
+
+    // Angular size of one texel at the equator, in radians
+    get texelAngle() {
+        return 2 * Math.PI / this.raster.width;
+    }
+
+    radiusAt(x, y, z) {
+        const { lon, lat } = directionToLonLat(x, y, z);
+        const height = sampleRaster(this.raster, lon, lat);
+        return this.baseRadius + (Number.isNaN(height) ? 0 : height);
+    }
+
+    // Replaces everything with the elevations of a sphere mesh
+    setFromMesh(positions, index) {
+        const { width, height } = this.raster;
+        this.raster.data = rasterizeElevation(positions, index, { width, height, baseRadius: this.baseRadius });
+        this.revision++;
+    }
+
+    // Redraws the triangles around moved vertices. Returns the { direction, angle } cap
+    // the change is contained in, or null when nothing moved.
+    updateFromMesh(positions, index, vertices) {
+        if (vertices.length === 0) return null;
+
+        const { width, height } = this.raster;
+        const moved = new Uint8Array(positions.length / 3);
+        vertices.forEach(vertex => { moved[vertex] = 1; });
+
+        const triangles = [];
+        const triangleCount = index ? index.length / 3 : positions.length / 9;
+        for (let t = 0; t < triangleCount; t++) {
+            const a = index ? index[t * 3] : t * 3;
+            const b = index ? index[t * 3 + 1] : t * 3 + 1;
+            const c = index ? index[t * 3 + 2] : t * 3 + 2;
+            if (moved[a] || moved[b] || moved[c]) triangles.push(t);
+        }
+
+        rasterizeElevation(positions, index, { width, height, baseRadius: this.baseRadius, grid: this.raster.data, triangles });
+        this.revision++;
+
+        const corners = [];
+        triangles.forEach(t => {
+            for (let k = 0; k < 3; k++) {
+                const vertex = index ? index[t * 3 + k] : t * 3 + k;
+                corners.push({ x: positions[vertex * 3], y: positions[vertex * 3 + 1], z: positions[vertex * 3 + 2] });
+            }
+        });
+        return boundingCap(corners);
+    }
+
+    // Applies a brush dab to the texels within `radius` of `point` (on the crust, in
+    // scene units) at the store's resolution. The window of rows and columns around the
+    // brush becomes a small vertex grid for sculptVertices, with one spare texel on
+    // every side so smooth and pinch have all their neighbours.
+    // options: falloff (distance / radius -> influence) and sculptVertices' options.
+    // Returns the { direction, angle } cap the dab changed, or null.
+    sculptTexels(point, radius, mode, { falloff, ...options }) {
+        const { width, height, data } = this.raster;
+        const distance = Math.sqrt(point.x * point.x + point.y * point.y + point.z * point.z);
+        if (distance === 0) return null;
+        const trig = this.getTexelTrig();
+
+        // Rows and columns inside the cone from the centre around the brush sphere
+        const angle = radius < distance ? Math.asin(radius / distance) : Math.PI;
+        const { lon, lat } = directionToLonLat(point.x, point.y, point.z);
+        const reach = angle * 180 / Math.PI;
+        const firstRow = Math.max(0, Math.floor((90 - lat - reach) / 180 * height - 0.5) - 1);
+        const lastRow = Math.min(height - 1, Math.ceil((90 - lat + reach) / 180 * height - 0.5) + 1);
+        let columns = width;
+        let firstColumn = 0;
+        if (Math.abs(lat) + reach < 90) {
+            const span = Math.asin(Math.min(1, Math.sin(angle) / Math.cos(lat * Math.PI / 180))) * 180 / Math.PI;
+            firstColumn = Math.floor((lon - span + 180) / 360 * width - 0.5) - 1;
+            columns = Math.min(width, Math.ceil(span * 2 / 360 * width) + 4);
+        }
+        const wraps = columns === width;
+        const rows = lastRow - firstRow + 1;
+
+        // Window vertex k is row firstRow + floor(k / columns), column firstColumn + k % columns
+        const count = rows * columns;
+        const texels = new Uint32Array(count);
+        const positions = new Float32Array(count * 3);
+        const hit = new Uint8Array(count);
+        const hits = [];
+        for (let r = 0; r < rows; r++) {
+            const row = firstRow + r;
+            const sinLat = trig.rows[row * 2], cosLat = trig.rows[row * 2 + 1];
+            for (let c = 0; c < columns; c++) {
+                const column = (((firstColumn + c) % width) + width) % width;
+                const k = r * columns + c;
+                const texel = row * width + column;
+                const radiusAt = this.baseRadius + (Number.isNaN(data[texel]) ? 0 : data[texel]);
+                const x = -trig.columns[column * 2] * cosLat * radiusAt;
+                const y = sinLat * radiusAt;
+                const z = trig.columns[column * 2 + 1] * cosLat * radiusAt;
+                texels[k] = texel;
+                positions[k * 3] = x;
+                positions[k * 3 + 1] = y;
+                positions[k * 3 + 2] = z;
+
+                // The spare border only lends neighbours
+                const border = (!wraps && (c === 0 || c === columns - 1)) || (r === 0 && row > 0) || (r === rows - 1 && row < height - 1);
+                if (border) continue;
+                const dx = x - point.x, dy = y - point.y, dz = z - point.z;
+                const gap = Math.sqrt(dx * dx + dy * dy + dz * dz);
+                if (gap < radius) {
+                    hit[k] = 1;
+                    hits.push({ index: k, influence: falloff(gap / radius) });
+                }
+            }
+        }
+        if (hits.length === 0) return null;
+
+        let neighbours = null;
+        if (mode === 'smooth' || mode === 'pinch') {
+            const offsets = new Uint32Array(count + 1);
+            const flat = new Uint32Array(hits.length * 4);
+            let filled = 0;
+            for (let k = 0; k < count; k++) {
+                if (hit[k]) {
+                    const r = Math.floor(k / columns), c = k % columns;
+                    flat[filled++] = r * columns + (c + 1) % columns;
+                    flat[filled++] = r * columns + (c + columns - 1) % columns;
+                    if (r > 0) flat[filled++] = k - columns;
+                    if (r < rows - 1) flat[filled++] = k + columns;
+                }
+                offsets[k + 1] = filled;
+            }
+            neighbours = { canonical: Uint32Array.from({ length: count }, (_, k) => k), offsets, neighbours: flat };
+        }
+
+        const moved = sculptVertices(positions, hits, mode, { ...options, neighbours });
+        if (moved.length === 0) return null;
+
+        moved.forEach(k => {
+            const texel = texels[k];
+            this.recordEdit(texel);
+            data[texel] = Math.sqrt(positions[k * 3] ** 2 + positions[k * 3 + 1] ** 2 + positions[k * 3 + 2] ** 2) - this.baseRadius;
+        });
+        this.revision++;
+        return { direction: { x: point.x / distance, y: point.y / distance, z: point.z / distance }, angle: angle + this.texelAngle };
+    }
+
+    // Writes texel heights (undo and redo), recorded for any open edit. Returns `cap`,
+    // the area they were written over.
+    setTexels(indices, values, cap) {
+        const data = this.raster.data;
+        indices.forEach((texel, k) => {
+            this.recordEdit(texel);
+            data[texel] = values[k];
+        });
+        this.revision++;
+        return cap;
+    }
+
+    beginEdit() {
+        this.edit = { before: null, touched: null };
+    }
+
+    // Keeps a texel's value from before the open edit's first change, copying the whole
+    // raster once per edit so every later write costs a flag
+    recordEdit(texel) {
+        const edit = this.edit;
+        if (!edit) return;
+        if (!edit.before) {
+            edit.before = this.raster.data.slice();
+            edit.touched = new Uint8Array(this.raster.data.length);
+        }
+        edit.touched[texel] = 1;
+    }
+
+    // { indices, before, after, cap } of the texels changed since beginEdit, or null
+    endEdit() {
+        const edit = this.edit;
+        this.edit = null;
+        if (!edit || !edit.touched) return null;
+
+        const data = this.raster.data;
+        let count = 0;
+        for (let texel = 0; texel < data.length; texel++) {
+            if (edit.touched[texel] && edit.before[texel] !== data[texel]) count++;
+        }
+        if (count === 0) return null;
+
+        const indices = new Uint32Array(count);
+        const before = new Float32Array(count);
+        const after = new Float32Array(count);
+        for (let texel = 0, k = 0; k < count; texel++) {
+            if (edit.touched[texel] && edit.before[texel] !== data[texel]) {
+                indices[k] = texel;
+                before[k] = edit.before[texel];
+                after[k++] = data[texel];
+            }
+        }
+        return { indices, before, after, cap: this.texelCap(indices) };
+    }
+
+    // Cap around the centroid of some texels' directions that holds all of them
+    texelCap(indices) {
+        const d = { x: 0, y: 0, z: 0 };
+        let sx = 0, sy = 0, sz = 0;
+        indices.forEach(texel => {
+            this.texelDirection(texel, d);
+            sx += d.x; sy += d.y; sz += d.z;
+        });
+        const length = Math.sqrt(sx * sx + sy * sy + sz * sz);
+        if (length < 1e-9) return { direction: { x: 0, y: 1, z: 0 }, angle: Math.PI };
+
+        const direction = { x: sx / length, y: sy / length, z: sz / length };
+        let minDot = 1;
+        indices.forEach(texel => {
+            this.texelDirection(texel, d);
+            minDot = Math.min(minDot, d.x * direction.x + d.y * direction.y + d.z * direction.z);
+        });
+        return { direction, angle: Math.acos(Math.max(-1, minDot)) };
+    }
+
+    // Unit direction of a texel's centre, written into `out`
+    texelDirection(texel, out = { x: 0, y: 0, z: 0 }) {
+        const { width } = this.raster;
+        const { rows, columns } = this.getTexelTrig();
+        const row = Math.floor(texel / width), column = texel % width;
+        out.x = -columns[column * 2] * rows[row * 2 + 1];
+        out.y = rows[row * 2];
+        out.z = columns[column * 2 + 1] * rows[row * 2 + 1];
+        return out;
+    }
+
+    // sin and cos of every row's latitude and cos and sin of every column's longitude
+    // (as in lonLatToDirection) at the texel centres, built once
+    getTexelTrig() {
+        if (!this.texelTrig) {
+            const { width, height } = this.raster;
+            const rows = new Float64Array(height * 2);
+            for (let row = 0; row < height; row++) {
+                const lat = (90 - (row + 0.5) / height * 180) * Math.PI / 180;
+                rows[row * 2] = Math.sin(lat);
+                rows[row * 2 + 1] = Math.cos(lat);
+            }
+            const columns = new Float64Array(width * 2);
+            for (let column = 0; column < width; column++) {
+                const phi = (column + 0.5) / width * 2 * Math.PI; // (lon + 180) in radians
+                columns[column * 2] = Math.cos(phi);
+                columns[column * 2 + 1] = Math.sin(phi);
+            }
+            this.texelTrig = { rows, columns };
+        }
+        return this.texelTrig;
+    }
+
+    // Copies a heightmap in at the store's resolution: height = value * scale + offset.
+    // Texels outside the raster or over no-data are left alone.
+    setFromRaster(raster, { scale = 1, offset = 0, noData = raster.noData } = {}) {
+        const { width, height, data } = this.raster;
+        for (let row = 0; row < height; row++) {
+            const lat = 90 - (row + 0.5) / height * 180;
+            for (let column = 0; column < width; column++) {
+                const lon = -180 + (column + 0.5) / width * 360;
+                const value = sampleRaster(raster, lon, lat, noData);
+                if (!Number.isNaN(value)) data[row * width + column] = value * scale + offset;
+            }
+        }
+        this.revision++;
+    }
+}
+
+// Cap around the centroid of some points' directions that holds all of them
+function boundingCap(points) {
+    let sx = 0, sy = 0, sz = 0;
+    const directions = points.map(({ x, y, z }) => {
+        const length = Math.sqrt(x * x + y * y + z * z) || 1;
+        sx += x / length; sy += y / length; sz += z / length;
+        return [x / length, y / length, z / length];
+    });
+
+    const length = Math.sqrt(sx * sx + sy * sy + sz * sz);
+    if (length < 1e-9) return { direction: { x: 0, y: 1, z: 0 }, angle: Math.PI };
+
+    const direction = { x: sx / length, y: sy / length, z: sz / length };
+    let minDot = 1;
+    directions.forEach(([x, y, z]) => {
+        minDot = Math.min(minDot, x * direction.x + y * direction.y + z * direction.z);
+    });
+    return { direction, angle: Math.acos(Math.max(-1, minDot)) };
+}
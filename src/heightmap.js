@@ -0,0 +1,373 @@
+import { decodePNG, encodePNG16, isPNG } from './png.js';
+import { decodeGeoTIFF, encodeGeoTIFF, isTIFF } from './geotiff.js';
+import { directionToLonLat } from './geodesy.js';
+
+// Heightmap import/export: decodes equirectangular elevation rasters and drapes
+// them onto a sphere mesh as radial displacement, and samples a mesh back out.
+//
+// Every decoder returns the same raster shape:
+//   { width, height, data: Float32Array, noData, bounds: { west, south, east, north } }
+// Row 0 is the northern edge, bounds are in degrees.
+
+export const HEIGHTMAP_EXTENSIONS = ['png', 'tif', 'tiff', 'f32', 'i16', 'raw', 'bin'];
+
+const RAW_EXTENSIONS = ['f32', 'i16', 'raw', 'bin'];
+
+const GLOBAL_BOUNDS = { west: -180, south: -90, east: 180, north: 90 };
+
+// tEXt keys mapping 16-bit PNG samples back to elevation: value = sample * scale + offset
+const PNG_SCALE_KEY = 'Elevation-Scale';
+const PNG_OFFSET_KEY = 'Elevation-Offset';
+const PNG_NO_DATA_KEY = 'Elevation-NoData'; // The sample left for pixels without elevation
+
+export function fileExtension(name) {
+    const dot = name.lastIndexOf('.');
+    return dot === -1 ? '' : name.slice(dot + 1).toLowerCase();
+}
+
+function baseName(name) {
+    const dot = name.lastIndexOf('.');
+    return dot === -1 ? name : name.slice(0, dot);
+}
+
+export function isHeightmapFile(file) {
+    return HEIGHTMAP_EXTENSIONS.includes(fileExtension(file.name));
+}
+
+// Picks the raster out of a file selection (plus its JSON sidecar for raw data) and decodes it
+export async function readHeightmapFiles(files) {
+    const list = Array.from(files);
+    const rasterFile = list.find(isHeightmapFile);
+
+    if (!rasterFile) {
+        throw new Error('No heightmap found (expected PNG, GeoTIFF, or raw .f32/.i16 with a .json sidecar)');
+    }
+
+    const extension = fileExtension(rasterFile.name);
+    const buffer = await rasterFile.arrayBuffer();
+
+    if (RAW_EXTENSIONS.includes(extension)) {
+        const sidecarFile = list.find(file => file.name === `${baseName(rasterFile.name)}.json`)
+            || list.find(file => fileExtension(file.name) === 'json');
+
+        if (!sidecarFile) {
+            throw new Error(`Raw heightmap ${rasterFile.name} needs a JSON sidecar describing its width and height`);
+        }
+
+        const sidecar = JSON.parse(await sidecarFile.text());
+        return decodeRaw(buffer, sidecar, extension);
+    }
+
+    return decodeHeightmap(buffer, rasterFile.name);
+}
+
+export function decodeHeightmap(buffer, name = '') {
+    let raster;
+
+    if (isPNG(buffer)) {
+        const png = decodePNG(buffer);
+        raster = { width: png.width, height: png.height, data: png.data, noData: null, bounds: null };
+
+        // Our own exports record how samples map back to elevation
+        const scale = parseFloat(png.text[PNG_SCALE_KEY]);
+        const offset = parseFloat(png.text[PNG_OFFSET_KEY]);
+        const noData = parseFloat(png.text[PNG_NO_DATA_KEY]);
+        if (Number.isFinite(scale) && Number.isFinite(offset)) {
+            for (let i = 0; i < raster.data.length; i++) {
+                raster.data[i] = raster.data[i] === noData ? NaN : raster.data[i] * scale + offset;
+            }
+        } else if (Number.isFinite(noData)) {
+            raster.noData = noData;
+        }
+
+        console.log(`Decoded ${png.bitDepth}-bit PNG heightmap ${png.width}x${png.height}`);
+    } else if (isTIFF(buffer)) {
+        raster = decodeGeoTIFF(buffer);
+        console.log(`Decoded GeoTIFF heightmap ${raster.width}x${raster.height}`, raster.bounds || '(global)');
+    } else {
+        throw new Error(`${name || 'File'} is not a PNG or TIFF heightmap`);
+    }
+
+    raster.bounds = raster.bounds || { ...GLOBAL_BOUNDS };
+    return raster;
+}
+
+// Headerless samples described by a sidecar such as:
+//   { "width": 4096, "height": 2048, "dataType": "float32", "byteOrder": "little", "noData": -9999 }
+export function decodeRaw(buffer, sidecar, extension = 'f32') {
+    const width = parseInt(sidecar.width);
+    const height = parseInt(sidecar.height);
+
+    if (!(width > 0) || !(height > 0)) {
+        throw new Error('Raw heightmap sidecar must give a positive width and height');
+    }
+
+    const dataType = (sidecar.dataType || (extension === 'i16' ? 'int16' : 'float32')).toLowerCase();
+    const bytesPerSample = { float32: 4, int16: 2 }[dataType];
+
+    if (!bytesPerSample) {
+        throw new Error(`Unsupported raw data type "${dataType}" (use float32 or int16)`);
+    }
+
+    const expectedBytes = width * height * bytesPerSample;
+    if (buffer.byteLength < expectedBytes) {
+        throw new Error(`Raw heightmap is ${buffer.byteLength} bytes, expected ${expectedBytes} for ${width}x${height} ${dataType}`);
+    }
+
+    const littleEndian = (sidecar.byteOrder || 'little').toLowerCase() !== 'big';
+    const view = new DataView(buffer);
+    const data = new Float32Array(width * height);
+
+    for (let i = 0; i < data.length; i++) {
+        data[i] = dataType === 'float32'
+            ? view.getFloat32(i * 4, littleEndian)
+            : view.getInt16(i * 2, littleEndian);
+    }
+
+    const noData = sidecar.noData ?? sidecar.nodata;
+
+    return {
+        width,
+        height,
+        data,
+        noData: noData === undefined || noData === null ? null : Number(noData),
+        bounds: sidecar.bounds ? { ...GLOBAL_BOUNDS, ...sidecar.bounds } : { ...GLOBAL_BOUNDS }
+    };
+}
+
+// Bilinear sample of a raster at lon/lat. Returns NaN outside the raster or where
+// every surrounding sample is no-data; partially covered cells use the valid corners only.
+export function sampleRaster(raster, lon, lat, noData = raster.noData) {
+    const { width, height, data, bounds } = raster;
+    const spanX = bounds.east - bounds.west;
+    const wraps = spanX >= 360 - 1e-6;
+
+    let relativeLon = lon - bounds.west;
+    if (wraps) relativeLon = ((relativeLon % 360) + 360) % 360;
+
+    if (!wraps && (relativeLon < 0 || relativeLon > spanX)) return NaN;
+    if (lat > bounds.north || lat < bounds.south) return NaN;
+
+    // Pixel centres sit half a pixel in from the edges
+    const fx = relativeLon / spanX * width - 0.5;
+    const fy = (bounds.north - lat) / (bounds.north - bounds.south) * height - 0.5;
+
+    const x0 = Math.floor(fx);
+    const y0 = Math.floor(fy);
+    const tx = fx - x0;
+    const ty = fy - y0;
+
+    const column = x => (wraps ? ((x % width) + width) % width : Math.max(0, Math.min(width - 1, x)));
+    const row = y => Math.max(0, Math.min(height - 1, y));
+
+    const corners = [
+        [column(x0), row(y0), (1 - tx) * (1 - ty)],
+        [column(x0 + 1), row(y0), tx * (1 - ty)],
+        [column(x0), row(y0 + 1), (1 - tx) * ty],
+        [column(x0 + 1), row(y0 + 1), tx * ty]
+    ];
+
+    let sum = 0;
+    let weight = 0;
+    corners.forEach(([x, y, w]) => {
+        const value = data[y * width + x];
+        if (Number.isNaN(value) || (noData !== null && value === noData)) return;
+        sum += value * w;
+        weight += w;
+    });
+
+    return weight > 0 ? sum / weight : NaN;
+}
+
+// Sets each vertex to baseRadius + (sample * scale + offset) along its direction.
+// Vertices outside the raster or over no-data keep their current position.
+export function drapeHeightmap(positions, raster, { baseRadius, scale = 1, offset = 0, noData = raster.noData }) {
+    let draped = 0;
+
+    for (let i = 0; i < positions.length; i += 3) {
+        const x = positions[i];
+        const y = positions[i + 1];
+        const z = positions[i + 2];
+        const { lon, lat } = directionToLonLat(x, y, z);
+        const value = sampleRaster(raster, lon, lat, noData);
+
+        if (Number.isNaN(value)) continue;
+
+        const length = Math.sqrt(x * x + y * y + z * z) || 1;
+        const radius = baseRadius + value * scale + offset;
+
+        positions[i] = x / length * radius;
+        positions[i + 1] = y / length * radius;
+        positions[i + 2] = z / length * radius;
+        draped++;
+    }
+
+    return draped;
+}
+
+// Samples a sphere mesh into an equirectangular grid of elevations, the inverse of
+// drapeHeightmap: value = (radius - baseRadius - offset) / scale.
+// Triangles are rasterised in lon/lat space, so any tessellation works.
+// With `grid` and `triangles` only those triangle ids are drawn, into the existing
+// grid, which updates a raster after a local edit.
+export function rasterizeElevation(positions, index, { width, height, baseRadius, scale = 1, offset = 0, grid = null, triangles = null }) {
+    const vertexCount = positions.length / 3;
+    const lons = new Float64Array(vertexCount);
+    const lats = new Float64Array(vertexCount);
+    const values = new Float64Array(vertexCount);
+
+    for (let i = 0; i < vertexCount; i++) {
+        const x = positions[i * 3];
+        const y = positions[i * 3 + 1];
+        const z = positions[i * 3 + 2];
+        const { lon, lat } = directionToLonLat(x, y, z);
+        lons[i] = lon;
+        lats[i] = lat;
+        values[i] = (Math.sqrt(x * x + y * y + z * z) - baseRadius - offset) / scale;
+    }
+
+    const target = grid || new Float32Array(width * height).fill(NaN);
+    const toPixelX = lon => (lon + 180) / 360 * width - 0.5;
+    const toPixelY = lat => (90 - lat) / 180 * height - 0.5;
+    const triangleCount = triangles ? triangles.length : index ? index.length / 3 : vertexCount / 3;
+
+    for (let k = 0; k < triangleCount; k++) {
+        const t = triangles ? triangles[k] : k;
+        const corners = [0, 1, 2].map(k => (index ? index[t * 3 + k] : t * 3 + k));
+        const pole = corners.findIndex(v => Math.abs(lats[v]) > 90 - 1e-6);
+        const others = corners.filter((v, k) => k !== pole);
+
+        // Unwrap longitudes next to the first non-polar corner
+        const reference = lons[others[0]];
+        const unwrap = lon => lon + (lon - reference > 180 ? -360 : lon - reference < -180 ? 360 : 0);
+
+        if (pole === -1) {
+            const points = corners.map(v => [toPixelX(unwrap(lons[v])), toPixelY(lats[v]), values[v]]);
+            rasterizeWrapped(target, width, height, points);
+        } else {
+            // A pole is a line in lon/lat space, so the triangle becomes a quad
+            const [a, b] = others.map(v => [toPixelX(unwrap(lons[v])), toPixelY(lats[v]), values[v]]);
+            const poleY = toPixelY(lats[corners[pole]]);
+            const poleValue = values[corners[pole]];
+            const poleA = [a[0], poleY, poleValue];
+            const poleB = [b[0], poleY, poleValue];
+            rasterizeWrapped(target, width, height, [a, b, poleB]);
+            rasterizeWrapped(target, width, height, [a, poleB, poleA]);
+        }
+    }
+
+    if (!grid) fillGaps(target, width, height);
+    return target;
+}
+
+// Transfers the radial displacement of one sphere mesh onto another of any
+// tessellation, through an equirectangular raster fine enough for the denser mesh.
+// Returns the number of target vertices moved.
+export function resampleElevation(source, sourceIndex, target, { baseRadius }) {
+    const vertexCount = Math.max(source.length, target.length) / 3;
+    const width = Math.min(4096, Math.max(256, 2 * Math.ceil(Math.sqrt(2 * vertexCount))));
+    const height = width / 2;
+
+    const data = rasterizeElevation(source, sourceIndex, { width, height, baseRadius });
+    return drapeHeightmap(target, { width, height, data, noData: null, bounds: { ...GLOBAL_BOUNDS } }, { baseRadius });
+}
+
+// Triangles hanging off either side of the antimeridian are drawn again shifted by a full turn
+function rasterizeWrapped(grid, width, height, points) {
+    [0, -width, width].forEach(shift => {
+        const shifted = points.map(([x, y, value]) => [x + shift, y, value]);
+        const minX = Math.min(...shifted.map(p => p[0]));
+        const maxX = Math.max(...shifted.map(p => p[0]));
+        if (maxX < -0.5 || minX > width - 0.5) return;
+        rasterizeTriangle(grid, width, height, shifted);
+    });
+}
+
+function rasterizeTriangle(grid, width, height, [[x0, y0, v0], [x1, y1, v1], [x2, y2, v2]]) {
+    const area = (x1 - x0) * (y2 - y0) - (x2 - x0) * (y1 - y0);
+    if (Math.abs(area) < 1e-12) return;
+
+    const minX = Math.max(0, Math.ceil(Math.min(x0, x1, x2) - 1e-9));
+    const maxX = Math.min(width - 1, Math.floor(Math.max(x0, x1, x2) + 1e-9));
+    const minY = Math.max(0, Math.ceil(Math.min(y0, y1, y2) - 1e-9));
+    const maxY = Math.min(height - 1, Math.floor(Math.max(y0, y1, y2) + 1e-9));
+    const epsilon = -1e-9;
+
+    for (let y = minY; y <= maxY; y++) {
+        for (let x = minX; x <= maxX; x++) {
+            const w0 = ((x1 - x) * (y2 - y) - (x2 - x) * (y1 - y)) / area;
+            const w1 = ((x2 - x) * (y0 - y) - (x0 - x) * (y2 - y)) / area;
+            const w2 = 1 - w0 - w1;
+            if (w0 < epsilon || w1 < epsilon || w2 < epsilon) continue;
+            grid[y * width + x] = w0 * v0 + w1 * v1 + w2 * v2;
+        }
+    }
+}
+
+// Pixels no triangle covered (e.g. under a clipped-away hole) take the nearest value in their row
+function fillGaps(grid, width, height) {
+    for (let y = 0; y < height; y++) {
+        const row = grid.subarray(y * width, (y + 1) * width);
+        let last = NaN;
+        for (let x = 0; x < width; x++) {
+            if (Number.isNaN(row[x])) row[x] = last;
+            else last = row[x];
+        }
+        last = NaN;
+        for (let x = width - 1; x >= 0; x--) {
+            if (Number.isNaN(row[x])) row[x] = last;
+            else last = row[x];
+        }
+    }
+}
+
+// Encodes an elevation grid for download. Returns [{ name, bytes, type }].
+//   png16:   values quantised over their range to 1..65535, the mapping kept in tEXt
+//            chunks and sample 0 reserved for no-data (NaN)
+//   geotiff: Float32 with EPSG:4326 georeferencing
+//   f32:     raw little-endian Float32 plus a JSON sidecar the importer understands
+export function encodeHeightmap(grid, width, height, format, name = 'terrain') {
+    const bounds = { ...GLOBAL_BOUNDS };
+
+    if (format === 'png16') {
+        let min = Infinity;
+        let max = -Infinity;
+        grid.forEach(value => {
+            if (value < min) min = value;
+            if (value > max) max = value;
+        });
+        if (min > max) min = max = 0; // Nothing but no-data
+
+        // Sample 0 is no-data, so valid values start at 1 and the offset shifts down a step
+        const step = max > min ? (max - min) / 65534 : 1;
+        const samples = new Uint16Array(grid.length);
+        for (let i = 0; i < grid.length; i++) {
+            samples[i] = Number.isNaN(grid[i]) ? 0 : 1 + Math.round((grid[i] - min) / step);
+        }
+
+        const text = {
+            [PNG_SCALE_KEY]: String(step),
+            [PNG_OFFSET_KEY]: String(min - step),
+            [PNG_NO_DATA_KEY]: '0',
+            Software: 'WebGPU Globe'
+        };
+        return [{ name: `${name}.png`, bytes: encodePNG16(samples, width, height, text), type: 'image/png' }];
+    }
+
+    if (format === 'geotiff') {
+        return [{ name: `${name}.tif`, bytes: encodeGeoTIFF(grid, width, height, { bounds }), type: 'image/tiff' }];
+    }
+
+    if (format === 'f32') {
+        const bytes = new Uint8Array(grid.length * 4);
+        const view = new DataView(bytes.buffer);
+        grid.forEach((value, i) => view.setFloat32(i * 4, value, true));
+        const sidecar = { width, height, dataType: 'float32', byteOrder: 'little', noData: null, crs: 'EPSG:4326', bounds };
+        return [
+            { name: `${name}.f32`, bytes, type: 'application/octet-stream' },
+            { name: `${name}.json`, bytes: new TextEncoder().encode(JSON.stringify(sidecar, null, 2)), type: 'application/json' }
+        ];
+    }
+
+    throw new Error(`Unknown heightmap export format "${format}"`);
+}
@@ -0,0 +1,127 @@
+// Undo/redo history.
+// Each entry is { label, bytes, undo(), redo() }; terrain edits store sparse vertex
+// deltas (indices plus before/after positions) so a brush stroke costs memory in
+// proportion to the vertices it touched, not the size of the mesh.
+
+export const DEFAULT_HISTORY_BYTES = 64 * 1024 * 1024;
+
+export class OperationHistory {
+    constructor({ maxBytes = DEFAULT_HISTORY_BYTES, onChange = () => {} } = {}) {
+        this.entries = [];
+        this.index = 0; // Number of entries currently applied
+        this.maxBytes = maxBytes;
+        this.onChange = onChange;
+    }
+
+    get canUndo() {
+        return this.index > 0;
+    }
+
+    get canRedo() {
+        return this.index < this.entries.length;
+    }
+
+    get totalBytes() {
+        return this.entries.reduce((sum, entry) => sum + entry.bytes, 0);
+    }
+
+    push(entry) {
+        // A new operation discards anything that was undone
+        this.entries.length = this.index;
+        this.entries.push(entry);
+        this.index = this.entries.length;
+        this.enforceLimit();
+        this.onChange();
+    }
+
+    undo() {
+        if (!this.canUndo) return null;
+        const entry = this.entries[--this.index];
+        entry.undo();
+        this.onChange();
+        return entry;
+    }
+
+    redo() {
+        if (!this.canRedo) return null;
+        const entry = this.entries[this.index++];
+        entry.redo();
+        this.onChange();
+        return entry;
+    }
+
+    // Undo or redo until `index` entries are applied
+    goTo(index) {
+        const target = Math.max(0, Math.min(this.entries.length, index));
+        while (this.index > target) this.undo();
+        while (this.index < target) this.redo();
+    }
+
+    setMaxBytes(maxBytes) {
+        this.maxBytes = maxBytes;
+        this.enforceLimit();
+        this.onChange();
+    }
+
+    clear() {
+        this.entries = [];
+        this.index = 0;
+        this.onChange();
+    }
+
+    // Drop the oldest entries until we're under the cap, always keeping the latest one
+    enforceLimit() {
+        let total = this.totalBytes;
+        while (total > this.maxBytes && this.entries.length > 1 && this.index > 1) {
+            total -= this.entries.shift().bytes;
+            this.index--;
+        }
+    }
+}
+
+// Copy of a position array to diff against once the operation finishes
+export function snapshotPositions(array) {
+    return new Float32Array(array);
+}
+
+// Sparse delta between two position arrays, or null when nothing moved
+export function diffPositions(before, after) {
+    if (before.length !== after.length) return null;
+
+    const changed = [];
+    for (let i = 0; i < after.length; i += 3) {
+        if (before[i] !== after[i] || before[i + 1] !== after[i + 1] || before[i + 2] !== after[i + 2]) {
+            changed.push(i / 3);
+        }
+    }
+
+    if (changed.length === 0) return null;
+
+    const indices = new Uint32Array(changed);
+    const beforeValues = new Float32Array(indices.length * 3);
+    const afterValues = new Float32Array(indices.length * 3);
+
+    indices.forEach((vertex, k) => {
+        for (let c = 0; c < 3; c++) {
+            beforeValues[k * 3 + c] = before[vertex * 3 + c];
+            afterValues[k * 3 + c] = after[vertex * 3 + c];
+        }
+    });
+
+    return {
+        vertexCount: after.length / 3,
+        indices,
+        before: beforeValues,
+        after: afterValues,
+        bytes: indices.byteLength + beforeValues.byteLength + afterValues.byteLength
+    };
+}
+
+// Writes delta values back into a position array
+export function applyPositions(array, indices, values) {
+    indices.forEach((vertex, k) => {
+        array[vertex * 3] = values[k * 3];
+        array[vertex * 3 + 1] = values[k * 3 + 1];
+        array[vertex * 3 + 2] = values[k * 3 + 2];
+    });
+}
@@ -0,0 +1,146 @@
+import * as THREE from 'three';
+
+// Hypsometric tinting: crust colour from elevation. A ramp is a list of stops
+//   { at, color }
+// with `at` in [-1, 1]: -1 is the lowest elevation of the range, 0 is sea level and 1
+// the highest. Below and above sea level are stretched separately, so the coastline
+// always falls on the 0 stop whatever the range. Two stops at 0 give a hard break
+// at the coast; a ramp without one blends across it.
+
+export const ELEVATION_RAMPS = {
+    terrain: {
+        label: 'Terrain',
+        stops: [
+            { at: -1, color: '#0b2e59' },
+            { at: -0.3, color: '#1f6fb2' },
+            { at: 0, color: '#8ec9e8' },
+            { at: 0, color: '#3a7d3a' },
+            { at: 0.15, color: '#7fae4f' },
+            { at: 0.4, color: '#d9c77a' },
+            { at: 0.7, color: '#9a6a3f' },
+            { at: 0.9, color: '#8c8c8c' },
+            { at: 1, color: '#ffffff' }
+        ]
+    },
+    // GEBCO-style blues below sea level, hypsometric greens and browns above
+    bathymetry: {
+        label: 'Bathymetry + topography',
+        stops: [
+            { at: -1, color: '#081d58' },
+            { at: -0.6, color: '#253494' },
+            { at: -0.3, color: '#2c7fb8' },
+            { at: -0.1, color: '#41b6c4' },
+            { at: 0, color: '#c7e9b4' },
+            { at: 0, color: '#1a9850' },
+            { at: 0.25, color: '#91cf60' },
+            { at: 0.5, color: '#fee08b' },
+            { at: 0.75, color: '#d73027' },
+            { at: 1, color: '#f7f7f7' }
+        ]
+    },
+    grayscale: {
+        label: 'Grayscale',
+        stops: [
+            { at: -1, color: '#000000' },
+            { at: 1, color: '#ffffff' }
+        ]
+    }
+};
+
+export const DEFAULT_HYPSOMETRY = {
+    enabled: false,
+    ramp: 'terrain', // A key of ELEVATION_RAMPS or 'custom'
+    customStops: ELEVATION_RAMPS.terrain.stops.map(stop => ({ ...stop })),
+    seaLevel: 0, // Scene units above the base crust radius
+    min: -2, // Lowest and highest elevation of the ramp, same units
+    max: 2
+};
+
+const LOOKUP_SIZE = 256; // Entries per side of sea level
+
+// Copy of a stop list sorted by position, ties kept in order
+export function normalizeStops(stops) {
+    if (!Array.isArray(stops) || stops.length < 2) {
+        throw new Error('An elevation ramp needs at least two stops');
+    }
+    return stops
+        .map((stop, order) => ({
+            at: Math.min(1, Math.max(-1, Number(stop.at) || 0)),
+            color: `#${new THREE.Color(stop.color).getHexString()}`,
+            order
+        }))
+        .sort((a, b) => a.at - b.at || a.order - b.order)
+        .map(({ at, color }) => ({ at, color }));
+}
+
+// Linear-space colours at the centres of LOOKUP_SIZE bins below sea level, then
+// LOOKUP_SIZE above it, as a flat RGB array
+export function createRampLookup(stops) {
+    const sorted = normalizeStops(stops);
+    const colors = sorted.map(stop => new THREE.Color(stop.color));
+    const lookup = new Float32Array(LOOKUP_SIZE * 2 * 3);
+    const color = new THREE.Color();
+
+    for (let i = 0; i < LOOKUP_SIZE * 2; i++) {
+        const below = i < LOOKUP_SIZE;
+        const at = below ? (i + 0.5) / LOOKUP_SIZE - 1 : (i - LOOKUP_SIZE + 0.5) / LOOKUP_SIZE;
+
+        // Bins never sit exactly on sea level, so paired stops at 0 split cleanly between sides
+        let next = sorted.findIndex(stop => stop.at > at);
+        if (next === -1) next = sorted.length;
+
+        if (next === 0) {
+            color.copy(colors[0]);
+        } else if (next === sorted.length) {
+            color.copy(colors[sorted.length - 1]);
+        } else {
+            const from = sorted[next - 1], to = sorted[next];
+            const span = to.at - from.at;
+            color.copy(colors[next - 1]).lerp(colors[next], span > 0 ? (at - from.at) / span : 1);
+        }
+        color.toArray(lookup, i * 3);
+    }
+    return lookup;
+}
+
+// Lookup bin for a height above the base radius
+export function rampBin(height, { seaLevel, min, max }) {
+    const above = height - seaLevel;
+    if (above < 0) {
+        const depth = seaLevel - min;
+        const at = depth > 0 ? Math.max(-1, above / depth) : -1;
+        return Math.min(LOOKUP_SIZE - 1, Math.floor((at + 1) * LOOKUP_SIZE));
+    }
+    const span = max - seaLevel;
+    const at = span > 0 ? Math.min(1, above / span) : 1;
+    return LOOKUP_SIZE + Math.min(LOOKUP_SIZE - 1, Math.floor(at * LOOKUP_SIZE));
+}
+
+// Writes ramp colours for positions (flat xyz) into colors (flat rgb), for every vertex
+// or only the listed ones
+export function colourByElevation(positions, colors, baseRadius, lookup, range, vertices = null) {
+    const colour = vertex => {
+        const x = positions[vertex * 3], y = positions[vertex * 3 + 1], z = positions[vertex * 3 + 2];
+        const bin = rampBin(Math.sqrt(x * x + y * y + z * z) - baseRadius, range) * 3;
+        colors[vertex * 3] = lookup[bin];
+        colors[vertex * 3 + 1] = lookup[bin + 1];
+        colors[vertex * 3 + 2] = lookup[bin + 2];
+    };
+
+    if (vertices) {
+        vertices.forEach(colour);
+    } else {
+        for (let vertex = 0; vertex < positions.length / 3; vertex++) colour(vertex);
+    }
+    return colors;
+}
+
+// CSS gradient of a ramp from top (highest) to bottom (lowest), sea level at seaFraction
+// of the way down, for the legend
+export function rampGradient(stops, seaFraction = 0.5) {
+    const parts = normalizeStops(stops).reverse().map(stop => {
+        const position = stop.at >= 0 ? (1 - stop.at) * seaFraction : seaFraction + -stop.at * (1 - seaFraction);
+        return `${stop.color} ${(position * 100).toFixed(1)}%`;
+    });
+    return `linear-gradient(to bottom, ${parts.join(', ')})`;
+}
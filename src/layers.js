@@ -0,0 +1,123 @@
+import * as THREE from 'three';
+
+// Planetary interiors as a stack of concentric shells, listed from the centre out:
+//   { id, name, innerRadius, outerRadius, color, material, opacity }
+// Radii are in km. The app scales the whole stack so the outermost layer lands on the
+// scene's crust radius, which keeps brushes, clipping and readouts working at any
+// planet size. Each layer is drawn as a solid sphere of its outer radius, and its
+// clipping cap is a ring down to its inner radius.
+//
+// The outermost layer is the editable terrain and always has the id 'crust'.
+
+export const LAYER_MATERIALS = {
+    lambert: { label: 'Matte' },
+    phong: { label: 'Glossy' },
+    standard: { label: 'PBR' },
+    basic: { label: 'Unlit' }
+};
+
+export const LAYER_PRESETS = {
+    classic: {
+        label: 'Simple Earth',
+        planetRadius: 6371,
+        layers: [
+            { id: 'core', name: 'Core', innerRadius: 0, outerRadius: 2548.4, color: '#ffff00', material: 'lambert', opacity: 0.9 },
+            { id: 'mantle', name: 'Mantle', innerRadius: 2548.4, outerRadius: 5096.8, color: '#ff6600', material: 'lambert', opacity: 0.8 },
+            { id: 'crust', name: 'Crust', innerRadius: 5096.8, outerRadius: 6371, color: '#404040', material: 'lambert', opacity: 1 }
+        ]
+    },
+    // Preliminary Reference Earth Model (Dziewonski & Anderson, 1981) boundaries
+    prem: {
+        label: 'Earth (PREM)',
+        planetRadius: 6371,
+        layers: [
+            { id: 'innerCore', name: 'Inner core', innerRadius: 0, outerRadius: 1221.5, color: '#fff4b3', material: 'phong', opacity: 1 },
+            { id: 'outerCore', name: 'Outer core', innerRadius: 1221.5, outerRadius: 3480, color: '#ffb300', material: 'lambert', opacity: 0.8 },
+            { id: 'lowerMantle', name: 'Lower mantle', innerRadius: 3480, outerRadius: 5701, color: '#d9480f', material: 'lambert', opacity: 0.7 },
+            { id: 'upperMantle', name: 'Upper mantle', innerRadius: 5701, outerRadius: 6346.6, color: '#ff8c42', material: 'lambert', opacity: 0.6 },
+            { id: 'crust', name: 'Crust', innerRadius: 6346.6, outerRadius: 6371, color: '#404040', material: 'lambert', opacity: 1 }
+        ]
+    },
+    // Core radius from InSight seismology, crust at its ~50 km mean thickness
+    mars: {
+        label: 'Mars',
+        planetRadius: 3389.5,
+        layers: [
+            { id: 'core', name: 'Core', innerRadius: 0, outerRadius: 1830, color: '#e0a040', material: 'lambert', opacity: 0.9 },
+            { id: 'mantle', name: 'Mantle', innerRadius: 1830, outerRadius: 3339.5, color: '#b5532d', material: 'lambert', opacity: 0.8 },
+            { id: 'crust', name: 'Crust', innerRadius: 3339.5, outerRadius: 3389.5, color: '#8c4a2f', material: 'lambert', opacity: 1 }
+        ]
+    },
+    // Weber et al. (2011) core model, crust at its ~40 km mean thickness
+    moon: {
+        label: 'Moon',
+        planetRadius: 1737.4,
+        layers: [
+            { id: 'innerCore', name: 'Inner core', innerRadius: 0, outerRadius: 240, color: '#fff0c0', material: 'phong', opacity: 1 },
+            { id: 'outerCore', name: 'Outer core', innerRadius: 240, outerRadius: 330, color: '#ffb347', material: 'lambert', opacity: 0.9 },
+            { id: 'meltZone', name: 'Partial melt', innerRadius: 330, outerRadius: 480, color: '#e4572e', material: 'lambert', opacity: 0.8 },
+            { id: 'mantle', name: 'Mantle', innerRadius: 480, outerRadius: 1697.4, color: '#8a6f5a', material: 'lambert', opacity: 0.7 },
+            { id: 'crust', name: 'Crust', innerRadius: 1697.4, outerRadius: 1737.4, color: '#9a9a9a', material: 'lambert', opacity: 1 }
+        ]
+    }
+};
+
+export const DEFAULT_LAYER_PRESET = 'classic';
+
+// Checked, sorted copy of a layer list. Throws on anything the app can't draw.
+export function createLayerStack(layers) {
+    if (!Array.isArray(layers) || layers.length === 0) {
+        throw new Error('A layer stack needs at least one layer');
+    }
+
+    const stack = layers.map(layer => ({
+        id: String(layer.id),
+        name: layer.name || String(layer.id),
+        innerRadius: Number(layer.innerRadius) || 0,
+        outerRadius: Number(layer.outerRadius),
+        color: `#${new THREE.Color(layer.color || '#808080').getHexString()}`,
+        material: LAYER_MATERIALS[layer.material] ? layer.material : 'lambert',
+        opacity: layer.opacity !== undefined ? Math.min(1, Math.max(0, Number(layer.opacity))) : 1
+    }));
+    stack.sort((a, b) => a.outerRadius - b.outerRadius);
+
+    const ids = new Set();
+    stack.forEach(layer => {
+        if (!(layer.outerRadius > 0) || layer.innerRadius < 0 || layer.innerRadius >= layer.outerRadius) {
+            throw new Error(`Layer "${layer.name}" needs 0 <= inner radius < outer radius`);
+        }
+        if (!/^[A-Za-z][\w-]*$/.test(layer.id)) {
+            throw new Error(`Layer id "${layer.id}" must be a letter followed by letters, digits, _ or -`);
+        }
+        if (ids.has(layer.id)) {
+            throw new Error(`Duplicate layer id "${layer.id}"`);
+        }
+        ids.add(layer.id);
+    });
+
+    if (stack[stack.length - 1].id !== 'crust') {
+        throw new Error('The outermost layer must be the crust (id "crust")');
+    }
+    return stack;
+}
+
+export function createLayerMaterial(layer) {
+    const options = {
+        color: new THREE.Color(layer.color),
+        wireframe: false,
+        side: THREE.DoubleSide,
+        transparent: true,
+        opacity: layer.opacity
+    };
+
+    switch (layer.material) {
+        case 'phong':
+            return new THREE.MeshPhongMaterial({ ...options, shininess: 60 });
+        case 'standard':
+            return new THREE.MeshStandardMaterial({ ...options, roughness: 0.6, metalness: 0.1 });
+        case 'basic':
+            return new THREE.MeshBasicMaterial(options);
+        default:
+            return new THREE.MeshLambertMaterial(options);
+    }
+}
@@ -0,0 +1,410 @@
+import * as THREE from 'three';
+import { CUBE_FACES } from './tessellation.js';
+import { clipLayerGeometry } from './clipping.js';
+
+// Level-of-detail crust: a quadtree on each face of a cube projected onto the sphere.
+// Every leaf is a patch of patchSize² quads sampled from a HeightStore. A node splits
+// while the projected spacing of its vertices exceeds errorThreshold pixels; patches
+// near focus areas (the clipping polygon, recent edits) use a lower threshold.
+//
+// Cracks: the tree is kept balanced so neighbouring leaves differ by at most one
+// level, and a patch next to a coarser neighbour moves its odd edge vertices onto the
+// neighbour's edge. Neighbours are found by direction, so this works across cube faces.
+//
+// Clipping: with a clip set, patches the polygon's outline crosses are cut exactly like
+// the crust mesh, and patches wholly on the cut-away side are hidden.
+
+export const DEFAULT_LOD = {
+    patchSize: 32, // Quads along a patch edge, must be even for the edge snapping
+    errorThreshold: 4, // Pixels between neighbouring vertices before a patch splits
+    focusBias: 4, // How much finer patches near focus areas get
+    maxLevel: null // Defaults to the level where patches reach the store's resolution
+};
+
+// Edges of a patch in (s, t) parameter space
+const WEST = 0, EAST = 1, SOUTH = 2, NORTH = 3;
+
+class QuadNode {
+    constructor(face, level, x, y) {
+        this.face = face;
+        this.level = level;
+        this.x = x;
+        this.y = y;
+        this.children = null;
+
+        // Face parameters run from -1 to 1
+        const size = 2 / (1 << level);
+        this.s0 = -1 + x * size;
+        this.t0 = -1 + y * size;
+        this.size = size;
+        this.key = `${face}/${level}/${x}/${y}`;
+    }
+
+    split() {
+        if (this.children) return;
+        const level = this.level + 1;
+        this.children = [
+            new QuadNode(this.face, level, this.x * 2, this.y * 2),
+            new QuadNode(this.face, level, this.x * 2 + 1, this.y * 2),
+            new QuadNode(this.face, level, this.x * 2, this.y * 2 + 1),
+            new QuadNode(this.face, level, this.x * 2 + 1, this.y * 2 + 1)
+        ];
+    }
+}
+
+export class QuadtreeTerrain {
+    constructor(store, material, options = {}) {
+        this.store = store;
+        this.material = material;
+        this.options = { ...DEFAULT_LOD, ...options };
+
+        // Past this level patch vertices would be finer than the store's texels
+        const faceAngle = Math.PI / 2;
+        this.maxLevel = this.options.maxLevel ?? Math.max(0, Math.ceil(Math.log2(faceAngle / this.options.patchSize / store.texelAngle)));
+
+        this.group = new THREE.Group();
+        this.group.name = 'lod-crust';
+        this.roots = CUBE_FACES.map((_, face) => new QuadNode(face, 0, 0, 0));
+        this.patches = new Map(); // node key -> mesh
+        this.stale = new Set(); // Patch keys to rebuild from the store
+        this.focus = [];
+        this.signature = '';
+        this.stats = { patches: 0, triangles: 0, maxLevel: 0 };
+        this.colourPatch = null; // positions => per-vertex RGB, see setPatchColours
+        this.clip = null; // { polygon, keepInside } as for clipLayerGeometry, see setClip
+    }
+
+    // Areas that refine further: [{ direction: {x, y, z}, angle }] caps in radians
+    setFocus(caps) {
+        this.focus = caps;
+        this.signature = '';
+    }
+
+    setErrorThreshold(pixels) {
+        this.options.errorThreshold = pixels;
+        this.signature = '';
+    }
+
+    // Vertex colours for every patch from their positions, or null for none. Has to
+    // follow the shared material's vertexColors.
+    setPatchColours(colourPatch) {
+        if (colourPatch === this.colourPatch) return;
+        this.colourPatch = colourPatch;
+        this.invalidate();
+    }
+
+    // The crust's clipping, or null for none. Pass the same object while it is unchanged.
+    setClip(clip) {
+        if (clip === this.clip) return;
+        this.clip = clip;
+        this.invalidate();
+    }
+
+    // Marks patches overlapping a cap (or every patch) to be rebuilt from the store
+    invalidate(cap = null) {
+        this.patches.forEach((mesh, key) => {
+            if (!cap || this.nodeTouchesCap(mesh.userData.node, cap)) this.stale.add(key);
+        });
+        this.signature = '';
+    }
+
+    // Refines, merges and rebuilds patches for the camera. Cheap when nothing changed.
+    update(camera, viewportHeight) {
+        camera.updateMatrixWorld();
+        const signature = `${camera.matrixWorld.elements.join(',')}|${camera.fov}|${viewportHeight}`;
+        if (signature === this.signature && this.stale.size === 0) return false;
+        this.signature = signature;
+
+        const view = {
+            position: new THREE.Vector3().setFromMatrixPosition(camera.matrixWorld),
+            pixelsPerUnit: viewportHeight / (2 * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2))
+        };
+        this.group.worldToLocal(view.position);
+
+        this.roots.forEach(root => this.refine(root, view));
+        this.balance();
+        this.syncPatches();
+        return true;
+    }
+
+    refine(node, view) {
+        if (node.level < this.maxLevel && this.needsSplit(node, view)) {
+            node.split();
+            node.children.forEach(child => this.refine(child, view));
+        } else {
+            node.children = null;
+        }
+    }
+
+    needsSplit(node, view) {
+        const radius = this.store.baseRadius;
+        const { direction, angle } = this.nodeCap(node);
+
+        // Beyond the horizon nothing is gained by splitting
+        const distanceToCentre = view.position.length();
+        if (distanceToCentre > radius) {
+            const cameraDirection = view.position.clone().divideScalar(distanceToCentre);
+            const horizon = Math.acos(radius / distanceToCentre);
+            if (cameraDirection.angleTo(direction) > horizon + angle) return false;
+        }
+
+        const centre = direction.clone().multiplyScalar(radius);
+        const distance = Math.max(1e-3, centre.distanceTo(view.position) - angle * radius);
+        const spacing = radius * (Math.PI / 2) / (1 << node.level) / this.options.patchSize;
+        let error = spacing * view.pixelsPerUnit / distance;
+
+        if (this.focus.some(cap => this.nodeTouchesCap(node, cap))) {
+            error *= this.options.focusBias;
+        }
+        return error > this.options.errorThreshold;
+    }
+
+    // Splits coarse leaves until every neighbour pair is at most one level apart
+    balance() {
+        for (let pass = 0; pass < 32; pass++) {
+            let changed = false;
+            this.leaves().forEach(leaf => {
+                for (let edge = 0; edge < 4; edge++) {
+                    const neighbour = this.neighbourLeaf(leaf, edge);
+                    if (neighbour && neighbour.level < leaf.level - 1) {
+                        neighbour.split();
+                        changed = true;
+                    }
+                }
+            });
+            if (!changed) return;
+        }
+    }
+
+    syncPatches() {
+        const leaves = this.leaves();
+        const keep = new Set();
+        let triangles = 0;
+        let maxLevel = 0;
+
+        leaves.forEach(leaf => {
+            // Bit per edge that meets a coarser neighbour
+            let coarser = 0;
+            for (let edge = 0; edge < 4; edge++) {
+                const neighbour = this.neighbourLeaf(leaf, edge);
+                if (neighbour && neighbour.level < leaf.level) coarser |= 1 << edge;
+            }
+
+            let mesh = this.patches.get(leaf.key);
+            if (!mesh || mesh.userData.coarser !== coarser || this.stale.has(leaf.key)) {
+                if (mesh) this.removePatch(leaf.key);
+                mesh = this.buildPatch(leaf, coarser);
+                this.patches.set(leaf.key, mesh);
+                this.group.add(mesh);
+            }
+
+            keep.add(leaf.key);
+            triangles += this.options.patchSize * this.options.patchSize * 2;
+            maxLevel = Math.max(maxLevel, leaf.level);
+        });
+
+        [...this.patches.keys()].forEach(key => {
+            if (!keep.has(key)) this.removePatch(key);
+        });
+
+        this.stale.clear();
+        this.stats = { patches: leaves.length, triangles, maxLevel };
+    }
+
+    buildPatch(node, coarser) {
+        const n = this.options.patchSize;
+        const row = n + 3; // One extra sample on every side for the normals
+        const samples = new Float32Array(row * row * 3);
+        const direction = new THREE.Vector3();
+
+        for (let j = -1; j <= n + 1; j++) {
+            for (let i = -1; i <= n + 1; i++) {
+                this.faceDirection(node.face, node.s0 + node.size * i / n, node.t0 + node.size * j / n, direction);
+                const radius = this.store.radiusAt(direction.x, direction.y, direction.z);
+                const k = ((j + 1) * row + (i + 1)) * 3;
+                samples[k] = direction.x * radius;
+                samples[k + 1] = direction.y * radius;
+                samples[k + 2] = direction.z * radius;
+            }
+        }
+
+        const sample = (i, j) => ((j + 1) * row + (i + 1)) * 3;
+        const count = (n + 1) * (n + 1);
+        const positions = new Float32Array(count * 3);
+        const normals = new Float32Array(count * 3);
+        const across = new THREE.Vector3();
+        const along = new THREE.Vector3();
+
+        for (let j = 0; j <= n; j++) {
+            for (let i = 0; i <= n; i++) {
+                const v = (j * (n + 1) + i) * 3;
+                const c = sample(i, j);
+                positions[v] = samples[c];
+                positions[v + 1] = samples[c + 1];
+                positions[v + 2] = samples[c + 2];
+
+                // Central differences, u x v points outwards
+                const east = sample(i + 1, j), west = sample(i - 1, j);
+                const north = sample(i, j + 1), south = sample(i, j - 1);
+                across.set(samples[east] - samples[west], samples[east + 1] - samples[west + 1], samples[east + 2] - samples[west + 2]);
+                along.set(samples[north] - samples[south], samples[north + 1] - samples[south + 1], samples[north + 2] - samples[south + 2]);
+                across.cross(along).normalize();
+                normals[v] = across.x;
+                normals[v + 1] = across.y;
+                normals[v + 2] = across.z;
+            }
+        }
+
+        // Odd vertices on an edge with a coarser neighbour go onto that neighbour's edge
+        const snap = (vertex, before, after) => {
+            for (let c = 0; c < 3; c++) {
+                positions[vertex * 3 + c] = (positions[before * 3 + c] + positions[after * 3 + c]) / 2;
+            }
+        };
+        for (let k = 1; k < n; k += 2) {
+            if (coarser & (1 << WEST)) snap(k * (n + 1), (k - 1) * (n + 1), (k + 1) * (n + 1));
+            if (coarser & (1 << EAST)) snap(k * (n + 1) + n, (k - 1) * (n + 1) + n, (k + 1) * (n + 1) + n);
+            if (coarser & (1 << SOUTH)) snap(k, k - 1, k + 1);
+            if (coarser & (1 << NORTH)) snap(n * (n + 1) + k, n * (n + 1) + k - 1, n * (n + 1) + k + 1);
+        }
+
+        const indices = [];
+        for (let j = 0; j < n; j++) {
+            for (let i = 0; i < n; i++) {
+                const a = j * (n + 1) + i, b = a + 1, d = a + n + 1, c = d + 1;
+                indices.push(a, b, c, a, c, d);
+            }
+        }
+
+        let geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+        if (this.colourPatch) geometry.setAttribute('color', new THREE.BufferAttribute(this.colourPatch(positions), 3));
+        geometry.setIndex(indices);
+
+        let visible = true;
+        if (this.clip) {
+            const side = this.clipSide(node, positions);
+            if (side === null) {
+                const cut = clipLayerGeometry(geometry, this.clip.polygon, { keepInside: this.clip.keepInside }).geometry;
+                geometry.dispose();
+                geometry = cut;
+                visible = geometry.attributes.position.count > 0;
+            } else {
+                visible = side === this.clip.keepInside;
+            }
+        }
+        geometry.computeBoundingSphere();
+
+        const mesh = new THREE.Mesh(geometry, this.material);
+        mesh.visible = visible;
+        mesh.userData = { node, coarser };
+        mesh.castShadow = true;
+        mesh.receiveShadow = true;
+        mesh.raycast = () => {}; // Picking stays on the regular crust mesh
+        return mesh;
+    }
+
+    // Whether the whole patch is inside the clipping polygon (true) or outside it (false),
+    // or null when the outline may cross it
+    clipSide(node, positions) {
+        const { polygon } = this.clip;
+        if (polygon.vertices.some(direction => this.nodeTouchesCap(node, { direction, angle: 0 }))) return null;
+
+        const inside = polygon.contains(positions[0], positions[1], positions[2]);
+        for (let v = 3; v < positions.length; v += 3) {
+            if (polygon.contains(positions[v], positions[v + 1], positions[v + 2]) !== inside) return null;
+        }
+        return inside;
+    }
+
+    removePatch(key) {
+        const mesh = this.patches.get(key);
+        this.group.remove(mesh);
+        mesh.geometry.dispose();
+        this.patches.delete(key);
+    }
+
+    dispose() {
+        [...this.patches.keys()].forEach(key => this.removePatch(key));
+        if (this.group.parent) this.group.parent.remove(this.group);
+    }
+
+    leaves() {
+        const leaves = [];
+        const visit = node => {
+            if (node.children) node.children.forEach(visit);
+            else leaves.push(node);
+        };
+        this.roots.forEach(visit);
+        return leaves;
+    }
+
+    // Leaf just across the middle of one edge, possibly on another cube face
+    neighbourLeaf(node, edge) {
+        const step = node.size * 1e-3;
+        const mid = node.size / 2;
+        const s = edge === WEST ? node.s0 - step : edge === EAST ? node.s0 + node.size + step : node.s0 + mid;
+        const t = edge === SOUTH ? node.t0 - step : edge === NORTH ? node.t0 + node.size + step : node.t0 + mid;
+        return this.leafAt(this.faceDirection(node.face, s, t, new THREE.Vector3()));
+    }
+
+    leafAt(direction) {
+        const { face, s, t } = locate(direction);
+        let node = this.roots[face];
+        while (node.children) {
+            const right = s >= node.s0 + node.size / 2 ? 1 : 0;
+            const top = t >= node.t0 + node.size / 2 ? 1 : 0;
+            node = node.children[top * 2 + right];
+        }
+        return node;
+    }
+
+    // Unit direction of face parameters (s, t); parameters past ±1 land on the next face
+    faceDirection(face, s, t, target) {
+        const { normal, u, v } = CUBE_FACES[face];
+        const a = Math.tan(s * Math.PI / 4);
+        const b = Math.tan(t * Math.PI / 4);
+        return target.set(
+            normal[0] + u[0] * a + v[0] * b,
+            normal[1] + u[1] * a + v[1] * b,
+            normal[2] + u[2] * a + v[2] * b
+        ).normalize();
+    }
+
+    // Centre direction and angular radius of a node
+    nodeCap(node) {
+        if (!node.cap) {
+            const direction = this.faceDirection(node.face, node.s0 + node.size / 2, node.t0 + node.size / 2, new THREE.Vector3());
+            const corner = this.faceDirection(node.face, node.s0, node.t0, new THREE.Vector3());
+            let angle = direction.angleTo(corner);
+            [[1, 0], [0, 1], [1, 1]].forEach(([i, j]) => {
+                const other = this.faceDirection(node.face, node.s0 + node.size * i, node.t0 + node.size * j, new THREE.Vector3());
+                angle = Math.max(angle, direction.angleTo(other));
+            });
+            node.cap = { direction, angle };
+        }
+        return node.cap;
+    }
+
+    nodeTouchesCap(node, cap) {
+        const { direction, angle } = this.nodeCap(node);
+        const dot = direction.x * cap.direction.x + direction.y * cap.direction.y + direction.z * cap.direction.z;
+        return Math.acos(Math.max(-1, Math.min(1, dot))) <= angle + cap.angle;
+    }
+}
+
+// Cube face and face parameters of a direction, the inverse of faceDirection
+function locate(direction) {
+    const ax = Math.abs(direction.x), ay = Math.abs(direction.y), az = Math.abs(direction.z);
+    let face;
+    if (ax >= ay && ax >= az) face = direction.x >= 0 ? 0 : 1;
+    else if (ay >= az) face = direction.y >= 0 ? 2 : 3;
+    else face = direction.z >= 0 ? 4 : 5;
+
+    const { normal, u, v } = CUBE_FACES[face];
+    const depth = direction.x * normal[0] + direction.y * normal[1] + direction.z * normal[2];
+    const a = (direction.x * u[0] + direction.y * u[1] + direction.z * u[2]) / depth;
+    const b = (direction.x * v[0] + direction.y * v[1] + direction.z * v[2]) / depth;
+    return { face, s: Math.atan(a) * 4 / Math.PI, t: Math.atan(b) * 4 / Math.PI };
+}
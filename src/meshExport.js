@@ -0,0 +1,59 @@
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js';
+import { OBJExporter } from 'three/examples/jsm/exporters/OBJExporter.js';
+import { STLExporter } from 'three/examples/jsm/exporters/STLExporter.js';
+
+// Mesh export for the layer stack: GLB keeps named nodes and materials,
+// OBJ and STL are for tools that only want the triangles.
+
+export const MESH_EXPORT_FORMATS = {
+    glb: { extension: 'glb', type: 'model/gltf-binary' },
+    obj: { extension: 'obj', type: 'text/plain' },
+    stl: { extension: 'stl', type: 'model/stl' }
+};
+
+// parts: [{ name, geometry, material }], geometry and material are cloned so the scene is untouched
+export function buildExportScene(parts) {
+    const scene = new THREE.Scene();
+    scene.name = 'WebGPU Globe';
+
+    parts.forEach(({ name, geometry, material }) => {
+        const exportMaterial = material.clone();
+        exportMaterial.name = name;
+        // Clipping planes belong to the live view, not the exported material
+        exportMaterial.clippingPlanes = null;
+
+        const mesh = new THREE.Mesh(geometry.clone(), exportMaterial);
+        mesh.name = name;
+        scene.add(mesh);
+    });
+
+    return scene;
+}
+
+export async function exportMeshes(parts, format, name = 'globe') {
+    const target = MESH_EXPORT_FORMATS[format];
+    if (!target) throw new Error(`Unknown mesh export format "${format}"`);
+
+    const scene = buildExportScene(parts);
+    let bytes;
+
+    try {
+        if (format === 'glb') {
+            bytes = await new GLTFExporter().parseAsync(scene, { binary: true });
+        } else if (format === 'obj') {
+            bytes = new OBJExporter().parse(scene);
+        } else {
+            bytes = new STLExporter().parse(scene, { binary: true });
+        }
+    } finally {
+        scene.traverse(object => {
+            if (object.isMesh) {
+                object.geometry.dispose();
+                object.material.dispose();
+            }
+        });
+    }
+
+    return { bytes, name: `${name}.${target.extension}`, type: target.type };
+}
@@ -0,0 +1,123 @@
+// Seeded 3D gradient noise and fractal sums of it.
+// Sampling on the unit sphere (scaled by a frequency) gives seamless patterns with
+// no poles or antimeridian seam, which is what the sculpt brushes need.
+
+// Small fast PRNG (mulberry32), returns floats in [0, 1)
+export function createRandom(seed) {
+    let state = (seed >>> 0) || 1;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Gradient directions: the 12 cube edge midpoints
+const GRADIENTS = [
+    [1, 1, 0], [-1, 1, 0], [1, -1, 0], [-1, -1, 0],
+    [1, 0, 1], [-1, 0, 1], [1, 0, -1], [-1, 0, -1],
+    [0, 1, 1], [0, -1, 1], [0, 1, -1], [0, -1, -1]
+];
+
+// Returns noise(x, y, z) in roughly [-1, 1], the same for the same seed
+export function createNoise3D(seed = 1) {
+    const random = createRandom(seed);
+    const permutation = new Uint8Array(512);
+    const table = Array.from({ length: 256 }, (_, i) => i);
+
+    // Fisher-Yates shuffle driven by the seed
+    for (let i = 255; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [table[i], table[j]] = [table[j], table[i]];
+    }
+    for (let i = 0; i < 512; i++) permutation[i] = table[i & 255];
+
+    const gradientDot = (hash, x, y, z) => {
+        const g = GRADIENTS[hash % 12];
+        return g[0] * x + g[1] * y + g[2] * z;
+    };
+
+    return (x, y, z) => {
+        const xi = Math.floor(x), yi = Math.floor(y), zi = Math.floor(z);
+        const xf = x - xi, yf = y - yi, zf = z - zi;
+        const X = xi & 255, Y = yi & 255, Z = zi & 255;
+        const u = fade(xf), v = fade(yf), w = fade(zf);
+
+        const a = permutation[X] + Y, aa = permutation[a] + Z, ab = permutation[a + 1] + Z;
+        const b = permutation[X + 1] + Y, ba = permutation[b] + Z, bb = permutation[b + 1] + Z;
+
+        return lerp(w,
+            lerp(v,
+                lerp(u, gradientDot(permutation[aa], xf, yf, zf), gradientDot(permutation[ba], xf - 1, yf, zf)),
+                lerp(u, gradientDot(permutation[ab], xf, yf - 1, zf), gradientDot(permutation[bb], xf - 1, yf - 1, zf))
+            ),
+            lerp(v,
+                lerp(u, gradientDot(permutation[aa + 1], xf, yf, zf - 1), gradientDot(permutation[ba + 1], xf - 1, yf, zf - 1)),
+                lerp(u, gradientDot(permutation[ab + 1], xf, yf - 1, zf - 1), gradientDot(permutation[bb + 1], xf - 1, yf - 1, zf - 1))
+            )
+        );
+    };
+}
+
+// Fractal Brownian motion: octaves of noise at rising frequency and falling amplitude,
+// normalised so the result stays in roughly [-1, 1]
+export function fbm(noise, x, y, z, { octaves = 5, lacunarity = 2, gain = 0.5 } = {}) {
+    let sum = 0;
+    let amplitude = 1;
+    let frequency = 1;
+    let total = 0;
+
+    for (let octave = 0; octave < octaves; octave++) {
+        sum += noise(x * frequency, y * frequency, z * frequency) * amplitude;
+        total += amplitude;
+        amplitude *= gain;
+        frequency *= lacunarity;
+    }
+
+    return sum / total;
+}
+
+// Ridged multifractal: sharp crests where the noise crosses zero, with each octave
+// weighted by the one before so detail gathers along the ridges. Roughly [-1, 1].
+export function ridged(noise, x, y, z, { octaves = 5, lacunarity = 2, gain = 0.5 } = {}) {
+    let sum = 0;
+    let amplitude = 1;
+    let frequency = 1;
+    let total = 0;
+    let weight = 1;
+
+    for (let octave = 0; octave < octaves; octave++) {
+        let signal = 1 - Math.abs(noise(x * frequency, y * frequency, z * frequency));
+        signal *= signal * weight;
+        weight = Math.min(1, Math.max(0, signal * 2));
+
+        sum += signal * amplitude;
+        total += amplitude;
+        amplitude *= gain;
+        frequency *= lacunarity;
+    }
+
+    return sum / total * 2 - 1;
+}
+
+// Domain warping: offsets the sample point by fbm of itself, which bends coastlines
+// and ridges into swirls. The offsets use shifted copies of the input so the three
+// axes don't move together.
+export function domainWarp(noise, x, y, z, amount, options) {
+    if (amount === 0) return { x, y, z };
+    return {
+        x: x + fbm(noise, x + 5.2, y + 1.3, z + 7.1, options) * amount,
+        y: y + fbm(noise, x + 1.7, y + 9.2, z + 3.4, options) * amount,
+        z: z + fbm(noise, x + 8.3, y + 2.8, z + 6.6, options) * amount
+    };
+}
+
+function fade(t) {
+    return t * t * t * (t * (t * 6 - 15) + 10);
+}
+
+function lerp(t, a, b) {
+    return a + t * (b - a);
+}
@@ -0,0 +1,82 @@
+import { createNoise3D, fbm, ridged, domainWarp } from './noise.js';
+
+// Procedural crust elevation. Everything is a function of the seed, the settings and
+// the direction of a vertex from the centre, so the same seed gives the same planet
+// at any resolution and on any tessellation, with no seam or pole artifacts.
+
+export const DEFAULT_PLANET = {
+    seed: 1,
+    noise: 'fbm', // 'fbm' or 'ridged'
+    frequency: 1.5, // Features per unit of sphere radius, lower means bigger continents
+    octaves: 6,
+    roughness: 0.5, // Amplitude kept per octave
+    warp: 0.4, // Domain warping strength, 0 for none
+    continentRatio: 0.35, // Fraction of the surface above sea level
+    amplitude: 2 // Height of the highest peak and depth of the deepest trench
+};
+
+// Directions used to find sea level and the elevation range; fixed so the result
+// doesn't depend on the mesh being generated onto
+const CALIBRATION_SAMPLES = 4096;
+
+// Returns elevation(x, y, z) for a unit direction, in [-amplitude, amplitude] with
+// continentRatio of the sphere above zero
+export function createPlanetGenerator(params) {
+    const settings = { ...DEFAULT_PLANET, ...params };
+    const noise = createNoise3D(settings.seed);
+    const octaves = Math.max(1, Math.round(settings.octaves));
+    const options = { octaves, gain: settings.roughness };
+    const warpOptions = { octaves: Math.min(3, octaves), gain: 0.5 };
+    const sum = settings.noise === 'ridged' ? ridged : fbm;
+
+    const raw = (x, y, z) => {
+        const f = settings.frequency;
+        const p = domainWarp(noise, x * f, y * f, z * f, settings.warp, warpOptions);
+        return sum(noise, p.x, p.y, p.z, options);
+    };
+
+    // Evenly spread directions (Fibonacci sphere) give area-weighted quantiles
+    const samples = new Float64Array(CALIBRATION_SAMPLES);
+    const goldenAngle = Math.PI * (3 - Math.sqrt(5));
+    for (let i = 0; i < CALIBRATION_SAMPLES; i++) {
+        const y = 1 - (i + 0.5) / CALIBRATION_SAMPLES * 2;
+        const ring = Math.sqrt(1 - y * y);
+        const theta = i * goldenAngle;
+        samples[i] = raw(Math.cos(theta) * ring, y, Math.sin(theta) * ring);
+    }
+    samples.sort();
+
+    const ratio = Math.min(1, Math.max(0, settings.continentRatio));
+    const seaLevel = samples[Math.min(CALIBRATION_SAMPLES - 1, Math.floor((1 - ratio) * CALIBRATION_SAMPLES))];
+    const landRange = Math.max(1e-6, samples[CALIBRATION_SAMPLES - 1] - seaLevel);
+    const oceanRange = Math.max(1e-6, seaLevel - samples[0]);
+
+    return (x, y, z) => {
+        const value = raw(x, y, z) - seaLevel;
+        const scaled = value >= 0 ? value / landRange : value / oceanRange;
+        return Math.min(1, Math.max(-1, scaled)) * settings.amplitude;
+    };
+}
+
+// Sets every vertex to baseRadius + elevation along its direction. Returns the
+// elevation range that was written.
+export function generatePlanet(positions, params, baseRadius) {
+    const elevation = createPlanetGenerator(params);
+    let min = Infinity;
+    let max = -Infinity;
+
+    for (let i = 0; i < positions.length; i += 3) {
+        const x = positions[i], y = positions[i + 1], z = positions[i + 2];
+        const length = Math.sqrt(x * x + y * y + z * z) || 1;
+        const height = elevation(x / length, y / length, z / length);
+        const radius = baseRadius + height;
+
+        positions[i] = x / length * radius;
+        positions[i + 1] = y / length * radius;
+        positions[i + 2] = z / length * radius;
+        min = Math.min(min, height);
+        max = Math.max(max, height);
+    }
+
+    return { min, max };
+}
@@ -0,0 +1,202 @@
+import { unzlibSync, zlibSync } from 'three/examples/jsm/libs/fflate.module.js';
+
+// Minimal PNG reader/writer for elevation rasters.
+// The browser's image codecs only deal in 8-bit RGBA, which throws away the
+// precision of 16-bit DEMs, so we handle the IDAT stream ourselves.
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+// Samples per pixel for each PNG colour type
+const CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 };
+
+export function isPNG(buffer) {
+    const bytes = new Uint8Array(buffer, 0, Math.min(8, buffer.byteLength));
+    return PNG_SIGNATURE.every((value, i) => bytes[i] === value);
+}
+
+export function decodePNG(buffer) {
+    if (!isPNG(buffer)) {
+        throw new Error('Not a PNG file');
+    }
+
+    const view = new DataView(buffer);
+    const idatChunks = [];
+    const text = {};
+    let header = null;
+    let offset = 8;
+
+    while (offset < buffer.byteLength) {
+        const length = view.getUint32(offset);
+        const type = String.fromCharCode(
+            view.getUint8(offset + 4), view.getUint8(offset + 5),
+            view.getUint8(offset + 6), view.getUint8(offset + 7)
+        );
+        const dataOffset = offset + 8;
+
+        if (type === 'IHDR') {
+            header = {
+                width: view.getUint32(dataOffset),
+                height: view.getUint32(dataOffset + 4),
+                bitDepth: view.getUint8(dataOffset + 8),
+                colorType: view.getUint8(dataOffset + 9),
+                interlace: view.getUint8(dataOffset + 12)
+            };
+        } else if (type === 'IDAT') {
+            idatChunks.push(new Uint8Array(buffer, dataOffset, length));
+        } else if (type === 'tEXt') {
+            // keyword \0 value, both Latin-1
+            const bytes = new Uint8Array(buffer, dataOffset, length);
+            const separator = bytes.indexOf(0);
+            if (separator > 0) {
+                text[String.fromCharCode(...bytes.subarray(0, separator))] = String.fromCharCode(...bytes.subarray(separator + 1));
+            }
+        } else if (type === 'IEND') {
+            break;
+        }
+
+        offset = dataOffset + length + 4; // Skip CRC
+    }
+
+    if (!header) throw new Error('PNG is missing its IHDR chunk');
+
+    const { width, height, bitDepth, colorType, interlace } = header;
+    const channels = CHANNELS[colorType];
+
+    if (!channels) throw new Error(`Unsupported PNG colour type ${colorType} (palette images are not elevation data)`);
+    if (bitDepth !== 8 && bitDepth !== 16) throw new Error(`Unsupported PNG bit depth ${bitDepth}`);
+    if (interlace !== 0) throw new Error('Interlaced PNGs are not supported');
+
+    // Join IDAT chunks and inflate
+    const compressed = new Uint8Array(idatChunks.reduce((sum, chunk) => sum + chunk.length, 0));
+    let position = 0;
+    idatChunks.forEach(chunk => {
+        compressed.set(chunk, position);
+        position += chunk.length;
+    });
+    const raw = unzlibSync(compressed);
+
+    // Undo the per-scanline filters
+    const bytesPerPixel = channels * bitDepth / 8;
+    const stride = width * bytesPerPixel;
+    const pixels = new Uint8Array(stride * height);
+
+    for (let y = 0; y < height; y++) {
+        const filter = raw[y * (stride + 1)];
+        const source = y * (stride + 1) + 1;
+        const target = y * stride;
+
+        for (let x = 0; x < stride; x++) {
+            const value = raw[source + x];
+            const left = x >= bytesPerPixel ? pixels[target + x - bytesPerPixel] : 0;
+            const up = y > 0 ? pixels[target + x - stride] : 0;
+            const upLeft = y > 0 && x >= bytesPerPixel ? pixels[target + x - stride - bytesPerPixel] : 0;
+
+            let predicted = 0;
+            switch (filter) {
+                case 0: predicted = 0; break;
+                case 1: predicted = left; break;
+                case 2: predicted = up; break;
+                case 3: predicted = (left + up) >> 1; break;
+                case 4: predicted = paeth(left, up, upLeft); break;
+                default: throw new Error(`Invalid PNG filter type ${filter} on row ${y}`);
+            }
+
+            pixels[target + x] = (value + predicted) & 0xff;
+        }
+    }
+
+    // Keep the first channel (grey, or red for RGB encodings) as the elevation sample
+    const data = new Float32Array(width * height);
+    for (let i = 0; i < data.length; i++) {
+        const byteIndex = i * bytesPerPixel;
+        data[i] = bitDepth === 16
+            ? (pixels[byteIndex] << 8) | pixels[byteIndex + 1]
+            : pixels[byteIndex];
+    }
+
+    return { width, height, bitDepth, channels, data, text };
+}
+
+// Encodes a 16-bit greyscale PNG. `text` becomes tEXt chunks (keyword -> value).
+export function encodePNG16(samples, width, height, text = {}) {
+    const stride = width * 2;
+    const raw = new Uint8Array((stride + 1) * height);
+
+    for (let y = 0; y < height; y++) {
+        const rowStart = y * (stride + 1);
+        raw[rowStart] = 0; // No filter
+        for (let x = 0; x < width; x++) {
+            const value = samples[y * width + x];
+            raw[rowStart + 1 + x * 2] = value >> 8;
+            raw[rowStart + 2 + x * 2] = value & 0xff;
+        }
+    }
+
+    const header = new Uint8Array(13);
+    const headerView = new DataView(header.buffer);
+    headerView.setUint32(0, width);
+    headerView.setUint32(4, height);
+    header[8] = 16; // Bit depth
+    header[9] = 0; // Greyscale
+
+    const chunks = [
+        new Uint8Array(PNG_SIGNATURE),
+        pngChunk('IHDR', header),
+        ...Object.entries(text).map(([keyword, value]) => pngChunk('tEXt', latin1(`${keyword}\0${value}`))),
+        pngChunk('IDAT', zlibSync(raw)),
+        pngChunk('IEND', new Uint8Array(0))
+    ];
+
+    const output = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+    let position = 0;
+    chunks.forEach(chunk => {
+        output.set(chunk, position);
+        position += chunk.length;
+    });
+    return output;
+}
+
+function latin1(string) {
+    return Uint8Array.from(string, character => character.charCodeAt(0) & 0xff);
+}
+
+function pngChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    chunk.set(latin1(type), 4);
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+    return chunk;
+}
+
+let crcTable = null;
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    if (pb <= pc) return b;
+    return c;
+}
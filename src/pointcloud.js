@@ -0,0 +1,509 @@
+import { fileExtension } from './heightmap.js';
+import { lonLatToDirection, localFrame } from './geodesy.js';
+
+// Point cloud import: LAS, PLY and XYZ/CSV parsers plus placement on the globe.
+//
+// Every parser returns the same cloud shape:
+//   { count, positions: Float64Array, colors: Float32Array|null (0-1),
+//     intensity: Float32Array|null, classification: Uint8Array|null }
+// Positions stay in double precision until placement so projected coordinates
+// (UTM etc.) don't lose their centimetres.
+
+export const POINT_CLOUD_EXTENSIONS = ['las', 'ply', 'xyz', 'csv', 'txt', 'pts'];
+
+export function isPointCloudFile(file) {
+    return POINT_CLOUD_EXTENSIONS.includes(fileExtension(file.name));
+}
+
+export async function readPointCloudFile(file, { columns = '' } = {}) {
+    const extension = fileExtension(file.name);
+
+    switch (extension) {
+        case 'las': return parseLAS(await file.arrayBuffer());
+        case 'ply': return parsePLY(await file.arrayBuffer());
+        case 'xyz': case 'csv': case 'txt': case 'pts':
+            return parseXYZ(await file.text(), { columns });
+        default:
+            throw new Error(`Unsupported point cloud format .${extension}`);
+    }
+}
+
+// LAS
+
+// Byte offsets of the optional fields within each point data record format
+const LAS_FORMATS = {
+    0: { rgb: null, classification: 15, classMask: 0x1f },
+    1: { rgb: null, classification: 15, classMask: 0x1f },
+    2: { rgb: 20, classification: 15, classMask: 0x1f },
+    3: { rgb: 28, classification: 15, classMask: 0x1f },
+    4: { rgb: null, classification: 15, classMask: 0x1f },
+    5: { rgb: 28, classification: 15, classMask: 0x1f },
+    6: { rgb: null, classification: 16, classMask: 0xff },
+    7: { rgb: 30, classification: 16, classMask: 0xff },
+    8: { rgb: 30, classification: 16, classMask: 0xff },
+    9: { rgb: null, classification: 16, classMask: 0xff },
+    10: { rgb: 30, classification: 16, classMask: 0xff }
+};
+
+export function parseLAS(buffer) {
+    const view = new DataView(buffer);
+    const signature = String.fromCharCode(...new Uint8Array(buffer, 0, 4));
+
+    if (signature !== 'LASF') throw new Error('Not a LAS file');
+
+    const versionMajor = view.getUint8(24);
+    const versionMinor = view.getUint8(25);
+    const pointDataOffset = view.getUint32(96, true);
+    const formatByte = view.getUint8(104);
+    const recordLength = view.getUint16(105, true);
+
+    // The top two bits are set by LASzip
+    if (formatByte & 0xc0) throw new Error('Compressed LAZ files are not supported, decompress to LAS first');
+
+    const format = LAS_FORMATS[formatByte];
+    if (!format) throw new Error(`Unsupported LAS point data format ${formatByte}`);
+
+    let count = view.getUint32(107, true);
+    if (versionMajor === 1 && versionMinor >= 4 && count === 0) {
+        count = Number(view.getBigUint64(247, true));
+    }
+
+    // Never read past the end of the file, headers from some writers lie
+    count = Math.min(count, Math.floor((buffer.byteLength - pointDataOffset) / recordLength));
+
+    const scale = [view.getFloat64(131, true), view.getFloat64(139, true), view.getFloat64(147, true)];
+    const offset = [view.getFloat64(155, true), view.getFloat64(163, true), view.getFloat64(171, true)];
+
+    const positions = new Float64Array(count * 3);
+    const intensity = new Float32Array(count);
+    const classification = new Uint8Array(count);
+    const rgb = format.rgb !== null ? new Uint16Array(count * 3) : null;
+    let maxColor = 0;
+
+    for (let i = 0; i < count; i++) {
+        const record = pointDataOffset + i * recordLength;
+
+        positions[i * 3] = view.getInt32(record, true) * scale[0] + offset[0];
+        positions[i * 3 + 1] = view.getInt32(record + 4, true) * scale[1] + offset[1];
+        positions[i * 3 + 2] = view.getInt32(record + 8, true) * scale[2] + offset[2];
+        intensity[i] = view.getUint16(record + 12, true);
+        classification[i] = view.getUint8(record + format.classification) & format.classMask;
+
+        if (rgb) {
+            for (let c = 0; c < 3; c++) {
+                const value = view.getUint16(record + format.rgb + c * 2, true);
+                rgb[i * 3 + c] = value;
+                if (value > maxColor) maxColor = value;
+            }
+        }
+    }
+
+    console.log(`Parsed LAS ${versionMajor}.${versionMinor} format ${formatByte}: ${count.toLocaleString()} points`);
+
+    return {
+        count,
+        positions,
+        colors: rgb ? normalizeColors(rgb, maxColor) : null,
+        intensity,
+        classification
+    };
+}
+
+// Writers disagree on whether LAS colours are 8 or 16 bit, so go by the data
+function normalizeColors(values, maxValue) {
+    const divisor = maxValue > 255 ? 65535 : 255;
+    const colors = new Float32Array(values.length);
+    for (let i = 0; i < values.length; i++) {
+        colors[i] = values[i] / divisor;
+    }
+    return colors;
+}
+
+// PLY
+
+const PLY_TYPES = {
+    char: ['getInt8', 1], int8: ['getInt8', 1],
+    uchar: ['getUint8', 1], uint8: ['getUint8', 1],
+    short: ['getInt16', 2], int16: ['getInt16', 2],
+    ushort: ['getUint16', 2], uint16: ['getUint16', 2],
+    int: ['getInt32', 4], int32: ['getInt32', 4],
+    uint: ['getUint32', 4], uint32: ['getUint32', 4],
+    float: ['getFloat32', 4], float32: ['getFloat32', 4],
+    double: ['getFloat64', 8], float64: ['getFloat64', 8]
+};
+
+// Accepted property names for each attribute
+const PLY_PROPERTIES = {
+    x: ['x'], y: ['y'], z: ['z'],
+    red: ['red', 'r', 'diffuse_red'],
+    green: ['green', 'g', 'diffuse_green'],
+    blue: ['blue', 'b', 'diffuse_blue'],
+    intensity: ['intensity', 'scalar_intensity'],
+    classification: ['classification', 'scalar_classification', 'class']
+};
+
+export function parsePLY(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const headerEnd = findHeaderEnd(bytes);
+    const headerText = new TextDecoder().decode(bytes.subarray(0, headerEnd));
+    const lines = headerText.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+
+    if (lines[0] !== 'ply') throw new Error('Not a PLY file');
+
+    let format = null;
+    const elements = [];
+
+    lines.slice(1).forEach(line => {
+        const parts = line.split(/\s+/);
+        if (parts[0] === 'format') {
+            format = parts[1];
+        } else if (parts[0] === 'element') {
+            elements.push({ name: parts[1], count: parseInt(parts[2]), properties: [] });
+        } else if (parts[0] === 'property' && elements.length > 0) {
+            const properties = elements[elements.length - 1].properties;
+            if (parts[1] === 'list') {
+                properties.push({ name: parts[4], list: true, countType: parts[2], type: parts[3] });
+            } else {
+                properties.push({ name: parts[2], type: parts[1] });
+            }
+        }
+    });
+
+    if (!['ascii', 'binary_little_endian', 'binary_big_endian'].includes(format)) {
+        throw new Error(`Unsupported PLY format "${format}"`);
+    }
+
+    const vertexElement = elements.find(element => element.name === 'vertex');
+    if (!vertexElement) throw new Error('PLY file has no vertex element');
+
+    const propertyIndex = {};
+    Object.entries(PLY_PROPERTIES).forEach(([key, names]) => {
+        propertyIndex[key] = vertexElement.properties.findIndex(property => names.includes(property.name));
+    });
+
+    if (propertyIndex.x === -1 || propertyIndex.y === -1 || propertyIndex.z === -1) {
+        throw new Error('PLY vertices need x, y and z properties');
+    }
+
+    const rows = format === 'ascii'
+        ? readPLYAscii(bytes, headerEnd, elements, vertexElement)
+        : readPLYBinary(buffer, headerEnd, elements, vertexElement, format === 'binary_little_endian');
+
+    const count = vertexElement.count;
+    const positions = new Float64Array(count * 3);
+    const hasColor = propertyIndex.red !== -1 && propertyIndex.green !== -1 && propertyIndex.blue !== -1;
+    const colorType = hasColor ? vertexElement.properties[propertyIndex.red].type : null;
+    const rgb = hasColor ? new Float32Array(count * 3) : null;
+    const intensity = propertyIndex.intensity !== -1 ? new Float32Array(count) : null;
+    const classification = propertyIndex.classification !== -1 ? new Uint8Array(count) : null;
+    let maxColor = 0;
+
+    rows((values, i) => {
+        positions[i * 3] = values[propertyIndex.x];
+        positions[i * 3 + 1] = values[propertyIndex.y];
+        positions[i * 3 + 2] = values[propertyIndex.z];
+
+        if (rgb) {
+            rgb[i * 3] = values[propertyIndex.red];
+            rgb[i * 3 + 1] = values[propertyIndex.green];
+            rgb[i * 3 + 2] = values[propertyIndex.blue];
+            maxColor = Math.max(maxColor, rgb[i * 3], rgb[i * 3 + 1], rgb[i * 3 + 2]);
+        }
+        if (intensity) intensity[i] = values[propertyIndex.intensity];
+        if (classification) classification[i] = values[propertyIndex.classification];
+    });
+
+    // Float colours are already 0-1
+    let colors = null;
+    if (rgb) {
+        colors = colorType === 'float' || colorType === 'float32' || colorType === 'double' || colorType === 'float64'
+            ? rgb
+            : normalizeColors(rgb, maxColor);
+    }
+
+    console.log(`Parsed ${format} PLY: ${count.toLocaleString()} points`);
+
+    return { count, positions, colors, intensity, classification };
+}
+
+function findHeaderEnd(bytes) {
+    const marker = 'end_header';
+    const limit = Math.min(bytes.length, 65536);
+
+    for (let i = 0; i < limit - marker.length; i++) {
+        let match = true;
+        for (let j = 0; j < marker.length; j++) {
+            if (bytes[i + j] !== marker.charCodeAt(j)) {
+                match = false;
+                break;
+            }
+        }
+        if (match) {
+            // Header ends after the newline following the marker
+            let end = i + marker.length;
+            while (end < bytes.length && bytes[end] !== 0x0a) end++;
+            return end + 1;
+        }
+    }
+
+    throw new Error('PLY header has no end_header line');
+}
+
+// Returns an iterator that calls visit(values, index) for each vertex row
+function readPLYAscii(bytes, headerEnd, elements, vertexElement) {
+    const lines = new TextDecoder().decode(bytes.subarray(headerEnd)).split(/\r?\n/);
+
+    // Each element row is one line, so skip the rows of elements before the vertices
+    let line = 0;
+    for (const element of elements) {
+        if (element === vertexElement) break;
+        line += element.count;
+    }
+
+    return visit => {
+        for (let i = 0; i < vertexElement.count; i++) {
+            const values = lines[line + i].trim().split(/\s+/).map(Number);
+            visit(values, i);
+        }
+    };
+}
+
+function readPLYBinary(buffer, headerEnd, elements, vertexElement, littleEndian) {
+    const view = new DataView(buffer);
+    let offset = headerEnd;
+
+    const readScalar = type => {
+        const [getter, size] = PLY_TYPES[type];
+        const value = view[getter](offset, littleEndian);
+        offset += size;
+        return value;
+    };
+
+    // Rows can contain lists, so every preceding element has to be walked
+    const readRow = element => element.properties.map(property => {
+        if (property.list) {
+            const length = readScalar(property.countType);
+            for (let k = 0; k < length; k++) readScalar(property.type);
+            return length;
+        }
+        return readScalar(property.type);
+    });
+
+    for (const element of elements) {
+        if (element === vertexElement) break;
+        for (let i = 0; i < element.count; i++) readRow(element);
+    }
+
+    return visit => {
+        for (let i = 0; i < vertexElement.count; i++) {
+            visit(readRow(vertexElement), i);
+        }
+    };
+}
+
+// XYZ / CSV
+
+// Column names accepted in a header row or in the column spec
+const XYZ_COLUMNS = {
+    x: ['x', 'lon', 'long', 'longitude', 'easting'],
+    y: ['y', 'lat', 'latitude', 'northing'],
+    z: ['z', 'alt', 'altitude', 'elevation', 'height', 'h'],
+    red: ['r', 'red'],
+    green: ['g', 'green'],
+    blue: ['b', 'blue'],
+    intensity: ['i', 'intensity'],
+    classification: ['c', 'class', 'classification']
+};
+
+function columnKey(name) {
+    const normalized = name.trim().toLowerCase();
+    return Object.keys(XYZ_COLUMNS).find(key => XYZ_COLUMNS[key].includes(normalized)) || null;
+}
+
+// columns is an optional comma-separated list naming each column in order, with "_" to skip,
+// e.g. "lon,lat,alt,_,intensity". Without it the header row is used, else x,y,z[,r,g,b].
+export function parseXYZ(text, { columns = '' } = {}) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '' && !line.trim().startsWith('#') && !line.trim().startsWith('//'));
+    if (lines.length === 0) throw new Error('Point cloud file is empty');
+
+    const delimiter = detectDelimiter(lines[0]);
+    const split = line => line.trim().split(delimiter).map(field => field.trim());
+
+    const firstFields = split(lines[0]);
+    const hasHeader = firstFields.some(field => field !== '' && Number.isNaN(Number(field)));
+    const dataLines = hasHeader ? lines.slice(1) : lines;
+
+    let names;
+    if (columns.trim() !== '') {
+        names = columns.split(',');
+    } else if (hasHeader) {
+        names = firstFields;
+    } else {
+        names = firstFields.length >= 6 ? ['x', 'y', 'z', 'r', 'g', 'b'] : ['x', 'y', 'z'];
+    }
+
+    const index = {};
+    names.forEach((name, column) => {
+        const key = columnKey(name);
+        if (key && index[key] === undefined) index[key] = column;
+    });
+
+    if (index.x === undefined || index.y === undefined || index.z === undefined) {
+        throw new Error(`Could not find x/y/z columns in [${names.join(', ')}]`);
+    }
+
+    const count = dataLines.length;
+    const positions = new Float64Array(count * 3);
+    const hasColor = index.red !== undefined && index.green !== undefined && index.blue !== undefined;
+    const rgb = hasColor ? new Float32Array(count * 3) : null;
+    const intensity = index.intensity !== undefined ? new Float32Array(count) : null;
+    const classification = index.classification !== undefined ? new Uint8Array(count) : null;
+    let maxColor = 0;
+    let valid = 0;
+
+    dataLines.forEach(line => {
+        const fields = split(line);
+        const x = parseFloat(fields[index.x]);
+        const y = parseFloat(fields[index.y]);
+        const z = parseFloat(fields[index.z]);
+
+        if (!Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(z)) return;
+
+        positions[valid * 3] = x;
+        positions[valid * 3 + 1] = y;
+        positions[valid * 3 + 2] = z;
+
+        if (rgb) {
+            rgb[valid * 3] = parseFloat(fields[index.red]) || 0;
+            rgb[valid * 3 + 1] = parseFloat(fields[index.green]) || 0;
+            rgb[valid * 3 + 2] = parseFloat(fields[index.blue]) || 0;
+            maxColor = Math.max(maxColor, rgb[valid * 3], rgb[valid * 3 + 1], rgb[valid * 3 + 2]);
+        }
+        if (intensity) intensity[valid] = parseFloat(fields[index.intensity]) || 0;
+        if (classification) classification[valid] = parseInt(fields[index.classification]) || 0;
+        valid++;
+    });
+
+    // Colours written as 0-1 floats are left alone
+    let colors = null;
+    if (rgb) {
+        colors = maxColor <= 1 ? rgb.subarray(0, valid * 3) : normalizeColors(rgb.subarray(0, valid * 3), maxColor);
+    }
+
+    console.log(`Parsed XYZ: ${valid.toLocaleString()} points (columns: ${names.join(', ')})`);
+
+    return {
+        count: valid,
+        positions: positions.subarray(0, valid * 3),
+        colors,
+        intensity: intensity ? intensity.subarray(0, valid) : null,
+        classification: classification ? classification.subarray(0, valid) : null,
+        // Column names like lon/lat say what the coordinates are
+        geographicHint: ['lon', 'long', 'longitude'].includes(String(names[index.x]).trim().toLowerCase())
+    };
+}
+
+function detectDelimiter(line) {
+    if (line.includes(',')) return ',';
+    if (line.includes(';')) return ';';
+    if (line.includes('\t')) return '\t';
+    return /\s+/;
+}
+
+// Placement
+
+// Lon/lat if every x fits in [-180, 180] and every y in [-90, 90]
+export function looksGeographic(cloud) {
+    if (cloud.geographicHint) return true;
+
+    const { positions, count } = cloud;
+    for (let i = 0; i < count; i++) {
+        if (Math.abs(positions[i * 3]) > 180 || Math.abs(positions[i * 3 + 1]) > 90) return false;
+    }
+    return count > 0;
+}
+
+// Converts cloud coordinates to scene positions.
+//   geographic: x/y are lon/lat in degrees, z is altitude; radius = baseRadius + z * scale
+//   cartesian:  the cloud is centred and laid out in the east/north/up frame at anchor,
+//               scale converts source units to scene units up and horizontalScale along
+//               the ground (they differ under vertical exaggeration)
+export function placePointCloud(cloud, { coordinates = 'auto', baseRadius, scale = 1, horizontalScale = scale, anchor = { lon: 0, lat: 0 } }) {
+    const geographic = coordinates === 'geographic' || (coordinates === 'auto' && looksGeographic(cloud));
+    const { positions, count } = cloud;
+    const placed = new Float32Array(count * 3);
+
+    if (geographic) {
+        for (let i = 0; i < count; i++) {
+            const direction = lonLatToDirection(positions[i * 3], positions[i * 3 + 1]);
+            const radius = baseRadius + positions[i * 3 + 2] * scale;
+            placed[i * 3] = direction.x * radius;
+            placed[i * 3 + 1] = direction.y * radius;
+            placed[i * 3 + 2] = direction.z * radius;
+        }
+        return { positions: placed, geographic };
+    }
+
+    // Centre on the bounding box, with the lowest point resting on the surface
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let i = 0; i < count * 3; i++) {
+        const axis = i % 3;
+        if (positions[i] < min[axis]) min[axis] = positions[i];
+        if (positions[i] > max[axis]) max[axis] = positions[i];
+    }
+    const centre = [(min[0] + max[0]) / 2, (min[1] + max[1]) / 2, min[2]];
+
+    const { east, north, up } = localFrame(anchor.lon, anchor.lat);
+    const origin = [up.x * baseRadius, up.y * baseRadius, up.z * baseRadius];
+
+    for (let i = 0; i < count; i++) {
+        const e = (positions[i * 3] - centre[0]) * horizontalScale;
+        const n = (positions[i * 3 + 1] - centre[1]) * horizontalScale;
+        const u = (positions[i * 3 + 2] - centre[2]) * scale;
+        placed[i * 3] = origin[0] + east.x * e + north.x * n + up.x * u;
+        placed[i * 3 + 1] = origin[1] + east.y * e + north.y * n + up.y * u;
+        placed[i * 3 + 2] = origin[2] + east.z * e + north.z * n + up.z * u;
+    }
+
+    return { positions: placed, geographic };
+}
+
+// Colours for display: RGB if the file has it, else intensity as grey, else classification
+const CLASSIFICATION_COLORS = {
+    2: [0.65, 0.5, 0.3],  // Ground
+    3: [0.6, 0.85, 0.4],  // Low vegetation
+    4: [0.35, 0.75, 0.3], // Medium vegetation
+    5: [0.15, 0.55, 0.15], // High vegetation
+    6: [0.9, 0.3, 0.2],   // Building
+    7: [1.0, 0.0, 1.0],   // Low point (noise)
+    9: [0.2, 0.4, 1.0],   // Water
+    17: [0.8, 0.8, 0.2]   // Bridge deck
+};
+
+export function displayColors(cloud) {
+    if (cloud.colors) return cloud.colors;
+
+    const colors = new Float32Array(cloud.count * 3).fill(1);
+
+    if (cloud.intensity) {
+        let maxIntensity = 0;
+        for (let i = 0; i < cloud.count; i++) maxIntensity = Math.max(maxIntensity, cloud.intensity[i]);
+        if (maxIntensity > 0) {
+            for (let i = 0; i < cloud.count; i++) {
+                const grey = cloud.intensity[i] / maxIntensity;
+                colors[i * 3] = colors[i * 3 + 1] = colors[i * 3 + 2] = grey;
+            }
+            return colors;
+        }
+    }
+
+    if (cloud.classification) {
+        for (let i = 0; i < cloud.count; i++) {
+            const color = CLASSIFICATION_COLORS[cloud.classification[i]] || [0.8, 0.8, 0.8];
+            colors.set(color, i * 3);
+        }
+    }
+
+    return colors;
+}
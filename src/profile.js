@@ -0,0 +1,192 @@
+import { VertexGrid } from './spatialIndex.js';
+
+// Elevation profiles: a path of great-circle arcs between picked points, sampled at an
+// even spacing, with summary statistics, CSV export and the outline of the cut that
+// opens the layers beside it to show the cross-section.
+
+const MAX_SAMPLES = 2000; // The spacing grows on long paths to stay under this
+
+// Samples along the arcs between consecutive points (any length, only directions
+// count), no more than `step` radians apart: [{ direction, angle, point }] with the
+// unit direction, the distance along the path in radians and, for the picked points
+// themselves, their index (null elsewhere).
+export function greatCirclePath(points, step) {
+    if (points.length < 2) throw new Error('A profile needs at least two points');
+
+    const directions = points.map(normalize);
+    const arcs = [];
+    for (let i = 1; i < directions.length; i++) {
+        const angle = angleBetween(directions[i - 1], directions[i]);
+        if (angle > Math.PI - 1e-6) {
+            throw new Error(`Profile points ${i} and ${i + 1} are antipodal, add a point between them`);
+        }
+        arcs.push(angle);
+    }
+    const total = arcs.reduce((sum, angle) => sum + angle, 0);
+    step = Math.max(step, total / MAX_SAMPLES);
+
+    const samples = [{ direction: directions[0], angle: 0, point: 0 }];
+    let travelled = 0;
+    arcs.forEach((arc, i) => {
+        const from = directions[i], to = directions[i + 1];
+        const count = Math.max(1, Math.ceil(arc / step));
+        for (let k = 1; k <= count; k++) {
+            const t = k / count;
+            samples.push({
+                direction: slerp(from, to, arc, t),
+                angle: travelled + arc * t,
+                point: k === count ? i + 1 : null
+            });
+        }
+        travelled += arc;
+    });
+    return samples;
+}
+
+// Radius of a closed, star-shaped mesh (the crust) along each unit direction, where the
+// ray from the centre crosses it, or NaN where it runs through a hole. Vertices are
+// binned by direction, so each sample only tests the triangles around the vertices
+// nearest to it.
+export function sampleMeshRadii(positions, index, directions) {
+    const vertexCount = positions.length / 3;
+    const triangleCount = index ? index.length / 3 : vertexCount / 3;
+    const corner = (t, k) => (index ? index[t * 3 + k] : t * 3 + k);
+
+    const units = new Float32Array(positions.length);
+    for (let v = 0; v < vertexCount; v++) {
+        const x = positions[v * 3], y = positions[v * 3 + 1], z = positions[v * 3 + 2];
+        const length = Math.sqrt(x * x + y * y + z * z) || 1;
+        units.set([x / length, y / length, z / length], v * 3);
+    }
+
+    // The triangles around each vertex, and the longest edge between unit directions,
+    // which bounds how far a hit can be from its triangle's corners
+    const offsets = new Uint32Array(vertexCount + 1);
+    let reach = 0;
+    for (let t = 0; t < triangleCount; t++) {
+        for (let k = 0; k < 3; k++) {
+            const a = corner(t, k), b = corner(t, (k + 1) % 3);
+            offsets[a + 1]++;
+            reach = Math.max(reach, Math.hypot(units[a * 3] - units[b * 3], units[a * 3 + 1] - units[b * 3 + 1], units[a * 3 + 2] - units[b * 3 + 2]));
+        }
+    }
+    for (let v = 0; v < vertexCount; v++) offsets[v + 1] += offsets[v];
+    const fan = new Uint32Array(triangleCount * 3);
+    const fill = offsets.slice(0, vertexCount);
+    for (let t = 0; t < triangleCount; t++) {
+        for (let k = 0; k < 3; k++) fan[fill[corner(t, k)]++] = t;
+    }
+
+    const grid = new VertexGrid(units, { cellSize: Math.max(reach, 1 / 256) });
+    const tested = new Int32Array(triangleCount).fill(-1); // Sample that last tested each triangle
+    return directions.map((d, sample) => {
+        let radius = NaN;
+        grid.forEachInSphere(d.x, d.y, d.z, reach * 1.01 + 1e-6, vertex => {
+            for (let i = offsets[vertex]; i < offsets[vertex + 1] && Number.isNaN(radius); i++) {
+                const t = fan[i];
+                if (tested[t] === sample) continue;
+                tested[t] = sample;
+                radius = rayHit(positions, corner(t, 0), corner(t, 1), corner(t, 2), d);
+            }
+        });
+        return radius;
+    });
+}
+
+// Min, max and mean of values along increasing distances. The mean weighs each
+// stretch by its length, so unevenly spaced samples don't skew it.
+export function profileStats(distances, values) {
+    let min = Infinity, max = -Infinity;
+    values.forEach(value => {
+        min = Math.min(min, value);
+        max = Math.max(max, value);
+    });
+
+    const length = distances[distances.length - 1] - distances[0];
+    let mean = values[0];
+    if (length > 0) {
+        let area = 0;
+        for (let i = 1; i < values.length; i++) {
+            area += (values[i] + values[i - 1]) / 2 * (distances[i] - distances[i - 1]);
+        }
+        mean = area / length;
+    }
+    return { min, max, mean, length };
+}
+
+// Rows of { distance (km), lon, lat, elevation } as CSV, elevations in `elevationUnit`
+export function profileToCSV(rows, elevationUnit) {
+    const lines = [`distance_km,lon,lat,elevation_${elevationUnit}`];
+    rows.forEach(({ distance, lon, lat, elevation }) => {
+        lines.push(`${distance.toFixed(3)},${lon.toFixed(6)},${lat.toFixed(6)},${elevation.toFixed(3)}`);
+    });
+    return lines.join('\n') + '\n';
+}
+
+// Outline of the cut beside the path, for a SphericalPolygon: the picked points, then
+// the same points moved `width` radians sideways on the way back. The cut opens on the
+// side facing `towards` (e.g. the camera), so its wall along the path is the section.
+export function sectionCutOutline(points, towards, width) {
+    const directions = points.map(normalize);
+
+    // Each arc's left-hand normal, averaged at the points between two arcs
+    const normals = [];
+    for (let i = 1; i < directions.length; i++) {
+        normals.push(normalize(cross(directions[i - 1], directions[i])));
+    }
+    const sum = normals.reduce((acc, n) => ({ x: acc.x + n.x, y: acc.y + n.y, z: acc.z + n.z }), { x: 0, y: 0, z: 0 });
+    const side = sum.x * towards.x + sum.y * towards.y + sum.z * towards.z < 0 ? -1 : 1;
+
+    const along = Math.cos(width), aside = Math.sin(width) * side;
+    const offsets = directions.map((d, i) => {
+        const before = normals[i - 1] || normals[i], after = normals[i] || normals[i - 1];
+        const n = normalize({ x: before.x + after.x, y: before.y + after.y, z: before.z + after.z });
+        return normalize({ x: d.x * along + n.x * aside, y: d.y * along + n.y * aside, z: d.z * along + n.z * aside });
+    });
+    return [...directions, ...offsets.reverse()];
+}
+
+// Distance from the origin along the unit direction d to triangle abc, NaN on a miss
+function rayHit(positions, a, b, c, d) {
+    const ax = positions[a * 3], ay = positions[a * 3 + 1], az = positions[a * 3 + 2];
+    const e1x = positions[b * 3] - ax, e1y = positions[b * 3 + 1] - ay, e1z = positions[b * 3 + 2] - az;
+    const e2x = positions[c * 3] - ax, e2y = positions[c * 3 + 1] - ay, e2z = positions[c * 3 + 2] - az;
+
+    const px = d.y * e2z - d.z * e2y, py = d.z * e2x - d.x * e2z, pz = d.x * e2y - d.y * e2x;
+    const det = e1x * px + e1y * py + e1z * pz;
+    if (Math.abs(det) < 1e-12) return NaN;
+
+    // Slightly generous, so rays along a shared edge hit one of its triangles
+    const epsilon = 1e-6;
+    const sx = -ax, sy = -ay, sz = -az;
+    const u = (sx * px + sy * py + sz * pz) / det;
+    if (u < -epsilon || u > 1 + epsilon) return NaN;
+    const qx = sy * e1z - sz * e1y, qy = sz * e1x - sx * e1z, qz = sx * e1y - sy * e1x;
+    const v = (d.x * qx + d.y * qy + d.z * qz) / det;
+    if (v < -epsilon || u + v > 1 + epsilon) return NaN;
+
+    const distance = (e2x * qx + e2y * qy + e2z * qz) / det;
+    return distance > 0 ? distance : NaN;
+}
+
+function slerp(a, b, angle, t) {
+    if (angle < 1e-9) return { ...a };
+    const s = Math.sin(angle);
+    const wa = Math.sin((1 - t) * angle) / s, wb = Math.sin(t * angle) / s;
+    return normalize({ x: a.x * wa + b.x * wb, y: a.y * wa + b.y * wb, z: a.z * wa + b.z * wb });
+}
+
+// Robust for tiny and near-straight angles, unlike acos of the dot product
+function angleBetween(a, b) {
+    const cx = a.y * b.z - a.z * b.y, cy = a.z * b.x - a.x * b.z, cz = a.x * b.y - a.y * b.x;
+    return Math.atan2(Math.sqrt(cx * cx + cy * cy + cz * cz), a.x * b.x + a.y * b.y + a.z * b.z);
+}
+
+function cross(a, b) {
+    return { x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x };
+}
+
+function normalize(p) {
+    const length = Math.sqrt(p.x * p.x + p.y * p.y + p.z * p.z) || 1;
+    return { x: p.x / length, y: p.y / length, z: p.z / length };
+}
@@ -0,0 +1,141 @@
+import { zipSync, unzipSync, strToU8, strFromU8 } from 'three/examples/jsm/libs/fflate.module.js';
+import { GeoReference } from './geodesy.js';
+
+// Project files: a zip holding a JSON manifest (editor settings), the crust's
+// per-vertex radii and, once the LOD crust has built it, the height store's raster,
+// both as little-endian Float32. Compression is optional; an uncompressed project is
+// still a zip, just with stored entries.
+
+export const PROJECT_VERSION = 4;
+export const PROJECT_EXTENSION = 'globe';
+
+const MANIFEST_FILE = 'project.json';
+const HEIGHTS_FILE = 'crust.f32';
+const HEIGHT_STORE_FILE = 'heightStore.f32';
+
+// Upgrades keyed by the version they upgrade from: migrations[n](manifest) returns a version n + 1 manifest
+const migrations = {};
+
+export function registerMigration(fromVersion, migrate) {
+    migrations[fromVersion] = migrate;
+}
+
+export function migrateProject(manifest) {
+    let current = { ...manifest };
+    let version = current.version || 1;
+
+    if (version > PROJECT_VERSION) {
+        throw new Error(`Project was saved by a newer version (format ${version}, this editor reads up to ${PROJECT_VERSION})`);
+    }
+
+    while (version < PROJECT_VERSION) {
+        const migrate = migrations[version];
+        if (!migrate) throw new Error(`No migration from project format ${version}`);
+        current = migrate(current);
+        version = current.version = version + 1;
+    }
+
+    return current;
+}
+
+// Format 2 keeps the heightmap Scale/Offset in metres rather than scene units, with
+// this.geo converting between them. Format 1 projects without a geographic reference
+// were made before exaggeration existed, so they keep 1×.
+registerMigration(1, manifest => {
+    const geo = { exaggeration: 1, ...manifest.geo };
+    const upgraded = { ...manifest, geo };
+    if (manifest.heightmap) {
+        const metresPerUnit = new GeoReference(geo).metresPerUnit;
+        upgraded.heightmap = {
+            ...manifest.heightmap,
+            scale: manifest.heightmap.scale * metresPerUnit,
+            offset: manifest.heightmap.offset * metresPerUnit
+        };
+    }
+    return upgraded;
+});
+
+// Format 3 can hold the height store raster. Older projects have none, so it's
+// rebuilt from the crust mesh as before.
+registerMigration(2, manifest => ({ ...manifest, heightStore: null }));
+
+// Format 4 keeps the contour interval in the saved elevation unit rather than scene units
+registerMigration(3, manifest => {
+    if (!manifest.contours) return { ...manifest };
+    const interval = new GeoReference(manifest.geo).toElevationUnits(manifest.contours.interval);
+    return { ...manifest, contours: { ...manifest.contours, interval: Number(interval.toPrecision(6)) } };
+});
+
+export function isProjectFile(file) {
+    return file.name.toLowerCase().endsWith(`.${PROJECT_EXTENSION}`);
+}
+
+function float32Bytes(values) {
+    const bytes = new Uint8Array(values.length * 4);
+    const view = new DataView(bytes.buffer);
+    values.forEach((value, i) => view.setFloat32(i * 4, value, true));
+    return bytes;
+}
+
+function readFloat32(file) {
+    const view = new DataView(file.buffer, file.byteOffset, file.byteLength);
+    const values = new Float32Array(file.byteLength / 4);
+    for (let i = 0; i < values.length; i++) {
+        values[i] = view.getFloat32(i * 4, true);
+    }
+    return values;
+}
+
+// heightStore: the store's { width, height, data } raster, or null when there is none
+export function serializeProject(manifest, heights, { compress = true, heightStore = null } = {}) {
+    const fullManifest = {
+        ...manifest,
+        format: 'webgpu-globe-project',
+        version: PROJECT_VERSION,
+        savedAt: new Date().toISOString(),
+        heights: { file: HEIGHTS_FILE, count: heights.length, dataType: 'float32', byteOrder: 'little' },
+        heightStore: heightStore && {
+            file: HEIGHT_STORE_FILE,
+            width: heightStore.width,
+            height: heightStore.height,
+            dataType: 'float32',
+            byteOrder: 'little'
+        }
+    };
+
+    const files = {
+        [MANIFEST_FILE]: strToU8(JSON.stringify(fullManifest, null, 2)),
+        [HEIGHTS_FILE]: float32Bytes(heights)
+    };
+    if (heightStore) files[HEIGHT_STORE_FILE] = float32Bytes(heightStore.data);
+
+    return zipSync(files, { level: compress ? 6 : 0 });
+}
+
+export function parseProject(buffer) {
+    let files;
+    try {
+        files = unzipSync(new Uint8Array(buffer));
+    } catch (error) {
+        throw new Error('Not a project file (expected a zip archive)');
+    }
+
+    if (!files[MANIFEST_FILE]) throw new Error(`Project is missing ${MANIFEST_FILE}`);
+
+    const manifest = migrateProject(JSON.parse(strFromU8(files[MANIFEST_FILE])));
+    const heightFile = files[manifest.heights ? manifest.heights.file : HEIGHTS_FILE];
+    const heights = heightFile ? readFloat32(heightFile) : null;
+
+    let heightStore = null;
+    if (manifest.heightStore) {
+        const { file, width, height } = manifest.heightStore;
+        if (!files[file]) throw new Error(`Project is missing ${file}`);
+        const data = readFloat32(files[file]);
+        if (data.length !== width * height) {
+            throw new Error(`${file} holds ${data.length} heights, expected ${width}x${height}`);
+        }
+        heightStore = { width, height, data };
+    }
+
+    return { manifest, heights, heightStore };
+}
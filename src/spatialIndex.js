@@ -0,0 +1,162 @@
+// Uniform 3D grid over a mesh's vertices, so brush, highlight and polygon queries
+// visit only the cells near the query instead of every vertex. Vertices that move
+// are re-binned one at a time with update(), which keeps sculpting cheap.
+
+// Cell coordinates are offset into 0..1023 on each axis and packed into one number
+const GRID_OFFSET = 512;
+const GRID_SPAN = 1024;
+
+export class VertexGrid {
+    // positions: flat xyz array, read live (the grid never copies it)
+    constructor(positions, { cellSize = null } = {}) {
+        this.positions = positions;
+        this.count = positions.length / 3;
+        this.cellSize = cellSize || defaultCellSize(positions);
+        this.cells = new Map(); // cell key -> vertex indices
+        this.vertexCell = new Uint32Array(this.count); // Cell key each vertex is filed under
+        this.vertexSlot = new Uint32Array(this.count); // Its position within that cell's list
+        this.minRadius = Infinity;
+        this.maxRadius = 0;
+        this.build();
+    }
+
+    build() {
+        this.cells.clear();
+        this.minRadius = Infinity;
+        this.maxRadius = 0;
+        for (let vertex = 0; vertex < this.count; vertex++) {
+            this.insert(vertex, this.cellKeyOf(vertex));
+            this.extendRadius(vertex);
+        }
+    }
+
+    // Re-file a vertex after its position changed
+    update(vertex) {
+        const key = this.cellKeyOf(vertex);
+        if (key !== this.vertexCell[vertex]) {
+            this.remove(vertex);
+            this.insert(vertex, key);
+        }
+        this.extendRadius(vertex);
+    }
+
+    updateVertices(vertices) {
+        for (let i = 0; i < vertices.length; i++) {
+            this.update(vertices[i]);
+        }
+    }
+
+    // callback(vertex, distance) for every vertex strictly within `radius` of (x, y, z)
+    forEachInSphere(x, y, z, radius, callback) {
+        const positions = this.positions;
+        const radiusSq = radius * radius;
+
+        this.forEachCandidate(x, y, z, radius, vertex => {
+            const dx = positions[vertex * 3] - x;
+            const dy = positions[vertex * 3 + 1] - y;
+            const dz = positions[vertex * 3 + 2] - z;
+            const distanceSq = dx * dx + dy * dy + dz * dz;
+            if (distanceSq < radiusSq) callback(vertex, Math.sqrt(distanceSq));
+        });
+    }
+
+    // callback(vertex) for every vertex that may lie within `angle` radians of the unit
+    // `direction` as seen from the origin. Candidates only, callers do the exact test.
+    forEachInCone(direction, angle, callback) {
+        if (angle >= Math.PI / 2 || this.maxRadius === 0) {
+            for (let vertex = 0; vertex < this.count; vertex++) callback(vertex);
+            return;
+        }
+
+        // Sphere around the cone's crossing of the outermost shell that holds every
+        // point of the cone between the innermost and outermost vertex radii
+        const outer = this.maxRadius;
+        const inner = this.minRadius;
+        const cos = Math.cos(angle);
+        const reach = Math.sqrt(Math.max(
+            2 * outer * outer * (1 - cos),
+            inner * inner + outer * outer - 2 * inner * outer * cos
+        ));
+
+        this.forEachCandidate(direction.x * outer, direction.y * outer, direction.z * outer, reach, callback);
+    }
+
+    forEachCandidate(x, y, z, radius, callback) {
+        const size = this.cellSize;
+        const minX = clampCell(Math.floor((x - radius) / size));
+        const maxX = clampCell(Math.floor((x + radius) / size));
+        const minY = clampCell(Math.floor((y - radius) / size));
+        const maxY = clampCell(Math.floor((y + radius) / size));
+        const minZ = clampCell(Math.floor((z - radius) / size));
+        const maxZ = clampCell(Math.floor((z + radius) / size));
+
+        for (let cx = minX; cx <= maxX; cx++) {
+            for (let cy = minY; cy <= maxY; cy++) {
+                for (let cz = minZ; cz <= maxZ; cz++) {
+                    const cell = this.cells.get(packCell(cx, cy, cz));
+                    if (!cell) continue;
+                    for (let i = 0; i < cell.length; i++) callback(cell[i]);
+                }
+            }
+        }
+    }
+
+    cellKeyOf(vertex) {
+        const size = this.cellSize;
+        return packCell(
+            clampCell(Math.floor(this.positions[vertex * 3] / size)),
+            clampCell(Math.floor(this.positions[vertex * 3 + 1] / size)),
+            clampCell(Math.floor(this.positions[vertex * 3 + 2] / size))
+        );
+    }
+
+    insert(vertex, key) {
+        let cell = this.cells.get(key);
+        if (!cell) {
+            cell = [];
+            this.cells.set(key, cell);
+        }
+        this.vertexCell[vertex] = key;
+        this.vertexSlot[vertex] = cell.length;
+        cell.push(vertex);
+    }
+
+    remove(vertex) {
+        // Swap with the cell's last vertex so removal stays O(1)
+        const cell = this.cells.get(this.vertexCell[vertex]);
+        const slot = this.vertexSlot[vertex];
+        const last = cell.pop();
+        if (last !== vertex) {
+            cell[slot] = last;
+            this.vertexSlot[last] = slot;
+        }
+        if (cell.length === 0) this.cells.delete(this.vertexCell[vertex]);
+    }
+
+    // Radius bounds only ever widen, which keeps cone queries conservative
+    extendRadius(vertex) {
+        const x = this.positions[vertex * 3];
+        const y = this.positions[vertex * 3 + 1];
+        const z = this.positions[vertex * 3 + 2];
+        const radius = Math.sqrt(x * x + y * y + z * z);
+        if (radius < this.minRadius) this.minRadius = radius;
+        if (radius > this.maxRadius) this.maxRadius = radius;
+    }
+}
+
+// About 16 cells across the mesh's widest extent
+function defaultCellSize(positions) {
+    let extent = 0;
+    for (let i = 0; i < positions.length; i++) {
+        extent = Math.max(extent, Math.abs(positions[i]));
+    }
+    return Math.max(extent / 8, 1e-3);
+}
+
+function clampCell(value) {
+    return Math.max(-GRID_OFFSET, Math.min(GRID_SPAN - GRID_OFFSET - 1, value));
+}
+
+function packCell(cx, cy, cz) {
+    return ((cx + GRID_OFFSET) * GRID_SPAN + (cy + GRID_OFFSET)) * GRID_SPAN + (cz + GRID_OFFSET);
+}
@@ -0,0 +1,223 @@
+// Terrain derivatives of the crust mesh: slope, aspect, and mean and plan curvature
+// per vertex. Each vertex gets a quadratic surface
+//   h = a x² + b y² + c xy + d x + e y
+// fitted by least squares to its edge neighbours, in the east/north tangent frame at
+// the vertex. Neighbours are placed by their great-circle distance and bearing, and h
+// is the height above the sphere, so the planet's own curvature doesn't show up as
+// terrain curvature.
+//
+// Distances are in metres (horizontalScale and verticalScale convert from scene units,
+// the latter including any vertical exaggeration), slope and aspect in degrees and
+// curvatures in 1/km. Aspect is the downhill direction clockwise from north. Positive
+// curvature is convex (ridges and peaks). Values that are undefined (aspect and plan
+// curvature on flat ground, curvature with too few neighbours) are NaN.
+
+export const ANALYSIS_MEASURES = {
+    slope: { label: 'Slope', unit: '°', colormap: 'inferno', range: { min: 0, max: 45 } },
+    aspect: { label: 'Aspect', unit: '°', colormap: 'twilight', range: { min: 0, max: 360 } },
+    meanCurvature: { label: 'Mean curvature', unit: '1/km', colormap: 'rdbu', range: null }, // null: fitted to the data
+    planCurvature: { label: 'Plan curvature', unit: '1/km', colormap: 'rdbu', range: null }
+};
+
+const FLAT = 1e-12; // Squared gradient below which the ground counts as flat
+
+export class TerrainAnalysis {
+    // neighbours: buildVertexNeighbours result (welded, so seams are continuous)
+    constructor(neighbours, { horizontalScale, verticalScale }) {
+        this.neighbours = neighbours;
+        this.horizontalScale = horizontalScale;
+        this.verticalScale = verticalScale;
+        this.positions = null; // Copy of the positions the values were computed from
+        this.scratch = null; // Neighbour x, y, h for the fit
+        this.values = {};
+        Object.keys(ANALYSIS_MEASURES).forEach(measure => {
+            this.values[measure] = new Float32Array(neighbours.canonical.length);
+        });
+    }
+
+    compute(positions) {
+        this.positions = positions.slice();
+        const count = positions.length / 3;
+        const vertices = [];
+        for (let v = 0; v < count; v++) vertices.push(v);
+        this.computeVertices(vertices);
+        return vertices;
+    }
+
+    // Recomputes the vertices whose fit involves a moved vertex. Returns them.
+    update(positions) {
+        const { canonical, offsets, neighbours } = this.neighbours;
+        const count = positions.length / 3;
+        const affected = new Uint8Array(count);
+
+        for (let v = 0; v < count; v++) {
+            const k = v * 3;
+            if (positions[k] === this.positions[k] && positions[k + 1] === this.positions[k + 1] && positions[k + 2] === this.positions[k + 2]) continue;
+
+            const c = canonical[v];
+            affected[c] = 1;
+            for (let n = offsets[c]; n < offsets[c + 1]; n++) affected[neighbours[n]] = 1;
+        }
+
+        // Duplicates of an affected welded vertex take its new values too
+        const vertices = [];
+        for (let v = 0; v < count; v++) {
+            if (affected[canonical[v]]) vertices.push(v);
+        }
+
+        this.positions.set(positions);
+        this.computeVertices(vertices);
+        return vertices;
+    }
+
+    computeVertices(vertices) {
+        const { canonical } = this.neighbours;
+        const { slope, aspect, meanCurvature, planCurvature } = this.values;
+
+        // Welded vertices first, then their duplicates copy them
+        vertices.forEach(v => {
+            if (canonical[v] === v) this.fitVertex(v);
+        });
+        vertices.forEach(v => {
+            const c = canonical[v];
+            if (c === v) return;
+            slope[v] = slope[c];
+            aspect[v] = aspect[c];
+            meanCurvature[v] = meanCurvature[c];
+            planCurvature[v] = planCurvature[c];
+        });
+    }
+
+    // Fits one welded vertex and writes its values
+    fitVertex(vertex) {
+        const { offsets, neighbours } = this.neighbours;
+        const positions = this.positions;
+        const values = this.values;
+        const px = positions[vertex * 3], py = positions[vertex * 3 + 1], pz = positions[vertex * 3 + 2];
+        const radius = Math.sqrt(px * px + py * py + pz * pz);
+        const ux = px / radius, uy = py / radius, uz = pz / radius;
+
+        // East is along the latitude circle (x at the poles), north completes the frame
+        let ex = uz, ez = -ux;
+        let length = Math.sqrt(ex * ex + ez * ez);
+        if (length < 1e-9) {
+            ex = 1; ez = 0; length = 1;
+        }
+        ex /= length; ez /= length;
+        const nx = uy * ez, ny = uz * ex - ux * ez, nz = -uy * ex;
+
+        // Neighbours on the tangent plane (azimuthal equidistant, metres) with their heights
+        const first = offsets[vertex], last = offsets[vertex + 1];
+        if (!this.scratch || this.scratch.length < (last - first) * 3) this.scratch = new Float64Array((last - first) * 3);
+        const points = this.scratch;
+        let count = 0;
+        let spacing = 0;
+        for (let n = first; n < last; n++) {
+            const j = neighbours[n];
+            const qx = positions[j * 3], qy = positions[j * 3 + 1], qz = positions[j * 3 + 2];
+            const r = Math.sqrt(qx * qx + qy * qy + qz * qz);
+            const dx = qx / r, dy = qy / r, dz = qz / r;
+
+            const dot = Math.max(-1, Math.min(1, ux * dx + uy * dy + uz * dz));
+            const tx = dx - ux * dot, ty = dy - uy * dot, tz = dz - uz * dot;
+            const tangentLength = Math.sqrt(tx * tx + ty * ty + tz * tz);
+            if (tangentLength < 1e-12) continue;
+
+            const distance = Math.acos(dot) * radius * this.horizontalScale;
+            points[count * 3] = (tx * ex + tz * ez) / tangentLength * distance;
+            points[count * 3 + 1] = (tx * nx + ty * ny + tz * nz) / tangentLength * distance;
+            points[count * 3 + 2] = (r - radius) * this.verticalScale;
+            spacing = Math.max(spacing, distance);
+            count++;
+        }
+
+        // Normal equations of the fit, unknowns [a, b, c, d, e], in coordinates divided by
+        // the neighbour spacing to keep them well conditioned
+        const matrix = new Float64Array(25);
+        const rhs = new Float64Array(5);
+        const row = new Float64Array(5);
+        for (let k = 0; k < count; k++) {
+            const x = points[k * 3] / spacing, y = points[k * 3 + 1] / spacing, h = points[k * 3 + 2];
+            row[0] = x * x; row[1] = y * y; row[2] = x * y; row[3] = x; row[4] = y;
+            for (let i = 0; i < 5; i++) {
+                rhs[i] += row[i] * h;
+                for (let m = 0; m < 5; m++) matrix[i * 5 + m] += row[i] * row[m];
+            }
+        }
+
+        let a = 0, b = 0, c = 0, d, e;
+        const quadratic = count >= 5 ? solve(matrix, rhs, 5) : null;
+        if (quadratic) {
+            [a, b, c, d, e] = quadratic;
+        } else {
+            // Too few or degenerate neighbours for curvature, a plane still gives the slope
+            const plane = count >= 2 ? solve(Float64Array.of(matrix[18], matrix[19], matrix[23], matrix[24]), Float64Array.of(rhs[3], rhs[4]), 2) : null;
+            if (!plane) {
+                values.slope[vertex] = values.aspect[vertex] = values.meanCurvature[vertex] = values.planCurvature[vertex] = NaN;
+                return;
+            }
+            [d, e] = plane;
+        }
+        a /= spacing * spacing; b /= spacing * spacing; c /= spacing * spacing;
+        d /= spacing; e /= spacing;
+
+        // First (p, q) and second (r, s, t) derivatives at the vertex
+        const p = d, q = e, r = 2 * a, s = c, t = 2 * b;
+        const gradient = p * p + q * q;
+        const flat = gradient < FLAT;
+        values.slope[vertex] = Math.atan(Math.sqrt(gradient)) * 180 / Math.PI;
+        values.aspect[vertex] = flat ? NaN : (Math.atan2(-p, -q) * 180 / Math.PI + 360) % 360;
+        values.meanCurvature[vertex] = quadratic
+            ? -((1 + q * q) * r - 2 * p * q * s + (1 + p * p) * t) / (2 * Math.pow(1 + gradient, 1.5)) * 1000
+            : NaN;
+        values.planCurvature[vertex] = quadratic && !flat
+            ? -(q * q * r - 2 * p * q * s + p * p * t) / Math.pow(gradient, 1.5) * 1000
+            : NaN;
+    }
+
+    // Symmetric range around 0 holding all but the most extreme `tail` of the values
+    fitRange(measure, tail = 0.02) {
+        const magnitudes = Array.from(this.values[measure]).filter(Number.isFinite).map(Math.abs).sort((x, y) => x - y);
+        if (magnitudes.length === 0) return { min: -1, max: 1 };
+        const extent = magnitudes[Math.min(magnitudes.length - 1, Math.floor(magnitudes.length * (1 - tail)))] || 1e-6;
+        return { min: -extent, max: extent };
+    }
+}
+
+// Gaussian elimination with partial pivoting. Null when the system is singular.
+function solve(matrix, rhs, size) {
+    const m = Float64Array.from(matrix);
+    const b = Float64Array.from(rhs);
+    let scale = 0;
+    for (let i = 0; i < size; i++) scale = Math.max(scale, Math.abs(m[i * size + i]));
+    if (scale === 0) return null;
+
+    for (let col = 0; col < size; col++) {
+        let pivot = col;
+        for (let r = col + 1; r < size; r++) {
+            if (Math.abs(m[r * size + col]) > Math.abs(m[pivot * size + col])) pivot = r;
+        }
+        if (Math.abs(m[pivot * size + col]) < scale * 1e-12) return null;
+
+        if (pivot !== col) {
+            for (let k = 0; k < size; k++) {
+                [m[col * size + k], m[pivot * size + k]] = [m[pivot * size + k], m[col * size + k]];
+            }
+            [b[col], b[pivot]] = [b[pivot], b[col]];
+        }
+
+        for (let r = col + 1; r < size; r++) {
+            const factor = m[r * size + col] / m[col * size + col];
+            for (let k = col; k < size; k++) m[r * size + k] -= factor * m[col * size + k];
+            b[r] -= factor * b[col];
+        }
+    }
+
+    const x = new Array(size).fill(0);
+    for (let r = size - 1; r >= 0; r--) {
+        let sum = b[r];
+        for (let k = r + 1; k < size; k++) sum -= m[r * size + k] * x[k];
+        x[r] = sum / m[r * size + r];
+    }
+    return x;
+}
@@ -0,0 +1,201 @@
+import * as THREE from 'three';
+import { directionToLonLat } from './geodesy.js';
+
+// Sphere meshes for the globe layers. The UV sphere is THREE.SphereGeometry; the
+// icosphere and cube-sphere spread their vertices far more evenly, so brushes and
+// clipping edges behave the same at the poles as at the equator.
+//
+// All three are indexed with shared vertices and take the same width x height
+// segment setting. The icosphere and cube-sphere pick the subdivision that gives
+// roughly the same vertex count as a UV sphere with those segments.
+
+export const TESSELLATIONS = {
+    uv: { label: 'UV Sphere' },
+    icosphere: { label: 'Icosphere' },
+    cube: { label: 'Cube Sphere' }
+};
+
+export function createGlobeGeometry(type, radius, { width, height }) {
+    switch (type) {
+        case 'uv':
+            return new THREE.SphereGeometry(radius, width, height);
+        case 'icosphere':
+            return createIcosphere(radius, icosphereFrequency(width, height));
+        case 'cube':
+            return createCubeSphere(radius, cubeSphereDivisions(width, height));
+        default:
+            throw new Error(`Unknown tessellation "${type}"`);
+    }
+}
+
+// Short description of the subdivision, for the stats readout
+export function describeTessellation(type, { width, height }) {
+    switch (type) {
+        case 'icosphere':
+            return `Icosphere, frequency ${icosphereFrequency(width, height)}`;
+        case 'cube':
+            return `Cube sphere, ${cubeSphereDivisions(width, height)}² per face`;
+        default:
+            return `${width}x${height}`;
+    }
+}
+
+// 10f² + 2 vertices
+function icosphereFrequency(width, height) {
+    return Math.max(1, Math.round(Math.sqrt(width * height / 10)));
+}
+
+// 6n² + 2 vertices. Even, so there's a vertex at each pole rather than a quad around it.
+function cubeSphereDivisions(width, height) {
+    return Math.max(2, Math.round(Math.sqrt(width * height / 6) / 2) * 2);
+}
+
+// Geodesic sphere: each icosahedron face split into frequency² triangles, then pushed out to the sphere
+export function createIcosphere(radius, frequency) {
+    const phi = (1 + Math.sqrt(5)) / 2;
+    const corners = [
+        [-1, phi, 0], [1, phi, 0], [-1, -phi, 0], [1, -phi, 0],
+        [0, -1, phi], [0, 1, phi], [0, -1, -phi], [0, 1, -phi],
+        [phi, 0, -1], [phi, 0, 1], [-phi, 0, -1], [-phi, 0, 1]
+    ];
+    const faces = [
+        [0, 11, 5], [0, 5, 1], [0, 1, 7], [0, 7, 10], [0, 10, 11],
+        [1, 5, 9], [5, 11, 4], [11, 10, 2], [10, 7, 6], [7, 1, 8],
+        [3, 9, 4], [3, 4, 2], [3, 2, 6], [3, 6, 8], [3, 8, 9],
+        [4, 9, 5], [2, 4, 11], [6, 2, 10], [8, 6, 7], [9, 8, 1]
+    ];
+
+    // Tilt so corner 5 sits on the north pole and corner 6 on the south pole
+    const angle = Math.atan2(-phi, 1);
+    const cos = Math.cos(angle), sin = Math.sin(angle);
+    const vertices = corners.map(([x, y, z]) => new THREE.Vector3(x, y * cos - z * sin, y * sin + z * cos));
+
+    const builder = new SphereBuilder(radius);
+    faces.forEach(([a, b, c]) => {
+        const A = vertices[a], B = vertices[b], C = vertices[c];
+        const point = (i, j) => builder.vertex(
+            A.x + (B.x - A.x) * i / frequency + (C.x - A.x) * j / frequency,
+            A.y + (B.y - A.y) * i / frequency + (C.y - A.y) * j / frequency,
+            A.z + (B.z - A.z) * i / frequency + (C.z - A.z) * j / frequency
+        );
+
+        for (let i = 0; i < frequency; i++) {
+            for (let j = 0; j < frequency - i; j++) {
+                builder.triangle(point(i, j), point(i + 1, j), point(i, j + 1));
+                if (i + j < frequency - 1) {
+                    builder.triangle(point(i + 1, j), point(i + 1, j + 1), point(i, j + 1));
+                }
+            }
+        }
+    });
+
+    return builder.build();
+}
+
+// The six cube faces with their in-face axes, u x v = normal (seen from outside, u
+// runs right and v up). Shared with the quadtree crust.
+export const CUBE_FACES = [
+    { normal: [1, 0, 0], u: [0, 0, -1], v: [0, 1, 0] },
+    { normal: [-1, 0, 0], u: [0, 0, 1], v: [0, 1, 0] },
+    { normal: [0, 1, 0], u: [1, 0, 0], v: [0, 0, -1] },
+    { normal: [0, -1, 0], u: [1, 0, 0], v: [0, 0, 1] },
+    { normal: [0, 0, 1], u: [1, 0, 0], v: [0, 1, 0] },
+    { normal: [0, 0, -1], u: [-1, 0, 0], v: [0, 1, 0] }
+];
+
+// Cube faces split into divisions² quads and normalised onto the sphere. The grid is
+// spaced by tan() so the cells come out close to equal in size.
+export function createCubeSphere(radius, divisions) {
+    const builder = new SphereBuilder(radius);
+    CUBE_FACES.forEach(({ normal, u, v }) => {
+        const point = (i, j) => {
+            const s = Math.tan((i / divisions * 2 - 1) * Math.PI / 4);
+            const t = Math.tan((j / divisions * 2 - 1) * Math.PI / 4);
+            return builder.vertex(
+                normal[0] + u[0] * s + v[0] * t,
+                normal[1] + u[1] * s + v[1] * t,
+                normal[2] + u[2] * s + v[2] * t
+            );
+        };
+
+        for (let i = 0; i < divisions; i++) {
+            for (let j = 0; j < divisions; j++) {
+                const a = point(i, j), b = point(i + 1, j), c = point(i + 1, j + 1), d = point(i, j + 1);
+                builder.triangle(a, b, c);
+                builder.triangle(a, c, d);
+            }
+        }
+    });
+
+    return builder.build();
+}
+
+// Collects welded unit-sphere vertices and outward-facing triangles
+class SphereBuilder {
+    constructor(radius) {
+        this.radius = radius;
+        this.positions = [];
+        this.indices = [];
+        this.lookup = new Map();
+    }
+
+    // Index of the vertex along (x, y, z), shared with any earlier vertex in the same place
+    vertex(x, y, z) {
+        const length = Math.sqrt(x * x + y * y + z * z);
+        x /= length; y /= length; z /= length;
+
+        const key = `${Math.round(x * 1e7)},${Math.round(y * 1e7)},${Math.round(z * 1e7)}`;
+        let index = this.lookup.get(key);
+        if (index === undefined) {
+            index = this.positions.length / 3;
+            this.positions.push(x, y, z);
+            this.lookup.set(key, index);
+        }
+        return index;
+    }
+
+    // Counter-clockwise seen from outside, whatever order the corners come in
+    triangle(a, b, c) {
+        const p = this.positions;
+        const ab = [p[b * 3] - p[a * 3], p[b * 3 + 1] - p[a * 3 + 1], p[b * 3 + 2] - p[a * 3 + 2]];
+        const ac = [p[c * 3] - p[a * 3], p[c * 3 + 1] - p[a * 3 + 1], p[c * 3 + 2] - p[a * 3 + 2]];
+        const normal = [
+            ab[1] * ac[2] - ab[2] * ac[1],
+            ab[2] * ac[0] - ab[0] * ac[2],
+            ab[0] * ac[1] - ab[1] * ac[0]
+        ];
+        const outward = normal[0] * p[a * 3] + normal[1] * p[a * 3 + 1] + normal[2] * p[a * 3 + 2];
+        if (outward >= 0) {
+            this.indices.push(a, b, c);
+        } else {
+            this.indices.push(a, c, b);
+        }
+    }
+
+    build() {
+        const count = this.positions.length / 3;
+        const positions = new Float32Array(count * 3);
+        const normals = new Float32Array(this.positions);
+        const uvs = new Float32Array(count * 2);
+
+        for (let i = 0; i < count; i++) {
+            const x = this.positions[i * 3], y = this.positions[i * 3 + 1], z = this.positions[i * 3 + 2];
+            positions[i * 3] = x * this.radius;
+            positions[i * 3 + 1] = y * this.radius;
+            positions[i * 3 + 2] = z * this.radius;
+
+            // Same mapping as SphereGeometry, without its seam duplicates
+            const { lon, lat } = directionToLonLat(x, y, z);
+            uvs[i * 2] = (lon + 180) / 360;
+            uvs[i * 2 + 1] = (lat + 90) / 180;
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+        geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+        geometry.setIndex(count > 65535 ? new THREE.Uint32BufferAttribute(this.indices, 1) : new THREE.Uint16BufferAttribute(this.indices, 1));
+        geometry.computeBoundingSphere();
+        return geometry;
+    }
+}
@@ -0,0 +1,310 @@
+import { fileExtension } from './heightmap.js';
+
+// Gridded 3D scalar fields (e.g. seismic velocity anomalies) on a lon/lat/depth grid,
+// for colouring the interior layers. Depth is in km below the planet's surface.
+//
+// Two file layouts are read:
+//
+// NetCDF-like JSON, with the values inline or in a separate binary file picked at the same time:
+//   { "variable": "dVs", "units": "%",
+//     "dimensions": { "depth": [50, 100, ...], "lat": [-90, ...], "lon": { "start": -180, "step": 2, "count": 180 } },
+//     "order": ["depth", "lat", "lon"],            // data layout, last varies fastest (the default)
+//     "data": [...] or "model.f32",
+//     "dataType": "float32", "byteOrder": "little", // float32, float64, int16 or int32
+//     "scale_factor": 1, "add_offset": 0, "_FillValue": -9999 }
+//
+// CSV (or whitespace/semicolon separated) with one row per grid node:
+//   lon,lat,depth,value
+// Any column order works with a header row; the value column is "value" or the first other column.
+
+export const VOLUME_EXTENSIONS = ['json', 'csv', 'txt'];
+
+const DIMENSION_NAMES = {
+    lon: ['lon', 'long', 'longitude', 'x'],
+    lat: ['lat', 'latitude', 'y'],
+    depth: ['depth', 'z', 'depth_km']
+};
+
+const DATA_TYPES = {
+    float32: { bytes: 4, read: (view, offset, little) => view.getFloat32(offset, little) },
+    float64: { bytes: 8, read: (view, offset, little) => view.getFloat64(offset, little) },
+    int16: { bytes: 2, read: (view, offset, little) => view.getInt16(offset, little) },
+    int32: { bytes: 4, read: (view, offset, little) => view.getInt32(offset, little) }
+};
+
+// Values on a regular or irregular grid, stored depth-major with every axis ascending
+export class ScalarVolume {
+    constructor({ lon, lat, depth, data, variable = 'value', units = '' }) {
+        this.lon = lon;
+        this.lat = lat;
+        this.depth = depth;
+        this.data = data;
+        this.variable = variable;
+        this.units = units;
+
+        // Longitude axes covering the whole circle wrap around the seam
+        const step = lon.length > 1 ? (lon[lon.length - 1] - lon[0]) / (lon.length - 1) : 360;
+        this.wrapsLongitude = lon[lon.length - 1] - lon[0] + step >= 360 - 1e-6;
+
+        this.min = Infinity;
+        this.max = -Infinity;
+        for (let i = 0; i < data.length; i++) {
+            if (Number.isNaN(data[i])) continue;
+            this.min = Math.min(this.min, data[i]);
+            this.max = Math.max(this.max, data[i]);
+        }
+        if (this.min > this.max) {
+            throw new Error('The volume has no valid values');
+        }
+    }
+
+    get dimensions() {
+        return { lon: this.lon.length, lat: this.lat.length, depth: this.depth.length };
+    }
+
+    // Trilinear sample. NaN outside the grid or where every surrounding node is missing;
+    // cells with some missing nodes use the valid ones.
+    sample(lon, lat, depth) {
+        const x = this.locateLongitude(lon);
+        const y = locate(this.lat, lat);
+        const z = locate(this.depth, depth);
+        if (!x || !y || !z) return NaN;
+
+        const { lon: nLon, lat: nLat } = this.dimensions;
+        let sum = 0;
+        let weight = 0;
+        for (let k = 0; k < 8; k++) {
+            const wx = k & 1 ? x.t : 1 - x.t;
+            const wy = k & 2 ? y.t : 1 - y.t;
+            const wz = k & 4 ? z.t : 1 - z.t;
+            const w = wx * wy * wz;
+            if (w === 0) continue;
+
+            const value = this.data[((k & 4 ? z.upper : z.lower) * nLat + (k & 2 ? y.upper : y.lower)) * nLon + (k & 1 ? x.upper : x.lower)];
+            if (Number.isNaN(value)) continue;
+            sum += value * w;
+            weight += w;
+        }
+        return weight > 0 ? sum / weight : NaN;
+    }
+
+    locateLongitude(lon) {
+        const axis = this.lon;
+        const first = axis[0];
+        let value = ((lon - first) % 360 + 360) % 360 + first;
+
+        if (this.wrapsLongitude && value > axis[axis.length - 1]) {
+            // Between the last node and the first one again, 360 degrees on
+            const span = first + 360 - axis[axis.length - 1];
+            return { lower: axis.length - 1, upper: 0, t: (value - axis[axis.length - 1]) / span };
+        }
+        return locate(axis, value);
+    }
+}
+
+// { lower, upper, t } around value on an ascending axis, null outside it
+function locate(axis, value) {
+    const last = axis.length - 1;
+    if (!(value >= axis[0] && value <= axis[last])) return null;
+    if (last === 0) return { lower: 0, upper: 0, t: 0 };
+
+    let low = 0;
+    let high = last;
+    while (high - low > 1) {
+        const middle = (low + high) >> 1;
+        if (axis[middle] <= value) low = middle;
+        else high = middle;
+    }
+    const span = axis[high] - axis[low];
+    return { lower: low, upper: high, t: span > 0 ? (value - axis[low]) / span : 0 };
+}
+
+// Reads a volume from a file selection: a CSV, or a JSON header plus its binary data file
+export async function readVolumeFiles(files) {
+    const list = Array.from(files);
+    const header = list.find(file => fileExtension(file.name) === 'json');
+
+    if (header) {
+        const description = JSON.parse(await header.text());
+        let buffer = null;
+
+        if (typeof description.data === 'string') {
+            const dataFile = list.find(file => file.name === description.data)
+                || list.find(file => file !== header && !VOLUME_EXTENSIONS.includes(fileExtension(file.name)));
+            if (!dataFile) {
+                throw new Error(`${header.name} keeps its values in "${description.data}", select that file too`);
+            }
+            buffer = await dataFile.arrayBuffer();
+        }
+        return parseVolumeJSON(description, buffer);
+    }
+
+    const table = list.find(file => ['csv', 'txt'].includes(fileExtension(file.name)));
+    if (!table) {
+        throw new Error('No volume found (expected a .json header or a .csv of lon,lat,depth,value)');
+    }
+    return parseVolumeCSV(await table.text());
+}
+
+export function parseVolumeJSON(description, buffer = null) {
+    const dimensions = description.dimensions || description.coordinates;
+    if (!dimensions) {
+        throw new Error('Volume JSON needs "dimensions" with lon, lat and depth coordinates');
+    }
+
+    const axes = {};
+    Object.keys(DIMENSION_NAMES).forEach(name => {
+        const key = Object.keys(dimensions).find(candidate => DIMENSION_NAMES[name].includes(candidate.toLowerCase()));
+        if (!key) throw new Error(`Volume JSON is missing the ${name} dimension`);
+        axes[name] = readAxis(dimensions[key], name);
+    });
+
+    const order = (description.order || ['depth', 'lat', 'lon']).map(name => {
+        const dimension = Object.keys(DIMENSION_NAMES).find(key => DIMENSION_NAMES[key].includes(String(name).toLowerCase()));
+        if (!dimension) throw new Error(`Unknown dimension "${name}" in the volume's order`);
+        return dimension;
+    });
+    if (new Set(order).size !== 3) {
+        throw new Error('Volume order must list lon, lat and depth once each');
+    }
+
+    const count = axes.lon.length * axes.lat.length * axes.depth.length;
+    const values = readValues(description, buffer, count);
+    const fill = description._FillValue ?? description.noData ?? description.missing_value;
+    const scale = description.scale_factor ?? 1;
+    const offset = description.add_offset ?? 0;
+    for (let i = 0; i < count; i++) {
+        values[i] = fill !== undefined && values[i] === Number(fill) ? NaN : values[i] * scale + offset;
+    }
+
+    return new ScalarVolume({
+        ...toAscendingGrid(axes, order, values),
+        variable: description.variable || 'value',
+        units: description.units || ''
+    });
+}
+
+function readAxis(spec, name) {
+    let values;
+    if (Array.isArray(spec)) {
+        values = Float64Array.from(spec, Number);
+    } else if (spec && spec.count > 0) {
+        values = new Float64Array(spec.count);
+        for (let i = 0; i < spec.count; i++) values[i] = Number(spec.start) + i * Number(spec.step);
+    } else {
+        throw new Error(`Volume ${name} coordinates must be an array or { start, step, count }`);
+    }
+
+    if (values.length === 0 || values.some(Number.isNaN)) {
+        throw new Error(`Volume ${name} coordinates must be numbers`);
+    }
+    return values;
+}
+
+function readValues(description, buffer, count) {
+    if (Array.isArray(description.data)) {
+        if (description.data.length !== count) {
+            throw new Error(`Volume has ${description.data.length} values, expected ${count} for its dimensions`);
+        }
+        return Float32Array.from(description.data, value => (value === null ? NaN : Number(value)));
+    }
+
+    if (!buffer) {
+        throw new Error('Volume JSON has no "data"');
+    }
+
+    const dataType = (description.dataType || 'float32').toLowerCase();
+    const type = DATA_TYPES[dataType];
+    if (!type) {
+        throw new Error(`Unsupported volume data type "${dataType}" (use ${Object.keys(DATA_TYPES).join(', ')})`);
+    }
+    if (buffer.byteLength < count * type.bytes) {
+        throw new Error(`Volume data is ${buffer.byteLength} bytes, expected ${count * type.bytes} for ${count} ${dataType} values`);
+    }
+
+    const littleEndian = (description.byteOrder || 'little').toLowerCase() !== 'big';
+    const view = new DataView(buffer);
+    const values = new Float32Array(count);
+    for (let i = 0; i < count; i++) {
+        values[i] = type.read(view, i * type.bytes, littleEndian);
+    }
+    return values;
+}
+
+// Re-lays values given in `order` (slowest first) as depth-major with ascending axes
+function toAscendingGrid(axes, order, values) {
+    const sizes = { lon: axes.lon.length, lat: axes.lat.length, depth: axes.depth.length };
+    const strides = {};
+    let stride = 1;
+    for (let i = order.length - 1; i >= 0; i--) {
+        strides[order[i]] = stride;
+        stride *= sizes[order[i]];
+    }
+
+    const sorted = {};
+    const sourceIndex = {};
+    Object.keys(sizes).forEach(name => {
+        const indices = [...axes[name].keys()].sort((a, b) => axes[name][a] - axes[name][b]);
+        sorted[name] = Float64Array.from(indices, i => axes[name][i]);
+        sourceIndex[name] = indices;
+    });
+
+    const data = new Float32Array(values.length);
+    let target = 0;
+    for (let d = 0; d < sizes.depth; d++) {
+        for (let la = 0; la < sizes.lat; la++) {
+            for (let lo = 0; lo < sizes.lon; lo++) {
+                data[target++] = values[
+                    sourceIndex.depth[d] * strides.depth +
+                    sourceIndex.lat[la] * strides.lat +
+                    sourceIndex.lon[lo] * strides.lon
+                ];
+            }
+        }
+    }
+
+    return { lon: sorted.lon, lat: sorted.lat, depth: sorted.depth, data };
+}
+
+export function parseVolumeCSV(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '' && !line.trim().startsWith('#'));
+    if (lines.length === 0) throw new Error('Volume file is empty');
+
+    const delimiter = [',', ';', '\t'].find(candidate => lines[0].includes(candidate)) || /\s+/;
+    const split = line => line.trim().split(delimiter).map(field => field.trim());
+
+    const firstFields = split(lines[0]);
+    const hasHeader = firstFields.some(field => field !== '' && Number.isNaN(Number(field)));
+    const names = hasHeader ? firstFields.map(field => field.toLowerCase()) : ['lon', 'lat', 'depth', 'value'];
+
+    const column = {};
+    Object.keys(DIMENSION_NAMES).forEach(name => {
+        column[name] = names.findIndex(field => DIMENSION_NAMES[name].includes(field));
+        if (column[name] === -1) throw new Error(`Could not find a ${name} column in [${names.join(', ')}]`);
+    });
+    const valueColumn = names.includes('value')
+        ? names.indexOf('value')
+        : names.findIndex((field, i) => ![column.lon, column.lat, column.depth].includes(i));
+    if (valueColumn === -1) throw new Error('Could not find a value column');
+
+    const rows = [];
+    (hasHeader ? lines.slice(1) : lines).forEach(line => {
+        const fields = split(line);
+        const row = [column.lon, column.lat, column.depth, valueColumn].map(i => parseFloat(fields[i]));
+        if (row.slice(0, 3).every(Number.isFinite)) rows.push(row);
+    });
+    if (rows.length === 0) throw new Error('Volume file has no rows of numbers');
+
+    // The grid is every distinct coordinate; nodes without a row stay missing
+    const axisOf = k => Float64Array.from(new Set(rows.map(row => row[k]))).sort();
+    const lon = axisOf(0), lat = axisOf(1), depth = axisOf(2);
+    const lookup = axis => new Map([...axis].map((value, i) => [value, i]));
+    const lonIndex = lookup(lon), latIndex = lookup(lat), depthIndex = lookup(depth);
+
+    const data = new Float32Array(lon.length * lat.length * depth.length).fill(NaN);
+    rows.forEach(([x, y, z, value]) => {
+        data[(depthIndex.get(z) * lat.length + latIndex.get(y)) * lon.length + lonIndex.get(x)] = value;
+    });
+
+    return new ScalarVolume({ lon, lat, depth, data, variable: hasHeader ? names[valueColumn] : 'value' });
+}